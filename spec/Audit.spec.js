@@ -0,0 +1,107 @@
+'use strict';
+
+const findEntries = (qs = {}, headers = masterHeaders) => {
+  return restRequest('GET', '/audit', { qs, headers }).then(({ results }) => results);
+};
+
+describe('audit trail', () => {
+  beforeEach(done => {
+    restRequest('POST', '/schemas/Account', {
+      headers: masterHeaders,
+      body: { className: 'Account', fields: { balance: { type: 'Number' } }, classOptions: { audit: true } }
+    }).then(() => done(), done.fail);
+  });
+
+  it('records the changes to the objects of audited classes', done => {
+    const user = new Parse.User();
+    let account;
+    user.signUp({ username: 'owner', password: 'password' })
+      .then(() => {
+        account = new Parse.Object('Account', { balance: 10 });
+        return account.save(null, { sessionToken: user.getSessionToken() });
+      })
+      .then(() => restRequest('PUT', '/classes/Account/' + account.id, {
+        headers: Object.assign({ 'X-Parse-Request-Id': 'request-1' }, masterHeaders),
+        body: { balance: { __op: 'Increment', amount: 5 }, note: 'bonus' }
+      }))
+      .then(() => account.destroy({ useMasterKey: true }))
+      .then(() => findEntries({ order: 'createdAt' }))
+      .then(([created, updated, deleted, ...rest]) => {
+        expect(rest.length).toBe(0);
+
+        expect(created.action).toBe('create');
+        expect(created.targetClass).toBe('Account');
+        expect(created.targetId).toBe(account.id);
+        expect(created.changes.balance).toEqual({ after: 10 });
+        expect(created.changes.updatedAt).toBeUndefined();
+        expect(created.userId).toBe(user.id);
+        expect(created.master).toBe(false);
+        expect(created.ip).toBeDefined();
+        expect(created.requestId).toBeDefined();
+
+        expect(updated.action).toBe('update');
+        expect(updated.changes).toEqual({ balance: { before: 10, after: 15 }, note: { after: 'bonus' } });
+        expect(updated.userId).toBeUndefined();
+        expect(updated.master).toBe(true);
+        expect(updated.requestId).toBe('request-1');
+
+        expect(deleted.action).toBe('delete');
+        expect(deleted.changes.balance).toEqual({ before: 15 });
+        expect(deleted.changes.note).toEqual({ before: 'bonus' });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('leaves the other classes out', done => {
+    new Parse.Object('Unaudited', { balance: 1 }).save()
+      .then(() => findEntries())
+      .then(entries => {
+        expect(entries.length).toBe(0);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('queries the entries with the master key only', done => {
+    const account = new Parse.Object('Account', { balance: 1 });
+    account.save()
+      .then(() => account.save({ balance: 2 }))
+      .then(() => findEntries({ where: JSON.stringify({ action: 'update' }), count: 1 }))
+      .then(entries => {
+        expect(entries.length).toBe(1);
+        expect(entries[0].changes.balance).toEqual({ before: 1, after: 2 });
+        return findEntries({}, { 'X-Parse-Application-Id': 'test', 'X-Parse-REST-API-Key': 'rest' });
+      })
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        return new Parse.Query('_Audit').find();
+      })
+      .then(done.fail, error => {
+        expect(error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+        return findEntries({ where: '{"action":' });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'where should be a JSON object.' });
+        done();
+      });
+  });
+
+  it('hands the entries to the audit adapter', done => {
+    const auditAdapter = {
+      log: jasmine.createSpy('log').and.returnValue(Promise.resolve()),
+      find: () => Promise.resolve({ results: [{ action: 'create' }] })
+    };
+    reconfigureServer({ auditAdapter })
+      .then(() => new Parse.Object('Account', { balance: 1 }).save())
+      .then(() => {
+        expect(auditAdapter.log.calls.count()).toBe(1);
+        const entry = auditAdapter.log.calls.argsFor(0)[0];
+        expect(entry.action).toBe('create');
+        expect(entry.changes.balance).toEqual({ after: 1 });
+        return findEntries();
+      })
+      .then(entries => {
+        expect(entries).toEqual([{ action: 'create' }]);
+        done();
+      }).catch(done.fail);
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+// Sends the schema of the Sale class with the master key
+const saleSchemaRequest = (method, body) => restRequest(method, '/schemas/Sale', { headers: masterHeaders, body });
+
+const computedFields = {
+  fullName: { $concat: ['$firstName', ' ', '$lastName'] },
+  total: { $multiply: ['$price', { $add: ['$quantity', 1] }] },
+  year: { $year: '$soldAt' }
+};
+
+describe('computed fields', () => {
+  beforeEach(done => {
+    saleSchemaRequest('POST', {
+      className: 'Sale',
+      fields: {
+        firstName: { type: 'String' },
+        lastName: { type: 'String' },
+        price: { type: 'Number' },
+        quantity: { type: 'Number' },
+        soldAt: { type: 'Date' }
+      },
+      classOptions: { computedFields }
+    })
+      .then(schema => {
+        expect(schema.classOptions).toEqual({ computedFields });
+        return Parse.Object.saveAll([
+          new Parse.Object('Sale', { firstName: 'Ada', lastName: 'Lovelace', price: 10, quantity: 1, soldAt: new Date('2016-05-01T10:00:00Z') }),
+          new Parse.Object('Sale', { firstName: 'Alan', lastName: 'Turing', price: 3, quantity: 2, soldAt: new Date('2017-01-01T10:00:00Z') }),
+        ]);
+      })
+      .then(() => done(), done.fail);
+  });
+
+  it('are given with the objects', done => {
+    new Parse.Query('Sale').ascending('price').find()
+      .then(sales => {
+        expect(sales.map(sale => sale.get('fullName'))).toEqual(['Alan Turing', 'Ada Lovelace']);
+        expect(sales.map(sale => sale.get('total'))).toEqual([9, 20]);
+        expect(sales.map(sale => sale.get('year'))).toEqual([2017, 2016]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('can be filtered and sorted on', done => {
+    new Parse.Query('Sale').greaterThan('total', 10).find()
+      .then(sales => {
+        expect(sales.map(sale => sale.get('fullName'))).toEqual(['Ada Lovelace']);
+        return new Parse.Query('Sale').equalTo('fullName', 'Alan Turing').count();
+      })
+      .then(count => {
+        expect(count).toBe(1);
+        return new Parse.Query('Sale').descending('total').find();
+      })
+      .then(sales => {
+        expect(sales.map(sale => sale.get('total'))).toEqual([20, 9]);
+        const byYear = new Parse.Query('Sale').equalTo('year', 2017);
+        const byPrice = new Parse.Query('Sale').equalTo('price', 10);
+        return Parse.Query.or(byYear, byPrice).find();
+      })
+      .then(sales => {
+        expect(sales.length).toBe(2);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('can be selected', done => {
+    new Parse.Query('Sale').select('total').ascending('total').find()
+      .then(sales => {
+        expect(sales.map(sale => sale.get('total'))).toEqual([9, 20]);
+        expect(sales[0].get('fullName')).toBeUndefined();
+        expect(sales[0].get('price')).toBeUndefined();
+        done();
+      }).catch(done.fail);
+  });
+
+  it('cannot be set', done => {
+    new Parse.Object('Sale', { price: 1, total: 5 }).save()
+      .then(done.fail, error => {
+        expect(error.code).toBe(Parse.Error.INVALID_KEY_NAME);
+        expect(error.message).toBe('total is a computed field, it cannot be set.');
+        done();
+      });
+  });
+
+  it('keep the fields they use', done => {
+    saleSchemaRequest('PUT', { fields: { price: { __op: 'Delete' } } })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'Invalid computed field total: price is not a String, Number or Date field' });
+        return saleSchemaRequest('PUT', { fields: { year: { type: 'Number' } } });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_KEY_NAME, error: 'Computed field year has the name of a field.' });
+        done();
+      });
+  });
+
+  it('are validated', done => {
+    saleSchemaRequest('PUT', { classOptions: { computedFields: { label: { $concat: ['$price', '!'] } } } })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'Invalid computed field label: the operands of $concat should be of type String' });
+        return saleSchemaRequest('PUT', { classOptions: { computedFields: { month: { $month: '$firstName' } } } });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'Invalid computed field month: $month takes a reference to a Date field' });
+        return saleSchemaRequest('PUT', { classOptions: { computedFields: { unit: { $divide: ['$price'] } } } });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'Invalid computed field unit: $divide takes an array of 2 operands' });
+        done();
+      });
+  });
+});
@@ -0,0 +1,95 @@
+'use strict';
+const rp = require('request-promise');
+const ServerError = require('../src/errors').ServerError;
+
+const update = (object, body, headers = {}) => {
+  return rp.put({
+    uri: 'http://localhost:8378/1/classes/Note/' + object.id,
+    body,
+    headers: Object.assign({
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    }, headers),
+    json: true
+  });
+};
+
+describe('conditional updates', () => {
+  let note;
+
+  beforeEach(done => {
+    note = new Parse.Object('Note', { text: 'first' });
+    note.save().then(() => done(), done.fail);
+  });
+
+  it('updates objects that did not change since the expected updatedAt', done => {
+    const updatedAt = note.updatedAt.toISOString();
+    update(note, { text: 'second' }, { 'If-Match': `"${updatedAt}"` })
+      .then(response => update(note, { text: 'third' }, { 'X-Parse-If-Unmodified-Since': response.updatedAt }))
+      .then(response => update(note, { text: 'fourth', _expectedUpdatedAt: { __type: 'Date', iso: response.updatedAt } }))
+      .then(() => note.fetch())
+      .then(() => {
+        expect(note.get('text')).toBe('fourth');
+        expect(note.has('_expectedUpdatedAt')).toBe(false);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rejects updates to objects that changed since', done => {
+    const updatedAt = note.updatedAt.toISOString();
+    update(note, { text: 'second' })
+      .then(() => update(note, { text: 'third' }, { 'If-Match': updatedAt }))
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(412);
+        expect(error.error.code).toBe(ServerError.UPDATE_CONFLICT);
+        return update(note, { text: 'third', _expectedUpdatedAt: updatedAt });
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(ServerError.UPDATE_CONFLICT);
+        return note.fetch();
+      })
+      .then(() => {
+        expect(note.get('text')).toBe('second');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('does not tell about objects the user cannot see', done => {
+    const updatedAt = note.updatedAt.toISOString();
+    note.setACL(new Parse.ACL());
+    note.save(null, { useMasterKey: true })
+      .then(() => update(note, { text: 'second' }, { 'If-Match': updatedAt }))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        done();
+      });
+  });
+
+  it('applies to batch requests', done => {
+    const updatedAt = note.updatedAt.toISOString();
+    rp.post({
+      uri: 'http://localhost:8378/1/batch',
+      body: {
+        requests: [
+          { method: 'PUT', path: '/1/classes/Note/' + note.id, body: { text: 'second', _expectedUpdatedAt: updatedAt } },
+          { method: 'PUT', path: '/1/classes/Note/' + note.id, body: { text: 'third', _expectedUpdatedAt: updatedAt } }
+        ]
+      },
+      headers: { 'X-Parse-Application-Id': 'test', 'X-Parse-REST-API-Key': 'rest' },
+      json: true
+    }).then(responses => {
+      // Only one of the updates gets to change the object
+      expect(responses.filter(response => response.success).length).toBe(1);
+      expect(responses.filter(response => response.error).map(response => response.error.code)).toEqual([ServerError.UPDATE_CONFLICT]);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('rejects invalid dates', done => {
+    update(note, { text: 'second' }, { 'If-Match': 'yesterday' })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: '_expectedUpdatedAt should be a date.' });
+        done();
+      });
+  });
+});
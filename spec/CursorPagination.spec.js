@@ -0,0 +1,102 @@
+'use strict';
+const rp = require('request-promise');
+
+const find = (qs) => {
+  return rp.get({
+    uri: 'http://localhost:8378/1/classes/Page',
+    qs,
+    headers: {
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    },
+    json: true
+  });
+};
+
+// Follows the cursors until the last page, resolves with the keys in order
+const findAllPages = (qs, keys = []) => {
+  return find(qs).then(response => {
+    expect(response.results.length).toBeLessThan(qs.limit + 1);
+    keys = keys.concat(response.results.map(result => result.key));
+    if (!response.cursor) {
+      return keys;
+    }
+    return findAllPages(Object.assign({}, qs, { cursor: response.cursor }), keys);
+  });
+};
+
+// Ties on rank, and an object without one
+const loadTestData = () => {
+  const ranks = [3, 1, 2, 1, undefined, 3, 1];
+  return Parse.Object.saveAll(ranks.map((rank, index) => {
+    const object = new Parse.Object('Page', { key: index });
+    if (rank !== undefined) {
+      object.set('rank', rank);
+    }
+    return object;
+  }));
+};
+
+describe('cursor pagination', () => {
+  beforeEach(done => {
+    loadTestData().then(done, done.fail);
+  });
+
+  it('returns every object once, in order', done => {
+    Promise.all([
+      findAllPages({ cursor: '', limit: 2 }),
+      find({ order: 'objectId' })
+    ]).then(([pages, { results }]) => {
+      expect(pages).toEqual(results.map(result => result.key));
+      done();
+    }).catch(done.fail);
+  });
+
+  it('pages with ties and missing values in the sort', done => {
+    findAllPages({ cursor: '', limit: 2, order: 'rank' })
+      .then(keys => {
+        expect(keys.length).toBe(7);
+        expect(keys[0]).toBe(4);
+        expect(keys.slice(1, 4).sort()).toEqual([1, 3, 6]);
+        expect(keys.slice(5).sort()).toEqual([0, 5]);
+        return findAllPages({ cursor: '', limit: 3, order: '-rank,-key' });
+      })
+      .then(keys => {
+        expect(keys).toEqual([5, 0, 2, 6, 3, 1, 4]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('keeps the keys and count of the query', done => {
+    find({ cursor: '', limit: 3, order: 'rank', keys: 'key', count: 1, where: JSON.stringify({ key: { $lt: 6 } }) })
+      .then(response => {
+        expect(response.count).toBe(6);
+        expect(Object.keys(response.results[0]).sort()).toEqual(['createdAt', 'key', 'objectId', 'updatedAt']);
+        return find({ cursor: response.cursor, limit: 3, order: 'rank', keys: 'key', count: 1, where: JSON.stringify({ key: { $lt: 6 } }) });
+      })
+      .then(response => {
+        expect(response.count).toBe(6);
+        expect(response.results.length).toBe(3);
+        expect(response.results.map(result => result.key).sort()).toEqual([0, 2, 5]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rejects invalid cursors', done => {
+    find({ cursor: 'not a cursor' })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_QUERY, error: 'Invalid cursor.' });
+        return find({ cursor: '', limit: 2 });
+      })
+      .then(response => find({ cursor: response.cursor, order: '-objectId' }))
+      .then(done.fail, error => {
+        // Cursors only go with the order they were made for
+        expect(error.error.code).toBe(Parse.Error.INVALID_QUERY);
+        return find({ cursor: '', skip: 2 });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_QUERY, error: 'Cannot use skip with a cursor.' });
+        done();
+      });
+  });
+});
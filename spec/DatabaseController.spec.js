@@ -48,4 +48,63 @@ describe('DatabaseController', function() {
 
   });
 
+  describe('runInTransaction', function() {
+
+    it('uses the controller itself when the adapter has no transactions', (done) => {
+      const database = new DatabaseController({});
+      database.runInTransaction(transactional => {
+        expect(transactional).toBe(database);
+        return 'result';
+      }).then(result => {
+        expect(result).toBe('result');
+        done();
+      }, done.fail);
+    });
+
+    it('binds the callback to the transactional adapter', (done) => {
+      const transactionalAdapter = {};
+      const adapter = {
+        transaction: jasmine.createSpy('transaction').and.callFake(callback => Promise.resolve(callback(transactionalAdapter)))
+      };
+      const database = new DatabaseController(adapter);
+      database.runInTransaction(transactional => {
+        expect(transactional).not.toBe(database);
+        expect(transactional.adapter).toBe(transactionalAdapter);
+        expect(database.adapter).toBe(adapter);
+        return 'result';
+      }).then(result => {
+        expect(result).toBe('result');
+        expect(adapter.transaction).toHaveBeenCalled();
+        done();
+      }, done.fail);
+    });
+
+  });
+
+  describe('readPreferenceFor', function() {
+
+    it('pins reads to the primary after a write', (done) => {
+      const adapter = {
+        find: jasmine.createSpy('find').and.returnValue(Promise.resolve([])),
+        upsertOneObject: jasmine.createSpy('upsertOneObject').and.returnValue(Promise.resolve())
+      };
+      const database = new DatabaseController(adapter);
+      expect(database.readPreferenceFor('SECONDARY')).toBe('SECONDARY');
+      database.relatedIds('Foo', 'bars', 'abc')
+        .then(() => {
+          expect(adapter.find.calls.mostRecent().args[3]).toEqual({ readPreference: undefined });
+          return database.addRelation('bars', 'Foo', 'abc', 'def');
+        })
+        .then(() => database.relatedIds('Foo', 'bars', 'abc'))
+        .then(() => {
+          expect(adapter.find.calls.mostRecent().args[3]).toEqual({ readPreference: 'PRIMARY' });
+          expect(database.readPreferenceFor('SECONDARY')).toBe('PRIMARY');
+          // Other requests get their own controller
+          expect(new DatabaseController(adapter).readPreferenceFor('SECONDARY')).toBe('SECONDARY');
+          done();
+        }, done.fail);
+    });
+
+  });
+
 });
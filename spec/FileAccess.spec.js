@@ -0,0 +1,208 @@
+'use strict';
+const rp = require('request-promise');
+const fileSignature = require('../src/Controllers/FilesController').fileSignature;
+
+const upload = (filename, content, options = {}) => {
+  return rp.post({
+    uri: Parse.serverURL + '/files/' + filename,
+    headers: Object.assign({
+      'Content-Type': 'text/plain',
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    }, options.headers),
+    qs: options.qs,
+    body: content
+  }).then(body => JSON.parse(body));
+};
+
+// Resolves with the status code of the download
+const download = (url, headers = {}) => {
+  return rp.get({ uri: url, headers, resolveWithFullResponse: true })
+    .then(response => response.statusCode, error => error.statusCode);
+};
+
+const signUp = username => {
+  const user = new Parse.User();
+  return user.signUp({ username, password: 'password' }).then(() => user);
+};
+
+describe('file access', () => {
+  let owner;
+  let other;
+  beforeEach(done => {
+    signUp('owner')
+      .then(user => {
+        owner = user;
+        return Parse.User.logOut();
+      })
+      .then(() => signUp('other'))
+      .then(user => {
+        other = user;
+        return Parse.User.logOut();
+      })
+      .then(done, done.fail);
+  });
+
+  it('checks downloads against the ACL given at upload', done => {
+    let file;
+    const acl = JSON.stringify({ [owner.id]: { read: true, write: true } });
+    upload('private.txt', 'private', { qs: { acl }, headers: { 'X-Parse-Session-Token': owner.getSessionToken() } })
+      .then(result => {
+        file = result;
+        return download(file.url);
+      })
+      .then(status => {
+        expect(status).toBe(403);
+        return download(file.url, { 'X-Parse-Session-Token': other.getSessionToken() });
+      })
+      .then(status => {
+        expect(status).toBe(403);
+        return download(file.url, { 'X-Parse-Session-Token': owner.getSessionToken() });
+      })
+      .then(status => {
+        expect(status).toBe(200);
+        return download(file.url, { 'X-Parse-Master-Key': 'test' });
+      })
+      .then(status => {
+        expect(status).toBe(200);
+        return upload('public.txt', 'public', { qs: { acl: '[]' } });
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.INVALID_JSON, error: 'The file ACL should be a JSON object.' });
+        done();
+      });
+  });
+
+  it('gives files the ACL of the first object they are saved in', done => {
+    let privateFile;
+    let publicFile;
+    const headers = { 'X-Parse-Session-Token': owner.getSessionToken() };
+    Promise.all([upload('private.txt', 'private', { headers }), upload('public.txt', 'public', { headers })])
+      .then(([first, second]) => {
+        privateFile = first;
+        publicFile = second;
+        const acl = new Parse.ACL(owner);
+        acl.setRoleReadAccess('Readers', true);
+        return Parse.Object.saveAll([
+          new Parse.Object('Document', { attachment: { __type: 'File', name: privateFile.name }, ACL: acl }),
+          new Parse.Object('Document', { attachment: { __type: 'File', name: publicFile.name } }),
+        ], { sessionToken: owner.getSessionToken() });
+      })
+      .then(() => download(privateFile.url))
+      .then(status => {
+        expect(status).toBe(403);
+        return download(privateFile.url, { 'X-Parse-Session-Token': owner.getSessionToken() });
+      })
+      .then(status => {
+        expect(status).toBe(200);
+        const role = new Parse.Role('Readers', new Parse.ACL());
+        role.getUsers().add(other);
+        return role.save(null, { useMasterKey: true });
+      })
+      .then(() => download(privateFile.url, { 'X-Parse-Session-Token': other.getSessionToken() }))
+      .then(status => {
+        expect(status).toBe(200);
+        // Saving it in a public object afterwards keeps the first ACL
+        return new Parse.Object('Document', { attachment: { __type: 'File', name: privateFile.name } }).save(null, { sessionToken: owner.getSessionToken() });
+      })
+      .then(() => download(privateFile.url))
+      .then(status => {
+        expect(status).toBe(403);
+        return download(publicFile.url);
+      })
+      .then(status => {
+        expect(status).toBe(200);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('only takes the ACL of objects saved by the uploader or the master key', done => {
+    let file;
+    const privateDocument = user => new Parse.Object('Document', { attachment: { __type: 'File', name: file.name }, ACL: new Parse.ACL(user) });
+    upload('notes.txt', 'some notes', { headers: { 'X-Parse-Session-Token': owner.getSessionToken() } })
+      .then(result => {
+        file = result;
+        return privateDocument(other).save(null, { sessionToken: other.getSessionToken() });
+      })
+      .then(() => privateDocument(other).save())
+      .then(() => download(file.url))
+      .then(status => {
+        expect(status).toBe(200);
+        return privateDocument(owner).save(null, { useMasterKey: true });
+      })
+      .then(() => download(file.url))
+      .then(status => {
+        expect(status).toBe(403);
+        done();
+      }).catch(done.fail);
+  });
+
+  describe('with signed URLs', () => {
+    beforeEach(done => {
+      reconfigureServer({ fileSigningKey: 'signing key', fileURLExpiry: 60 }).then(done, done.fail);
+    });
+
+    it('gives signed URLs that expire', done => {
+      let file;
+      let unsignedURL;
+      upload('notes.txt', 'some notes')
+        .then(result => {
+          file = result;
+          expect(file.url).toMatch(/\?expires=\d+&signature=[0-9a-f]+$/);
+          const expires = Number(/expires=(\d+)/.exec(file.url)[1]);
+          expect(expires).toBeGreaterThan(Date.now() / 1000 + 50);
+          expect(expires).not.toBeGreaterThan(Date.now() / 1000 + 60);
+          unsignedURL = file.url.split('?')[0];
+          return download(file.url);
+        })
+        .then(status => {
+          expect(status).toBe(200);
+          return download(unsignedURL);
+        })
+        .then(status => {
+          expect(status).toBe(403);
+          return download(unsignedURL + '?expires=9999999999&signature=' + fileSignature('signing key', file.name, 9999999998));
+        })
+        .then(status => {
+          expect(status).toBe(403);
+          const expires = Math.floor(Date.now() / 1000) - 1;
+          return download(unsignedURL + '?expires=' + expires + '&signature=' + fileSignature('signing key', file.name, expires));
+        })
+        .then(status => {
+          expect(status).toBe(403);
+          return download(unsignedURL, { 'X-Parse-Master-Key': 'test' });
+        })
+        .then(status => {
+          expect(status).toBe(200);
+          done();
+        }).catch(done.fail);
+    });
+
+    it('signs the URLs of the files of objects', done => {
+      upload('notes.txt', 'some notes')
+        .then(file => new Parse.Object('Document', { attachment: { __type: 'File', name: file.name } }).save())
+        .then(document => new Parse.Query('Document').get(document.id))
+        .then(document => {
+          const url = document.get('attachment').url();
+          expect(url).toMatch(/\?expires=\d+&signature=[0-9a-f]+$/);
+          return download(url);
+        })
+        .then(status => {
+          expect(status).toBe(200);
+          done();
+        }).catch(done.fail);
+    });
+  });
+
+  it('validates the signing options', done => {
+    reconfigureServer({ fileSigningKey: '' })
+      .then(done.fail, error => {
+        expect(error).toBe('fileSigningKey must be a non-empty string.');
+        return reconfigureServer({ fileURLExpiry: 0 });
+      })
+      .then(done.fail, error => {
+        expect(error).toBe('fileURLExpiry must be a number of seconds, greater than 0.');
+        done();
+      });
+  });
+});
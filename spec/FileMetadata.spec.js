@@ -0,0 +1,143 @@
+'use strict';
+const crypto = require('crypto');
+const rp = require('request-promise');
+
+const upload = (filename, content, options = {}) => {
+  return rp.post(Object.assign({
+    uri: Parse.serverURL + '/files/' + filename,
+    headers: Object.assign({
+      'Content-Type': 'text/plain',
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    }, options.headers),
+    qs: options.qs,
+    body: content
+  })).then(body => JSON.parse(body));
+};
+
+const findFiles = (qs = {}) => {
+  return restRequest('GET', '/files', { qs, headers: masterHeaders }).then(({ results }) => results);
+};
+
+describe('file metadata', () => {
+  it('records the uploads in the _File class', done => {
+    const user = new Parse.User();
+    let file;
+    user.signUp({ username: 'uploader', password: 'password' })
+      .then(() => upload('notes.txt', 'some notes', {
+        headers: { 'X-Parse-Session-Token': user.getSessionToken() },
+        qs: { tags: 'work, draft' }
+      }))
+      .then(result => {
+        file = result;
+        return findFiles();
+      })
+      .then(([entry, ...rest]) => {
+        expect(rest.length).toBe(0);
+        expect(entry.name).toBe(file.name);
+        expect(entry.contentType).toBe('text/plain');
+        expect(entry.size).toBe(10);
+        expect(entry.hash).toBe(crypto.createHash('md5').update('some notes').digest('hex'));
+        expect(entry.tags).toEqual(['work', 'draft']);
+        expect(entry.uploader).toEqual({ __type: 'Pointer', className: '_User', objectId: user.id });
+        return restRequest('GET', '/files', { qs: { count: 1, limit: 0, where: JSON.stringify({ tags: 'draft' }) }, headers: masterHeaders });
+      })
+      .then(({ count }) => {
+        expect(count).toBe(1);
+        return findFiles({ where: '{"tags":' });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'where should be a JSON object.' });
+        return restRequest('DELETE', '/files/' + file.name, { headers: masterHeaders });
+      })
+      .then(() => findFiles())
+      .then(entries => {
+        expect(entries.length).toBe(0);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('lists the files with the master key only', done => {
+    upload('notes.txt', 'some notes')
+      .then(() => restRequest('GET', '/files'))
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        return restRequest('POST', '/cleanupFiles', { body: {} });
+      })
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        done();
+      });
+  });
+
+  it('deletes the files no object refers to after the grace period', done => {
+    let kept;
+    let orphan;
+    let reference;
+    Promise.all([upload('kept.txt', 'kept'), upload('orphan.txt', 'orphan'), upload('reference.txt', 'reference')])
+      .then(files => {
+        [kept, orphan, reference] = files;
+        return Parse.Object.saveAll([
+          new Parse.Object('Document', { attachment: { __type: 'File', name: kept.name } }),
+          new Parse.Object('Note', { file: { __type: 'File', name: reference.name } }),
+        ]);
+      })
+      .then(() => restRequest('POST', '/cleanupFiles', { body: {}, headers: masterHeaders }))
+      .then(({ removed }) => {
+        // Within the default grace period of a day
+        expect(removed).toEqual([]);
+        return restRequest('POST', '/cleanupFiles', { body: { gracePeriod: 0 }, headers: masterHeaders });
+      })
+      .then(({ removed }) => {
+        expect(removed).toEqual([orphan.name]);
+        return findFiles({ order: 'name' });
+      })
+      .then(entries => {
+        expect(entries.map(entry => entry.name).sort()).toEqual([kept.name, reference.name].sort());
+        return rp.get(orphan.url);
+      })
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(404);
+        return rp.get(kept.url);
+      })
+      .then(body => {
+        expect(body).toBe('kept');
+        return restRequest('POST', '/cleanupFiles', { body: { gracePeriod: -1 }, headers: masterHeaders });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'gracePeriod must be a number of seconds, 0 or greater.' });
+        done();
+      });
+  });
+
+  it('keeps the files referred to from Array and Object fields', done => {
+    let photo;
+    let cover;
+    let orphan;
+    Promise.all([upload('photo.txt', 'photo'), upload('cover.txt', 'cover'), upload('orphan.txt', 'orphan')])
+      .then(files => {
+        [photo, cover, orphan] = files;
+        return Parse.Object.saveAll([
+          new Parse.Object('Album', { photos: [{ __type: 'File', name: photo.name }] }),
+          new Parse.Object('Album', { layout: { pages: [{ cover: { __type: 'File', name: cover.name } }] } }),
+        ]);
+      })
+      .then(() => restRequest('POST', '/cleanupFiles', { body: { gracePeriod: 0 }, headers: masterHeaders }))
+      .then(({ removed }) => {
+        expect(removed).toEqual([orphan.name]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('validates the cleanup options', done => {
+    reconfigureServer({ fileCleanupInterval: -1 })
+      .then(done.fail, error => {
+        expect(error).toBe('fileCleanupInterval must be a number of seconds, 0 or greater.');
+        return reconfigureServer({ fileCleanupGracePeriod: 'a day' });
+      })
+      .then(done.fail, error => {
+        expect(error).toBe('fileCleanupGracePeriod must be a number of seconds, 0 or greater.');
+        done();
+      });
+  });
+});
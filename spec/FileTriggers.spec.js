@@ -0,0 +1,163 @@
+'use strict';
+const rp = require('request-promise');
+
+const upload = (filename, content, headers = {}) => {
+  return rp.post({
+    uri: Parse.serverURL + '/files/' + filename,
+    headers: Object.assign({
+      'Content-Type': 'text/plain',
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    }, headers),
+    body: content
+  }).then(body => JSON.parse(body));
+};
+
+const deleteFile = name => {
+  return rp.delete({ uri: Parse.serverURL + '/files/' + name, headers: masterHeaders });
+};
+
+const findFiles = () => {
+  return rp.get({ uri: Parse.serverURL + '/files', headers: masterHeaders, json: true })
+    .then(({ results }) => results);
+};
+
+describe('file triggers', () => {
+  it('beforeSaveFile can reject uploads', done => {
+    Parse.Cloud.beforeSaveFile(req => {
+      if (req.file.data.toString().indexOf('virus') >= 0) {
+        throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'Infected file.');
+      }
+      if (!req.user) {
+        throw 'Log in to upload.';
+      }
+    });
+    upload('infected.txt', 'a virus')
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'Infected file.' });
+        return upload('clean.txt', 'clean');
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.SCRIPT_FAILED, error: 'Log in to upload.' });
+        return findFiles();
+      })
+      .then(files => {
+        expect(files.length).toBe(0);
+        done();
+      });
+  });
+
+  it('beforeSaveFile can change the file and attach metadata', done => {
+    Parse.Cloud.beforeSaveFile(req => {
+      expect(req.file.name).toBe('notes.txt');
+      expect(req.file.contentType).toBe('text/plain');
+      expect(req.file.data.toString()).toBe('some notes');
+      req.file.metadata.checked = true;
+      return {
+        name: 'notes.md',
+        data: req.file.data.toString().toUpperCase(),
+        contentType: 'text/markdown'
+      };
+    });
+    let file;
+    upload('notes.txt', 'some notes')
+      .then(result => {
+        file = result;
+        expect(file.name).toMatch(/_notes\.md$/);
+        return rp.get(file.url);
+      })
+      .then(content => {
+        expect(content).toBe('SOME NOTES');
+        return findFiles();
+      })
+      .then(([entry]) => {
+        expect(entry.name).toBe(file.name);
+        expect(entry.contentType).toBe('text/markdown');
+        expect(entry.size).toBe(10);
+        expect(entry.metadata).toEqual({ checked: true });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('beforeSaveFile can answer through the response', done => {
+    Parse.Cloud.beforeSaveFile((req, res) => {
+      if (req.file.data.toString().indexOf('virus') >= 0) {
+        return setTimeout(() => res.error(Parse.Error.FILE_SAVE_ERROR, 'Infected file.'), 10);
+      }
+      setTimeout(() => res.success({ name: 'notes.md' }), 10);
+    });
+    upload('infected.txt', 'a virus')
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'Infected file.' });
+        return upload('notes.txt', 'some notes');
+      })
+      .then(file => {
+        expect(file.name).toMatch(/_notes\.md$/);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('beforeSaveFile changes are validated', done => {
+    Parse.Cloud.beforeSaveFile(() => ({ name: '../notes.txt' }));
+    upload('notes.txt', 'some notes')
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.INVALID_FILE_NAME, error: 'Filename contains invalid characters.' });
+        done();
+      });
+  });
+
+  it('afterSaveFile is given the stored file and cannot fail the upload', done => {
+    let savedFile;
+    Parse.Cloud.afterSaveFile(req => {
+      savedFile = req.file;
+      throw new Error('Thumbnail failed');
+    });
+    upload('notes.txt', 'some notes')
+      .then(file => {
+        expect(savedFile.name).toBe(file.name);
+        expect(savedFile.url).toBe(file.url);
+        expect(savedFile.data.toString()).toBe('some notes');
+        return rp.get(file.url);
+      })
+      .then(content => {
+        expect(content).toBe('some notes');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('beforeDeleteFile can prevent deletions and afterDeleteFile runs after them', done => {
+    const deleted = [];
+    let file;
+    Parse.Cloud.beforeDeleteFile(req => {
+      expect(req.master).toBe(true);
+      if (req.file.name.indexOf('keep') >= 0) {
+        throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This file is kept.');
+      }
+    });
+    Parse.Cloud.afterDeleteFile(req => {
+      deleted.push(req.file.name);
+    });
+    upload('keep.txt', 'kept')
+      .then(result => {
+        file = result;
+        return deleteFile(file.name);
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'This file is kept.' });
+        expect(deleted).toEqual([]);
+        return rp.get(file.url);
+      })
+      .then(content => {
+        expect(content).toBe('kept');
+        return upload('notes.txt', 'some notes');
+      })
+      .then(result => {
+        file = result;
+        return deleteFile(file.name);
+      })
+      .then(() => {
+        expect(deleted).toEqual([file.name]);
+        done();
+      }).catch(done.fail);
+  });
+});
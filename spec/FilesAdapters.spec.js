@@ -0,0 +1,121 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const rp = require('request-promise');
+const ParseServer = require('../src/ParseServer').default;
+const GridStoreAdapter = require('../src/Adapters/Files/GridStoreAdapter').GridStoreAdapter;
+const MySQLFilesAdapter = require('../src/Adapters/Files/MySQLFilesAdapter').MySQLFilesAdapter;
+const FileSystemAdapter = require('../src/Adapters/Files/FileSystemAdapter').FileSystemAdapter;
+
+const mysqlURI = 'mysql://root@localhost:3306/parse_server_mysql_adapter_test_database';
+
+const readStream = stream => {
+  return new Promise((resolve, reject) => {
+    const buffers = [];
+    stream.on('data', buffer => buffers.push(buffer));
+    stream.on('end', () => resolve(Buffer.concat(buffers).toString()));
+    stream.on('error', reject);
+  });
+};
+
+// Runs the same checks on any adapter storing files
+const itStoresFiles = createAdapter => {
+  let adapter;
+  beforeEach(() => {
+    adapter = createAdapter();
+  });
+
+  afterEach(done => {
+    adapter.deleteFile('file.txt').catch(() => {}).then(() => {
+      if (typeof adapter.handleShutdown === 'function') {
+        return adapter.handleShutdown();
+      }
+    }).then(done, done);
+  });
+
+  it('creates, reads and deletes files', done => {
+    adapter.createFile('file.txt', Buffer.from('some content'), 'text/plain')
+      .then(() => adapter.createFile('file.txt', Buffer.from('other content'), 'text/plain'))
+      .then(() => adapter.getFileData('file.txt'))
+      .then(data => {
+        expect(data.toString()).toBe('other content');
+        return adapter.deleteFile('file.txt');
+      })
+      .then(() => adapter.getFileData('file.txt'))
+      .then(done.fail, () => adapter.deleteFile('file.txt'))
+      .then(done.fail, () => done());
+  });
+
+  it('streams byte ranges', done => {
+    adapter.createFile('file.txt', Buffer.from('0123456789abcdefghij'), 'text/plain')
+      .then(() => adapter.getFileStream('file.txt'))
+      .then(stream => {
+        expect(stream.length).toBe(20);
+        return Promise.all([
+          readStream(stream.createReadStream(3, 12)),
+          readStream(stream.createReadStream(0, 19)),
+          readStream(stream.createReadStream(19, 19)),
+        ]);
+      })
+      .then(ranges => {
+        expect(ranges).toEqual(['3456789abc', '0123456789abcdefghij', 'j']);
+        return adapter.getFileStream('missing.txt');
+      })
+      .then(done.fail, () => done());
+  });
+};
+
+describe('FileSystemAdapter', () => {
+  const filesSubDirectory = 'files-adapter-test';
+
+  itStoresFiles(() => new FileSystemAdapter({ filesSubDirectory }));
+
+  it('keeps files in its directory', done => {
+    const adapter = new FileSystemAdapter({ filesSubDirectory });
+    adapter.createFile('file.txt', Buffer.from('content'))
+      .then(() => {
+        expect(fs.readFileSync(path.join('files', filesSubDirectory, 'file.txt')).toString()).toBe('content');
+        return adapter.getFileData('..');
+      })
+      .then(done.fail, () => adapter.deleteFile('file.txt'))
+      .then(done, done.fail);
+  });
+
+  it('serves Range requests', done => {
+    reconfigureServer({ filesAdapter: new FileSystemAdapter({ filesSubDirectory }) })
+      .then(() => rp.post({
+        uri: 'http://localhost:8378/1/files/file.txt',
+        headers: {
+          'Content-Type': 'text/plain',
+          'X-Parse-Application-Id': 'test',
+          'X-Parse-REST-API-Key': 'rest'
+        },
+        body: '0123456789abcdefghij',
+        json: false
+      }))
+      .then(body => rp.get({
+        uri: JSON.parse(body).url,
+        headers: { 'Range': 'bytes=2-5' },
+        resolveWithFullResponse: true
+      }))
+      .then(response => {
+        expect(response.statusCode).toBe(206);
+        expect(response.headers['content-range']).toBe('bytes 2-5/20');
+        expect(response.body).toBe('2345');
+        done();
+      }).catch(done.fail);
+  });
+});
+
+describe_only_db('mysql')('MySQLFilesAdapter', () => {
+  itStoresFiles(() => new MySQLFilesAdapter(mysqlURI, { chunkSize: 4 }));
+});
+
+describe('default files adapter', () => {
+  it('is chosen from the protocol of the database URI', () => {
+    const getFilesAdapter = ParseServer.prototype.getFilesAdapter;
+    expect(getFilesAdapter(mysqlURI) instanceof MySQLFilesAdapter).toBe(true);
+    expect(getFilesAdapter('postgres://localhost:5432/parse') instanceof FileSystemAdapter).toBe(true);
+    expect(getFilesAdapter('mongodb://localhost:27017/parse') instanceof GridStoreAdapter).toBe(true);
+  });
+});
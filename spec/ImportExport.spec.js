@@ -0,0 +1,212 @@
+'use strict';
+const rp = require('request-promise');
+const Config = require('../src/Config');
+
+const exportClass = (className, qs = {}, headers = masterHeaders) => {
+  return rp.get({
+    uri: Parse.serverURL + '/export/' + className,
+    qs,
+    headers
+  });
+};
+
+const importClass = (className, lines, qs = {}, headers = masterHeaders) => {
+  return rp.post({
+    uri: Parse.serverURL + '/import/' + className,
+    qs,
+    body: lines.map(line => typeof line === 'string' ? line : JSON.stringify(line)).join('\n'),
+    headers
+  }).then(body => JSON.parse(body));
+};
+
+const parseLines = body => body.split('\n').filter(line => line).map(line => JSON.parse(line));
+
+describe('import and export', () => {
+  let team;
+
+  beforeEach(done => {
+    const players = [
+      new Parse.Object('Player', { name: 'a' }),
+      new Parse.Object('Player', { name: 'b' })
+    ];
+    Parse.Object.saveAll(players)
+      .then(() => {
+        team = new Parse.Object('Team', { name: 'first, "best"', ACL: new Parse.ACL() });
+        team.relation('players').add(players);
+        return team.save(null, { useMasterKey: true });
+      })
+      .then(() => done(), done.fail);
+  });
+
+  it('exports a class as NDJSON with its relations and ACLs', done => {
+    exportClass('Team')
+      .then(body => {
+        const [object, ...rest] = parseLines(body);
+        expect(rest.length).toBe(0);
+        expect(object.objectId).toBe(team.id);
+        expect(object.name).toBe('first, "best"');
+        expect(object.ACL).toEqual({});
+        expect(object.players.__type).toBe('Relation');
+        expect(object.players.className).toBe('Player');
+        expect(object.players.objects.length).toBe(2);
+        return exportClass('Player', { batchSize: 1 });
+      })
+      .then(body => {
+        // Pages do not repeat or skip objects
+        expect(parseLines(body).map(player => player.name).sort()).toEqual(['a', 'b']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('exports a class as CSV', done => {
+    exportClass('Team', { format: 'csv' })
+      .then(body => {
+        const lines = body.split('\n');
+        const header = lines[0].split(',');
+        expect(header.slice(0, 4)).toEqual(['objectId', 'createdAt', 'updatedAt', 'ACL']);
+        expect(header.slice(4).sort()).toEqual(['name', 'players']);
+        expect(lines[1].indexOf(`${team.id},`)).toBe(0);
+        expect(lines[1]).toContain(',{},');
+        expect(lines[1]).toContain(',"first, ""best""",');
+        return exportClass('Team', { format: 'xml' });
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error).code).toBe(Parse.Error.INVALID_QUERY);
+        done();
+      });
+  });
+
+  it('imports what it exports', done => {
+    exportClass('Team')
+      .then(body => importClass('OtherTeam', body.split('\n').filter(line => line)))
+      .then(({ imported }) => {
+        expect(imported).toBe(1);
+        return new Parse.Query('OtherTeam').get(team.id, { useMasterKey: true });
+      })
+      .then(otherTeam => {
+        expect(otherTeam.get('name')).toBe('first, "best"');
+        expect(otherTeam.createdAt).toEqual(team.createdAt);
+        expect(otherTeam.getACL().toJSON()).toEqual({});
+        return otherTeam.relation('players').query().find();
+      })
+      .then(players => {
+        expect(players.map(player => player.get('name')).sort()).toEqual(['a', 'b']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('imports in batches and reports the progress', done => {
+    const lines = [];
+    for (let i = 0; i < 5; i++) {
+      lines.push({ index: i });
+    }
+    importClass('Imported', lines, { batchSize: 2 })
+      .then(({ imported, jobStatusId }) => {
+        expect(imported).toBe(5);
+        return new Parse.Query('_JobStatus').get(jobStatusId, { useMasterKey: true });
+      })
+      .then(jobStatus => {
+        expect(jobStatus.get('jobName')).toBe('importClass');
+        expect(jobStatus.get('status')).toBe('succeeded');
+        expect(jobStatus.get('message')).toBe('Imported 5 objects.');
+        return new Parse.Query('Imported').ascending('index').find();
+      })
+      .then(objects => {
+        expect(objects.map(object => object.get('index'))).toEqual([0, 1, 2, 3, 4]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('validates the imported objects against the schema', done => {
+    importClass('Player', [{ name: 'c' }, { name: 1 }])
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error).code).toBe(Parse.Error.INCORRECT_TYPE);
+        return importClass('Player', [{ name: 'c' }, '{ name: ']);
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.INVALID_JSON, error: 'Invalid JSON on line 2.' });
+        return new Parse.Query('_JobStatus').equalTo('status', 'failed').count({ useMasterKey: true });
+      })
+      .then(count => {
+        expect(count).toBe(2);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('hashes the passwords of imported users', done => {
+    importClass('_User', [{ username: 'imported', password: 'secret' }])
+      .then(() => Parse.User.logIn('imported', 'secret'))
+      .then(user => {
+        expect(user.get('username')).toBe('imported');
+        return exportClass('_User');
+      })
+      .then(body => {
+        const [user] = parseLines(body);
+        expect(user.username).toBe('imported');
+        expect(user.password).toBeUndefined();
+        done();
+      }).catch(done.fail);
+  });
+
+  it('exports users with their password hash and without their tokens', done => {
+    reconfigureServer({
+      appName: 'exports',
+      publicServerURL: 'http://localhost:8378/1',
+      emailAdapter: {
+        sendVerificationEmail: () => Promise.resolve(),
+        sendPasswordResetEmail: () => Promise.resolve(),
+        sendMail: () => Promise.resolve()
+      }
+    })
+      .then(() => {
+        const user = new Parse.User();
+        return user.signUp({ username: 'exported', password: 'secret', email: 'exported@example.com' });
+      })
+      .then(() => Parse.User.logOut())
+      .then(() => Parse.User.requestPasswordReset('exported@example.com'))
+      .then(() => new Config('test').database.find('_User', { username: 'exported' }))
+      .then(([stored]) => {
+        expect(stored._perishable_token).toBeDefined();
+        return exportClass('_User').then(body => {
+          expect(body).not.toContain(stored._perishable_token);
+          const [user] = parseLines(body);
+          expect(user.username).toBe('exported');
+          expect(user._hashed_password).toBe(stored.password);
+          expect(user.password).toBeUndefined();
+          expect(Object.keys(user).filter(field => field[0] === '_')).toEqual(['_hashed_password']);
+          return new Config('test').database.destroy('_User', { objectId: user.objectId })
+            .then(() => importClass('_User', [user]));
+        });
+      })
+      .then(() => Parse.User.logIn('exported', 'secret'))
+      .then(user => {
+        expect(user.get('email')).toBe('exported@example.com');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('requires the master key', done => {
+    const restHeaders = { 'X-Parse-Application-Id': 'test', 'X-Parse-REST-API-Key': 'rest' };
+    exportClass('Team', {}, restHeaders)
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        return importClass('Team', [{ name: 'second' }], {}, restHeaders);
+      })
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        done();
+      });
+  });
+
+  it('advertises the features', done => {
+    rp.get({
+      uri: Parse.serverURL + '/serverInfo',
+      headers: masterHeaders,
+      json: true
+    }).then(({ features }) => {
+      expect(features.schemas.exportClass).toBe(true);
+      expect(features.schemas.importClass).toBe(true);
+      done();
+    }).catch(done.fail);
+  });
+});
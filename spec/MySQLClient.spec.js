@@ -0,0 +1,87 @@
+'use strict';
+
+const { createReplicaSet } = require('../src/Adapters/Storage/MySQL/MySQLClient');
+
+const fakeClient = (name, error) => ({
+  name,
+  query: jasmine.createSpy(name).and.callFake(() => error ? Promise.reject(error) : Promise.resolve([[{ name }]])),
+  end: jasmine.createSpy(`${name}.end`).and.returnValue(Promise.resolve()),
+});
+
+// Runs the queries one after the other, resolves with who answered them
+const runQueries = (replicaSet, primary, count) => {
+  let promise = Promise.resolve([]);
+  for (let i = 0; i < count; i++) {
+    promise = promise.then(names => {
+      return replicaSet.query('SELECT 1', [], primary).then(([[{ name }]]) => names.concat(name));
+    });
+  }
+  return promise;
+};
+
+describe('MySQLClient createReplicaSet', () => {
+  let primary;
+
+  beforeEach(() => {
+    primary = fakeClient('primary');
+  });
+
+  it('takes turns between the replicas', done => {
+    const replicaSet = createReplicaSet([fakeClient('a'), fakeClient('b')], { healthCheckInterval: 0 });
+    runQueries(replicaSet, primary, 4)
+      .then(names => {
+        expect(names).toEqual(['a', 'b', 'a', 'b']);
+        expect(primary.query).not.toHaveBeenCalled();
+        done();
+      }, done.fail);
+  });
+
+  it('picks the replica with the fewest queries running', done => {
+    const slow = fakeClient('slow');
+    slow.query.and.returnValue(new Promise(() => {}));
+    const replicaSet = createReplicaSet([slow, fakeClient('fast')], { strategy: 'least-connections', healthCheckInterval: 0 });
+    replicaSet.query('SELECT 1', [], primary);
+    runQueries(replicaSet, primary, 2)
+      .then(names => {
+        expect(names).toEqual(['fast', 'fast']);
+        done();
+      }, done.fail);
+  });
+
+  it('falls back to the primary while no replica can be reached', done => {
+    const error = new Error('connect ECONNREFUSED');
+    error.fatal = true;
+    const down = fakeClient('down', error);
+    const replicaSet = createReplicaSet([down], { healthCheckInterval: 0 });
+    runQueries(replicaSet, primary, 2)
+      .then(names => {
+        expect(names).toEqual(['primary', 'primary']);
+        // Left out after the first failure
+        expect(down.query.calls.count()).toBe(1);
+        expect(replicaSet.replicas[0].healthy).toBe(false);
+        down.query.and.returnValue(Promise.resolve([[{ name: 'down' }]]));
+        return replicaSet.checkHealth();
+      })
+      .then(() => runQueries(replicaSet, primary, 1))
+      .then(names => {
+        expect(names).toEqual(['down']);
+        done();
+      }, done.fail);
+  });
+
+  it('does not fall back on query errors', done => {
+    const error = new Error('You have an error in your SQL syntax');
+    const replicaSet = createReplicaSet([fakeClient('a', error)], { healthCheckInterval: 0 });
+    replicaSet.query('SELECT', [], primary)
+      .then(done.fail, err => {
+        expect(err).toBe(error);
+        expect(primary.query).not.toHaveBeenCalled();
+        expect(replicaSet.replicas[0].healthy).toBe(true);
+        done();
+      });
+  });
+
+  it('rejects unknown strategies', () => {
+    expect(() => createReplicaSet([], { strategy: 'random' })).toThrow();
+  });
+});
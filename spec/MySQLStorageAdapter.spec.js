@@ -0,0 +1,281 @@
+'use strict';
+
+const MySQLStorageAdapter = require('../src/Adapters/Storage/MySQL/MySQLStorageAdapter');
+const databaseURI = 'mysql://root@localhost:3306/parse_server_mysql_adapter_test_database';
+
+const fooSchema = {
+  fields: {
+    objectId: { type: 'String' },
+    createdAt: { type: 'Date' },
+    updatedAt: { type: 'Date' },
+    _rperm: { type: 'Array' },
+    _wperm: { type: 'Array' },
+    name: { type: 'String' },
+  }
+};
+
+describe_only_db('mysql')('MySQLStorageAdapter', () => {
+  let adapter;
+
+  beforeEach(done => {
+    adapter = new MySQLStorageAdapter({ uri: databaseURI });
+    adapter.deleteAllClasses()
+      .then(() => adapter.createClass('Foo', fooSchema))
+      .then(done, done.fail);
+  });
+
+  afterEach(() => {
+    adapter.handleShutdown();
+  });
+
+  it('commits the writes made in a transaction', done => {
+    adapter.transaction(transaction => {
+      return transaction.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' })
+        .then(() => transaction.createObject('Foo', fooSchema, { objectId: 'fghij', name: 'bar' }));
+    })
+      .then(() => adapter.find('Foo', fooSchema, {}, {}))
+      .then(results => {
+        expect(results.length).toBe(2);
+        done();
+      }, done.fail);
+  });
+
+  it('rolls back the writes made in a failed transaction', done => {
+    adapter.transaction(transaction => {
+      return transaction.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' })
+        .then(() => { throw new Error('oops'); });
+    })
+      .then(done.fail, error => {
+        expect(error.message).toBe('oops');
+        return adapter.find('Foo', fooSchema, {}, {});
+      })
+      .then(results => {
+        expect(results.length).toBe(0);
+        done();
+      }, done.fail);
+  });
+
+  it('isolates uncommitted writes from other connections', done => {
+    let transaction;
+    adapter.startTransaction()
+      .then(result => {
+        transaction = result;
+        return transaction.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' });
+      })
+      .then(() => transaction.find('Foo', fooSchema, {}, {}))
+      .then(results => {
+        expect(results.length).toBe(1);
+        return adapter.find('Foo', fooSchema, {}, {});
+      })
+      .then(results => {
+        expect(results.length).toBe(0);
+        return adapter.rollbackTransaction(transaction);
+      })
+      .then(() => adapter.find('Foo', fooSchema, {}, {}))
+      .then(results => {
+        expect(results.length).toBe(0);
+        done();
+      }, done.fail);
+  });
+
+  it('joins the transaction in progress on nested calls', done => {
+    adapter.transaction(transaction => {
+      return transaction.transaction(nested => {
+        expect(nested).toBe(transaction);
+        return nested.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' });
+      }).then(() => { throw new Error('oops'); });
+    })
+      .then(done.fail, () => adapter.find('Foo', fooSchema, {}, {}))
+      .then(results => {
+        expect(results.length).toBe(0);
+        done();
+      }, done.fail);
+  });
+
+  it('rejects ending a transaction twice', done => {
+    adapter.startTransaction()
+      .then(transaction => adapter.commitTransaction(transaction)
+        .then(() => adapter.commitTransaction(transaction)))
+      .then(done.fail, error => {
+        expect(error.code).toBe(Parse.Error.INTERNAL_SERVER_ERROR);
+        done();
+      });
+  });
+
+  it('rejects queries through a finished transaction', done => {
+    let transaction;
+    adapter.startTransaction()
+      .then(result => {
+        transaction = result;
+        return adapter.commitTransaction(transaction);
+      })
+      .then(() => transaction.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' }))
+      .then(done.fail, error => {
+        expect(error.message).toBe('The transaction is already finished.');
+        return adapter.find('Foo', fooSchema, {}, {});
+      })
+      .then(results => {
+        expect(results.length).toBe(0);
+        done();
+      }, done.fail);
+  });
+
+  it('rejects schema changes in a transaction', done => {
+    adapter.transaction(transaction => {
+      expect(transaction.canChangeSchema()).toBe(false);
+      return transaction.addFieldIfNotExists('Foo', 'other', { type: 'String' });
+    })
+      .then(done.fail, error => {
+        expect(error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+        expect(adapter.canChangeSchema()).toBe(true);
+        done();
+      });
+  });
+
+  it('supports joins unless they are turned off', () => {
+    expect(adapter.supportsJoins()).toBe(true);
+    const adapterWithoutJoins = new MySQLStorageAdapter({ uri: databaseURI, databaseOptions: { joins: false } });
+    expect(adapterWithoutJoins.supportsJoins()).toBe(false);
+    expect(adapterWithoutJoins._databaseOptions.joins).toBeUndefined();
+  });
+
+  describe('read replicas', () => {
+    const unreachableURI = 'mysql://root@localhost:1/parse_server_mysql_adapter_test_database';
+    let replicaAdapter;
+
+    const createReplicaAdapter = replicas => {
+      replicaAdapter = new MySQLStorageAdapter({ uri: databaseURI, databaseOptions: { replicas } });
+      return replicaAdapter.connect()
+        .then(() => adapter.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' }));
+    };
+
+    afterEach(done => {
+      Promise.resolve(replicaAdapter && replicaAdapter.handleShutdown()).then(done, done);
+      replicaAdapter = undefined;
+    });
+
+    it('reads from the replicas', done => {
+      createReplicaAdapter([databaseURI, databaseURI])
+        .then(() => {
+          replicaAdapter._replicaSet.replicas.forEach(replica => spyOn(replica.client, 'query').and.callThrough());
+          return replicaAdapter.find('Foo', fooSchema, {}, {});
+        })
+        .then(results => {
+          expect(results.map(result => result.name)).toEqual(['foo']);
+          return replicaAdapter.count('Foo', fooSchema, {});
+        })
+        .then(count => {
+          expect(count).toBe(1);
+          replicaAdapter._replicaSet.replicas.forEach(replica => expect(replica.client.query.calls.count()).toBe(1));
+          done();
+        }, done.fail);
+    });
+
+    it('reads from the primary when asked to', done => {
+      createReplicaAdapter({ uris: [databaseURI], strategy: 'least-connections' })
+        .then(() => {
+          spyOn(replicaAdapter._replicaSet.replicas[0].client, 'query').and.callThrough();
+          return replicaAdapter.find('Foo', fooSchema, {}, { readPreference: 'PRIMARY' });
+        })
+        .then(results => {
+          expect(results.length).toBe(1);
+          return replicaAdapter.transaction(transaction => transaction.count('Foo', fooSchema, {}, 'SECONDARY'));
+        })
+        .then(count => {
+          expect(count).toBe(1);
+          expect(replicaAdapter._replicaSet.replicas[0].client.query).not.toHaveBeenCalled();
+          done();
+        }, done.fail);
+    });
+
+    it('falls back to the primary when the replicas are down', done => {
+      createReplicaAdapter([unreachableURI])
+        .then(() => replicaAdapter.find('Foo', fooSchema, {}, { readPreference: 'SECONDARY' }))
+        .then(results => {
+          expect(results.length).toBe(1);
+          expect(replicaAdapter._replicaSet.replicas[0].healthy).toBe(false);
+          done();
+        }, done.fail);
+    });
+
+    it('rejects unknown read preferences', done => {
+      createReplicaAdapter([databaseURI])
+        .then(() => replicaAdapter.find('Foo', fooSchema, {}, { readPreference: 'SOMEWHERE' }))
+        .then(done.fail, error => {
+          expect(error.code).toBe(Parse.Error.INVALID_QUERY);
+          done();
+        });
+    });
+  });
+
+  describe('schema migrations', () => {
+    const barSchema = {
+      fields: Object.assign({}, fooSchema.fields, {
+        code: { type: 'String', maxLength: 5 },
+        count: { type: 'Number', integer: true },
+      })
+    };
+
+    it('plans nothing when the tables match the schema', done => {
+      adapter.planSchemaMigrations()
+        .then(migrations => {
+          expect(migrations).toEqual([]);
+          done();
+        }, done.fail);
+    });
+
+    it('migrates columns to the types of the field options', done => {
+      adapter.createClass('Bar', fooSchema)
+        .then(() => adapter.database.query("UPDATE `_SCHEMA` SET `schema` = '$1:name' WHERE `className` = 'Bar'", [JSON.stringify(barSchema)]))
+        .then(() => adapter.planSchemaMigrations())
+        .then(migrations => {
+          expect(migrations.map(({ fieldName, from, to }) => ({ fieldName, from, to }))).toEqual([
+            { fieldName: 'code', from: null, to: 'varchar(5)' },
+            { fieldName: 'count', from: null, to: 'bigint' },
+          ]);
+          return adapter.applySchemaMigrations(migrations);
+        })
+        .then(applied => {
+          expect(applied.length).toBe(2);
+          return adapter.planSchemaMigrations();
+        })
+        .then(migrations => {
+          expect(migrations).toEqual([]);
+          done();
+        }, done.fail);
+    });
+
+    it('flags and skips the migrations the rows do not fit', done => {
+      const shortName = { fields: Object.assign({}, fooSchema.fields, { name: { type: 'String', maxLength: 2 } }) };
+      adapter.createObject('Foo', fooSchema, { objectId: 'abcde', name: 'foo' })
+        .then(() => adapter.database.query("UPDATE `_SCHEMA` SET `schema` = '$1:name' WHERE `className` = 'Foo'", [JSON.stringify(shortName)]))
+        .then(() => adapter.planSchemaMigrations())
+        .then(migrations => {
+          expect(migrations.length).toBe(1);
+          expect(migrations[0].unsafe).toBe('1 rows do not fit varchar(2)');
+          return adapter.applySchemaMigrations(migrations);
+        })
+        .then(applied => {
+          expect(applied).toEqual([]);
+          done();
+        }, done.fail);
+    });
+
+    it('creates columns with the configured type mapping', done => {
+      const mappedAdapter = new MySQLStorageAdapter({ uri: databaseURI, databaseOptions: { typeMapping: { Pointer: 'varchar(120)' } } });
+      const pointerSchema = { fields: Object.assign({}, fooSchema.fields, { owner: { type: 'Pointer', targetClass: '_User' } }) };
+      mappedAdapter.createClass('Baz', pointerSchema)
+        .then(() => mappedAdapter.database.query("SELECT `COLUMN_TYPE` AS `columnType` FROM information_schema.`COLUMNS` WHERE `TABLE_SCHEMA` = DATABASE() AND `TABLE_NAME` = 'Baz' AND `COLUMN_NAME` = 'owner'"))
+        .then(([[{ columnType }]]) => {
+          expect(columnType).toBe('varchar(120)');
+          return adapter.planSchemaMigrations();
+        })
+        .then(migrations => {
+          // Without the mapping the column differs from the default
+          expect(migrations.map(({ fieldName, to }) => ({ fieldName, to }))).toEqual([{ fieldName: 'owner', to: 'char(10)' }]);
+          return mappedAdapter.handleShutdown();
+        })
+        .then(done, done.fail);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const transform = require('../src/Adapters/Storage/MySQL/MySQLTransform');
+
+describe('MySQLTransform.parseTypeToMySQLType', () => {
+  it('maps Parse types to their default column types', () => {
+    expect(transform.parseTypeToMySQLType({ type: 'String' })).toBe('text');
+    expect(transform.parseTypeToMySQLType({ type: 'Number' })).toBe('double precision');
+    expect(transform.parseTypeToMySQLType({ type: 'Pointer', targetClass: '_User' })).toBe('char(10)');
+    expect(() => transform.parseTypeToMySQLType({ type: 'Unknown' })).toThrow();
+  });
+
+  it('uses the field options', () => {
+    expect(transform.parseTypeToMySQLType({ type: 'String', maxLength: 64 })).toBe('varchar(64)');
+    expect(transform.parseTypeToMySQLType({ type: 'Number', integer: true })).toBe('bigint');
+    expect(transform.parseTypeToMySQLType({ type: 'Number', integer: false })).toBe('double precision');
+  });
+
+  it('uses the type mapping over the defaults', () => {
+    const typeMapping = {
+      Pointer: 'varchar(120)',
+      String: (type) => type.targetClass ? 'text' : 'mediumtext',
+    };
+    expect(transform.parseTypeToMySQLType({ type: 'Pointer', targetClass: '_User' }, typeMapping)).toBe('varchar(120)');
+    expect(transform.parseTypeToMySQLType({ type: 'String' }, typeMapping)).toBe('mediumtext');
+    expect(transform.parseTypeToMySQLType({ type: 'String', maxLength: 10 }, typeMapping)).toBe('varchar(10)');
+    expect(transform.parseTypeToMySQLType({ type: 'Date' }, typeMapping)).toBe('timestamp(6)');
+  });
+});
+
+describe('MySQLTransform.normalizeMySQLType', () => {
+  it('matches the column types reported by information_schema', () => {
+    expect(transform.normalizeMySQLType('double precision')).toBe('double');
+    expect(transform.normalizeMySQLType('boolean')).toBe('tinyint(1)');
+    expect(transform.normalizeMySQLType('bigint(20)')).toBe('bigint');
+    expect(transform.normalizeMySQLType('INTEGER')).toBe('int');
+    expect(transform.normalizeMySQLType('VARCHAR(64)')).toBe('varchar(64)');
+    expect(transform.normalizeMySQLType('tinyint(1)')).toBe('tinyint(1)');
+  });
+});
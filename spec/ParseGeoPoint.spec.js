@@ -330,6 +330,64 @@ describe('Parse.GeoPoint testing', () => {
     });
   });
 
+  it_exclude_dbs(['postgres'])('near leaves out objects without a location', (done) => {
+    makeSomeGeoPoints(function() {
+      new TestObject({ name: 'Nowhere' }).save().then(() => {
+        var query = new Parse.Query(TestObject);
+        query.near('location', new Parse.GeoPoint(37.6189722, -122.3748889));
+        return query.find();
+      }).then((results) => {
+        expect(results.map(result => result.get('name'))).toEqual(['San Francisco', 'Sacramento', 'Honolulu']);
+        done();
+      }, done.fail);
+    });
+  });
+
+  it_exclude_dbs(['postgres'])('supports $centerSphere', (done) => {
+    makeSomeGeoPoints(function() {
+      const where = {
+        location: {
+          $geoWithin: {
+            // 200 km around SFO, given as [longitude, latitude]
+            $centerSphere: [[-122.3748889, 37.6189722], 200 / 6371]
+          }
+        }
+      };
+      rp.post({
+        url: Parse.serverURL + '/classes/TestObject',
+        json: { where, '_method': 'GET' },
+        headers: {
+          'X-Parse-Application-Id': Parse.applicationId,
+          'X-Parse-Javascript-Key': Parse.javaScriptKey
+        }
+      }).then((resp) => {
+        expect(resp.results.map(result => result.name).sort()).toEqual(['Sacramento', 'San Francisco']);
+        done();
+      }, done.fail);
+    });
+  });
+
+  it_exclude_dbs(['postgres'])('invalid $centerSphere', (done) => {
+    const where = {
+      location: {
+        $geoWithin: {
+          $centerSphere: [{ __type: 'GeoPoint', latitude: 0, longitude: 0 }, -1]
+        }
+      }
+    };
+    rp.post({
+      url: Parse.serverURL + '/classes/TestObject',
+      json: { where, '_method': 'GET' },
+      headers: {
+        'X-Parse-Application-Id': Parse.applicationId,
+        'X-Parse-Javascript-Key': Parse.javaScriptKey
+      }
+    }).then(done.fail, (err) => {
+      expect(err.error.code).toEqual(Parse.Error.INVALID_JSON);
+      done();
+    });
+  });
+
   it('works with geobox queries', (done) => {
     const inbound = new Parse.GeoPoint(1.5, 1.5);
     const onbound = new Parse.GeoPoint(10, 10);
@@ -478,6 +536,37 @@ describe('Parse.GeoPoint testing', () => {
     }, done.fail);
   });
 
+  it('withinPolygon leaves out points outside of the polygon but inside its bounds', (done) => {
+    const inbound = new Parse.GeoPoint(1, 8);
+    const outbound = new Parse.GeoPoint(8, 1);
+    const obj1 = new Parse.Object('Polygon', {location: inbound});
+    const obj2 = new Parse.Object('Polygon', {location: outbound});
+    Parse.Object.saveAll([obj1, obj2]).then(() => {
+      const where = {
+        location: {
+          $geoWithin: {
+            $polygon: [
+              { __type: 'GeoPoint', latitude: 0, longitude: 0 },
+              { __type: 'GeoPoint', latitude: 0, longitude: 10 },
+              { __type: 'GeoPoint', latitude: 10, longitude: 10 }
+            ]
+          }
+        }
+      };
+      return rp.post({
+        url: Parse.serverURL + '/classes/Polygon',
+        json: { where, '_method': 'GET' },
+        headers: {
+          'X-Parse-Application-Id': Parse.applicationId,
+          'X-Parse-Javascript-Key': Parse.javaScriptKey
+        }
+      });
+    }).then((resp) => {
+      expect(resp.results.map(result => result.objectId)).toEqual([obj1.id]);
+      done();
+    }, done.fail);
+  });
+
   it('invalid input withinPolygon', (done) => {
     const point = new Parse.GeoPoint(1.5, 1.5);
     const obj = new Parse.Object('Polygon', {location: point});
@@ -0,0 +1,115 @@
+const rp = require('request-promise');
+
+const defaultHeaders = {
+  'X-Parse-Application-Id': 'test',
+  'X-Parse-Rest-API-Key': 'rest'
+};
+
+const createObject = (body) => {
+  return rp.post({
+    url: Parse.serverURL + '/classes/TestObject',
+    json: body,
+    headers: defaultHeaders
+  });
+};
+
+const findObjects = (where) => {
+  return rp.post({
+    url: Parse.serverURL + '/classes/TestObject',
+    json: { where, '_method': 'GET' },
+    headers: defaultHeaders
+  }).then(({ results }) => results);
+};
+
+const square = { __type: 'Polygon', coordinates: [[0, 0], [0, 1], [1, 1], [1, 0]] };
+
+describe('Parse.Polygon testing', () => {
+  it_exclude_dbs(['postgres'])('polygon roundtrip', (done) => {
+    createObject({ bounds: square })
+      .then(({ objectId }) => rp.get({
+        url: Parse.serverURL + '/classes/TestObject/' + objectId,
+        json: true,
+        headers: defaultHeaders
+      }))
+      .then((object) => {
+        // the ring comes back closed
+        expect(object.bounds).toEqual({
+          __type: 'Polygon',
+          coordinates: [[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]
+        });
+        return rp.get({
+          url: Parse.serverURL + '/schemas/TestObject',
+          json: true,
+          headers: Object.assign({ 'X-Parse-Master-Key': 'test' }, defaultHeaders)
+        });
+      })
+      .then((schema) => {
+        expect(schema.fields.bounds).toEqual({ type: 'Polygon' });
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('update polygon', (done) => {
+    const triangle = { __type: 'Polygon', coordinates: [[0, 0], [2, 0], [0, 2], [0, 0]] };
+    createObject({ bounds: square })
+      .then(({ objectId }) => rp.put({
+        url: Parse.serverURL + '/classes/TestObject/' + objectId,
+        json: { bounds: triangle },
+        headers: defaultHeaders
+      }).then(() => findObjects({ objectId })))
+      .then((results) => {
+        expect(results[0].bounds).toEqual(triangle);
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('rejects polygons with less than 3 points', (done) => {
+    createObject({ bounds: { __type: 'Polygon', coordinates: [[0, 0], [1, 1]] } })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_JSON);
+        done();
+      });
+  });
+
+  it_exclude_dbs(['postgres'])('rejects polygons with invalid coordinates', (done) => {
+    createObject({ bounds: { __type: 'Polygon', coordinates: [[0, 0], [0, 1], [91, 1]] } })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_JSON);
+        return createObject({ bounds: { __type: 'Polygon', coordinates: [[0, 0], [0, 1], ['1', 1]] } });
+      })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_JSON);
+        done();
+      });
+  });
+
+  it_exclude_dbs(['postgres'])('polygonContains with $geoIntersects', (done) => {
+    const far = { __type: 'Polygon', coordinates: [[10, 10], [10, 11], [11, 11], [11, 10]] };
+    Promise.all([
+      createObject({ name: 'square', bounds: square }),
+      createObject({ name: 'far', bounds: far })
+    ])
+      .then(() => findObjects({
+        bounds: { $geoIntersects: { $point: { __type: 'GeoPoint', latitude: 0.5, longitude: 0.5 } } }
+      }))
+      .then((results) => {
+        expect(results.map(result => result.name)).toEqual(['square']);
+        return findObjects({
+          bounds: { $geoIntersects: { $point: { __type: 'GeoPoint', latitude: 5, longitude: 5 } } }
+        });
+      })
+      .then((results) => {
+        expect(results.length).toBe(0);
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('invalid point with $geoIntersects', (done) => {
+    createObject({ bounds: square })
+      .then(() => findObjects({ bounds: { $geoIntersects: { $point: [] } } }))
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_JSON);
+        done();
+      });
+  });
+});
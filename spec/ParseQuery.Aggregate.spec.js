@@ -0,0 +1,253 @@
+'use strict';
+const rp = require('request-promise');
+
+const masterKeyHeaders = {
+  'X-Parse-Application-Id': 'test',
+  'X-Parse-REST-API-Key': 'rest',
+  'X-Parse-Master-Key': 'test'
+};
+
+const masterKeyOptions = {
+  headers: masterKeyHeaders,
+  json: true
+};
+
+const aggregate = (className, qs) => {
+  return rp.get(Object.assign({
+    uri: `http://localhost:8378/1/aggregate/${className}`,
+    qs
+  }, masterKeyOptions));
+};
+
+const loadTestData = () => {
+  const data1 = { score: 10, name: 'foo' };
+  const data2 = { score: 10, name: 'foo' };
+  const data3 = { score: 20, name: 'bar' };
+  const data4 = { score: 40, name: 'dpl' };
+  const obj1 = new Parse.Object('TestObject').set(data1);
+  const obj2 = new Parse.Object('TestObject').set(data2);
+  const obj3 = new Parse.Object('TestObject').set(data3);
+  const obj4 = new Parse.Object('TestObject').set(data4);
+  return Parse.Object.saveAll([obj1, obj2, obj3, obj4]);
+};
+
+describe('Parse.Query Aggregate testing', () => {
+  beforeEach((done) => {
+    loadTestData().then(done, done.fail);
+  });
+
+  it('should only query aggregate with master key', (done) => {
+    rp.get({
+      uri: 'http://localhost:8378/1/aggregate/TestObject',
+      qs: { group: JSON.stringify({ objectId: '$name' }) },
+      headers: {
+        'X-Parse-Application-Id': 'test',
+        'X-Parse-REST-API-Key': 'rest'
+      },
+      json: true
+    }).then(done.fail, (error) => {
+      expect(error.statusCode).toBe(403);
+      done();
+    });
+  });
+
+  it('invalid query invalid key', (done) => {
+    aggregate('TestObject', { unknown: 'value' })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_QUERY);
+        done();
+      });
+  });
+
+  it('invalid query group _id', (done) => {
+    aggregate('TestObject', { group: JSON.stringify({ _id: '$name' }) })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_QUERY);
+        done();
+      });
+  });
+
+  it('invalid query $match after $group', (done) => {
+    aggregate('TestObject', {
+      pipeline: JSON.stringify([
+        { $group: { objectId: '$name' } },
+        { $match: { name: 'foo' } }
+      ])
+    }).then(done.fail, (error) => {
+      expect(error.error.code).toEqual(Parse.Error.INVALID_QUERY);
+      done();
+    });
+  });
+
+  it('invalid query $sum on a string field', (done) => {
+    aggregate('TestObject', { group: JSON.stringify({ objectId: null, total: { $sum: '$name' } }) })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_QUERY);
+        done();
+      });
+  });
+
+  it('group by field', (done) => {
+    aggregate('TestObject', { group: JSON.stringify({ objectId: '$name' }) })
+      .then(({ results }) => {
+        expect(results.length).toBe(3);
+        expect(results.map(result => result.objectId).sort()).toEqual(['bar', 'dpl', 'foo']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('group by null with accumulators', (done) => {
+    aggregate('TestObject', {
+      group: JSON.stringify({
+        objectId: null,
+        total: { $sum: '$score' },
+        average: { $avg: '$score' },
+        minScore: { $min: '$score' },
+        maxScore: { $max: '$score' },
+        count: { $count: {} },
+        ones: { $sum: 1 }
+      })
+    }).then(({ results }) => {
+      expect(results.length).toBe(1);
+      expect(results[0]).toEqual({
+        objectId: null,
+        total: 80,
+        average: 20,
+        minScore: 10,
+        maxScore: 40,
+        count: 4,
+        ones: 4
+      });
+      done();
+    }).catch(done.fail);
+  });
+
+  it('group by null on an empty match gives no results', (done) => {
+    aggregate('TestObject', {
+      match: JSON.stringify({ name: 'nothing' }),
+      group: JSON.stringify({ objectId: null, count: { $count: {} } })
+    }).then(({ results }) => {
+      expect(results.length).toBe(0);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('group by several fields', (done) => {
+    aggregate('TestObject', {
+      pipeline: JSON.stringify([
+        { $group: { objectId: { name: '$name', score: '$score' }, count: { $count: {} } } },
+        { $sort: { count: -1 } },
+        { $limit: 1 }
+      ])
+    }).then(({ results }) => {
+      expect(results).toEqual([{ objectId: { name: 'foo', score: 10 }, count: 2 }]);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('match then group', (done) => {
+    aggregate('TestObject', {
+      match: JSON.stringify({ score: { $gt: 15 } }),
+      group: JSON.stringify({ objectId: null, total: { $sum: '$score' } })
+    }).then(({ results }) => {
+      expect(results).toEqual([{ objectId: null, total: 60 }]);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('where is applied as a leading match', (done) => {
+    aggregate('TestObject', {
+      where: JSON.stringify({ name: 'foo' }),
+      group: JSON.stringify({ objectId: '$name', count: { $count: {} } })
+    }).then(({ results }) => {
+      expect(results).toEqual([{ objectId: 'foo', count: 2 }]);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('sort, skip and limit on group results', (done) => {
+    aggregate('TestObject', {
+      pipeline: JSON.stringify([
+        { $group: { objectId: '$name', total: { $sum: '$score' } } },
+        { $sort: { total: -1 } },
+        { $skip: 1 },
+        { $limit: 1 }
+      ])
+    }).then(({ results }) => {
+      expect(results).toEqual([{ objectId: 'bar', total: 20 }]);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('project on group results', (done) => {
+    aggregate('TestObject', {
+      pipeline: JSON.stringify([
+        { $group: { objectId: '$name', total: { $sum: '$score' }, count: { $count: {} } } },
+        { $project: { count: 0 } },
+        { $sort: { objectId: 1 } }
+      ])
+    }).then(({ results }) => {
+      expect(results).toEqual([
+        { objectId: 'bar', total: 20 },
+        { objectId: 'dpl', total: 40 },
+        { objectId: 'foo', total: 20 }
+      ]);
+      done();
+    }).catch(done.fail);
+  });
+
+  it('match, project, sort and limit without group', (done) => {
+    aggregate('TestObject', {
+      match: JSON.stringify({ name: 'foo' }),
+      project: JSON.stringify({ name: 1, score: 1 }),
+      sort: JSON.stringify({ score: -1 }),
+      limit: 1
+    }).then(({ results }) => {
+      expect(results.length).toBe(1);
+      expect(Object.keys(results[0]).sort()).toEqual(['name', 'objectId', 'score']);
+      expect(results[0].name).toBe('foo');
+      done();
+    }).catch(done.fail);
+  });
+
+  it('group by date', (done) => {
+    aggregate('TestObject', { group: JSON.stringify({ objectId: null, lastCreated: { $max: '$createdAt' } }) })
+      .then(({ results }) => {
+        expect(results.length).toBe(1);
+        expect(results[0].lastCreated.__type).toBe('Date');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('distinct query', (done) => {
+    aggregate('TestObject', { distinct: 'score' })
+      .then(({ results }) => {
+        expect(results.sort((a, b) => a - b)).toEqual([10, 20, 40]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('distinct query with where', (done) => {
+    aggregate('TestObject', { distinct: 'name', where: JSON.stringify({ score: { $lt: 30 } }) })
+      .then(({ results }) => {
+        expect(results.sort()).toEqual(['bar', 'foo']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('distinct on an unknown field', (done) => {
+    aggregate('TestObject', { distinct: 'unknown' })
+      .then(done.fail, (error) => {
+        expect(error.error.code).toEqual(Parse.Error.INVALID_KEY_NAME);
+        done();
+      });
+  });
+
+  it('aggregate on a class that does not exist', (done) => {
+    aggregate('UnknownClass', { group: JSON.stringify({ objectId: null, count: { $count: {} } }) })
+      .then(({ results }) => {
+        expect(results).toEqual([]);
+        done();
+      }).catch(done.fail);
+  });
+});
@@ -0,0 +1,147 @@
+'use strict';
+const rp = require('request-promise');
+
+const restHeaders = {
+  'X-Parse-Application-Id': 'test',
+  'X-Parse-REST-API-Key': 'rest'
+};
+
+const distinct = (className, field, qs, headers = restHeaders) => {
+  return rp.get({
+    uri: `http://localhost:8378/1/classes/${className}/distinct/${field}`,
+    qs,
+    headers,
+    json: true
+  });
+};
+
+const sortedResults = ({ results }) => results.sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+
+describe('distinct', () => {
+  beforeEach((done) => {
+    const owner = new Parse.Object('Owner', { name: 'first' });
+    owner.save()
+      .then(() => Parse.Object.saveAll([
+        new Parse.Object('Item', { score: 10, name: 'foo', tags: ['red', 'blue'], owner }),
+        new Parse.Object('Item', { score: 10, name: 'foo', tags: ['blue'], owner }),
+        new Parse.Object('Item', { score: 20, name: 'bar', tags: ['green'] }),
+      ]))
+      .then(() => done(), done.fail);
+  });
+
+  it('gives the distinct values of a field', (done) => {
+    distinct('Item', 'score')
+      .then(response => {
+        expect(sortedResults(response)).toEqual([10, 20]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('honors where', (done) => {
+    distinct('Item', 'name', { where: JSON.stringify({ score: { $gt: 15 } }) })
+      .then(response => {
+        expect(response).toEqual({ results: ['bar'] });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('gives the distinct elements of arrays', (done) => {
+    distinct('Item', 'tags')
+      .then(response => {
+        expect(sortedResults(response)).toEqual(['blue', 'green', 'red']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('gives pointers for pointer fields', (done) => {
+    new Parse.Query('Owner').first()
+      .then(owner => {
+        return distinct('Item', 'owner')
+          .then(response => {
+            expect(response).toEqual({ results: [{ __type: 'Pointer', className: 'Owner', objectId: owner.id }] });
+            done();
+          });
+      }).catch(done.fail);
+  });
+
+  it('leaves out the objects the user cannot read', (done) => {
+    const user = new Parse.User();
+    user.set({ username: 'reader', password: 'password' });
+    user.signUp()
+      .then(() => {
+        const secret = new Parse.Object('Item', { score: 30, name: 'secret' });
+        secret.setACL(new Parse.ACL(user));
+        return secret.save();
+      })
+      .then(() => distinct('Item', 'name'))
+      .then(response => {
+        expect(sortedResults(response)).toEqual(['bar', 'foo']);
+        return distinct('Item', 'name', {}, Object.assign({ 'X-Parse-Session-Token': user.getSessionToken() }, restHeaders));
+      })
+      .then(response => {
+        expect(sortedResults(response)).toEqual(['bar', 'foo', 'secret']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('honors the class level permissions', (done) => {
+    const schema = new Parse.Schema('Item');
+    schema.setCLP({ get: { '*': true } });
+    schema.update()
+      .then(() => distinct('Item', 'name'))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+        return distinct('Item', 'name', {}, Object.assign({ 'X-Parse-Master-Key': 'test' }, restHeaders));
+      })
+      .then(response => {
+        expect(sortedResults(response)).toEqual(['bar', 'foo']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('runs the beforeFind triggers', (done) => {
+    Parse.Cloud.beforeFind('Item', (req) => {
+      req.query.equalTo('score', 20);
+    });
+    distinct('Item', 'name')
+      .then(response => {
+        expect(response).toEqual({ results: ['bar'] });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('refuses the sensitive fields of users', (done) => {
+    const user = new Parse.User();
+    user.set({ username: 'reader', password: 'password', email: 'reader@example.com' });
+    user.signUp()
+      .then(() => distinct('_User', 'email'))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'Cannot get the distinct values of email.' });
+        return distinct('_User', 'email', {}, Object.assign({ 'X-Parse-Master-Key': 'test' }, restHeaders));
+      })
+      .then(response => {
+        expect(response).toEqual({ results: ['reader@example.com'] });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rejects unknown fields and parameters', (done) => {
+    distinct('Item', 'unknown')
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INVALID_KEY_NAME);
+        return distinct('Item', 'name', { limit: 1 });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_QUERY, error: 'Invalid parameter for distinct: limit' });
+        done();
+      });
+  });
+
+  it('gives nothing for a class that does not exist', (done) => {
+    distinct('Unknown', 'name')
+      .then(response => {
+        expect(response).toEqual({ results: [] });
+        done();
+      }).catch(done.fail);
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+const rp = require('request-promise');
+const logger = require('../src/logger');
+const { timeQuery, withoutValues } = require('../src/Adapters/Storage/SlowQueryLogger');
+
+const find = (qs, headers = masterHeaders) => {
+  return rp.get({
+    uri: 'http://localhost:8378/1/classes/Note',
+    qs,
+    headers,
+    json: true
+  });
+};
+
+describe('query explain', () => {
+  beforeEach(done => {
+    new Parse.Object('Note', { text: 'first' }).save().then(() => done(), done.fail);
+  });
+
+  it('gives the plan of the database instead of the objects', done => {
+    find({ where: JSON.stringify({ text: 'first' }), explain: true, count: 1 })
+      .then(({ results, count }) => {
+        expect(count).toBeUndefined();
+        on_db('mongo', () => expect(results.queryPlanner).toBeDefined());
+        on_db('postgres', () => expect(results[0].Plan).toBeDefined());
+        on_db('mysql', () => expect(results.query_block).toBeDefined());
+        done();
+      }).catch(done.fail);
+  });
+
+  it('does not run the afterFind triggers', done => {
+    const afterFind = jasmine.createSpy('afterFind');
+    Parse.Cloud.afterFind('Note', afterFind);
+    find({ explain: true })
+      .then(() => {
+        expect(afterFind).not.toHaveBeenCalled();
+        done();
+      }).catch(done.fail);
+  });
+
+  it('requires the master key', done => {
+    find({ explain: true }, { 'X-Parse-Application-Id': 'test', 'X-Parse-REST-API-Key': 'rest' })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'explain requires the master key.' });
+        done();
+      });
+  });
+});
+
+describe('slow query logging', () => {
+  const delay = (ms) => new Promise(resolve => setTimeout(() => resolve('done'), ms));
+
+  it('logs the queries slower than the threshold', done => {
+    spyOn(logger.getLogger(), 'warn');
+    const details = { caller: 'find', className: 'Note', query: () => ({ text: 'first' }) };
+    timeQuery(10, details, () => delay(20))
+      .then(result => {
+        expect(result).toBe('done');
+        expect(logger.getLogger().warn.calls.count()).toBe(1);
+        const [message, meta] = logger.getLogger().warn.calls.argsFor(0);
+        expect(message).toMatch(/^Slow query: find on Note took \d+ms$/);
+        expect(meta.caller).toBe('find');
+        expect(meta.className).toBe('Note');
+        expect(meta.query).toEqual({ text: 'first' });
+        expect(meta.duration).toBeGreaterThan(10);
+        return timeQuery(1000, details, () => delay(1));
+      })
+      .then(() => timeQuery(undefined, details, () => delay(20)))
+      .then(() => {
+        expect(logger.getLogger().warn.calls.count()).toBe(1);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('logs the queries that fail too', done => {
+    spyOn(logger.getLogger(), 'warn');
+    timeQuery(0, { caller: 'count', className: 'Note', query: {} }, () => delay(5).then(() => Promise.reject('broken')))
+      .then(done.fail, error => {
+        expect(error).toBe('broken');
+        expect(logger.getLogger().warn).toHaveBeenCalled();
+        done();
+      });
+  });
+
+  it('leaves the values out of the queries it logs', () => {
+    const query = {
+      _hashed_password: 'secret',
+      $or: [{ _session_token: 'r:token' }, { count: { $gt: 3 } }],
+      _updated_at: { $lt: new Date() },
+      tags: { $in: ['a', 'b'] },
+    };
+    expect(withoutValues(query)).toEqual({
+      _hashed_password: '?',
+      $or: [{ _session_token: '?' }, { count: { $gt: '?' } }],
+      _updated_at: { $lt: '?' },
+      tags: { $in: ['?', '?'] },
+    });
+  });
+
+  it('hands the threshold to the database adapter', done => {
+    const databaseAdapter = defaultConfiguration.databaseAdapter;
+    spyOn(databaseAdapter, 'setSlowQueryThreshold').and.callThrough();
+    reconfigureServer({ slowQueryThreshold: 100 })
+      .then(() => {
+        expect(databaseAdapter.setSlowQueryThreshold).toHaveBeenCalledWith(100);
+        return reconfigureServer();
+      })
+      .then(() => {
+        expect(databaseAdapter.setSlowQueryThreshold).toHaveBeenCalledWith(undefined);
+        return reconfigureServer({ slowQueryThreshold: -1 });
+      })
+      .then(done.fail, error => {
+        expect(error).toEqual('slowQueryThreshold must be a number of milliseconds, 0 or greater.');
+        done();
+      });
+  });
+});
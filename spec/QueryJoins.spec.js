@@ -0,0 +1,153 @@
+'use strict';
+// Relations, subqueries and includes give the same results whether the
+// database resolves them within the query or they take separate queries.
+const rp = require('request-promise');
+const Config = require('../src/Config');
+
+const restHeaders = {
+  'X-Parse-Application-Id': 'test',
+  'X-Parse-REST-API-Key': 'rest'
+};
+
+// Players on a public team, on a team only its owner can see, and on no team
+const loadTestData = () => {
+  const owner = new Parse.User();
+  owner.set({ username: 'owner', password: 'password', email: 'owner@example.com' });
+  return owner.signUp().then(() => {
+    const hiddenACL = new Parse.ACL(owner);
+    const teams = [
+      new Parse.Object('Team', { name: 'public' }),
+      new Parse.Object('Team', { name: 'hidden', ACL: hiddenACL })
+    ];
+    return Parse.Object.saveAll(teams, { sessionToken: owner.getSessionToken() });
+  }).then(([publicTeam, hiddenTeam]) => {
+    const players = [
+      new Parse.Object('Player', { name: 'a', team: publicTeam, user: owner }),
+      new Parse.Object('Player', { name: 'b', team: hiddenTeam }),
+      new Parse.Object('Player', { name: 'c' })
+    ];
+    return Parse.Object.saveAll(players).then(() => Parse.User.logOut());
+  });
+};
+
+const findPlayers = (where, options = {}) => {
+  return rp.get({
+    uri: 'http://localhost:8378/1/classes/Player',
+    qs: Object.assign({ where: JSON.stringify(where) }, options),
+    headers: restHeaders,
+    json: true
+  }).then(({ results }) => results.sort((a, b) => a.name.localeCompare(b.name)));
+};
+
+const names = results => results.map(result => result.name);
+
+describe('query joins', () => {
+  beforeEach(done => {
+    loadTestData().then(done, done.fail);
+  });
+
+  it('matches $inQuery and $notInQuery only on objects the user can see', done => {
+    const teamQuery = { className: 'Team', where: { name: { $exists: true } } };
+    findPlayers({ team: { $inQuery: teamQuery } })
+      .then(results => {
+        expect(names(results)).toEqual(['a']);
+        return findPlayers({ team: { $notInQuery: teamQuery } });
+      })
+      .then(results => {
+        expect(names(results)).toEqual(['b', 'c']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('runs afterFind triggers of the classes in $inQuery', done => {
+    Parse.Cloud.afterFind('Team', (req, res) => {
+      res.success(req.objects.filter(team => team.get('name') !== 'public'));
+    });
+    findPlayers({ team: { $inQuery: { className: 'Team', where: {} } } })
+      .then(results => {
+        expect(results.length).toBe(0);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('includes only the objects the user can see', done => {
+    findPlayers({}, { include: 'team,user' })
+      .then(results => {
+        const [a, b, c] = results;
+        expect(a.team.__type).toBe('Object');
+        expect(a.team.className).toBe('Team');
+        expect(a.team.name).toBe('public');
+        expect(a.user.username).toBe('owner');
+        expect(a.user.email).toBeUndefined();
+        expect(a.user.sessionToken).toBeUndefined();
+        expect(a.user.password).toBeUndefined();
+        expect(b.team).toBeUndefined();
+        expect(c.team).toBeUndefined();
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rejects subqueries that were not prepared by the server', done => {
+    findPlayers({ team: { $inSubquery: { className: 'Team', query: {} } } })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INVALID_QUERY);
+        done();
+      });
+  });
+
+  describe_only_db('mysql')('on MySQL', () => {
+    let adapter;
+
+    beforeEach(() => {
+      adapter = new Config('test').database.adapter;
+      spyOn(adapter, 'find').and.callThrough();
+    });
+
+    const findCalls = () => adapter.find.calls.all().map(call => call.args[0]);
+
+    it('resolves $inQuery and include in a single query', done => {
+      findPlayers({ team: { $inQuery: { className: 'Team', where: {} } } }, { include: 'team' })
+        .then(results => {
+          expect(names(results)).toEqual(['a']);
+          expect(results[0].team.name).toBe('public');
+          expect(findCalls()).toEqual(['Player']);
+          done();
+        }).catch(done.fail);
+    });
+
+    it('resolves $relatedTo in a single query', done => {
+      const league = new Parse.Object('League');
+      new Parse.Query('Player').find()
+        .then(players => {
+          league.relation('players').add(players.filter(player => player.get('name') !== 'b'));
+          return league.save();
+        })
+        .then(() => {
+          adapter.find.calls.reset();
+          return findPlayers({
+            $relatedTo: { object: { __type: 'Pointer', className: 'League', objectId: league.id }, key: 'players' }
+          });
+        })
+        .then(results => {
+          expect(names(results)).toEqual(['a', 'c']);
+          expect(findCalls()).toEqual(['Player']);
+          done();
+        }).catch(done.fail);
+    });
+
+    it('includes deeper levels with separate queries', done => {
+      new Parse.Query('Team').equalTo('name', 'public').first()
+        .then(team => team.save({ league: new Parse.Object('League', { name: 'first' }) }))
+        .then(() => {
+          adapter.find.calls.reset();
+          return findPlayers({ name: 'a' }, { include: 'team.league' });
+        })
+        .then(results => {
+          expect(results[0].team.name).toBe('public');
+          expect(results[0].team.league.name).toBe('first');
+          expect(findCalls()).toEqual(['Player', 'League']);
+          done();
+        }).catch(done.fail);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+// The same queries have to give the same results on every database adapter.
+const rp = require('request-promise');
+
+const find = (where) => {
+  return rp.get({
+    uri: 'http://localhost:8378/1/classes/Operator',
+    qs: { where: JSON.stringify(where) },
+    headers: {
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    },
+    json: true
+  }).then(({ results }) => results.map(result => result.key).sort());
+};
+
+const loadTestData = () => {
+  const objects = [
+    { key: 'a', name: 'Hello World', tags: ['red', 'green'], info: { city: 'Paris', size: 3, nested: { flag: true } } },
+    { key: 'b', name: 'it is 42\nlines', tags: ['blue'], info: { city: 'paris', size: 10 } },
+    { key: 'c', name: 'hello world', tags: ['red', 'blue', 'yellow'], info: { city: null } },
+    { key: 'd', name: 'x.y' },
+  ];
+  return Parse.Object.saveAll(objects.map(data => new Parse.Object('Operator', data)));
+};
+
+describe('query operators', () => {
+  beforeEach(done => {
+    loadTestData().then(() => done(), done.fail);
+  });
+
+  it('matches $regex case sensitively unless given the i option', done => {
+    find({ name: { $regex: '^hello' } })
+      .then(keys => {
+        expect(keys).toEqual(['c']);
+        return find({ name: { $regex: '^hello', $options: 'i' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a', 'c']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('supports character classes and literal text in $regex', done => {
+    find({ name: { $regex: '\\d\\d' } })
+      .then(keys => {
+        expect(keys).toEqual(['b']);
+        return find({ name: { $regex: '^\\Qit is\\E\\s' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['b']);
+        return find({ name: { $regex: "\\Q'\\E" } });
+      })
+      .then(keys => {
+        expect(keys).toEqual([]);
+        return find({ name: { $regex: '^\\Qx.y\\E$' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['d']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('supports the m, s and x $regex options', done => {
+    find({ name: { $regex: '^lines' } })
+      .then(keys => {
+        expect(keys).toEqual([]);
+        return find({ name: { $regex: '^lines', $options: 'm' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['b']);
+        return find({ name: { $regex: '42.lines' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual([]);
+        return find({ name: { $regex: '42.lines', $options: 's' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['b']);
+        return find({ name: { $regex: 'Hello  # a comment\n \\sWorld', $options: 'x' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('supports $containedBy on arrays', done => {
+    find({ tags: { $containedBy: ['red', 'green', 'blue'] } })
+      .then(keys => {
+        // d has no tags, which no element of is outside the list
+        expect(keys).toEqual(['a', 'b', 'd']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('supports $ne, $in and $nin on arrays', done => {
+    find({ tags: { $ne: 'red' } })
+      .then(keys => {
+        expect(keys).toEqual(['b', 'd']);
+        return find({ tags: { $in: ['green', 'yellow'] } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a', 'c']);
+        return find({ tags: { $nin: ['green', 'yellow'] } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['b', 'd']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('supports $all with $regex', done => {
+    find({ tags: { $all: [{ $regex: '^\\Qre\\E' }, { $regex: '^\\Qbl\\E' }] } })
+      .then(keys => {
+        expect(keys).toEqual(['c']);
+        return find({ tags: { $all: ['red', { $regex: '^\\Qgr\\E' }] } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('supports $exists on nested keys', done => {
+    find({ 'info.city': { $exists: true } })
+      .then(keys => {
+        expect(keys).toEqual(['a', 'b', 'c']);
+        return find({ 'info.size': { $exists: false } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['c', 'd']);
+        return find({ 'info.nested.flag': { $exists: true } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it_exclude_dbs(['postgres'])('supports dot notation on Object fields', done => {
+    find({ 'info.city': 'Paris' })
+      .then(keys => {
+        expect(keys).toEqual(['a']);
+        return find({ 'info.size': { $gt: 5 } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['b']);
+        return find({ 'info.size': 3 });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a']);
+        return find({ 'info.city': { $regex: '^paris$', $options: 'i' } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a', 'b']);
+        return find({ 'info.city': { $in: ['paris', 'Lyon'] } });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['b']);
+        return find({ 'info.city': null });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['c', 'd']);
+        return find({ 'info.nested.flag': true });
+      })
+      .then(keys => {
+        expect(keys).toEqual(['a']);
+        done();
+      }).catch(done.fail);
+  });
+});
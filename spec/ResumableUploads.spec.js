@@ -0,0 +1,308 @@
+'use strict';
+const crypto = require('crypto');
+const rp = require('request-promise');
+const Config = require('../src/Config');
+
+const startUpload = (body, headers) => restRequest('POST', '/uploads', { body, headers });
+
+const sendChunk = (uploadId, offset, content, headers = {}) => {
+  return rp.put({
+    uri: Parse.serverURL + '/uploads/' + uploadId,
+    qs: { offset },
+    headers: Object.assign({
+      'Content-Type': 'application/octet-stream',
+      'Content-MD5': crypto.createHash('md5').update(content).digest('base64'),
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    }, headers),
+    body: content
+  }).then(body => JSON.parse(body));
+};
+
+const finalize = (uploadId, headers) => restRequest('POST', '/uploads/' + uploadId + '/finalize', { headers });
+
+const findFiles = () => {
+  return restRequest('GET', '/files', { headers: masterHeaders }).then(({ results }) => results);
+};
+
+describe('resumable uploads', () => {
+  it('saves the file from its chunks', done => {
+    let uploadId;
+    let file;
+    startUpload({ filename: 'notes.txt', contentType: 'text/plain', size: 18, tags: ['draft'] })
+      .then(upload => {
+        uploadId = upload.uploadId;
+        expect(upload.offset).toBe(0);
+        expect(upload.size).toBe(18);
+        expect(new Date(upload.expiresAt.iso)).toBeGreaterThan(new Date());
+        return sendChunk(uploadId, 0, 'some notes');
+      })
+      .then(upload => {
+        expect(upload.offset).toBe(10);
+        return restRequest('GET', '/uploads/' + uploadId);
+      })
+      .then(upload => {
+        expect(upload.offset).toBe(10);
+        expect(upload.filename).toBe('notes.txt');
+        return finalize(uploadId);
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'The upload has 10 of 18 bytes.' });
+        return sendChunk(uploadId, 10, ' in full');
+      })
+      .then(upload => {
+        expect(upload.offset).toBe(18);
+        return finalize(uploadId);
+      })
+      .then(result => {
+        file = result;
+        expect(file.name).toMatch(/_notes\.txt$/);
+        return rp.get(file.url);
+      })
+      .then(content => {
+        expect(content).toBe('some notes in full');
+        return findFiles();
+      })
+      .then(([entry]) => {
+        expect(entry.name).toBe(file.name);
+        expect(entry.contentType).toBe('text/plain');
+        expect(entry.size).toBe(18);
+        expect(entry.tags).toEqual(['draft']);
+        // The upload is gone once saved
+        return restRequest('GET', '/uploads/' + uploadId);
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OBJECT_NOT_FOUND, error: 'Upload not found.' });
+        done();
+      });
+  });
+
+  it('checks the checksum and the offset of chunks', done => {
+    let uploadId;
+    startUpload({ filename: 'notes.txt' })
+      .then(upload => {
+        uploadId = upload.uploadId;
+        return sendChunk(uploadId, 0, 'some notes', { 'Content-MD5': crypto.createHash('md5').update('other notes').digest('base64') });
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'The chunk does not match its Content-MD5.' });
+        return sendChunk(uploadId, 0, 'some notes', { 'Content-MD5': '' });
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'Content-MD5 header not provided.' });
+        return sendChunk(uploadId, 0, 'some notes');
+      })
+      .then(() => sendChunk(uploadId, 4, 'notes'))
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'The upload is at offset 10.' });
+        return finalize(uploadId);
+      })
+      .then(file => rp.get(file.url))
+      .then(content => {
+        expect(content).toBe('some notes');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('runs the file triggers when finalized', done => {
+    Parse.Cloud.beforeSaveFile(req => {
+      expect(req.file.data.toString()).toBe('some notes');
+      return { name: 'notes.md' };
+    });
+    let savedFile;
+    Parse.Cloud.afterSaveFile(req => {
+      savedFile = req.file;
+    });
+    startUpload({ filename: 'notes.txt' })
+      .then(upload => sendChunk(upload.uploadId, 0, 'some notes').then(() => finalize(upload.uploadId)))
+      .then(file => {
+        expect(file.name).toMatch(/_notes\.md$/);
+        expect(savedFile.name).toBe(file.name);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('finalizes an upload once', done => {
+    let uploadId;
+    startUpload({ filename: 'notes.txt' })
+      .then(upload => {
+        uploadId = upload.uploadId;
+        return sendChunk(uploadId, 0, 'some notes');
+      })
+      .then(() => {
+        const attempts = [finalize(uploadId), finalize(uploadId)].map(promise => {
+          return promise.then(file => ({ file }), error => ({ error }));
+        });
+        return Promise.all(attempts);
+      })
+      .then(results => {
+        const saved = results.filter(result => result.file);
+        const failed = results.filter(result => result.error);
+        expect(saved.length).toBe(1);
+        expect(failed.length).toBe(1);
+        expect(failed[0].error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        return findFiles();
+      })
+      .then(files => {
+        expect(files.length).toBe(1);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('removes the chunks when the file cannot be saved', done => {
+    Parse.Cloud.beforeSaveFile(() => {
+      throw new Parse.Error(Parse.Error.SCRIPT_FAILED, 'no notes');
+    });
+    const config = new Config('test');
+    let upload;
+    startUpload({ filename: 'notes.txt' })
+      .then(result => sendChunk(result.uploadId, 0, 'some notes'))
+      .then(() => config.database.find('_FileUpload', {}))
+      .then(([result]) => {
+        upload = result;
+        return finalize(upload.uploadId);
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.SCRIPT_FAILED);
+        return config.filesController.getFileData(config, upload.chunks[0].name);
+      })
+      .then(done.fail, () => config.database.find('_FileUpload', {}))
+      .then(uploads => {
+        expect(uploads.length).toBe(0);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('keeps uploads within maxUploadSize', done => {
+    let uploadId;
+    reconfigureServer({ maxUploadSize: '16b' })
+      .then(() => startUpload({ filename: 'notes.txt', size: 18 }))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'Uploads are limited to 16 bytes.' });
+        return startUpload({ filename: 'notes.txt' });
+      })
+      .then(upload => {
+        uploadId = upload.uploadId;
+        return sendChunk(uploadId, 0, 'some notes');
+      })
+      .then(() => sendChunk(uploadId, 10, ' in full'))
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.FILE_SAVE_ERROR, error: 'Uploads are limited to 16 bytes.' });
+        done();
+      });
+  });
+
+  it('can only be continued by the user who started it', done => {
+    let owner;
+    let uploadId;
+    const other = new Parse.User();
+    other.signUp({ username: 'other', password: 'password' })
+      .then(() => {
+        owner = new Parse.User();
+        return owner.signUp({ username: 'owner', password: 'password' });
+      })
+      .then(() => startUpload({ filename: 'notes.txt' }, { 'X-Parse-Session-Token': owner.getSessionToken() }))
+      .then(upload => {
+        uploadId = upload.uploadId;
+        return sendChunk(uploadId, 0, 'some notes', { 'X-Parse-Session-Token': other.getSessionToken() });
+      })
+      .then(done.fail, error => {
+        expect(JSON.parse(error.error)).toEqual({ code: Parse.Error.OBJECT_NOT_FOUND, error: 'Upload not found.' });
+        return sendChunk(uploadId, 0, 'some notes', { 'X-Parse-Session-Token': owner.getSessionToken() });
+      })
+      .then(() => finalize(uploadId, { 'X-Parse-Session-Token': owner.getSessionToken() }))
+      .then(() => findFiles())
+      .then(([entry]) => {
+        expect(entry.uploader.objectId).toBe(owner.id);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('can be aborted', done => {
+    let uploadId;
+    startUpload({ filename: 'notes.txt' })
+      .then(upload => {
+        uploadId = upload.uploadId;
+        return sendChunk(uploadId, 0, 'some notes');
+      })
+      .then(() => restRequest('DELETE', '/uploads/' + uploadId))
+      .then(() => finalize(uploadId))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OBJECT_NOT_FOUND, error: 'Upload not found.' });
+        done();
+      });
+  });
+
+  it('keeps the chunks of uploads from being downloaded', done => {
+    const config = new Config('test');
+    let chunkURL;
+    startUpload({ filename: 'notes.txt' })
+      .then(result => sendChunk(result.uploadId, 0, 'some notes'))
+      .then(() => config.database.find('_FileUpload', {}))
+      .then(([upload]) => {
+        chunkURL = Parse.serverURL + '/files/test/' + upload.chunks[0].name;
+        return rp.get(chunkURL);
+      })
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        return rp.get({ uri: chunkURL, headers: { 'X-Parse-Master-Key': 'test' } });
+      })
+      .then(content => {
+        expect(content).toBe('some notes');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('validates the upload it starts', done => {
+    startUpload({ filename: '../notes.txt' })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_FILE_NAME, error: 'Filename contains invalid characters.' });
+        return startUpload({ filename: 'notes.txt', size: -1 });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'size must be a number of bytes, greater than 0.' });
+        return startUpload({ filename: 'notes.txt', acl: [] });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'The file ACL should be a JSON object.' });
+        done();
+      });
+  });
+
+  it('removes expired uploads with their chunks', done => {
+    const config = new Config('test');
+    let upload;
+    startUpload({ filename: 'notes.txt' })
+      .then(result => sendChunk(result.uploadId, 0, 'some notes'))
+      .then(() => config.database.find('_FileUpload', {}))
+      .then(([result]) => {
+        upload = result;
+        return config.filesController.removeExpiredUploads(config.database, new Date());
+      })
+      .then(count => {
+        expect(count).toBe(0);
+        return config.filesController.removeExpiredUploads(config.database, new Date(Date.now() + 86401 * 1000));
+      })
+      .then(count => {
+        expect(count).toBe(1);
+        return config.filesController.getFileData(config, upload.chunks[0].name);
+      })
+      .then(done.fail, () => config.database.find('_FileUpload', {}))
+      .then(uploads => {
+        expect(uploads.length).toBe(0);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('validates the upload expiry and sweep interval', done => {
+    reconfigureServer({ uploadSessionExpiry: 0 })
+      .then(done.fail, error => {
+        expect(error).toBe('uploadSessionExpiry must be a number of seconds, greater than 0.');
+        return reconfigureServer({ uploadSweepInterval: -1 });
+      })
+      .then(done.fail, error => {
+        expect(error).toBe('uploadSweepInterval must be a number of seconds, 0 or greater.');
+        done();
+      });
+  });
+});
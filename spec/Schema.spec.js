@@ -510,6 +510,51 @@ describe('SchemaController', () => {
       });
   });
 
+  it('refuses field options that do not apply to the type', done => {
+    config.database.loadSchema()
+      .then(schema => schema.addClassIfNotExists('NewClass', {
+        foo: {type: 'Number', maxLength: 10},
+      }))
+      .then(done.fail, error => {
+        expect(error.code).toEqual(Parse.Error.INCORRECT_TYPE);
+        expect(error.error).toEqual('maxLength must be an integer between 1 and 16383 on a String field');
+        return config.database.loadSchema();
+      })
+      .then(schema => schema.addClassIfNotExists('NewClass', {
+        foo: {type: 'String', integer: true},
+      }))
+      .then(done.fail, error => {
+        expect(error.code).toEqual(Parse.Error.INCORRECT_TYPE);
+        expect(error.error).toEqual('integer must be a boolean on a Number field');
+        done();
+      });
+  });
+
+  it('validates values against the field options', done => {
+    let schema;
+    config.database.loadSchema()
+      .then(result => {
+        schema = result;
+        return schema.addClassIfNotExists('NewClass', {
+          code: {type: 'String', maxLength: 3},
+          count: {type: 'Number', integer: true},
+        });
+      })
+      .then(() => schema.reloadData({ clearCache: true }))
+      .then(() => schema.validateObject('NewClass', {code: 'abc', count: 2}))
+      .then(() => schema.validateObject('NewClass', {code: 'abcd'}))
+      .then(done.fail, error => {
+        expect(error.code).toEqual(Parse.Error.INCORRECT_TYPE);
+        expect(error.message).toEqual('code is longer than 3 characters');
+        return schema.validateObject('NewClass', {count: {__op: 'Increment', amount: 1.5}});
+      })
+      .then(done.fail, error => {
+        expect(error.code).toEqual(Parse.Error.INCORRECT_TYPE);
+        expect(error.message).toEqual('count must be an integer');
+        done();
+      });
+  });
+
   it('will create classes', done => {
     config.database.loadSchema()
       .then(schema => schema.addClassIfNotExists('NewClass', {
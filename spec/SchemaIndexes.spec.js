@@ -0,0 +1,165 @@
+'use strict';
+const rp = require('request-promise');
+
+const masterKeyOptions = {
+  headers: {
+    'X-Parse-Application-Id': 'test',
+    'X-Parse-REST-API-Key': 'rest',
+    'X-Parse-Master-Key': 'test'
+  },
+  json: true
+};
+
+const schemaRequest = (method, className, options) => {
+  return rp(Object.assign({
+    method,
+    uri: `http://localhost:8378/1/schemas/${className}`,
+  }, masterKeyOptions, options));
+};
+
+const createIndexedClass = () => {
+  return schemaRequest('POST', 'IndexedClass', {
+    body: {
+      fields: {
+        name: { type: 'String' },
+        score: { type: 'Number' },
+        description: { type: 'String' },
+        tags: { type: 'Array' }
+      },
+      indexes: {
+        score_index: { score: -1 },
+        name_unique: { fields: { name: 1 }, unique: true, prefixLength: { name: 64 } }
+      }
+    }
+  });
+};
+
+describe_only_db('mysql')('schema indexes', () => {
+  it('creates indexes with the class', done => {
+    createIndexedClass().then(response => {
+      expect(response.indexes.PRIMARY).toEqual({ fields: { objectId: 1 }, unique: true });
+      expect(Object.keys(response.indexes.score_index.fields)).toEqual(['score']);
+      expect(response.indexes.name_unique).toEqual({ fields: { name: 1 }, unique: true, prefixLength: { name: 64 } });
+      done();
+    }).catch(done.fail);
+  });
+
+  it('does not create the class when its indexes fail', done => {
+    const body = {
+      fields: { name: { type: 'String' } },
+      indexes: { name_index: { fields: { name: 1 }, prefixLength: { name: 5000 } } }
+    };
+    schemaRequest('POST', 'LongIndexClass', { body })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'Index name_index is too long, use a shorter prefixLength' });
+        return schemaRequest('GET', 'LongIndexClass');
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INVALID_CLASS_NAME);
+        body.indexes.name_index.prefixLength.name = 64;
+        return schemaRequest('POST', 'LongIndexClass', { body });
+      })
+      .then(response => {
+        expect(response.indexes.name_index).toEqual({ fields: { name: 1 }, prefixLength: { name: 64 } });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('lists indexes only when asked to', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('GET', 'IndexedClass'))
+      .then(response => {
+        expect(response.indexes).toBeUndefined();
+        return schemaRequest('GET', 'IndexedClass', { qs: { indexes: true } });
+      })
+      .then(response => {
+        expect(Object.keys(response.indexes).sort()).toEqual(['PRIMARY', 'name_unique', 'score_index']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('adds compound and fulltext indexes and drops indexes', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('PUT', 'IndexedClass', {
+        body: {
+          fields: { rank: { type: 'Number' } },
+          indexes: {
+            score_index: { __op: 'Delete' },
+            rank_score: { rank: 1, score: 1 },
+            description_text: { description: 'text' }
+          }
+        }
+      }))
+      .then(response => {
+        expect(response.fields.rank).toEqual({ type: 'Number' });
+        expect(response.indexes.score_index).toBeUndefined();
+        expect(response.indexes.rank_score).toEqual({ fields: { rank: 1, score: 1 } });
+        expect(response.indexes.description_text).toEqual({ fields: { description: 'text' } });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('indexes text columns on a default prefix', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('PUT', 'IndexedClass', { body: { indexes: { description_index: { description: 1 } } } }))
+      .then(response => {
+        expect(response.indexes.description_index).toEqual({ fields: { description: 1 }, prefixLength: { description: 191 } });
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rejects indexes on unknown fields', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('PUT', 'IndexedClass', { body: { indexes: { unknown_index: { unknown: 1 } } } }))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INVALID_KEY_NAME);
+        done();
+      });
+  });
+
+  it('rejects indexes on fields that cannot be indexed', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('PUT', 'IndexedClass', { body: { indexes: { tags_index: { tags: 1 } } } }))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INCORRECT_TYPE);
+        done();
+      });
+  });
+
+  it('rejects creating an index that exists', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('PUT', 'IndexedClass', { body: { indexes: { score_index: { score: 1 } } } }))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: 255, error: 'Index score_index exists, cannot update.' });
+        done();
+      });
+  });
+
+  it('rejects dropping an index that does not exist or the primary index', done => {
+    createIndexedClass()
+      .then(() => schemaRequest('PUT', 'IndexedClass', { body: { indexes: { missing: { __op: 'Delete' } } } }))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: 255, error: 'Index missing does not exist, cannot delete.' });
+        return schemaRequest('PUT', 'IndexedClass', { body: { indexes: { PRIMARY: { __op: 'Delete' } } } });
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(255);
+        done();
+      });
+  });
+
+  it('fails to create a unique index over duplicate values', done => {
+    createIndexedClass()
+      .then(() => Parse.Object.saveAll([
+        new Parse.Object('IndexedClass', { score: 1 }),
+        new Parse.Object('IndexedClass', { score: 1 })
+      ]))
+      .then(() => schemaRequest('PUT', 'IndexedClass', {
+        body: { indexes: { score_unique: { fields: { score: 1 }, unique: true } } }
+      }))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.DUPLICATE_VALUE);
+        done();
+      });
+  });
+});
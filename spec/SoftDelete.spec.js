@@ -0,0 +1,151 @@
+'use strict';
+const Config = require('../src/Config');
+
+describe('soft delete', () => {
+  let note;
+
+  beforeEach(done => {
+    restRequest('POST', '/schemas/Note', {
+      headers: masterHeaders,
+      body: { className: 'Note', fields: { text: { type: 'String' } }, classOptions: { softDelete: true } }
+    })
+      .then(schema => {
+        expect(schema.classOptions).toEqual({ softDelete: true });
+        expect(schema.fields.deletedAt).toEqual({ type: 'Date' });
+        note = new Parse.Object('Note', { text: 'hello' });
+        return note.save();
+      })
+      .then(() => done(), done.fail);
+  });
+
+  it('hides deleted objects from queries', done => {
+    note.destroy()
+      .then(() => new Parse.Query('Note').find())
+      .then(results => {
+        expect(results.length).toBe(0);
+        return new Parse.Query('Note').count();
+      })
+      .then(count => {
+        expect(count).toBe(0);
+        return new Parse.Query('Note').get(note.id);
+      })
+      .then(done.fail, error => {
+        expect(error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        done();
+      });
+  });
+
+  it('returns deleted objects with includeDeleted and the master key', done => {
+    note.destroy()
+      .then(() => restRequest('GET', '/classes/Note', { headers: masterHeaders, qs: { includeDeleted: true } }))
+      .then(({ results }) => {
+        expect(results.length).toBe(1);
+        expect(results[0].deletedAt.__type).toBe('Date');
+        return restRequest('GET', '/classes/Note/' + note.id, { headers: masterHeaders, qs: { includeDeleted: true } });
+      })
+      .then(object => {
+        expect(object.text).toBe('hello');
+        return restRequest('GET', '/classes/Note', { qs: { includeDeleted: true } });
+      })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'includeDeleted requires the master key.' });
+        done();
+      });
+  });
+
+  it('does not delete or update deleted objects', done => {
+    note.destroy()
+      .then(() => restRequest('DELETE', '/classes/Note/' + note.id))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        return restRequest('PUT', '/classes/Note/' + note.id, { body: { text: 'bye' } });
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        done();
+      });
+  });
+
+  it('restores deleted objects', done => {
+    note.destroy()
+      .then(() => restRequest('POST', '/classes/Note/' + note.id + '/restore'))
+      .then(response => {
+        expect(response.updatedAt).toBeDefined();
+        return new Parse.Query('Note').get(note.id);
+      })
+      .then(restored => {
+        expect(restored.get('text')).toBe('hello');
+        expect(restored.get('deletedAt')).toBeUndefined();
+        // Restoring takes a deleted object
+        return restRequest('POST', '/classes/Note/' + note.id + '/restore');
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        return new Parse.Object('Plain').save();
+      })
+      .then(plain => restRequest('POST', '/classes/Plain/' + plain.id + '/restore'))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'Class Plain does not keep deleted objects.' });
+        done();
+      });
+  });
+
+  it('does not restore objects the user cannot delete', done => {
+    note.setACL(new Parse.ACL());
+    note.save(null, { useMasterKey: true })
+      .then(() => note.destroy({ useMasterKey: true }))
+      .then(() => restRequest('POST', '/classes/Note/' + note.id + '/restore'))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        done();
+      });
+  });
+
+  it('does not let clients set deletedAt', done => {
+    restRequest('PUT', '/classes/Note/' + note.id, { body: { deletedAt: { __type: 'Date', iso: new Date().toISOString() } } })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_KEY_NAME, error: 'deletedAt is only set by deleting objects.' });
+        done();
+      });
+  });
+
+  it('purges the objects deleted before a date', done => {
+    const database = new Config('test').database;
+    const other = new Parse.Object('Note', { text: 'other' });
+    other.save()
+      .then(() => note.destroy())
+      .then(() => database.purgeDeleted(new Date()))
+      .then(classNames => {
+        expect(classNames).toEqual(['Note']);
+        return restRequest('GET', '/classes/Note', { headers: masterHeaders, qs: { includeDeleted: true } });
+      })
+      .then(({ results }) => {
+        expect(results.map(result => result.text)).toEqual(['other']);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('validates the class options', done => {
+    restRequest('PUT', '/schemas/Note', { headers: masterHeaders, body: { classOptions: { archive: true } } })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'archive is not a valid class option' });
+        return restRequest('POST', '/schemas/Memo', { headers: masterHeaders, body: { classOptions: { softDelete: 'yes' } } });
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INVALID_JSON);
+        done();
+      });
+  });
+
+  it('validates the retention', done => {
+    reconfigureServer({ softDeleteRetention: -1 })
+      .catch(error => {
+        expect(error).toEqual('softDeleteRetention must be a number of seconds, 0 or greater.');
+        return reconfigureServer({ softDeletePurgeInterval: 'often' });
+      })
+      .catch(error => {
+        expect(error).toEqual('softDeletePurgeInterval must be a number of seconds, 0 or greater.');
+        done();
+      });
+  });
+});
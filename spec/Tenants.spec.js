@@ -0,0 +1,186 @@
+'use strict';
+const Config = require('../src/Config');
+
+const tenantHeaders = (tenantId) => ({
+  'X-Parse-Application-Id': 'test',
+  'X-Parse-REST-API-Key': 'rest',
+  'X-Parse-Tenant-Id': tenantId
+});
+
+const createTenant = (body) => restRequest('POST', '/tenants', { headers: masterHeaders, body });
+const deleteTenant = (tenantId) => restRequest('DELETE', '/tenants/' + tenantId, { headers: masterHeaders });
+
+describe('tenants', () => {
+  describe('when enabled', () => {
+    const tenantIds = [];
+
+    beforeEach(done => {
+      reconfigureServer({ enableTenants: true }).then(done, done.fail);
+    });
+
+    afterEach(done => {
+      Promise.all(tenantIds.splice(0).map(tenantId => deleteTenant(tenantId).catch(() => {})))
+        .then(() => done(), done.fail);
+    });
+
+    const provision = (body) => {
+      tenantIds.push(body.tenantId);
+      return createTenant(body);
+    };
+
+    it_exclude_dbs(['postgres'])('keeps the objects of tenants apart', done => {
+      provision({ tenantId: 'acme', appId: 'acme-app' })
+        .then(tenant => {
+          expect(tenant).toEqual({ tenantId: 'acme', appId: 'acme-app' });
+          return provision({ tenantId: 'globex' });
+        })
+        .then(() => restRequest('POST', '/classes/Note', { headers: tenantHeaders('acme'), body: { text: 'acme' } }))
+        .then(() => restRequest('POST', '/classes/Note', { headers: tenantHeaders('globex'), body: { text: 'globex' } }))
+        .then(() => new Parse.Query('Note').find())
+        .then(notes => {
+          expect(notes.length).toBe(0);
+          return restRequest('GET', '/classes/Note', { headers: tenantHeaders('acme') });
+        })
+        .then(({ results }) => {
+          expect(results.map(result => result.text)).toEqual(['acme']);
+          // The app id of the tenant goes to the same database
+          return restRequest('GET', '/classes/Note', { headers: { 'X-Parse-Application-Id': 'acme-app', 'X-Parse-REST-API-Key': 'rest' } });
+        })
+        .then(({ results }) => {
+          expect(results.map(result => result.text)).toEqual(['acme']);
+          return restRequest('GET', '/tenants', { headers: masterHeaders });
+        })
+        .then(({ results }) => {
+          expect(results.map(result => result.tenantId).sort()).toEqual(['acme', 'globex']);
+          done();
+        }).catch(done.fail);
+    });
+
+    it_exclude_dbs(['postgres'])('keeps the users and sessions of tenants apart', done => {
+      provision({ tenantId: 'acme' })
+        .then(() => restRequest('POST', '/users', { headers: tenantHeaders('acme'), body: { username: 'owner', password: 'password' } }))
+        .then(({ sessionToken }) => {
+          return restRequest('GET', '/users/me', { headers: Object.assign({ 'X-Parse-Session-Token': sessionToken }, tenantHeaders('acme')) })
+            .then(user => {
+              expect(user.username).toBe('owner');
+              return restRequest('GET', '/users/me', { headers: { 'X-Parse-Application-Id': 'test', 'X-Parse-Session-Token': sessionToken } });
+            });
+        })
+        .then(done.fail, error => {
+          expect(error.error.code).toBe(Parse.Error.INVALID_SESSION_TOKEN);
+          return Parse.User.logIn('owner', 'password');
+        })
+        .then(done.fail, error => {
+          expect(error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+          done();
+        });
+    });
+
+    it_exclude_dbs(['postgres'])('keeps the tables of tenants apart from the classes of the app', done => {
+      const appNote = new Parse.Object('acme_Note');
+      appNote.save({ text: 'app' })
+        .then(() => provision({ tenantId: 'acme' }))
+        .then(() => restRequest('POST', '/classes/Note', { headers: tenantHeaders('acme'), body: { text: 'acme' } }))
+        .then(() => new Parse.Query('acme_Note').find())
+        .then(notes => {
+          expect(notes.map(note => note.get('text'))).toEqual(['app']);
+          return restRequest('GET', '/classes/acme_Note', { headers: tenantHeaders('acme') });
+        })
+        .then(({ results }) => {
+          expect(results.length).toBe(0);
+          return deleteTenant('acme');
+        })
+        .then(() => new Parse.Query('acme_Note').find())
+        .then(notes => {
+          expect(notes.length).toBe(1);
+          done();
+        }).catch(done.fail);
+    });
+
+    it_exclude_dbs(['postgres'])('drops the data of deprovisioned tenants', done => {
+      provision({ tenantId: 'acme', appId: 'acme-app' })
+        .then(() => restRequest('POST', '/classes/Note', { headers: tenantHeaders('acme'), body: { text: 'acme' } }))
+        .then(() => deleteTenant('acme'))
+        .then(() => restRequest('GET', '/classes/Note', { headers: tenantHeaders('acme') }))
+        .then(done.fail, error => {
+          expect(error.statusCode).toBe(403);
+          return restRequest('GET', '/classes/Note', { headers: { 'X-Parse-Application-Id': 'acme-app', 'X-Parse-REST-API-Key': 'rest' } });
+        })
+        .then(done.fail, error => {
+          expect(error.statusCode).toBe(403);
+          return provision({ tenantId: 'acme' });
+        })
+        .then(() => restRequest('GET', '/classes/Note', { headers: tenantHeaders('acme') }))
+        .then(({ results }) => {
+          expect(results.length).toBe(0);
+          done();
+        }).catch(done.fail);
+    });
+
+    it('rejects unknown tenants', done => {
+      restRequest('GET', '/classes/Note', { headers: tenantHeaders('nobody') })
+        .then(done.fail, error => {
+          expect(error.statusCode).toBe(403);
+          return deleteTenant('nobody');
+        })
+        .then(done.fail, error => {
+          expect(error.error).toEqual({ code: Parse.Error.OBJECT_NOT_FOUND, error: 'Tenant not found.' });
+          done();
+        });
+    });
+
+    it_exclude_dbs(['postgres'])('looks unknown tenants up in the database once in a while', done => {
+      const tenantController = new Config('test').tenantController;
+      spyOn(tenantController, '_findTenants').and.callThrough();
+      restRequest('GET', '/classes/Note', { headers: tenantHeaders('initech') })
+        .then(done.fail, error => {
+          expect(error.statusCode).toBe(403);
+          return restRequest('GET', '/classes/Note', { headers: tenantHeaders('initech') });
+        })
+        .then(done.fail, error => {
+          expect(error.statusCode).toBe(403);
+          expect(tenantController._findTenants.calls.count()).toBe(1);
+          // Provisioning the tenant forgets that it was missing
+          return provision({ tenantId: 'initech' });
+        })
+        .then(() => restRequest('GET', '/classes/Note', { headers: tenantHeaders('initech') }))
+        .then(({ results }) => {
+          expect(results.length).toBe(0);
+          done();
+        }).catch(done.fail);
+    });
+
+    it_exclude_dbs(['postgres'])('validates new tenants', done => {
+      provision({ tenantId: 'acme-corp' })
+        .then(done.fail, error => {
+          expect(error.error).toEqual({ code: Parse.Error.INVALID_JSON, error: 'tenantId should be made of letters and digits.' });
+          return provision({ tenantId: 'acme', appId: 'test' });
+        })
+        .then(done.fail, error => {
+          expect(error.error).toEqual({ code: Parse.Error.DUPLICATE_VALUE, error: 'App id test is taken.' });
+          return provision({ tenantId: 'acme' });
+        })
+        .then(() => createTenant({ tenantId: 'acme' }))
+        .then(done.fail, error => {
+          expect(error.error).toEqual({ code: Parse.Error.DUPLICATE_VALUE, error: 'Tenant acme already exists.' });
+          return restRequest('POST', '/tenants', { body: { tenantId: 'initech' } });
+        })
+        .then(done.fail, error => {
+          expect(error.statusCode).toBe(403);
+          done();
+        });
+    });
+  });
+
+  it('are off unless enabled', done => {
+    createTenant({ tenantId: 'acme' })
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'Tenants are not enabled.' });
+        return restRequest('GET', '/classes/Note', { headers: tenantHeaders('acme') });
+      })
+      .then(done.fail, error => {
+        expect(error.statusCode).toBe(403);
+        done();
+      });
+  });
+});
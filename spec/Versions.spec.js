@@ -0,0 +1,134 @@
+'use strict';
+const Config = require('../src/Config');
+
+const listVersions = (object, qs = {}) => restRequest('GET', `/classes/Doc/${object.id}/versions`, { qs });
+const restoreVersion = (object, version) => restRequest('POST', `/classes/Doc/${object.id}/versions/${version}/restore`);
+
+describe('object versioning', () => {
+  let doc;
+
+  beforeEach(done => {
+    restRequest('POST', '/schemas/Doc', {
+      headers: masterHeaders,
+      body: { className: 'Doc', fields: { title: { type: 'String' } }, classOptions: { versioned: true } }
+    })
+      .then(() => {
+        doc = new Parse.Object('Doc', { title: 'first' });
+        return doc.save();
+      })
+      .then(() => doc.save({ title: 'second', tag: 'draft' }))
+      .then(() => doc.save({ title: 'third' }))
+      .then(() => done(), done.fail);
+  });
+
+  it('keeps the prior states of updated objects', done => {
+    listVersions(doc)
+      .then(({ results }) => {
+        expect(results.map(result => result.version)).toEqual([2, 1]);
+        expect(results[0].object.title).toBe('second');
+        expect(results[0].object.tag).toBe('draft');
+        expect(results[0].object.updatedAt).toBeUndefined();
+        expect(results[1].object.title).toBe('first');
+        expect(results[1].object.tag).toBeUndefined();
+        expect(results[1].createdAt).toBeDefined();
+        return listVersions(doc, { skip: 1, limit: 1 });
+      })
+      .then(({ results }) => {
+        expect(results.map(result => result.version)).toEqual([1]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rolls back to a version with the save triggers', done => {
+    const beforeSave = jasmine.createSpy('beforeSave').and.callFake((req, res) => res.success());
+    const afterSave = jasmine.createSpy('afterSave');
+    Parse.Cloud.beforeSave('Doc', beforeSave);
+    Parse.Cloud.afterSave('Doc', afterSave);
+    restoreVersion(doc, 1)
+      .then(response => {
+        expect(response.updatedAt).toBeDefined();
+        expect(beforeSave).toHaveBeenCalled();
+        expect(afterSave).toHaveBeenCalled();
+        return doc.fetch();
+      })
+      .then(() => {
+        expect(doc.get('title')).toBe('first');
+        expect(doc.has('tag')).toBe(false);
+        return listVersions(doc);
+      })
+      .then(({ results }) => {
+        // The rollback is a version of its own
+        expect(results[0].version).toBe(3);
+        expect(results[0].object.title).toBe('third');
+        done();
+      }).catch(done.fail);
+  });
+
+  it('takes the permissions of the object', done => {
+    const user = new Parse.User();
+    user.signUp({ username: 'reader', password: 'password' })
+      .then(() => {
+        const acl = new Parse.ACL();
+        acl.setReadAccess(user, true);
+        doc.setACL(acl);
+        return doc.save(null, { useMasterKey: true });
+      })
+      .then(() => Parse.User.logOut())
+      .then(() => listVersions(doc))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        return restRequest('POST', `/classes/Doc/${doc.id}/versions/1/restore`, {
+          headers: { 'X-Parse-Application-Id': 'test', 'X-Parse-Session-Token': user.getSessionToken() }
+        });
+      })
+      .then(done.fail, error => {
+        // Reading is not enough to roll back
+        expect(error.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        doc.setACL(new Parse.ACL({ '*': { read: true, write: true } }));
+        return doc.save(null, { useMasterKey: true });
+      })
+      .then(() => restRequest('PUT', '/schemas/Doc', { headers: masterHeaders, body: { classLevelPermissions: { update: {} } } }))
+      .then(() => restoreVersion(doc, 1))
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+        done();
+      });
+  });
+
+  it('stores each version of an object once', done => {
+    const database = new Config('test').database;
+    const before = { objectId: doc.id, title: 'third' };
+    const save = () => database.saveVersion('Doc', before).then(() => 'saved', error => error.code);
+    Promise.all([save(), save()])
+      .then(results => {
+        expect(results).toContain('saved');
+        expect(results).toContain(Parse.Error.DUPLICATE_VALUE);
+        return listVersions(doc);
+      })
+      .then(({ results }) => {
+        expect(results.map(result => result.version)).toEqual([3, 2, 1]);
+        done();
+      }).catch(done.fail);
+  });
+
+  it('rejects unknown versions and classes without versions', done => {
+    restoreVersion(doc, 9)
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OBJECT_NOT_FOUND, error: 'Version not found.' });
+        return restoreVersion(doc, 'latest');
+      })
+      .then(done.fail, error => {
+        expect(error.error.code).toBe(Parse.Error.INVALID_QUERY);
+        return new Parse.Object('Plain').save();
+      })
+      .then(plain => restRequest('GET', `/classes/Plain/${plain.id}/versions`))
+      .then(done.fail, error => {
+        expect(error.error).toEqual({ code: Parse.Error.OPERATION_FORBIDDEN, error: 'Class Plain does not keep versions.' });
+        return new Parse.Query('_Version').find();
+      })
+      .then(done.fail, error => {
+        expect(error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+        done();
+      });
+  });
+});
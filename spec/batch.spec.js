@@ -1,4 +1,5 @@
 var batch = require('../src/batch');
+const rp = require('request-promise');
 
 const originalURL = '/parse/batch';
 const serverURL = 'http://localhost:1234/parse';
@@ -42,3 +43,175 @@ describe('batch', () => {
     expect(internalURL).toEqual('/classes/Object');
   });
 });
+
+describe('batch transactions', () => {
+  it('reports failures rejected as strings', (done) => {
+    let handleBatch;
+    const router = {
+      route: (method, path, handler) => { handleBatch = handler; },
+      tryRouteRequest: () => Promise.reject('Attempted to add a field that already exists')
+    };
+    batch.mountOnto(router);
+    const database = { adapter: { transaction() {} }, runInTransaction: (callback) => callback(database) };
+    handleBatch({
+      originalUrl: '/1/batch',
+      config: { database },
+      body: { transaction: true, requests: [{ method: 'POST', path: '/1/classes/Object', body: {} }] }
+    }).then(({ status, response }) => {
+      expect(status).toBe(500);
+      expect(response).toEqual({ code: Parse.Error.INTERNAL_SERVER_ERROR, error: 'Attempted to add a field that already exists', index: 0 });
+      done();
+    }, done.fail);
+  });
+
+  const headers = {
+    'X-Parse-Application-Id': 'test',
+    'X-Parse-REST-API-Key': 'rest'
+  };
+
+  const postBatch = (requests) => {
+    return rp.post({
+      url: 'http://localhost:8378/1/batch',
+      headers,
+      json: { requests, transaction: true }
+    });
+  };
+
+  const countObjects = () => {
+    return new Parse.Query('TransactionObject').count();
+  };
+
+  on_db('mongo', () => {
+    it('rejects transactions when the adapter does not support them', (done) => {
+      postBatch([{ method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value' } }])
+        .then(done.fail, (response) => {
+          expect(response.error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+          done();
+        });
+    });
+  }, () => {
+    beforeEach((done) => {
+      // MySQL cannot change the schema in a transaction
+      const schema = new Parse.Schema('TransactionObject');
+      schema.addString('key');
+      schema.save().then(() => done(), done.fail);
+    });
+
+    it('applies all the sub-requests', (done) => {
+      postBatch([
+        { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value1' } },
+        { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value2' } }
+      ]).then((response) => {
+        expect(response.length).toBe(2);
+        expect(response[0].success.objectId).toBeDefined();
+        expect(response[1].success.objectId).toBeDefined();
+        return countObjects();
+      }).then((count) => {
+        expect(count).toBe(2);
+        done();
+      }, done.fail);
+    });
+
+    it('rolls back all the sub-requests when one fails', (done) => {
+      const object = new Parse.Object('TransactionObject');
+      object.save({ key: 'value' }).then(() => {
+        return postBatch([
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value1' } },
+          { method: 'PUT', path: `/1/classes/TransactionObject/${object.id}`, body: { key: 'value2' } },
+          { method: 'PUT', path: '/1/classes/TransactionObject/doesnotexist', body: { key: 'value3' } }
+        ]);
+      }).then(done.fail, (response) => {
+        expect(response.statusCode).toBe(400);
+        expect(response.error.code).toBe(Parse.Error.OBJECT_NOT_FOUND);
+        expect(response.error.index).toBe(2);
+        return countObjects();
+      }).then((count) => {
+        expect(count).toBe(1);
+        return object.fetch();
+      }).then((object) => {
+        expect(object.get('key')).toBe('value');
+        done();
+      }, done.fail);
+    });
+
+    it('rolls back all the sub-requests when a trigger fails', (done) => {
+      const afterSaves = [];
+      const object = new Parse.Object('TransactionObject');
+      object.save({ key: 'value' }).then(() => {
+        Parse.Cloud.beforeSave('TransactionObject', (req, res) => {
+          if (req.object.get('key') === 'invalid') {
+            return res.error('invalid key');
+          }
+          res.success();
+        });
+        Parse.Cloud.afterSave('TransactionObject', (req) => {
+          afterSaves.push(req.object.get('key'));
+        });
+        return postBatch([
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value1' } },
+          { method: 'PUT', path: `/1/classes/TransactionObject/${object.id}`, body: { key: 'value2' } },
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'invalid' } }
+        ]);
+      }).then(done.fail, (response) => {
+        expect(response.error.code).toBe(Parse.Error.SCRIPT_FAILED);
+        expect(response.error.error).toBe('invalid key');
+        expect(response.error.index).toBe(2);
+        expect(afterSaves).toEqual([]);
+        return countObjects();
+      }).then((count) => {
+        expect(count).toBe(1);
+        return object.fetch();
+      }).then((object) => {
+        expect(object.get('key')).toBe('value');
+        done();
+      }, done.fail);
+    });
+
+    it('runs the after triggers once the transaction is committed', (done) => {
+      const afterSaves = [];
+      const afterDeletes = [];
+      const object = new Parse.Object('TransactionObject');
+      object.save({ key: 'value' }).then(() => {
+        Parse.Cloud.afterSave('TransactionObject', (req) => {
+          // The writes of the whole batch are visible outside the transaction
+          return countObjects().then((count) => {
+            afterSaves.push({ key: req.object.get('key'), count });
+          });
+        });
+        Parse.Cloud.afterDelete('TransactionObject', (req) => {
+          afterDeletes.push(req.object.id);
+        });
+        return postBatch([
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value1' } },
+          { method: 'DELETE', path: `/1/classes/TransactionObject/${object.id}` },
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value2' } }
+        ]);
+      }).then((response) => {
+        expect(response.length).toBe(3);
+        expect(afterSaves).toEqual([{ key: 'value1', count: 2 }, { key: 'value2', count: 2 }]);
+        expect(afterDeletes).toEqual([object.id]);
+        done();
+      }, done.fail);
+    });
+
+    on_db('mysql', () => {
+      it('rejects sub-requests that change the schema', (done) => {
+        postBatch([
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value' } },
+          { method: 'POST', path: '/1/classes/TransactionObject', body: { key: 'value', other: 'value' } },
+        ]).then(done.fail, (response) => {
+          expect(response.error.code).toBe(Parse.Error.OPERATION_FORBIDDEN);
+          expect(response.error.error).toBe('Field other does not exist and cannot be added in a transaction.');
+          expect(response.error.index).toBe(1);
+          return postBatch([{ method: 'POST', path: '/1/classes/OtherObject', body: { key: 'value' } }]);
+        }).then(done.fail, (response) => {
+          expect(response.error.error).toBe('Class OtherObject does not exist and cannot be created in a transaction.');
+          return countObjects();
+        }).then((count) => {
+          expect(count).toBe(0);
+          done();
+        }, done.fail);
+      });
+    });
+  });
+});
@@ -34,6 +34,7 @@ const FSAdapter = require('parse-server-fs-adapter');
 const PostgresStorageAdapter = require('../src/Adapters/Storage/Postgres/PostgresStorageAdapter');
 const MySQLStorageAdapter = require('../src/Adapters/Storage/MySQL/MySQLStorageAdapter');
 const RedisCacheAdapter = require('../src/Adapters/Cache/RedisCacheAdapter').default;
+const rp = require('request-promise');
 
 const mongoURI = 'mongodb://localhost:27017/parseServerMongoAdapterTestDatabase';
 const postgresURI = 'postgres://localhost:5432/parse_server_postgres_adapter_test_database';
@@ -354,6 +355,27 @@ function range(n) {
   return answer;
 }
 
+// Headers of REST API requests with the master key
+const masterHeaders = {
+  'X-Parse-Application-Id': 'test',
+  'X-Parse-Master-Key': 'test'
+};
+
+// Sends a JSON request to the REST API with the REST API key, options.headers
+// going on top of it
+function restRequest(method, path, options = {}) {
+  return rp(Object.assign({
+    method,
+    uri: Parse.serverURL + path,
+    json: true
+  }, options, {
+    headers: Object.assign({
+      'X-Parse-Application-Id': 'test',
+      'X-Parse-REST-API-Key': 'rest'
+    }, options.headers)
+  }));
+}
+
 function mockFacebookAuthenticator(id, token) {
   var facebook = {};
   facebook.validateAuthData = function(authData) {
@@ -413,6 +435,8 @@ global.expectError = expectError;
 global.arrayContains = arrayContains;
 global.jequal = jequal;
 global.range = range;
+global.masterHeaders = masterHeaders;
+global.restRequest = restRequest;
 global.reconfigureServer = reconfigureServer;
 global.defaultConfiguration = defaultConfiguration;
 global.mockFacebookAuthenticator = mockFacebookAuthenticator;
@@ -0,0 +1,30 @@
+/*eslint no-unused-vars: "off"*/
+// Audit Adapter
+//
+// Allows you to keep the audit trail somewhere else than the _Audit class
+//
+// Adapter classes must implement the following functions:
+// * log(entry)
+// * find(where, options)
+// Without an adapter, the entries are objects of the _Audit class.
+export class AuditAdapter {
+
+  /*
+  @param entry: the change to an object, with the fields of the _Audit class
+  @return a promise that resolves when the entry is recorded
+   */
+  log(entry) {
+    return Promise.resolve();
+  }
+
+  /*
+  @param where: the constraints of the query, in REST format
+  @param options: skip, limit, order and count, like class queries take them
+  @return a promise for a {results, count} object
+   */
+  find(where, options) {
+    return Promise.resolve({ results: [] });
+  }
+}
+
+export default AuditAdapter;
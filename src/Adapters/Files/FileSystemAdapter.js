@@ -0,0 +1,35 @@
+/**
+ FileSystemAdapter
+ The FileSystemAdapter of parse-server-fs-adapter, which stores files in the
+ files directory of the working directory, or in its filesSubDirectory. Adds
+ the streams Range requests are served from.
+
+ @flow weak
+ */
+
+import fs                    from 'fs';
+import BaseFileSystemAdapter from 'parse-server-fs-adapter';
+
+export class FileSystemAdapter extends BaseFileSystemAdapter {
+
+  // Resolves with the length of the file and a function giving a stream of
+  // the bytes from start to end, inclusive
+  getFileStream(filename: string) {
+    return Promise.resolve().then(() => {
+      const filePath = this._getLocalFilePath(filename);
+      return new Promise((resolve, reject) => {
+        fs.stat(filePath, (error, stats) => error ? reject(error) : resolve(stats));
+      }).then(stats => {
+        if (!stats.isFile()) {
+          throw new Error(`${filename} is not a file`);
+        }
+        return {
+          length: stats.size,
+          createReadStream: (start, end) => fs.createReadStream(filePath, { start, end }),
+        };
+      });
+    });
+  }
+}
+
+export default FileSystemAdapter;
@@ -0,0 +1,224 @@
+/**
+ MySQLFilesAdapter
+ Stores files in MySQL, split in chunks of chunkSize bytes kept in the
+ _FileChunks table, with their length and content type in the _Files table
+
+ @flow weak
+ */
+
+import { Readable }                from 'stream';
+import { FilesAdapter }            from './FilesAdapter';
+import {
+  createClient,
+  releaseConnection,
+} from '../Storage/MySQL/MySQLClient';
+
+const parser = require('../Storage/MySQL/MySQLConfigParser');
+
+// Below the 1MB max_allowed_packet of older servers once escaped
+const defaultChunkSize = 255 * 1024;
+
+// Reads of all the chunks of a file see the same version of it
+const consistentSnapshot = 'START TRANSACTION WITH CONSISTENT SNAPSHOT';
+
+const createTables = [
+  `CREATE TABLE IF NOT EXISTS \`_Files\` (
+    \`filename\` VARCHAR(191) NOT NULL PRIMARY KEY,
+    \`contentType\` VARCHAR(255) NULL,
+    \`length\` BIGINT NOT NULL,
+    \`chunkSize\` INT NOT NULL,
+    \`createdAt\` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+  )`,
+  `CREATE TABLE IF NOT EXISTS \`_FileChunks\` (
+    \`filename\` VARCHAR(191) NOT NULL,
+    \`n\` INT NOT NULL,
+    \`data\` MEDIUMBLOB NOT NULL,
+    PRIMARY KEY (\`filename\`, \`n\`)
+  )`,
+];
+
+export class MySQLFilesAdapter extends FilesAdapter {
+  _databaseOptions: Object;
+  _chunkSize: number;
+  _connectionPromise: Promise<Object>;
+
+  constructor(databaseURI: string, { chunkSize = defaultChunkSize } = {}) {
+    super();
+    this._databaseOptions = parser.getDatabaseOptionsFromURI(databaseURI);
+    this._chunkSize = chunkSize;
+  }
+
+  _connect() {
+    if (!this._connectionPromise) {
+      const client = createClient(this._databaseOptions);
+      this._connectionPromise = createTables.reduce((promise, qs) => {
+        return promise.then(() => client.query(qs));
+      }, Promise.resolve()).then(() => client, (error) => {
+        delete this._connectionPromise;
+        client.end().catch(() => {});
+        throw error;
+      });
+    }
+    return this._connectionPromise;
+  }
+
+  _getFile(client, filename: string) {
+    return client.query('SELECT `length`, `chunkSize`, `contentType` FROM `_Files` WHERE `filename` = ?', [filename])
+      .then(([rows]) => {
+        if (rows.length === 0) {
+          throw new Error(`${filename} does not exist`);
+        }
+        return rows[0];
+      });
+  }
+
+  // Resolves with a transaction started by statement on a connection of its
+  // own: its query function, and finish, which commits it, or rolls it back
+  // when given an error, and gives the connection back to the pool
+  _begin(statement: string) {
+    return this._connect().then(client => client.getConnection()).then(connection => {
+      const query = (qs, values) => connection.query(qs, values);
+      const finish = (error) => {
+        return query(error ? 'ROLLBACK' : 'COMMIT').then(() => {
+          releaseConnection(connection, error);
+        }, (finishError) => {
+          releaseConnection(connection, finishError);
+          if (!error) {
+            throw finishError;
+          }
+        });
+      };
+      return query(statement).then(() => ({ query, finish }), (error) => {
+        releaseConnection(connection, error);
+        throw error;
+      });
+    });
+  }
+
+  // Runs callback with the query function of a transaction, committed once
+  // the promise it returns resolves and rolled back when it rejects
+  _transaction(callback, statement = 'START TRANSACTION') {
+    return this._begin(statement).then(({ query, finish }) => {
+      return Promise.resolve().then(() => callback(query)).then((result) => {
+        return finish().then(() => result);
+      }, (error) => {
+        return finish(error).then(() => {
+          throw error;
+        });
+      });
+    });
+  }
+
+  // Overwrites the file when it exists, all chunks are written in a single
+  // transaction so that reads never see a partial file
+  createFile(filename: string, data, contentType) {
+    const length = data.length;
+    const chunkSize = this._chunkSize;
+    const chunks = [];
+    for (let start = 0; start < length; start += chunkSize) {
+      chunks.push(data.slice(start, start + chunkSize));
+    }
+    return this._transaction(query => {
+      return query('DELETE FROM `_FileChunks` WHERE `filename` = ?', [filename])
+        .then(() => query('REPLACE INTO `_Files` (`filename`, `contentType`, `length`, `chunkSize`) VALUES (?, ?, ?, ?)', [filename, contentType || null, length, chunkSize]))
+        .then(() => chunks.reduce((promise, chunk, n) => {
+          return promise.then(() => query('INSERT INTO `_FileChunks` (`filename`, `n`, `data`) VALUES (?, ?, ?)', [filename, n, chunk]));
+        }, Promise.resolve()));
+    }).then(() => {});
+  }
+
+  deleteFile(filename: string) {
+    return this._transaction(query => {
+      return query('DELETE FROM `_Files` WHERE `filename` = ?', [filename]).then(([result]) => {
+        if (result.affectedRows === 0) {
+          throw new Error(`${filename} does not exist`);
+        }
+        return query('DELETE FROM `_FileChunks` WHERE `filename` = ?', [filename]);
+      });
+    });
+  }
+
+  getFileData(filename: string) {
+    return this._transaction(query => {
+      return this._getFile({ query }, filename).then(() => {
+        return query('SELECT `data` FROM `_FileChunks` WHERE `filename` = ? ORDER BY `n`', [filename]);
+      });
+    }, consistentSnapshot).then(([rows]) => Buffer.concat(rows.map(row => row.data)));
+  }
+
+  getFileLocation(config, filename) {
+    return (config.mount + '/files/' + config.applicationId + '/' + encodeURIComponent(filename));
+  }
+
+  // Resolves with the length of the file and a function giving a stream of
+  // the bytes from start to end, inclusive. Chunks are read one at a time,
+  // as the stream is consumed, in a snapshot the stream holds a connection
+  // for until it ends or is destroyed. A file overwritten with another
+  // length or chunk size since fails the stream.
+  getFileStream(filename: string) {
+    return this._connect().then(client => {
+      return this._getFile(client, filename).then(file => {
+        const length = Number(file.length);
+        const chunkSize = file.chunkSize;
+        const createReadStream = (start = 0, end = length - 1) => {
+          let n = Math.floor(start / chunkSize);
+          const lastChunk = Math.floor(end / chunkSize);
+          let snapshot;
+          let checked;
+          let finished;
+          const finish = (error) => {
+            if (!finished) {
+              finished = snapshot ? snapshot.then(transaction => transaction.finish(error), () => {}) : Promise.resolve();
+            }
+            return finished;
+          };
+          const stream = new Readable({
+            read: () => {
+              if (!snapshot) {
+                snapshot = this._begin(consistentSnapshot);
+                checked = snapshot.then(transaction => this._getFile(transaction, filename)).then(current => {
+                  if (Number(current.length) !== length || current.chunkSize !== chunkSize) {
+                    throw new Error(`${filename} was overwritten while read`);
+                  }
+                });
+              }
+              checked.then(() => snapshot).then(({ query }) => {
+                if (finished) {
+                  return;
+                }
+                if (n > lastChunk) {
+                  return finish().then(() => stream.push(null));
+                }
+                const offset = n * chunkSize;
+                return query('SELECT `data` FROM `_FileChunks` WHERE `filename` = ? AND `n` = ?', [filename, n++])
+                  .then(([rows]) => {
+                    if (rows.length === 0) {
+                      throw new Error(`${filename} is missing chunks`);
+                    }
+                    const data = rows[0].data;
+                    stream.push(data.slice(Math.max(start - offset, 0), end - offset + 1));
+                  });
+              }).catch(error => stream.destroy(error));
+            },
+            destroy: (error, callback) => {
+              finish(error || undefined).then(() => callback(error));
+            }
+          });
+          return stream;
+        };
+        return { length, contentType: file.contentType, createReadStream };
+      });
+    });
+  }
+
+  handleShutdown() {
+    if (!this._connectionPromise) {
+      return Promise.resolve();
+    }
+    const connectionPromise = this._connectionPromise;
+    delete this._connectionPromise;
+    return connectionPromise.then(client => client.end(), () => {});
+  }
+}
+
+export default MySQLFilesAdapter;
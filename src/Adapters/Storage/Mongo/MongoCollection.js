@@ -13,13 +13,13 @@ export default class MongoCollection {
   // none, then build the geoindex.
   // This could be improved a lot but it's not clear if that's a good
   // idea. Or even if this behavior is a good idea.
-  find(query, { skip, limit, sort, keys, maxTimeMS, readPreference } = {}) {
+  find(query, { skip, limit, sort, keys, maxTimeMS, readPreference, explain } = {}) {
     // Support for Full Text Search - $text
     if(keys && keys.$score) {
       delete keys.$score;
       keys.score = {$meta: 'textScore'};
     }
-    return this._rawFind(query, { skip, limit, sort, keys, maxTimeMS, readPreference })
+    return this._rawFind(query, { skip, limit, sort, keys, maxTimeMS, readPreference, explain })
       .catch(error => {
         // Check for "no geoindex" error
         if (error.code != 17007 && !error.message.match(/unable to find index for .geoNear/)) {
@@ -35,11 +35,12 @@ export default class MongoCollection {
         index[key] = '2d';
         return this._mongoCollection.createIndex(index)
           // Retry, but just once.
-          .then(() => this._rawFind(query, { skip, limit, sort, keys, maxTimeMS, readPreference }));
+          .then(() => this._rawFind(query, { skip, limit, sort, keys, maxTimeMS, readPreference, explain }));
       });
   }
 
-  _rawFind(query, { skip, limit, sort, keys, maxTimeMS, readPreference } = {}) {
+  // explain resolves with the plan of the query instead of the documents
+  _rawFind(query, { skip, limit, sort, keys, maxTimeMS, readPreference, explain } = {}) {
     let findOperation = this._mongoCollection
       .find(query, { skip, limit, sort, readPreference })
 
@@ -51,6 +52,9 @@ export default class MongoCollection {
       findOperation = findOperation.maxTimeMS(maxTimeMS);
     }
 
+    if (explain) {
+      return findOperation.explain();
+    }
     return findOperation.toArray();
   }
 
@@ -60,10 +64,23 @@ export default class MongoCollection {
     return countOperation;
   }
 
+  distinct(field, query, { maxTimeMS, readPreference } = {}) {
+    return this._mongoCollection.distinct(field, query, { maxTimeMS, readPreference });
+  }
+
+  // explain resolves with the plan of the pipeline instead of the documents
+  aggregate(pipeline, { maxTimeMS, readPreference, explain } = {}) {
+    return this._mongoCollection.aggregate(pipeline, { maxTimeMS, readPreference, explain }).toArray();
+  }
+
   insertOne(object) {
     return this._mongoCollection.insertOne(object);
   }
 
+  insertMany(objects) {
+    return this._mongoCollection.insertMany(objects);
+  }
+
   // Atomically updates data in the database for a single (first) object that matched the query
   // If there is nothing that matches the query - does insert
   // Postgres Note: `INSERT ... ON CONFLICT UPDATE` that is available since 9.5.
@@ -23,6 +23,7 @@ function mongoFieldToParseSchemaField(type) {
   case 'object':   return {type: 'Object'};
   case 'array':    return {type: 'Array'};
   case 'geopoint': return {type: 'GeoPoint'};
+  case 'polygon':  return {type: 'Polygon'};
   case 'file':     return {type: 'File'};
   case 'bytes':    return {type: 'Bytes'};
   }
@@ -65,11 +66,18 @@ function mongoSchemaToParseSchema(mongoSchema) {
   if (mongoSchema._metadata && mongoSchema._metadata.class_permissions) {
     clps = {...emptyCLPS, ...mongoSchema._metadata.class_permissions};
   }
-  return {
+  const schema = {
     className: mongoSchema._id,
     fields: mongoSchemaFieldsToParseSchemaFields(mongoSchema),
     classLevelPermissions: clps,
   };
+  if (mongoSchema._metadata && mongoSchema._metadata.class_options) {
+    schema.classOptions = mongoSchema._metadata.class_options;
+    if (typeof schema.classOptions.computedFields === 'string') {
+      schema.classOptions = Object.assign({}, schema.classOptions, { computedFields: JSON.parse(schema.classOptions.computedFields) });
+    }
+  }
+  return schema;
 }
 
 function _mongoSchemaQueryFromNameQuery(name: string, query) {
@@ -96,6 +104,7 @@ function parseFieldTypeToMongoFieldType({ type, targetClass }) {
   case 'Object':   return 'object';
   case 'Array':    return 'array';
   case 'GeoPoint': return 'geopoint';
+  case 'Polygon':  return 'polygon';
   case 'File':     return 'file';
   case 'Bytes':    return 'bytes';
   }
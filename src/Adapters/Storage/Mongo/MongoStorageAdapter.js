@@ -14,6 +14,10 @@ import {
 import Parse                 from 'parse/node';
 import _                     from 'lodash';
 import defaults              from '../../../defaults';
+import {
+  timeQuery,
+  withoutValues,
+} from '../SlowQueryLogger';
 
 const mongodb = require('mongodb');
 const MongoClient = mongodb.MongoClient;
@@ -21,6 +25,9 @@ const ReadPreference = mongodb.ReadPreference;
 
 const MongoSchemaCollectionName = '_SCHEMA';
 
+// Collections named after the classes of a tenant, behind its 'tenantId:'
+const tenantCollectionPattern = /^[A-Za-z0-9]+:/;
+
 const storageAdapterAllCollections = mongoAdapter => {
   return mongoAdapter.connect()
     .then(() => mongoAdapter.database.collections())
@@ -31,7 +38,11 @@ const storageAdapterAllCollections = mongoAdapter => {
         }
         // TODO: If you have one app with a collection prefix that happens to be a prefix of another
         // apps prefix, this will go very very badly. We should fix that somehow.
-        return (collection.collectionName.indexOf(mongoAdapter._collectionPrefix) == 0);
+        if (collection.collectionName.indexOf(mongoAdapter._collectionPrefix) != 0) {
+          return false;
+        }
+        // The collections of tenants are behind a prefix of their own, see TenantController
+        return !tenantCollectionPattern.test(collection.collectionName.slice(mongoAdapter._collectionPrefix.length));
       });
     });
 }
@@ -51,6 +62,28 @@ const convertParseSchemaToMongoSchema = ({...schema}) => {
   return schema;
 }
 
+// A computed field expression with its field references in Mongo format
+const mongoComputedExpression = (className, expression, schema) => {
+  if (typeof expression === 'string' && expression[0] === '$') {
+    return `$${transformKey(className, expression.slice(1), schema)}`;
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(operand => mongoComputedExpression(className, operand, schema));
+  }
+  if (expression && typeof expression === 'object') {
+    return _.mapValues(expression, operands => mongoComputedExpression(className, operands, schema));
+  }
+  return expression;
+}
+
+// Whether a constraint of a query is on a computed field
+const isComputedConstraint = (computedFields, key, constraint) => {
+  if (['$or', '$and', '$nor'].indexOf(key) >= 0) {
+    return constraint.some(subquery => Object.keys(subquery).some(subkey => isComputedConstraint(computedFields, subkey, subquery[subkey])));
+  }
+  return computedFields[key] !== undefined;
+}
+
 // Returns { code, error } if invalid, or { result }, an object
 // suitable for inserting into _SCHEMA collection, otherwise.
 const mongoSchemaFromFieldsAndClassNameAndCLP = (fields, className, classLevelPermissions) => {
@@ -137,6 +170,28 @@ export class MongoStorageAdapter {
     this.database.close(false);
   }
 
+  // Queries taking longer than threshold ms are logged, undefined turns it off
+  setSlowQueryThreshold(threshold) {
+    this._slowQueryThreshold = threshold;
+  }
+
+  // Runs a query for the adapter method caller, timed against the
+  // slowQueryThreshold. Slow ones are logged with the shape of their Mongo
+  // filter, the values are left out as they can hold passwords and tokens.
+  _timeQuery(caller, className, query, run) {
+    return timeQuery(this._slowQueryThreshold, { caller, className, query: () => withoutValues(query) }, run);
+  }
+
+  // A copy of the adapter with its own set of collections behind prefix. It
+  // goes through the connection of this adapter, which keeps closing it.
+  withCollectionPrefix(prefix) {
+    const adapter = Object.create(this);
+    adapter._collectionPrefix = this._collectionPrefix + prefix;
+    adapter.connect = () => this.connect();
+    adapter.handleShutdown = () => {};
+    return adapter;
+  }
+
   _adaptiveCollection(name: string) {
     return this.connect()
       .then(() => this.database.collection(this._collectionPrefix + name))
@@ -160,7 +215,18 @@ export class MongoStorageAdapter {
   setClassLevelPermissions(className, CLPs) {
     return this._schemaCollection()
       .then(schemaCollection => schemaCollection.updateSchema(className, {
-        $set: { _metadata: { class_permissions: CLPs } }
+        $set: { '_metadata.class_permissions': CLPs }
+      }));
+  }
+
+  setClassOptions(className, classOptions) {
+    // The operators of computed fields are not valid key names in Mongo
+    if (classOptions.computedFields) {
+      classOptions = Object.assign({}, classOptions, { computedFields: JSON.stringify(classOptions.computedFields) });
+    }
+    return this._schemaCollection()
+      .then(schemaCollection => schemaCollection.updateSchema(className, {
+        $set: { '_metadata.class_options': classOptions }
       }));
   }
 
@@ -274,7 +340,22 @@ export class MongoStorageAdapter {
     schema = convertParseSchemaToMongoSchema(schema);
     const mongoObject = parseObjectToMongoObjectForCreate(className, object, schema);
     return this._adaptiveCollection(className)
-      .then(collection => collection.insertOne(mongoObject))
+      .then(collection => this._timeQuery('createObject', className, mongoObject, () => collection.insertOne(mongoObject)))
+      .catch(error => {
+        if (error.code === 11000) { // Duplicate value
+          throw new Parse.Error(Parse.Error.DUPLICATE_VALUE,
+            'A duplicate value for a field with unique values was provided');
+        }
+        throw error;
+      });
+  }
+
+  // Inserts several objects with a single insertMany
+  createObjects(className, schema, objects) {
+    schema = convertParseSchemaToMongoSchema(schema);
+    const mongoObjects = objects.map(object => parseObjectToMongoObjectForCreate(className, object, schema));
+    return this._adaptiveCollection(className)
+      .then(collection => this._timeQuery('createObjects', className, mongoObjects, () => collection.insertMany(mongoObjects)))
       .catch(error => {
         if (error.code === 11000) { // Duplicate value
           throw new Parse.Error(Parse.Error.DUPLICATE_VALUE,
@@ -292,7 +373,7 @@ export class MongoStorageAdapter {
     return this._adaptiveCollection(className)
       .then(collection => {
         const mongoWhere = transformWhere(className, query, schema);
-        return collection.deleteMany(mongoWhere)
+        return this._timeQuery('deleteObjectsByQuery', className, mongoWhere, () => collection.deleteMany(mongoWhere));
       })
       .then(({ result }) => {
         if (result.n === 0) {
@@ -310,7 +391,7 @@ export class MongoStorageAdapter {
     const mongoUpdate = transformUpdate(className, update, schema);
     const mongoWhere = transformWhere(className, query, schema);
     return this._adaptiveCollection(className)
-      .then(collection => collection.updateMany(mongoWhere, mongoUpdate));
+      .then(collection => this._timeQuery('updateObjectsByQuery', className, mongoWhere, () => collection.updateMany(mongoWhere, mongoUpdate)));
   }
 
   // Atomically finds and updates an object based on query.
@@ -320,7 +401,7 @@ export class MongoStorageAdapter {
     const mongoUpdate = transformUpdate(className, update, schema);
     const mongoWhere = transformWhere(className, query, schema);
     return this._adaptiveCollection(className)
-      .then(collection => collection._mongoCollection.findAndModify(mongoWhere, [], mongoUpdate, { new: true }))
+      .then(collection => this._timeQuery('findOneAndUpdate', className, mongoWhere, () => collection._mongoCollection.findAndModify(mongoWhere, [], mongoUpdate, { new: true })))
       .then(result => mongoObjectToParseObject(className, result.value, schema));
   }
 
@@ -330,11 +411,14 @@ export class MongoStorageAdapter {
     const mongoUpdate = transformUpdate(className, update, schema);
     const mongoWhere = transformWhere(className, query, schema);
     return this._adaptiveCollection(className)
-      .then(collection => collection.upsertOne(mongoWhere, mongoUpdate));
+      .then(collection => this._timeQuery('upsertOneObject', className, mongoWhere, () => collection.upsertOne(mongoWhere, mongoUpdate)));
   }
 
   // Executes a find. Accepts: className, query in Parse format, and { skip, limit, sort }.
-  find(className, schema, query, { skip, limit, sort, keys, readPreference }) {
+  find(className, schema, query, { skip, limit, sort, keys, readPreference, explain }) {
+    if (schema.computedFields) {
+      return this._findComputed(className, schema, query, { skip, limit, sort, keys, readPreference, explain });
+    }
     schema = convertParseSchemaToMongoSchema(schema);
     const mongoWhere = transformWhere(className, query, schema);
     const mongoSort = _.mapKeys(sort, (value, fieldName) => transformKey(className, fieldName, schema));
@@ -344,15 +428,137 @@ export class MongoStorageAdapter {
     }, {});
     readPreference = this._parseReadPreference(readPreference);
     return this._adaptiveCollection(className)
-      .then(collection => collection.find(mongoWhere, {
+      .then(collection => this._timeQuery('find', className, mongoWhere, () => collection.find(mongoWhere, {
         skip,
         limit,
         sort: mongoSort,
         keys: mongoKeys,
         maxTimeMS: this._maxTimeMS,
         readPreference,
-      }))
-      .then(objects => objects.map(object => mongoObjectToParseObject(className, object, schema)))
+        explain,
+      })))
+      .then(objects => explain ? objects : objects.map(object => mongoObjectToParseObject(className, object, schema)))
+  }
+
+  // The stages that add the computed fields of the schema to the objects
+  // matching the query. The constraints on stored fields go first, so that
+  // they can use indexes.
+  _computedFieldsPipeline(className, schema, query) {
+    const storedQuery = {};
+    const computedQuery = {};
+    Object.keys(query).forEach(key => {
+      const isComputed = isComputedConstraint(schema.computedFields, key, query[key]);
+      (isComputed ? computedQuery : storedQuery)[key] = query[key];
+    });
+    const pipeline = [
+      { $match: transformWhere(className, storedQuery, schema) },
+      { $addFields: _.mapValues(schema.computedFields, expression => mongoComputedExpression(className, expression, schema)) },
+    ];
+    if (Object.keys(computedQuery).length > 0) {
+      pipeline.push({ $match: transformWhere(className, computedQuery, schema) });
+    }
+    return pipeline;
+  }
+
+  // A find through the aggregation framework, for the computed fields
+  _findComputed(className, schema, query, { skip, limit, sort, keys, readPreference, explain }) {
+    schema = convertParseSchemaToMongoSchema(schema);
+    const pipeline = this._computedFieldsPipeline(className, schema, query);
+    if (sort && Object.keys(sort).length > 0) {
+      pipeline.push({ $sort: _.mapKeys(sort, (value, fieldName) => transformKey(className, fieldName, schema)) });
+    }
+    if (skip) {
+      pipeline.push({ $skip: skip });
+    }
+    if (limit !== undefined) {
+      pipeline.push({ $limit: limit });
+    }
+    if (keys && keys.length > 0) {
+      pipeline.push({ $project: _.reduce(keys, (memo, key) => {
+        memo[transformKey(className, key, schema)] = 1;
+        return memo;
+      }, {}) });
+    }
+    readPreference = this._parseReadPreference(readPreference);
+    return this._adaptiveCollection(className)
+      .then(collection => this._timeQuery('find', className, pipeline, () => collection.aggregate(pipeline, {
+        maxTimeMS: this._maxTimeMS,
+        readPreference,
+        explain,
+      })))
+      .then(objects => explain ? objects[0] : objects.map(object => mongoObjectToParseObject(className, object, schema)));
+  }
+
+  // A pipeline of the aggregation framework, group keys are nested in _id
+  aggregate(className, schema, { where, group, sort, skip, limit }, readPreference) {
+    schema = convertParseSchemaToMongoSchema(schema);
+    const mongoField = fieldName => `$${transformKey(className, fieldName, schema)}`;
+    // objectId.<name> keys are nested in _id
+    const mongoGroupKey = name => name === 'objectId' ? '_id' : `_id.${name.slice('objectId.'.length)}`;
+
+    let groupId = null;
+    if (group.compositeKey) {
+      groupId = group.keys.reduce((memo, { name, field }) => {
+        memo[name.slice('objectId.'.length)] = mongoField(field);
+        return memo;
+      }, {});
+    } else if (group.keys.length > 0) {
+      groupId = mongoField(group.keys[0].field);
+    }
+    const mongoGroup = { _id: groupId };
+    group.accumulators.forEach(({ name, operator, field, value }) => {
+      if (operator === '$count') {
+        mongoGroup[name] = { $sum: 1 };
+      } else {
+        mongoGroup[name] = { [operator]: field === undefined ? value : mongoField(field) };
+      }
+    });
+
+    const pipeline = [{ $match: transformWhere(className, where, schema) }, { $group: mongoGroup }];
+    if (sort && Object.keys(sort).length > 0) {
+      pipeline.push({ $sort: _.mapKeys(sort, (direction, name) => group.keys.some(key => key.name === name) ? mongoGroupKey(name) : name) });
+    }
+    if (skip !== undefined) {
+      pipeline.push({ $skip: skip });
+    }
+    if (limit !== undefined) {
+      pipeline.push({ $limit: limit });
+    }
+    readPreference = this._parseReadPreference(readPreference);
+    return this._adaptiveCollection(className)
+      .then(collection => this._timeQuery('aggregate', className, pipeline, () => collection.aggregate(pipeline, { maxTimeMS: this._maxTimeMS, readPreference })))
+      .then(results => results.map(result => {
+        const row = _.omit(result, '_id');
+        group.keys.forEach(({ name, field }) => {
+          let value = name === 'objectId' ? result._id : (result._id || {})[name.slice('objectId.'.length)];
+          // Pointers are stored as className$objectId
+          if (typeof value === 'string' && schema.fields[field].type === 'Pointer') {
+            value = value.slice(value.indexOf('$') + 1);
+          }
+          row[name] = value;
+        });
+        return row;
+      }));
+  }
+
+  // Mongo gives the distinct elements of array fields on its own
+  distinct(className, schema, query, fieldName, readPreference) {
+    const isPointer = schema.fields[fieldName] && schema.fields[fieldName].type === 'Pointer';
+    schema = convertParseSchemaToMongoSchema(schema);
+    const mongoWhere = transformWhere(className, query, schema);
+    readPreference = this._parseReadPreference(readPreference);
+    return this._adaptiveCollection(className)
+      .then(collection => this._timeQuery('distinct', className, mongoWhere, () => collection.distinct(transformKey(className, fieldName, schema), mongoWhere, {
+        maxTimeMS: this._maxTimeMS,
+        readPreference,
+      })))
+      .then(values => {
+        if (!isPointer) {
+          return values;
+        }
+        // Pointers are stored as className$objectId
+        return values.map(value => typeof value === 'string' ? value.slice(value.indexOf('$') + 1) : value);
+      });
   }
 
   // Create a unique index. Unique indexes on nullable fields are not allowed. Since we don't
@@ -389,11 +595,21 @@ export class MongoStorageAdapter {
   count(className, schema, query, readPreference) {
     schema = convertParseSchemaToMongoSchema(schema);
     readPreference = this._parseReadPreference(readPreference);
+    if (schema.computedFields && Object.keys(query).some(key => isComputedConstraint(schema.computedFields, key, query[key]))) {
+      const pipeline = this._computedFieldsPipeline(className, schema, query).concat({ $count: 'count' });
+      return this._adaptiveCollection(className)
+        .then(collection => this._timeQuery('count', className, pipeline, () => collection.aggregate(pipeline, {
+          maxTimeMS: this._maxTimeMS,
+          readPreference,
+        })))
+        .then(results => results.length > 0 ? results[0].count : 0);
+    }
+    const mongoWhere = transformWhere(className, query, schema);
     return this._adaptiveCollection(className)
-      .then(collection => collection.count(transformWhere(className, query, schema), {
+      .then(collection => this._timeQuery('count', className, mongoWhere, () => collection.count(mongoWhere, {
         maxTimeMS: this._maxTimeMS,
         readPreference,
-      }));
+      })));
   }
 
   _parseReadPreference(readPreference) {
@@ -495,6 +495,9 @@ function transformTopLevelAtom(atom) {
     if (GeoPointCoder.isValidJSON(atom)) {
       return GeoPointCoder.JSONToDatabase(atom);
     }
+    if (PolygonCoder.isValidJSON(atom)) {
+      return PolygonCoder.JSONToDatabase(atom);
+    }
     if (FileCoder.isValidJSON(atom)) {
       return FileCoder.JSONToDatabase(atom);
     }
@@ -506,6 +509,29 @@ function transformTopLevelAtom(atom) {
   }
 }
 
+// $centerSphere is [center, distance in radians], where the center is a
+// GeoPoint or a [longitude, latitude] pair.
+function transformCenterSphere(centerSphere) {
+  if (!(centerSphere instanceof Array) || centerSphere.length < 2) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_JSON,
+      'bad $geoWithin value; $centerSphere should be an array of Parse.GeoPoint and distance'
+    );
+  }
+  let center = centerSphere[0];
+  if (center instanceof Array && center.length === 2) {
+    center = { __type: 'GeoPoint', longitude: center[0], latitude: center[1] };
+  } else if (!GeoPointCoder.isValidJSON(center)) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $geoWithin value; $centerSphere geo point invalid');
+  }
+  Parse.GeoPoint._validate(center.latitude, center.longitude);
+  const distance = centerSphere[1];
+  if (typeof distance !== 'number' || isNaN(distance) || distance < 0) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $geoWithin value; $centerSphere distance invalid');
+  }
+  return { center, distance };
+}
+
 // Transforms a query constraint from REST API format to Mongo format.
 // A constraint is something with fields like $lt.
 // If it is not a valid constraint but it could be a valid something
@@ -564,7 +590,20 @@ function transformConstraint(constraint, inArray) {
         throw new Parse.Error(Parse.Error.INVALID_JSON,
           'bad ' + key + ' value');
       }
-      answer[key] = arr.map(transformInteriorAtom);
+      answer[key] = arr.map(atom => {
+        if (atom && typeof atom.$regex === 'string') {
+          return new mongodb.BSONRegExp(atom.$regex, atom.$options || '');
+        }
+        return transformInteriorAtom(atom);
+      });
+      break;
+    }
+    case '$containedBy': {
+      const arr = constraint[key];
+      if (!(arr instanceof Array)) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $containedBy: should be an array');
+      }
+      answer.$not = { $elemMatch: { $nin: arr.map(transformer) } };
       break;
     }
     case '$regex':
@@ -666,6 +705,14 @@ function transformConstraint(constraint, inArray) {
       break;
 
     case '$geoWithin': {
+      const centerSphere = constraint[key]['$centerSphere'];
+      if (centerSphere !== undefined) {
+        const { center, distance } = transformCenterSphere(centerSphere);
+        answer[key] = {
+          '$centerSphere': [[center.longitude, center.latitude], distance]
+        };
+        break;
+      }
       const polygon = constraint[key]['$polygon'];
       if (!(polygon instanceof Array)) {
         throw new Parse.Error(
@@ -692,6 +739,24 @@ function transformConstraint(constraint, inArray) {
       };
       break;
     }
+    case '$geoIntersects': {
+      const point = constraint[key]['$point'];
+      if (!GeoPointCoder.isValidJSON(point)) {
+        throw new Parse.Error(
+          Parse.Error.INVALID_JSON,
+          'bad $geoIntersect value; $point should be GeoPoint'
+        );
+      } else {
+        Parse.GeoPoint._validate(point.latitude, point.longitude);
+      }
+      answer[key] = {
+        '$geometry': {
+          type: 'Point',
+          coordinates: [point.longitude, point.latitude]
+        }
+      };
+      break;
+    }
     default:
       if (key.match(/^\$+/)) {
         throw new Parse.Error(
@@ -940,6 +1005,10 @@ const mongoObjectToParseObject = (className, mongoObject, schema) => {
             restObject[key] = GeoPointCoder.databaseToJSON(value);
             break;
           }
+          if (schema.fields[key] && schema.fields[key].type === 'Polygon' && PolygonCoder.isValidDatabaseObject(value)) {
+            restObject[key] = PolygonCoder.databaseToJSON(value);
+            break;
+          }
           if (schema.fields[key] && schema.fields[key].type === 'Bytes' && BytesCoder.isValidDatabaseObject(value)) {
             restObject[key] = BytesCoder.databaseToJSON(value);
             break;
@@ -1043,6 +1112,42 @@ var GeoPointCoder = {
   }
 };
 
+// Polygons are stored as GeoJSON, whose coordinates are [longitude, latitude]
+// and whose rings end on their first point
+var PolygonCoder = {
+  databaseToJSON(object) {
+    return {
+      __type: 'Polygon',
+      coordinates: object.coordinates[0].map(coord => [coord[1], coord[0]])
+    }
+  },
+
+  isValidDatabaseObject(object) {
+    return (typeof object === 'object' &&
+      object !== null &&
+      object.type === 'Polygon' &&
+      object.coordinates instanceof Array
+    );
+  },
+
+  JSONToDatabase(json) {
+    const coords = json.coordinates.map(coord => [coord[1], coord[0]]);
+    const first = coords[0];
+    const last = coords[coords.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      coords.push(first);
+    }
+    return { type: 'Polygon', coordinates: [coords] };
+  },
+
+  isValidJSON(value) {
+    return (typeof value === 'object' &&
+      value !== null &&
+      value.__type === 'Polygon'
+    );
+  }
+};
+
 var FileCoder = {
   databaseToJSON(object) {
     return {
@@ -0,0 +1,172 @@
+const mysql = require('mysql2/promise');
+
+const defaultPoolOptions = {
+  connectionLimit: 10,
+  queueLimit: 0,
+  acquireTimeout: 10000,
+  idleTimeout: 60000,
+};
+
+// Options consumed here, mysql2 does not know about them
+const adapterPoolOptions = ['poolSize', 'acquireTimeout', 'idleTimeout'];
+
+// Broken connections must not go back to the pool
+export function releaseConnection(connection, error) {
+  if (error && error.fatal) {
+    connection.destroy();
+  } else {
+    connection.release();
+  }
+}
+
+export function createClient(databaseOptions) {
+  const options = Object.assign({}, databaseOptions);
+  if (options.connectionLimit === undefined && options.poolSize !== undefined) {
+    options.connectionLimit = options.poolSize;
+  }
+  const poolOptions = {};
+  for (const key in defaultPoolOptions) {
+    poolOptions[key] = options[key] === undefined ? defaultPoolOptions[key] : options[key];
+  }
+  adapterPoolOptions.forEach(key => delete options[key]);
+  options.connectionLimit = poolOptions.connectionLimit;
+  options.queueLimit = poolOptions.queueLimit;
+
+  const pool = mysql.createPool(options);
+  const idleTimers = new Map();
+
+  // Broken connections remove themselves from the pool, the next
+  // acquisition opens a fresh one. Idle ones are closed after idleTimeout.
+  if (poolOptions.idleTimeout > 0) {
+    pool.pool.on('release', (connection) => {
+      const timer = setTimeout(() => {
+        idleTimers.delete(connection);
+        connection.destroy();
+      }, poolOptions.idleTimeout);
+      if (timer.unref) {
+        timer.unref();
+      }
+      idleTimers.set(connection, timer);
+    });
+    pool.pool.on('acquire', (connection) => {
+      clearTimeout(idleTimers.get(connection));
+      idleTimers.delete(connection);
+    });
+  }
+
+  const getConnection = () => {
+    if (!(poolOptions.acquireTimeout > 0)) {
+      return pool.getConnection();
+    }
+    return new Promise((resolve, reject) => {
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        const error = new Error(`Timed out after ${poolOptions.acquireTimeout}ms acquiring a MySQL connection`);
+        error.code = 'POOL_ACQUIRE_TIMEOUT';
+        reject(error);
+      }, poolOptions.acquireTimeout);
+      pool.getConnection().then((connection) => {
+        clearTimeout(timer);
+        if (timedOut) {
+          connection.release();
+          return;
+        }
+        resolve(connection);
+      }, (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  };
+
+  const query = (qs, values) => {
+    return getConnection().then((connection) => {
+      return connection.query(qs, values).then((result) => {
+        releaseConnection(connection);
+        return result;
+      }, (error) => {
+        releaseConnection(connection, error);
+        throw error;
+      });
+    });
+  };
+
+  const end = () => {
+    idleTimers.forEach(timer => clearTimeout(timer));
+    idleTimers.clear();
+    return pool.end();
+  };
+
+  return { pool, options: poolOptions, getConnection, query, end };
+}
+
+const replicaStrategies = ['round-robin', 'least-connections'];
+
+// Errors that mean the server could not be reached, rather than a bad query
+const isConnectionError = error => error && (error.fatal || error.code === 'POOL_ACQUIRE_TIMEOUT');
+
+// Spreads reads over replica clients. A replica that cannot be reached is
+// left out until a health check gets through to it again, reads go to the
+// fallback client while no replica is available.
+export function createReplicaSet(clients, { strategy = 'round-robin', healthCheckInterval = 10000 } = {}) {
+  if (replicaStrategies.indexOf(strategy) < 0) {
+    throw new Error(`Unknown replica strategy ${strategy}, use one of ${replicaStrategies.join(', ')}`);
+  }
+  const replicas = clients.map(client => ({ client, healthy: true, active: 0 }));
+  let turn = -1;
+
+  const pick = () => {
+    const healthy = replicas.filter(replica => replica.healthy);
+    if (healthy.length === 0) {
+      return undefined;
+    }
+    if (strategy === 'least-connections') {
+      return healthy.reduce((best, replica) => replica.active < best.active ? replica : best);
+    }
+    turn = (turn + 1) % healthy.length;
+    return healthy[turn];
+  };
+
+  const checkHealth = () => {
+    return Promise.all(replicas.filter(replica => !replica.healthy).map(replica => {
+      return replica.client.query('SELECT 1').then(() => {
+        replica.healthy = true;
+      }, () => {});
+    }));
+  };
+
+  let timer;
+  if (healthCheckInterval > 0) {
+    timer = setInterval(checkHealth, healthCheckInterval);
+    if (timer.unref) {
+      timer.unref();
+    }
+  }
+
+  const query = (qs, values, fallback) => {
+    const replica = pick();
+    if (!replica) {
+      return fallback.query(qs, values);
+    }
+    replica.active++;
+    return replica.client.query(qs, values).then((result) => {
+      replica.active--;
+      return result;
+    }, (error) => {
+      replica.active--;
+      if (!isConnectionError(error)) {
+        throw error;
+      }
+      replica.healthy = false;
+      return fallback.query(qs, values);
+    });
+  };
+
+  const end = () => {
+    clearInterval(timer);
+    return Promise.all(replicas.map(replica => replica.client.end()));
+  };
+
+  return { replicas, query, checkHealth, end };
+}
@@ -8,7 +8,7 @@ function getDatabaseOptionsFromURI(uri) {
   const authParts = parsedURI.auth ? parsedURI.auth.split(':') : [];
 
   databaseOptions.host = parsedURI.hostname || 'localhost';
-  databaseOptions.port = parsedURI.port ? parseInt(parsedURI.port) : 5432;
+  databaseOptions.port = parsedURI.port ? parseInt(parsedURI.port) : 3306;
   databaseOptions.database = parsedURI.pathname
     ? parsedURI.pathname.substr(1)
     : undefined;
@@ -28,10 +28,27 @@ function getDatabaseOptionsFromURI(uri) {
   if (queryParams.poolSize) {
     databaseOptions.poolSize = parseInt(queryParams.poolSize) || 10;
   }
+  if (queryParams.connectionLimit) {
+    databaseOptions.connectionLimit = parseIntParam(queryParams.connectionLimit, 10);
+  }
+  if (queryParams.queueLimit) {
+    databaseOptions.queueLimit = parseIntParam(queryParams.queueLimit, 0);
+  }
+  if (queryParams.acquireTimeout) {
+    databaseOptions.acquireTimeout = parseIntParam(queryParams.acquireTimeout, 10000);
+  }
+  if (queryParams.idleTimeout) {
+    databaseOptions.idleTimeout = parseIntParam(queryParams.idleTimeout, 60000);
+  }
 
   return databaseOptions;
 }
 
+function parseIntParam(value, defaultValue) {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
 function parseQueryParams(queryString) {
   queryString = queryString || '';
 
@@ -3,16 +3,23 @@ import {
   toParseSchema,
   toMySQLSchema,
   parseTypeToMySQLType,
+  normalizeMySQLType,
   joinTablesForSchema,
   handleDotFields,
   validateKeys,
   toMySQLValue,
   buildWhereClause,
   formatDateToMySQL,
+  polygonToWKT,
+  toParsePolygon,
+  escapeMySQLString,
+  computedFieldToSQL,
 } from './MySQLTransform';
 
+import { createClient, createReplicaSet, releaseConnection } from './MySQLClient';
+import { timeQuery } from '../SlowQueryLogger';
+
 const parser = require('./MySQLConfigParser');
-const mysql = require('mysql2/promise');
 const MySQLRelationDoesNotExistError = 'ER_NO_SUCH_TABLE';
 const MySQLDuplicateColumnError = 'ER_DUP_FIELDNAME';
 const MySQLDuplicateObjectError = 'ER_DUP_ENTRY';
@@ -20,8 +27,22 @@ const MySQLDataTruncatedWarn = 'WARN_DATA_TRUNCATED';
 const MySQLWrongValueError = 'ER_TRUNCATED_WRONG_VALUE';
 const MySQLUniqueIndexViolationError = 'ER_DUP_KEYNAME';
 const MySQLBlobKeyWithoutLengthError = 'ER_BLOB_KEY_WITHOUT_LENGTH';
+const MySQLKeyTooLongError = 'ER_TOO_LONG_KEY';
 const logger = require('../../../logger');
 const defaultUniqueKeyLength = 'varchar(120)';
+const readPreferences = ['PRIMARY', 'PRIMARY_PREFERRED', 'SECONDARY', 'SECONDARY_PREFERRED', 'NEAREST'];
+// Options a replica URI gives, everything else is the same as for the primary
+const replicaConnectionOptions = ['host', 'port', 'user', 'password', 'database'];
+// Number of characters indexed on text columns when no prefixLength is given
+const defaultIndexPrefixLength = 191;
+// Stands in for the connection of a finished transaction, so that the adapter
+// copy bound to it fails instead of going on through the pool
+const transactionFinished = () => Promise.reject(new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'The transaction is already finished.'));
+const finishedTransactionConnection = Object.freeze({ query: transactionFinished, getConnection: transactionFinished });
+// Adapter methods issuing CREATE/ALTER/DROP statements
+const schemaChangingMethods = ['createClass', 'createTable', 'addFieldIfNotExists', 'deleteClass', 'deleteAllClasses',
+  'deleteFields', 'ensureUniqueness', 'createIndexes', 'dropIndexes', 'createFullTextIndex', 'applySchemaMigrations',
+  'performInitialization'];
 
 const debug = function(){
   let args = [...arguments];
@@ -30,11 +51,210 @@ const debug = function(){
   log.debug.apply(log, args);
 }
 
+const quoteIdentifier = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+
+// Column definition used when adding or modifying a column, Dates keep the
+// defaults createTable gives them
+const columnDefinition = (fieldName, type, columnType) => {
+  if (type.type !== 'Date') {
+    return columnType;
+  }
+  if (fieldName === 'createdAt') {
+    return `${columnType} DEFAULT CURRENT_TIMESTAMP(6)`;
+  }
+  if (fieldName === 'updatedAt') {
+    return `${columnType} DEFAULT CURRENT_TIMESTAMP(6) ON UPDATE CURRENT_TIMESTAMP(6)`;
+  }
+  return `${columnType} NULL DEFAULT NULL`;
+};
+
+// SQL condition matching the values of a column that would be truncated or
+// rejected when converting it to columnType
+const dataLossCondition = (column, columnType) => {
+  const length = /^(?:var)?char\((\d+)\)$/.exec(columnType);
+  if (length) {
+    return `CHAR_LENGTH(${column}) > ${length[1]}`;
+  }
+  if (/^(tinyint|smallint|mediumint|int|bigint)\b/.test(columnType)) {
+    return `${column} <> ROUND(${column})`;
+  }
+  if (columnType === 'json') {
+    return `JSON_VALID(${column}) = 0`;
+  }
+};
+
+// What queries on a class select from: its table, or a derived table that
+// adds the computed fields of the schema as columns, under the same name
+const selectSource = (schema, values) => {
+  const computedFields = schema.computedFields || {};
+  const columns = Object.keys(computedFields).map(name => `${computedFieldToSQL(computedFields[name], values)} AS \`${name}\``);
+  if (columns.length === 0) {
+    return '`$1:name`';
+  }
+  return `(SELECT *, ${columns.join(', ')} FROM \`$1:name\`) AS \`$1:name\``;
+};
+
+// The distinct elements of a list of arrays, compared by their JSON
+const distinctElements = (arrays) => {
+  const seen = new Set();
+  const elements = [];
+  arrays.forEach(array => {
+    (Array.isArray(array) ? array : []).forEach(element => {
+      const key = JSON.stringify(element);
+      if (!seen.has(key)) {
+        seen.add(key);
+        elements.push(element);
+      }
+    });
+  });
+  return elements;
+};
+
+// Turns a row into an object in the format the DatabaseController expects
+const toParseObject = (schema, object) => {
+  Object.keys(schema.fields).forEach(fieldName => {
+    if (schema.fields[fieldName].type === 'Pointer' && object[fieldName]) {
+      object[fieldName] = { objectId: object[fieldName], __type: 'Pointer', className: schema.fields[fieldName].targetClass };
+    }
+    if (schema.fields[fieldName].type === 'Relation') {
+      object[fieldName] = {
+        __type: "Relation",
+        className: schema.fields[fieldName].targetClass
+      }
+    }
+    if (object[fieldName] && schema.fields[fieldName].type === 'GeoPoint') {
+      object[fieldName] = {
+        __type: "GeoPoint",
+        latitude: object[fieldName].y,
+        longitude: object[fieldName].x
+      }
+    }
+    if (object[fieldName] && schema.fields[fieldName].type === 'Polygon') {
+      object[fieldName] = toParsePolygon(object[fieldName]);
+    }
+    if (object[fieldName] && schema.fields[fieldName].type === 'File') {
+      object[fieldName] = {
+        __type: 'File',
+        name: object[fieldName]
+      }
+    }
+    if (object[fieldName] != undefined && schema.fields[fieldName].type === 'Boolean') {
+      object[fieldName] = object[fieldName] === 1 ? true : false;
+    }
+  });
+
+  if (object.createdAt) {
+    object.createdAt = object.createdAt.toISOString();
+  }
+  if (object.updatedAt) {
+    object.updatedAt = object.updatedAt.toISOString();
+  }
+
+  for (const fieldName in object) {
+    if (object[fieldName] === null) {
+      delete object[fieldName];
+    }
+    if (object[fieldName] instanceof Date) {
+      object[fieldName] = { __type: 'Date', iso: object[fieldName].toISOString() };
+    }
+  }
+  return object;
+};
+
+// Cells of an INSERT row: the pattern for the value and its parameters
+const nullCell = { pattern: () => 'NULL', values: [] };
+const rawCell = value => ({ pattern: index => `$${index}:name`, values: [value] });
+const stringCell = value => ({ pattern: index => `'$${index}:name'`, values: [escapeMySQLString(String(value))] });
+const dateCell = value => value ? stringCell(toMySQLValue(value)) : nullCell;
+
+// Turns an object into the cells of a row, keyed by column
+const rowForObject = (className, schema, object) => {
+  const row = {};
+  object = handleDotFields(object);
+
+  validateKeys(object);
+
+  Object.keys(object).forEach(fieldName => {
+    if (object[fieldName] === null) {
+      return;
+    }
+    var authDataMatch = fieldName.match(/^_auth_data_([a-zA-Z0-9_]+)$/);
+    if (authDataMatch) {
+      var provider = authDataMatch[1];
+      object['authData'] = object['authData'] || {};
+      object['authData'][provider] = object[fieldName];
+      delete object[fieldName];
+      fieldName = 'authData';
+    }
+
+    if (!schema.fields[fieldName] && className === '_User') {
+      if (fieldName === '_email_verify_token' ||
+          fieldName === '_failed_login_count' ||
+          fieldName === '_perishable_token' ||
+          fieldName === '_password_history'){
+        row[fieldName] = stringCell(object[fieldName]);
+      }
+
+      if (fieldName === '_account_lockout_expires_at' ||
+          fieldName === '_perishable_token_expires_at' ||
+          fieldName === '_password_changed_at' ||
+          fieldName === '_email_verify_token_expires_at') {
+        row[fieldName] = dateCell(object[fieldName]);
+      }
+      return;
+    }
+    switch (schema.fields[fieldName].type) {
+    case 'Date':
+      if (object[fieldName] && fieldName === 'updatedAt' && !object[fieldName].iso) {
+        object[fieldName].iso = new Date();
+      }
+      row[fieldName] = dateCell(object[fieldName]);
+      break;
+    case 'Pointer':
+      row[fieldName] = stringCell(object[fieldName].objectId);
+      break;
+    case 'Array':
+    case 'Object':
+    case 'Bytes':
+      row[fieldName] = stringCell(JSON.stringify(object[fieldName]));
+      break;
+    case 'String':
+    case 'Number':
+      row[fieldName] = stringCell(object[fieldName] || 0);
+      break;
+    case 'Boolean':
+      row[fieldName] = rawCell(object[fieldName]);
+      break;
+    case 'File':
+      row[fieldName] = stringCell(object[fieldName].name);
+      break;
+    case 'GeoPoint':
+      row[fieldName] = {
+        pattern: index => `POINT($${index}, $${index + 1})`,
+        values: [object[fieldName].longitude, object[fieldName].latitude]
+      };
+      break;
+    case 'Polygon':
+      row[fieldName] = {
+        pattern: index => `ST_GeomFromText('$${index}:name')`,
+        values: [polygonToWKT(object[fieldName])]
+      };
+      break;
+    default:
+      throw `Type ${schema.fields[fieldName].type} not supported yet`;
+    }
+  });
+  return row;
+};
+
 export class MySQLStorageAdapter {
   // Private
   _collectionPrefix: string;
   _uri: string;
   _databaseOptions: Object;
+  _typeMapping: Object;
+  _replicaOptions: Object;
+  _joins: boolean;
   // Public
   connectionPromise;
   database;
@@ -46,6 +266,7 @@ export class MySQLStorageAdapter {
   }) {
     this._uri = uri;
     this._collectionPrefix = collectionPrefix;
+    this._schemaTable = quoteIdentifier(this._tableName('_SCHEMA'));
 
     let dbOptions = {};
     databaseOptions = databaseOptions || {};
@@ -55,6 +276,16 @@ export class MySQLStorageAdapter {
     for (const key in databaseOptions) {
       dbOptions[key] = databaseOptions[key];
     }
+    // Column types per Parse type, e.g. { Pointer: 'varchar(120)' }
+    this._typeMapping = dbOptions.typeMapping || {};
+    delete dbOptions.typeMapping;
+    // Read replicas, a list of URIs or { uris, strategy, healthCheckInterval }
+    const replicas = dbOptions.replicas;
+    delete dbOptions.replicas;
+    this._replicaOptions = Array.isArray(replicas) ? { uris: replicas } : replicas;
+    // Relations, subqueries and includes resolved within a single statement
+    this._joins = dbOptions.joins !== false;
+    delete dbOptions.joins;
     dbOptions['multipleStatements'] = true;
     dbOptions['timezone'] = '-0700';
     dbOptions['queryFormat'] = function (query, values) {
@@ -88,20 +319,16 @@ export class MySQLStorageAdapter {
       return this.connectionPromise;
     }
 
-    this.connectionPromise = mysql.createConnection(this._databaseOptions).then(database => {
-      if (!database) {
-        delete this.connectionPromise;
-        return;
-      }
-      database.on('error', () => {
-        delete this.connectionPromise;
-      });
-      database.on('close', () => {
-        delete this.connectionPromise;
-      });
+    const database = createClient(this._databaseOptions);
+    // Check out a connection once so that bad credentials or an unreachable
+    // server fail here, the pool takes care of reconnecting afterwards.
+    this.connectionPromise = database.getConnection().then(connection => {
+      connection.release();
       this.database = database;
+      this._replicaSet = this._createReplicaSet();
     }).catch((err) => {
       delete this.connectionPromise;
+      database.end().catch(() => {});
       return Promise.reject(err);
     });
 
@@ -112,34 +339,192 @@ export class MySQLStorageAdapter {
     if (!this.database) {
       return;
     }
-    this.database.end();
+    const database = this.database;
+    const replicaSet = this._replicaSet;
+    delete this.database;
+    delete this._replicaSet;
+    delete this.connectionPromise;
+    return Promise.all([database.end(), replicaSet && replicaSet.end()]);
+  }
+
+  // Replicas share the pool settings of the primary, only where to connect
+  // to and as whom comes from their URIs.
+  _createReplicaSet() {
+    const { uris, strategy, healthCheckInterval } = this._replicaOptions || {};
+    if (!uris || uris.length === 0) {
+      return undefined;
+    }
+    const clients = uris.map(uri => {
+      const replicaOptions = parser.getDatabaseOptionsFromURI(uri);
+      const options = Object.assign({}, this._databaseOptions);
+      replicaConnectionOptions.forEach(key => {
+        options[key] = replicaOptions[key];
+      });
+      return createClient(options);
+    });
+    return createReplicaSet(clients, { strategy, healthCheckInterval });
+  }
+
+  // Reads go to a replica unless the read preference asks for the primary.
+  // A transaction reads through its own connection.
+  _readQuery(qs, values, readPreference) {
+    if (readPreference && readPreferences.indexOf(readPreference) < 0) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Not supported read preference.');
+    }
+    if (!this._replicaSet || this._transactionConnection ||
+        readPreference === 'PRIMARY' || readPreference === 'PRIMARY_PREFERRED') {
+      return this.database.query(qs, values);
+    }
+    return this._replicaSet.query(qs, values, this.database);
+  }
+
+  supportsJoins() {
+    return this._joins;
+  }
+
+  // Tables are named after their classes, behind the collectionPrefix
+  _tableName(className) {
+    return this._collectionPrefix + className;
+  }
+
+  // A copy of the adapter with its own set of tables behind prefix. It goes
+  // through the connections of this adapter, which keeps closing them.
+  withCollectionPrefix(prefix) {
+    const adapter = Object.create(this);
+    adapter._collectionPrefix = this._collectionPrefix + prefix;
+    adapter._schemaTable = quoteIdentifier(adapter._tableName('_SCHEMA'));
+    adapter.connect = () => this.connect();
+    adapter.handleShutdown = () => {};
+    return adapter;
+  }
+
+  // Queries taking longer than threshold ms are logged, undefined turns it off
+  setSlowQueryThreshold(threshold) {
+    this._slowQueryThreshold = threshold;
+  }
+
+  // Runs a query for the adapter method caller, timed against the
+  // slowQueryThreshold. Slow ones are logged as the SQL with its placeholders,
+  // the values are left out as they can hold passwords and tokens.
+  _timeQuery(caller, className, qs, values, run) {
+    return timeQuery(this._slowQueryThreshold, {
+      caller,
+      className,
+      query: qs.sql || qs,
+    }, run);
+  }
+
+  // Whether classes, fields and indexes can be created or changed through
+  // this adapter. MySQL implicitly commits the transaction in progress on any
+  // CREATE/ALTER TABLE, so transactions cannot change the schema.
+  canChangeSchema() {
+    return !this._transactionConnection;
+  }
+
+  // Checks out a pooled connection and starts a transaction on it. Resolves
+  // with a copy of the adapter bound to that connection: everything issued
+  // through it belongs to the transaction until it is committed or rolled back.
+  // The copy rejects schema changes, see canChangeSchema.
+  startTransaction() {
+    if (this._transactionConnection) {
+      return Promise.reject(new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'A transaction is already in progress.'));
+    }
+    return this.connect()
+      // Done before, as CREATE TABLE IF NOT EXISTS would commit the transaction too
+      .then(() => this._ensureSchemaCollectionExists())
+      .then(() => this.database.getConnection())
+      .then(connection => {
+        return connection.query('START TRANSACTION')
+          .then(() => {
+            const transaction = Object.create(this);
+            transaction.database = connection;
+            transaction._transactionConnection = connection;
+            transaction._ensureSchemaCollectionExists = () => Promise.resolve();
+            schemaChangingMethods.forEach(method => {
+              transaction[method] = () => Promise.reject(new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'The schema cannot be changed in a transaction.'));
+            });
+            return transaction;
+          }, (error) => {
+            releaseConnection(connection, error);
+            throw error;
+          });
+      });
+  }
+
+  commitTransaction(transaction) {
+    return this._endTransaction(transaction, 'COMMIT');
+  }
+
+  rollbackTransaction(transaction) {
+    return this._endTransaction(transaction, 'ROLLBACK');
+  }
+
+  _endTransaction(transaction, statement) {
+    const connection = transaction && transaction._transactionConnection;
+    if (!connection || connection === finishedTransactionConnection) {
+      return Promise.reject(new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'No transaction in progress.'));
+    }
+    transaction._transactionConnection = finishedTransactionConnection;
+    transaction.database = finishedTransactionConnection;
+    return connection.query(statement)
+      .then(() => releaseConnection(connection), (error) => {
+        // Never hand a connection with an unknown transaction state back to the pool
+        connection.destroy();
+        throw error;
+      });
+  }
+
+  // Runs callback with a transactional copy of the adapter, committing when the
+  // promise it returns resolves and rolling back when it rejects.
+  // Nested calls join the transaction already in progress.
+  transaction(callback) {
+    if (this._transactionConnection) {
+      return Promise.resolve().then(() => callback(this));
+    }
+    return this.startTransaction().then(transaction => {
+      return Promise.resolve()
+        .then(() => callback(transaction))
+        .then((result) => this.commitTransaction(transaction).then(() => result), (error) => {
+          return this.rollbackTransaction(transaction)
+            .catch(() => {})
+            .then(() => Promise.reject(error));
+        });
+    });
   }
 
   _ensureSchemaCollectionExists() {
     debug('_ensureSchemaCollectionExists');
     return this.connect()
-      .then(() => this.database.query('CREATE TABLE IF NOT EXISTS `_SCHEMA` (`className` VARCHAR(120), `schema` JSON, `isParseClass` BOOL, PRIMARY KEY (`className`));'));
+      .then(() => this.database.query(`CREATE TABLE IF NOT EXISTS ${this._schemaTable} (\`className\` VARCHAR(120), \`schema\` JSON, \`isParseClass\` BOOL, PRIMARY KEY (\`className\`));`));
   }
 
   classExists(name) {
     const qs = "SELECT 'exists' from (SELECT 1 FROM `$1:name` LIMIT 1) as classExist";
     return this.connect()
-      .then(() => this.database.query(qs, [name]))
+      .then(() => this.database.query(qs, [this._tableName(name)]))
       .then(([results]) => results[0].exists)
       .catch(() => Promise.resolve(false));
   }
 
   setClassLevelPermissions(className, CLPs) {
-    const qs = "UPDATE `_SCHEMA` SET `$2:name` = JSON_SET(COALESCE(`$2:name`, '{}'), '$.$3:name', CAST('$4:name' AS JSON)) WHERE `className` = '$1:name'";
+    const qs = `UPDATE ${this._schemaTable} SET \`$2:name\` = JSON_SET(COALESCE(\`$2:name\`, '{}'), '$.$3:name', CAST('$4:name' AS JSON)) WHERE \`className\` = '$1:name'`;
     const values = [className, 'schema', 'classLevelPermissions', JSON.stringify(CLPs)];
     return this.connect()
       .then(() => this._ensureSchemaCollectionExists())
       .then(() => this.database.query(qs, values));
   }
 
+  setClassOptions(className, classOptions) {
+    const qs = `UPDATE ${this._schemaTable} SET \`$2:name\` = JSON_SET(COALESCE(\`$2:name\`, '{}'), '$.$3:name', CAST('$4:name' AS JSON)) WHERE \`className\` = '$1:name'`;
+    const values = [className, 'schema', 'classOptions', escapeMySQLString(JSON.stringify(classOptions))];
+    return this.connect()
+      .then(() => this._ensureSchemaCollectionExists())
+      .then(() => this.database.query(qs, values));
+  }
+
   createClass(className, schema) {
     debug('createClass', className, schema);
-    const qs = "INSERT INTO `_SCHEMA` (`className`, `schema`, `isParseClass`) VALUES ('$1:name', '$2:name', true)";
+    const qs = `INSERT INTO ${this._schemaTable} (\`className\`, \`schema\`, \`isParseClass\`) VALUES ('$1:name', '$2:name', true)`;
     return this.connect()
       .then(() => this.createTable(className, schema))
       .then(() => this.database.query(qs, [className, JSON.stringify(schema)]))
@@ -184,7 +569,7 @@ export class MySQLStorageAdapter {
       }
       valuesArray.push(fieldName);
       if (parseType.type === 'Date') {
-        valuesArray.push(parseTypeToMySQLType(parseType));
+        valuesArray.push(this._columnType(fieldName, parseType));
         if (fieldName === 'createdAt') {
           patternsArray.push(`\`$${index}:name\` $${index + 1}:raw DEFAULT CURRENT_TIMESTAMP(6)`);
         } else if (fieldName === 'updatedAt') {
@@ -196,29 +581,35 @@ export class MySQLStorageAdapter {
         return;
       }
       patternsArray.push(`\`$${index}:name\` $${index + 1}:raw`);
+      valuesArray.push(this._columnType(fieldName, parseType));
       if (fieldName === 'objectId') {
-        valuesArray.push(defaultUniqueKeyLength);
         patternsArray.push(`PRIMARY KEY (\`$${index}:name\`)`)
-      } else if (fieldName === 'email' || fieldName === 'username' || fieldName === 'name') {
-        valuesArray.push(defaultUniqueKeyLength);
-      } else {
-        valuesArray.push(parseTypeToMySQLType(parseType));
       }
       index = index + 2;
     });
     const qs = `CREATE TABLE IF NOT EXISTS \`$1:name\` (${patternsArray.join(',')})`;
-    const values = [className, ...valuesArray];
+    const values = [this._tableName(className), ...valuesArray];
     return this.connect()
       .then(() => this._ensureSchemaCollectionExists())
       .then(() => this.database.query(qs, values))
       .then(() => {
       // Create the relation tables
         return Promise.all(relations.map((fieldName) => {
-          return this.database.query('CREATE TABLE IF NOT EXISTS `$1:name` (`relatedId` varChar(120), `owningId` varChar(120), PRIMARY KEY(`relatedId`, `owningId`))', [`_Join:${fieldName}:${className}`]);
+          return this.database.query('CREATE TABLE IF NOT EXISTS `$1:name` (`relatedId` varChar(120), `owningId` varChar(120), PRIMARY KEY(`relatedId`, `owningId`))', [this._tableName(`_Join:${fieldName}:${className}`)]);
         }));
       });
   }
 
+  // The column type a field is stored in. Keys that get unique indexes need a
+  // bounded length unless the field declares one.
+  _columnType(fieldName, type) {
+    if (fieldName === 'objectId' ||
+        (type.type === 'String' && !type.maxLength && ['email', 'username', 'name'].indexOf(fieldName) >= 0)) {
+      return defaultUniqueKeyLength;
+    }
+    return parseTypeToMySQLType(type, this._typeMapping);
+  }
+
   addFieldIfNotExists(className, fieldName, type) {
     // TODO: Must be revised for invalid logic...
     debug('addFieldIfNotExists', {className, fieldName, type});
@@ -226,11 +617,11 @@ export class MySQLStorageAdapter {
       .then(() => {
         let promise = Promise.resolve();
         if (type.type !== 'Relation') {
-          let mysqlType = parseTypeToMySQLType(type);
+          let mysqlType = this._columnType(fieldName, type);
           if (type.type === 'Date') {
             mysqlType = 'timestamp(6) null default null';
           }
-          promise = this.database.query('ALTER TABLE `$1:name` ADD COLUMN `$2:name` $3:name', [className, fieldName, mysqlType])
+          promise = this.database.query('ALTER TABLE `$1:name` ADD COLUMN `$2:name` $3:name', [this._tableName(className), fieldName, mysqlType])
             .catch((error) => {
               if (error.code === MySQLDuplicateColumnError) {
                 // Column already exists, created by other request. Carry on to
@@ -240,18 +631,18 @@ export class MySQLStorageAdapter {
               }
             })
         } else {
-          promise = this.database.query("CREATE TABLE IF NOT EXISTS `$1:name` (`relatedId` varChar(120), `owningId` varChar(120), PRIMARY KEY(`relatedId`, `owningId`))", [`_Join:${fieldName}:${className}`]);
+          promise = this.database.query("CREATE TABLE IF NOT EXISTS `$1:name` (`relatedId` varChar(120), `owningId` varChar(120), PRIMARY KEY(`relatedId`, `owningId`))", [this._tableName(`_Join:${fieldName}:${className}`)]);
         }
         return promise;
       })
       .then(() => {
-        return this.database.query('SELECT `schema` FROM `_SCHEMA` WHERE `className` = \'$1:name\' and (`schema`->>\'$.fields.$2:name\') is not null', [className, fieldName]);
+        return this.database.query(`SELECT \`schema\` FROM ${this._schemaTable} WHERE \`className\` = '$1:name' and (\`schema\`->>'$.fields.$2:name') is not null`, [className, fieldName]);
       }).then(([result]) => {
         if (result[0]) {
           throw "Attempted to add a field that already exists";
         } else {
           const path = `'$.fields.${fieldName}'`;
-          return this.database.query('UPDATE `_SCHEMA` SET `schema`=JSON_SET(`schema`, $1:name, CAST(\'$2:name\' AS JSON)) WHERE `className`=\'$3:name\'', [path, JSON.stringify(type), className]);
+          return this.database.query(`UPDATE ${this._schemaTable} SET \`schema\`=JSON_SET(\`schema\`, $1:name, CAST('$2:name' AS JSON)) WHERE \`className\`='$3:name'`, [path, JSON.stringify(type), className]);
         }
       });
   }
@@ -259,9 +650,9 @@ export class MySQLStorageAdapter {
   // Drops a collection. Resolves with true if it was a Parse Schema (eg. _User, Custom, etc.)
   // and resolves with false if it wasn't (eg. a join table). Rejects if deletion was impossible.
   deleteClass(className) {
-    const qs = "DROP TABLE IF EXISTS `$1:name`; DELETE FROM `_SCHEMA` WHERE `className`= '$1:name';";
+    const qs = `DROP TABLE IF EXISTS \`$1:name\`; DELETE FROM ${this._schemaTable} WHERE \`className\`= '$2:name';`;
     return this.connect()
-      .then(() => this.database.query(qs, [className]))
+      .then(() => this.database.query(qs, [this._tableName(className), className]))
       .then(() => className.indexOf('_Join:') != 0); // resolves with false when _Join table
   }
 
@@ -270,12 +661,13 @@ export class MySQLStorageAdapter {
     const now = new Date().getTime();
     debug('deleteAllClasses');
     return this.connect()
-      .then(() => this.database.query('SELECT * FROM `_SCHEMA`'))
+      .then(() => this.database.query(`SELECT * FROM ${this._schemaTable}`))
       .then(([results]) => {
         const joins = results.reduce((list, schema) => {
           return list.concat(joinTablesForSchema(schema.schema));
         }, []);
-        const classes = ['_SCHEMA', '_PushStatus', '_JobStatus', '_JobSchedule', '_Hooks', '_GlobalConfig', '_Audience', ...results.map(result => result.className), ...joins];
+        const classes = ['_SCHEMA', '_PushStatus', '_JobStatus', '_JobSchedule', '_Hooks', '_GlobalConfig', '_Audience', '_Audit', '_Version', '_Tenant', '_File', '_FileUpload', ...results.map(result => result.className), ...joins]
+          .map(className => this._tableName(className));
         let qs = "";
         for (let i = 1; i <= classes.length; i += 1) {
           qs += `DROP TABLE IF EXISTS \`$${i}:name\`;`;
@@ -320,12 +712,12 @@ export class MySQLStorageAdapter {
       return list;
     }, []);
 
-    const values = [className, ...fieldNames];
+    const values = [this._tableName(className), ...fieldNames];
     const columns = fieldNames.map((name, idx) => {
       return `\`$${idx + 2}:name\``;
     }).join(', DROP COLUMN');
     return this.connect()
-      .then(() => this.database.query("UPDATE `_SCHEMA` SET `schema` = JSON_SET(COALESCE(`schema`, '{}'), '$.fields', CAST('$1:name' AS JSON)) WHERE `className`='$2:name'", [JSON.stringify(schema.fields), className]))
+      .then(() => this.database.query(`UPDATE ${this._schemaTable} SET \`schema\` = JSON_SET(COALESCE(\`schema\`, '{}'), '$.fields', CAST('$1:name' AS JSON)) WHERE \`className\`='$2:name'`, [JSON.stringify(schema.fields), className]))
       .then(() => {
         if (values.length > 1) {
           return this.database.query(`ALTER TABLE \`$1:name\` DROP COLUMN ${columns}`, [...values]);
@@ -340,7 +732,7 @@ export class MySQLStorageAdapter {
   getAllClasses() {
     debug('getAllClasses');
     return this._ensureSchemaCollectionExists()
-      .then(() => this.database.query('SELECT * FROM `_SCHEMA`'))
+      .then(() => this.database.query(`SELECT * FROM ${this._schemaTable}`))
       .then(([rows]) => {
         return rows.map((row) => {
           return toParseSchema({ className: row.className, ...row.schema });
@@ -354,7 +746,7 @@ export class MySQLStorageAdapter {
   getClass(className) {
     debug('getClass', className);
     return this.connect()
-      .then(() => this.database.query('SELECT * FROM `_SCHEMA` WHERE `className` COLLATE latin1_general_cs =\'$1:name\'', [className ]))
+      .then(() => this.database.query(`SELECT * FROM ${this._schemaTable} WHERE \`className\` COLLATE latin1_general_cs ='$1:name'`, [className ]))
       .then(([result]) => {
         if (result.length === 1) {
           return result[0].schema;
@@ -367,114 +759,45 @@ export class MySQLStorageAdapter {
   // TODO: remove the mongo format dependency in the return value
   createObject(className, schema, object) {
     debug('createObject', className, object);
-    let columnsArray = [];
-    const valuesArray = [];
-    schema = toMySQLSchema(schema);
-    const geoPoints = {};
-
-    object = handleDotFields(object);
-
-    validateKeys(object);
-
-    Object.keys(object).forEach(fieldName => {
-      if (object[fieldName] === null) {
-        return;
-      }
-      var authDataMatch = fieldName.match(/^_auth_data_([a-zA-Z0-9_]+)$/);
-      if (authDataMatch) {
-        var provider = authDataMatch[1];
-        object['authData'] = object['authData'] || {};
-        object['authData'][provider] = object[fieldName];
-        delete object[fieldName];
-        fieldName = 'authData';
-      }
+    return this._insertObjects(className, schema, [object])
+      .then(() => ({ ops: [object] }));
+  }
 
-      columnsArray.push(fieldName);
-      if (!schema.fields[fieldName] && className === '_User') {
-        if (fieldName === '_email_verify_token' ||
-            fieldName === '_failed_login_count' ||
-            fieldName === '_perishable_token' ||
-            fieldName === '_password_history'){
-          valuesArray.push(object[fieldName]);
-        }
-
-        if (fieldName === '_account_lockout_expires_at' ||
-            fieldName === '_perishable_token_expires_at' ||
-            fieldName === '_password_changed_at' ||
-            fieldName === '_email_verify_token_expires_at') {
-          if (object[fieldName]) {
-            valuesArray.push(toMySQLValue(object[fieldName]));
-          } else {
-            valuesArray.push(null);
-          }
-        }
-        return;
-      }
-      switch (schema.fields[fieldName].type) {
-      case 'Date':
-        if (object[fieldName]) {
-          if (fieldName === 'updatedAt' && !object[fieldName].iso) {
-            object[fieldName].iso = new Date();
-          }
-          valuesArray.push(toMySQLValue(object[fieldName]));
-        } else {
-          valuesArray.push(null);
-        }
-        break;
-      case 'Pointer':
-        valuesArray.push(object[fieldName].objectId);
-        break;
-      case 'Array':
-      case 'Object':
-      case 'Bytes':
-        valuesArray.push(JSON.stringify(object[fieldName]));
-        break;
-      case 'String':
-      case 'Number':
-        if (!object[fieldName]) {
-          valuesArray.push(0);
-          break;
-        }
-        valuesArray.push(object[fieldName]);
-        break;
-      case 'Boolean':
-        valuesArray.push(object[fieldName]);
-        break;
-      case 'File':
-        valuesArray.push(object[fieldName].name);
-        break;
-      case 'GeoPoint':
-        // pop the point and process later
-        geoPoints[fieldName] = object[fieldName];
-        columnsArray.pop();
-        break;
-      default:
-        throw `Type ${schema.fields[fieldName].type} not supported yet`;
-      }
-    });
+  // Inserts objects in bulk with a single multi-row INSERT
+  createObjects(className, schema, objects) {
+    debug('createObjects', className, objects.length);
+    if (objects.length === 0) {
+      return Promise.resolve({ ops: [] });
+    }
+    return this._insertObjects(className, schema, objects)
+      .then(() => ({ ops: objects }));
+  }
 
-    columnsArray = columnsArray.concat(Object.keys(geoPoints));
-    const initialValues = valuesArray.map((val, index) => {
-      const fieldName = columnsArray[index];
-      if (schema.fields[fieldName] && schema.fields[fieldName].type === 'Boolean' || val === null) {
-        return `$${index + 2 + columnsArray.length}:name`;
+  _insertObjects(className, schema, objects) {
+    schema = toMySQLSchema(schema);
+    const rows = objects.map(object => rowForObject(className, schema, object));
+    const columnsArray = [];
+    rows.forEach(row => Object.keys(row).forEach(column => {
+      if (columnsArray.indexOf(column) < 0) {
+        columnsArray.push(column);
       }
-      return `'$${index + 2 + columnsArray.length}:name'`;
-    });
-    const geoPointsInjects = Object.keys(geoPoints).map((key) => {
-      const value = geoPoints[key];
-      valuesArray.push(value.longitude, value.latitude);
-      const l = valuesArray.length + columnsArray.length;
-      return `POINT($${l}, $${l + 1})`;
-    });
-
+    }));
+    const values = [this._tableName(className), ...columnsArray];
+    // Rows leave out the columns they have no value for
+    const rowsPattern = rows.map(row => {
+      const cells = columnsArray.map(column => {
+        const cell = row[column] || nullCell;
+        const pattern = cell.pattern(values.length + 1);
+        values.push(...cell.values);
+        return pattern;
+      });
+      return `(${cells.join(',')})`;
+    }).join(',');
     const columnsPattern = columnsArray.map((col, index) => `\`$${index + 2}:name\``).join(',');
-    const valuesPattern = initialValues.concat(geoPointsInjects).join(',')
-    const qs = `INSERT INTO \`$1:name\` (${columnsPattern}) VALUES (${valuesPattern})`
-    const values = [className, ...columnsArray, ...valuesArray]
+    const qs = `INSERT INTO \`$1:name\` (${columnsPattern}) VALUES ${rowsPattern}`;
     debug(qs, values);
     return this.connect()
-      .then(() => this.database.query(qs, values))
+      .then(() => this._timeQuery('createObject', className, qs, values, () => this.database.query(qs, values)))
       .catch((error) => {
         if (error.code === MySQLDuplicateObjectError && className === '_Role' ||
             error.code === MySQLDuplicateObjectError && error.message.includes('unique_') ||
@@ -488,7 +811,6 @@ export class MySQLStorageAdapter {
           throw error;
         }
       })
-      .then(() => ({ ops: [object] }))
       .catch((error) => {
         if (error.code === MySQLWrongValueError) {
           throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, error);
@@ -503,9 +825,9 @@ export class MySQLStorageAdapter {
   // If there is some other error, reject with INTERNAL_SERVER_ERROR.
   deleteObjectsByQuery(className, schema, query) {
     debug('deleteObjectsByQuery', className, query);
-    const values = [className];
+    const values = [this._tableName(className)];
     const index = 2;
-    const where = buildWhereClause({ schema, index, query })
+    const where = buildWhereClause({ schema, index, query, tablePrefix: this._collectionPrefix })
     values.push(...where.values);
     if (Object.keys(query).length === 0) {
       where.pattern = 'TRUE';
@@ -513,7 +835,7 @@ export class MySQLStorageAdapter {
     const qs = `DELETE FROM \`$1:name\` WHERE ${where.pattern}`;
     debug(qs, values);
     return this.connect()
-      .then(() => this.database.query(qs, values))
+      .then(() => this._timeQuery('deleteObjectsByQuery', className, qs, values, () => this.database.query(qs, values)))
       .then(([result]) => {
         if (result.affectedRows === 0) {
           throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
@@ -532,7 +854,7 @@ export class MySQLStorageAdapter {
   updateObjectsByQuery(className, schema, query, update) {
     debug('updateObjectsByQuery', className, query, update);
     const updatePatterns = [];
-    const values = [className]
+    const values = [this._tableName(className)]
     let index = 2;
     schema = toMySQLSchema(schema);
 
@@ -652,6 +974,10 @@ export class MySQLStorageAdapter {
         updatePatterns.push(`\`$${index}:name\` = POINT($${index + 1}, $${index + 2})`);
         values.push(fieldName, fieldValue.longitude, fieldValue.latitude);
         index += 3;
+      } else if (fieldValue.__type === 'Polygon') {
+        updatePatterns.push(`\`$${index}:name\` = ST_GeomFromText('$${index + 1}:name')`);
+        values.push(fieldName, polygonToWKT(fieldValue));
+        index += 2;
       } else if (fieldValue.__type === 'Relation') {
         // noop
       } else if (typeof fieldValue === 'number') {
@@ -746,13 +1072,13 @@ export class MySQLStorageAdapter {
       }
     }
 
-    const where = buildWhereClause({ schema, index, query })
+    const where = buildWhereClause({ schema, index, query, tablePrefix: this._collectionPrefix })
     values.push(...where.values);
 
     const qs = `UPDATE \`$1:name\` SET ${updatePatterns.join(',')} WHERE ${where.pattern}`;
     debug('update: ', qs, values);
     return this.connect()
-      .then(() => this.database.query(qs, values))
+      .then(() => this._timeQuery('updateObjectsByQuery', className, qs, values, () => this.database.query(qs, values)))
       .then(([results]) => {
         if (results.affectedRows > 0) {
           return this.find(className, schema, query, {undefined, limit:results.affectedRows})
@@ -780,12 +1106,16 @@ export class MySQLStorageAdapter {
     });
   }
 
-  find(className, schema, query, { skip, limit, sort, keys }) {
+  // joins maps pointer fields to subqueries prepared by the DatabaseController,
+  // the objects they match are returned in place of the pointers. They are
+  // left as pointers when the query sorts by distance. explain gives the plan
+  // of EXPLAIN FORMAT=JSON.
+  find(className, schema, query, { skip, limit, sort, keys, readPreference, joins, explain }) {
     debug('find', className, query, {skip, limit, sort, keys });
     const hasLimit = limit !== undefined;
     const hasSkip = skip !== undefined;
-    let values = [className];
-    const where = buildWhereClause({ schema, query, index: 2 })
+    let values = [this._tableName(className)];
+    const where = buildWhereClause({ schema, query, index: 2, tablePrefix: this._collectionPrefix })
     values.push(...where.values);
 
     const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
@@ -828,10 +1158,33 @@ export class MySQLStorageAdapter {
       values = values.concat(keys);
     }
 
-    const qs = `SELECT ${columns} FROM \`$1:name\` ${wherePattern} ${sortPattern} ${limitPattern} ${skipPattern}`;
+    let qs = `SELECT ${columns} FROM ${selectSource(schema, values)} ${wherePattern} ${sortPattern} ${limitPattern} ${skipPattern}`;
+
+    const joinedFields = where.sorts.length > 0 ? [] : Object.keys(joins || {}).filter(fieldName => {
+      return !keys || keys.indexOf(fieldName) >= 0;
+    });
+    if (joinedFields.length > 0) {
+      // The page is selected first, each joined class is restricted by its
+      // own subquery. objectId is unique so joining keeps one row per object.
+      const joinPatterns = joinedFields.map((fieldName, joinIndex) => {
+        const { className: joinedClassName, schema: joinedSchema, query: joinedQuery } = joins[fieldName];
+        const index = values.length + 1;
+        const joinedWhere = buildWhereClause({ schema: joinedSchema, query: joinedQuery, index: index + 2, tablePrefix: this._collectionPrefix });
+        const joinedWherePattern = joinedWhere.pattern.length > 0 ? `WHERE ${joinedWhere.pattern}` : '';
+        values.push(this._tableName(joinedClassName), fieldName, ...joinedWhere.values);
+        return `LEFT JOIN (SELECT * FROM \`$${index}:name\` ${joinedWherePattern}) AS \`_join${joinIndex}\` ON \`_join${joinIndex}\`.\`objectId\` = \`_base\`.\`$${index + 1}:name\``;
+      });
+      const joinedSortPattern = sort && Object.keys(sort).length > 0 ? 'ORDER BY ' + Object.keys(sort).map(key => {
+        return `\`_base\`.\`${key}\` ${sort[key] === 1 ? 'ASC' : 'DESC'}`;
+      }).join(',') : '';
+      qs = { sql: `SELECT * FROM (${qs}) AS \`_base\` ${joinPatterns.join(' ')} ${joinedSortPattern}`, nestTables: true };
+    }
+    if (explain) {
+      qs = `EXPLAIN FORMAT=JSON ${qs.sql || qs}`;
+    }
     debug(qs, values);
     return this.connect()
-      .then(() => this.database.query(qs, values))
+      .then(() => this._timeQuery('find', className, qs, values, () => this._readQuery(qs, values, readPreference)))
       .catch((err) => {
         // Query on non existing table, don't crash
         if (err.code === MySQLRelationDoesNotExistError) {
@@ -839,52 +1192,31 @@ export class MySQLStorageAdapter {
         }
         return Promise.reject(err);
       })
-      .then(([results]) => results.map(object => {
-        Object.keys(schema.fields).forEach(fieldName => {
-          if (schema.fields[fieldName].type === 'Pointer' && object[fieldName]) {
-            object[fieldName] = { objectId: object[fieldName], __type: 'Pointer', className: schema.fields[fieldName].targetClass };
-          }
-          if (schema.fields[fieldName].type === 'Relation') {
-            object[fieldName] = {
-              __type: "Relation",
-              className: schema.fields[fieldName].targetClass
-            }
+      .then(([results]) => {
+        if (explain) {
+          // A single row holds the plan as a JSON document
+          return results.length > 0 ? JSON.parse(results[0].EXPLAIN) : {};
+        }
+        return results.map(result => {
+          if (joinedFields.length === 0) {
+            return toParseObject(schema, result);
           }
-          if (object[fieldName] && schema.fields[fieldName].type === 'GeoPoint') {
-            object[fieldName] = {
-              __type: "GeoPoint",
-              latitude: object[fieldName].y,
-              longitude: object[fieldName].x
+          const object = toParseObject(schema, result._base);
+          joinedFields.forEach((fieldName, joinIndex) => {
+            if (object[fieldName] === undefined) {
+              return;
             }
-          }
-          if (object[fieldName] && schema.fields[fieldName].type === 'File') {
-            object[fieldName] = {
-              __type: 'File',
-              name: object[fieldName]
+            const joined = result[`_join${joinIndex}`];
+            // Pointers to objects that are gone or hidden are left out
+            if (joined.objectId === null) {
+              delete object[fieldName];
+            } else {
+              object[fieldName] = toParseObject(joins[fieldName].schema, joined);
             }
-          }
-          if (object[fieldName] != undefined && schema.fields[fieldName].type === 'Boolean') {
-            object[fieldName] = object[fieldName] === 1 ? true : false;
-          }
+          });
+          return object;
         });
-
-        if (object.createdAt) {
-          object.createdAt = object.createdAt.toISOString();
-        }
-        if (object.updatedAt) {
-          object.updatedAt = object.updatedAt.toISOString();
-        }
-
-        for (const fieldName in object) {
-          if (object[fieldName] === null) {
-            delete object[fieldName];
-          }
-          if (object[fieldName] instanceof Date) {
-            object[fieldName] = { __type: 'Date', iso: object[fieldName].toISOString() };
-          }
-        }
-        return object;
-      }));
+      });
   }
 
   // Create a unique index. Unique indexes on nullable fields are not allowed. Since we don't
@@ -898,9 +1230,10 @@ export class MySQLStorageAdapter {
     const constraintName = `unique_${fieldNames.sort().join('_')}`;
     const constraintPatterns = fieldNames.map((fieldName, index) => `\`$${index + 3}:name\``);
     const qs = `ALTER TABLE \`$1:name\` ADD CONSTRAINT \`$2:name\` UNIQUE (${constraintPatterns.join(',')})`;
-    debug('ensureUniqueness', qs, [className, constraintName, ...fieldNames]);
+    const values = [this._tableName(className), constraintName, ...fieldNames];
+    debug('ensureUniqueness', qs, values);
     return this.connect()
-      .then(() => this.database.query(qs, [className, constraintName, ...fieldNames]))
+      .then(() => this.database.query(qs, values))
       .then(([res]) => {
         return res;
       })
@@ -918,17 +1251,178 @@ export class MySQLStorageAdapter {
       });
   }
 
+  // Lists the indexes of a class keyed by name, in the format createIndexes accepts.
+  getIndexes(className) {
+    debug('getIndexes', className);
+    return this.connect()
+      .then(() => this.database.query('SHOW INDEX FROM `$1:name`', [this._tableName(className)]))
+      .then(([rows]) => rows.reduce((indexes, row) => {
+        const index = indexes[row.Key_name] = indexes[row.Key_name] || { fields: {} };
+        if (row.Index_type === 'FULLTEXT') {
+          index.fields[row.Column_name] = 'text';
+        } else {
+          index.fields[row.Column_name] = row.Collation === 'D' ? -1 : 1;
+        }
+        if (Number(row.Non_unique) === 0) {
+          index.unique = true;
+        }
+        if (row.Sub_part) {
+          index.prefixLength = Object.assign({}, index.prefixLength, { [row.Column_name]: Number(row.Sub_part) });
+        }
+        return indexes;
+      }, {}))
+      .catch(error => {
+        if (error.code === MySQLRelationDoesNotExistError) {
+          return {};
+        }
+        throw error;
+      });
+  }
+
+  // Creates indexes from { name: { fields, unique, prefixLength } }. Text and
+  // blob columns can only be indexed on a prefix of their values.
+  createIndexes(className, indexes) {
+    debug('createIndexes', className, indexes);
+    const names = Object.keys(indexes);
+    if (names.length === 0) {
+      return Promise.resolve();
+    }
+    return this.connect()
+      .then(() => this.database.query('SHOW COLUMNS FROM `$1:name`', [this._tableName(className)]))
+      .then(([columns]) => {
+        const columnTypes = columns.reduce((types, column) => {
+          types[column.Field] = String(column.Type);
+          return types;
+        }, {});
+        return names.reduce((promise, name) => promise.then(() => {
+          const { fields, unique, prefixLength = {} } = indexes[name];
+          const fieldNames = Object.keys(fields);
+          const fullText = fieldNames.some(fieldName => fields[fieldName] === 'text');
+          const values = [this._tableName(className), name];
+          const patterns = fieldNames.map(fieldName => {
+            values.push(fieldName);
+            let pattern = `\`$${values.length}:name\``;
+            if (prefixLength[fieldName]) {
+              pattern += `(${parseInt(prefixLength[fieldName], 10)})`;
+            } else if (!fullText && /text|blob/.test(columnTypes[fieldName])) {
+              pattern += `(${defaultIndexPrefixLength})`;
+            }
+            if (fields[fieldName] === -1) {
+              pattern += ' DESC';
+            }
+            return pattern;
+          });
+          const kind = fullText ? 'FULLTEXT ' : (unique ? 'UNIQUE ' : '');
+          const qs = `CREATE ${kind}INDEX \`$2:name\` ON \`$1:name\` (${patterns.join(', ')})`;
+          return this.database.query(qs, values)
+            .catch(error => {
+              if (error.code === MySQLDuplicateObjectError) {
+                throw new Parse.Error(Parse.Error.DUPLICATE_VALUE, `Cannot create unique index ${name}, some objects share a value`);
+              } else if (error.code === MySQLUniqueIndexViolationError) {
+                throw new Parse.Error(255, `Index ${name} exists, cannot update.`);
+              } else if (error.code === MySQLKeyTooLongError) {
+                throw new Parse.Error(Parse.Error.INVALID_JSON, `Index ${name} is too long, use a shorter prefixLength`);
+              }
+              throw error;
+            });
+        }), Promise.resolve());
+      });
+  }
+
+  dropIndexes(className, names) {
+    debug('dropIndexes', className, names);
+    return this.connect()
+      .then(() => names.reduce((promise, name) => promise
+        .then(() => this.database.query('DROP INDEX `$2:name` ON `$1:name`', [this._tableName(className), name])), Promise.resolve()));
+  }
+
+  // Compares the columns of every class with the types its schema maps to
+  // and lists the ALTER TABLE statements that reconcile them. Columns are only
+  // ever added or modified. Modifications the existing rows would not fit
+  // are flagged with the reason as `unsafe`.
+  planSchemaMigrations() {
+    debug('planSchemaMigrations');
+    return this._ensureSchemaCollectionExists()
+      .then(() => Promise.all([
+        this.database.query(`SELECT * FROM ${this._schemaTable}`),
+        this.database.query('SELECT `TABLE_NAME` AS `tableName`, `COLUMN_NAME` AS `columnName`, `COLUMN_TYPE` AS `columnType` FROM information_schema.`COLUMNS` WHERE `TABLE_SCHEMA` = DATABASE()'),
+      ]))
+      .then(([[schemas], [columns]]) => {
+        const tables = {};
+        columns.forEach(({ tableName, columnName, columnType }) => {
+          tables[tableName] = tables[tableName] || {};
+          tables[tableName][columnName] = normalizeMySQLType(columnType);
+        });
+        const migrations = [];
+        schemas.forEach(({ className, schema }) => {
+          const table = tables[this._tableName(className)];
+          // Classes without a table get one with the right types when created
+          if (!table) {
+            return;
+          }
+          const fields = (schema && schema.fields) || {};
+          Object.keys(fields).forEach(fieldName => {
+            const type = fields[fieldName];
+            if (type.type === 'Relation') {
+              return;
+            }
+            const columnType = this._columnType(fieldName, type);
+            const from = table[fieldName];
+            if (from === normalizeMySQLType(columnType)) {
+              return;
+            }
+            const action = from ? 'MODIFY' : 'ADD';
+            migrations.push({
+              className,
+              fieldName,
+              from: from || null,
+              to: columnType,
+              statement: `ALTER TABLE ${quoteIdentifier(this._tableName(className))} ${action} COLUMN ${quoteIdentifier(fieldName)} ${columnDefinition(fieldName, type, columnType)}`,
+            });
+          });
+        });
+        return migrations.reduce((promise, migration) => promise.then(() => {
+          const condition = migration.from && dataLossCondition(quoteIdentifier(migration.fieldName), normalizeMySQLType(migration.to));
+          if (!condition) {
+            return;
+          }
+          const column = quoteIdentifier(migration.fieldName);
+          return this.database.query(`SELECT COUNT(*) AS \`count\` FROM ${quoteIdentifier(this._tableName(migration.className))} WHERE ${column} IS NOT NULL AND (${condition})`)
+            .then(([[{ count }]]) => {
+              if (count > 0) {
+                migration.unsafe = `${count} rows do not fit ${migration.to}`;
+              }
+            });
+        }), Promise.resolve()).then(() => migrations);
+      });
+  }
+
+  // Runs the statements of planSchemaMigrations one by one, skipping unsafe
+  // ones unless forced. MySQL commits every ALTER TABLE on its own, so when a
+  // statement fails the ones before it stay applied. Resolves with the
+  // migrations that were applied.
+  applySchemaMigrations(migrations, { force = false } = {}) {
+    debug('applySchemaMigrations', migrations);
+    return this.connect()
+      .then(() => migrations.reduce((promise, migration) => promise.then(applied => {
+        if (migration.unsafe && !force) {
+          return applied;
+        }
+        return this.database.query(migration.statement).then(() => applied.concat(migration));
+      }), Promise.resolve([])));
+  }
+
   // Executes a count.
-  count(className, schema, query) {
+  count(className, schema, query, readPreference) {
     debug('count', className, query);
-    const values = [className];
-    const where = buildWhereClause({ schema, query, index: 2 });
+    const values = [this._tableName(className)];
+    const where = buildWhereClause({ schema, query, index: 2, tablePrefix: this._collectionPrefix });
     values.push(...where.values);
 
     const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
-    const qs = `SELECT count(*) FROM \`$1:name\` ${wherePattern}`;
+    const qs = `SELECT count(*) FROM ${selectSource(schema, values)} ${wherePattern}`;
     return this.connect()
-      .then(() => this.database.query(qs, values))
+      .then(() => this._timeQuery('count', className, qs, values, () => this._readQuery(qs, values, readPreference)))
       .then(([result]) => result[0]['count(*)'])
       .catch((err) => {
         if (err.code === MySQLRelationDoesNotExistError) {
@@ -938,6 +1432,90 @@ export class MySQLStorageAdapter {
       });
   }
 
+  // A GROUP BY query on the table of the class
+  aggregate(className, schema, { where: query, group, sort, skip, limit }, readPreference) {
+    debug('aggregate', className, query, group, { sort, skip, limit });
+    let values = [this._tableName(className)];
+    const where = buildWhereClause({ schema, query, index: 2, tablePrefix: this._collectionPrefix });
+    values.push(...where.values);
+    const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
+
+    const columns = [];
+    const groupColumns = [];
+    group.keys.forEach(({ name, field }) => {
+      const index = values.length + 1;
+      values.push(field, name);
+      columns.push(`\`$${index}:name\` AS \`$${index + 1}:name\``);
+      groupColumns.push(`\`$${index}:name\``);
+    });
+    group.accumulators.forEach(({ name, operator, field, value }) => {
+      const index = values.length + 1;
+      let expression;
+      if (operator === '$count') {
+        expression = 'COUNT(*)';
+      } else if (field === undefined) {
+        values.push(value);
+        expression = `SUM($${index}:raw)`;
+      } else {
+        values.push(field);
+        expression = `${operator.slice(1).toUpperCase()}(\`$${index}:name\`)`;
+      }
+      values.push(name);
+      columns.push(`${expression} AS \`$${values.length}:name\``);
+    });
+    if (columns.length === 0) {
+      columns.push('COUNT(*) AS `count`');
+    }
+    // Without a group key an empty table still gives one row, unlike $group
+    const groupPattern = groupColumns.length > 0 ? `GROUP BY ${groupColumns.join(',')}` : 'HAVING COUNT(*) > 0';
+
+    const sortPattern = sort && Object.keys(sort).length > 0 ? 'ORDER BY ' + Object.keys(sort).map(name => {
+      values.push(name);
+      return `\`$${values.length}:name\` ${sort[name] === 1 ? 'ASC' : 'DESC'}`;
+    }).join(',') : '';
+    let limitPattern = '';
+    if (limit !== undefined || skip !== undefined) {
+      // MySQL has no OFFSET without a LIMIT
+      values = values.concat([limit === undefined ? '18446744073709551615' : limit, skip || 0]);
+      limitPattern = `LIMIT $${values.length - 1}:raw OFFSET $${values.length}:raw`;
+    }
+
+    const qs = `SELECT ${columns.join(',')} FROM \`$1:name\` ${wherePattern} ${groupPattern} ${sortPattern} ${limitPattern}`;
+    debug(qs, values);
+    return this.connect()
+      .then(() => this._timeQuery('aggregate', className, qs, values, () => this._readQuery(qs, values, readPreference)))
+      .then(([results]) => results)
+      .catch((err) => {
+        if (err.code === MySQLRelationDoesNotExistError) {
+          return [];
+        }
+        throw err;
+      });
+  }
+
+  distinct(className, schema, query, fieldName, readPreference) {
+    debug('distinct', className, query, fieldName);
+    const values = [this._tableName(className), fieldName];
+    const where = buildWhereClause({ schema, query, index: 3, tablePrefix: this._collectionPrefix });
+    values.push(...where.values);
+    const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
+    const qs = `SELECT DISTINCT \`$2:name\` FROM \`$1:name\` ${wherePattern}`;
+    debug(qs, values);
+    return this.connect()
+      .then(() => this._timeQuery('distinct', className, qs, values, () => this._readQuery(qs, values, readPreference)))
+      .then(([results]) => {
+        const distinctValues = results.map(result => result[fieldName]);
+        // MySQL 5.7 cannot unnest JSON arrays, the distinct arrays give the elements
+        return schema.fields[fieldName].type === 'Array' ? distinctElements(distinctValues) : distinctValues;
+      })
+      .catch((err) => {
+        if (err.code === MySQLRelationDoesNotExistError) {
+          return [];
+        }
+        throw err;
+      });
+  }
+
   performInitialization({ VolatileClassesSchemas }) {
     debug('performInitialization');
     const promises = VolatileClassesSchemas.map((schema) => {
@@ -962,7 +1540,7 @@ export class MySQLStorageAdapter {
 
   createFullTextIndex(className, field) {
     return this.connect()
-      .then(() => this.database.query(`ALTER TABLE \`${className}\` ADD FULLTEXT (${field})`));
+      .then(() => this.database.query(`ALTER TABLE ${quoteIdentifier(this._tableName(className))} ADD FULLTEXT (${field})`));
   }
 }
 
@@ -1,20 +1,43 @@
 import Parse            from 'parse/node';
 import _                from 'lodash';
 
-const parseTypeToMySQLType = type => {
-  switch (type.type) {
-  case 'String': return 'text';
-  case 'Date': return 'timestamp(6)';
-  case 'Object': return 'json';
-  case 'File': return 'text';
-  case 'Boolean': return 'boolean';
-  case 'Pointer': return 'char(10)';
-  case 'Number': return 'double precision';
-  case 'GeoPoint': return 'point';
-  case 'Bytes': return 'json';
-  case 'Array': return 'json';
-  default: throw `no type for ${JSON.stringify(type)} yet`;
+const defaultTypeMapping = Object.freeze({
+  String: 'text',
+  Date: 'timestamp(6)',
+  Object: 'json',
+  File: 'text',
+  Boolean: 'boolean',
+  Pointer: 'char(10)',
+  Number: 'double precision',
+  GeoPoint: 'point',
+  Bytes: 'json',
+  Array: 'json',
+  Polygon: 'polygon',
+});
+
+// Field options take precedence over the mapping, which can be overridden
+// per Parse type with either a column type or a function of the field type.
+const parseTypeToMySQLType = (type, typeMapping = {}) => {
+  if (type.type === 'String' && type.maxLength) {
+    return `varchar(${type.maxLength})`;
+  }
+  if (type.type === 'Number' && type.integer) {
+    return 'bigint';
   }
+  const mysqlType = typeMapping[type.type] || defaultTypeMapping[type.type];
+  if (!mysqlType) {
+    throw `no type for ${JSON.stringify(type)} yet`;
+  }
+  return typeof mysqlType === 'function' ? mysqlType(type) : mysqlType;
+};
+
+// Brings a column type to the form information_schema reports it in
+const normalizeMySQLType = (type) => {
+  return String(type).toLowerCase().trim().replace(/\s+/g, ' ')
+    .replace(/^(double precision|real)$/, 'double')
+    .replace(/^(boolean|bool)$/, 'tinyint(1)')
+    .replace(/^integer/, 'int')
+    .replace(/^(smallint|mediumint|int|bigint)\(\d+\)/, '$1');
 };
 
 const ParseToMySQLComparator = {
@@ -67,10 +90,16 @@ const formatDateToMySQL = value => {
   return encoded;
 }
 
+// Where clause values end up inside single quoted string literals
+const escapeMySQLString = value => value.replace(/\\/g, '\\\\').replace(/'/g, "''");
+
 const transformValue = value => {
   if (typeof value === 'object' &&
         value.__type === 'Pointer') {
-    return value.objectId;
+    return escapeMySQLString(value.objectId);
+  }
+  if (typeof value === 'string') {
+    return escapeMySQLString(value);
   }
   return value;
 }
@@ -87,11 +116,15 @@ const toParseSchema = (schema) => {
   if (schema.classLevelPermissions) {
     clps = {...emptyCLPS, ...schema.classLevelPermissions};
   }
-  return {
+  const parseSchema = {
     className: schema.className,
     fields: schema.fields,
     classLevelPermissions: clps,
   };
+  if (schema.classOptions) {
+    parseSchema.classOptions = schema.classOptions;
+  }
+  return parseSchema;
 }
 
 const toMySQLSchema = (schema) => {
@@ -198,47 +231,297 @@ function createLiteralRegex(remaining) {
       // don't escape alphanumeric characters
       return c;
     }
-    // escape everything else (single quotes with single quotes, everything else with a backslash)
-    return c === `'` ? `''` : `\\${c}`;
+    // escape everything else with a backslash, quotes are escaped with the whole value
+    return c === `'` ? c : `\\${c}`;
   }).join('');
 }
 
+// Escapes the text between \Q and \E, or the end of the regex
 function literalizeRegexPart(s) {
-  const matcher1 = /\\Q((?!\\E).*)\\E$/
-  const result1 = s.match(matcher1);
-  if(result1 && result1.length > 1 && result1.index > -1){
-    // process regex that has a beginning and an end specified for the literal text
-    const prefix = s.substr(0, result1.index);
-    const remaining = result1[1];
-
-    return literalizeRegexPart(prefix) + createLiteralRegex(remaining);
-  }
-
-  // process regex that has a beginning specified for the literal text
-  const matcher2 = /\\Q((?!\\E).*)$/
-  const result2 = s.match(matcher2);
-  if(result2 && result2.length > 1 && result2.index > -1){
-    const prefix = s.substr(0, result2.index);
-    const remaining = result2[1];
-
-    return literalizeRegexPart(prefix) + createLiteralRegex(remaining);
-  }
-
-  // remove all instances of \Q and \E from the remaining text & escape single quotes
-  return (
-    s.replace(/([^\\])(\\E)/, '$1')
-    .replace(/([^\\])(\\Q)/, '$1')
-    .replace(/^\\E/, '')
-    .replace(/^\\Q/, '')
-    .replace(/([^'])'/, `$1''`)
-    .replace(/^'([^'])/, `''$1`)
-    .replace('\\w','[0-9a-zA-Z]')
-  );
+  return s.replace(/\\Q([\s\S]*?)(?:\\E|$)/g, (match, literal) => createLiteralRegex(literal));
+}
+
+// Character class escapes MySQL regular expressions do not understand,
+// written as the contents of a bracket expression
+const regexClassEscapes = {
+  d: '0-9',
+  s: '[:space:]',
+  w: '[:alnum:]_',
+};
+
+const regexCharacterEscapes = {
+  n: '\n',
+  t: '\t',
+};
+
+// Rewrites a regex in the syntax of the Mongo adapter to the POSIX syntax
+// MySQL uses, emulating the m (multiline) and s (dot matches newlines) options.
+function rewriteRegexSyntax(regex, { multiline, dotAll }) {
+  let result = '';
+  for (let i = 0; i < regex.length; i++) {
+    const c = regex[i];
+    if (c === '\\' && i + 1 < regex.length) {
+      const next = regex[++i];
+      const lower = next.toLowerCase();
+      if (regexClassEscapes[lower]) {
+        result += next === lower ? `[${regexClassEscapes[lower]}]` : `[^${regexClassEscapes[lower]}]`;
+      } else if (regexCharacterEscapes[next]) {
+        result += regexCharacterEscapes[next];
+      } else {
+        result += c + next;
+      }
+    } else if (c === '[') {
+      // Backslashes are literal in POSIX bracket expressions
+      let bracket = '[';
+      let j = i + 1;
+      if (regex[j] === '^') {
+        bracket += regex[j++];
+      }
+      if (regex[j] === ']') {
+        bracket += regex[j++];
+      }
+      while (j < regex.length && regex[j] !== ']') {
+        if (regex[j] === '[' && regex[j + 1] === ':' && regex.indexOf(':]', j) > 0) {
+          const end = regex.indexOf(':]', j) + 2;
+          bracket += regex.slice(j, end);
+          j = end;
+        } else if (regex[j] === '\\' && j + 1 < regex.length) {
+          const next = regex[j + 1];
+          bracket += regexClassEscapes[next] || regexCharacterEscapes[next] || next;
+          j += 2;
+        } else {
+          bracket += regex[j++];
+        }
+      }
+      result += `${bracket}]`;
+      i = j;
+    } else if (c === '.' && !dotAll) {
+      result += '[^\n]';
+    } else if (c === '^' && multiline) {
+      result += '(^|\n)';
+    } else if (c === '$' && multiline) {
+      result += '($|\n)';
+    } else {
+      result += c;
+    }
+  }
+  return result;
+}
+
+const toMySQLRegex = (regex, options = '') => {
+  if (typeof regex !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `bad regex: ${regex}`);
+  }
+  if (options.indexOf('x') >= 0) {
+    regex = removeWhiteSpace(regex);
+  }
+  return rewriteRegexSyntax(processRegexPattern(regex), {
+    multiline: options.indexOf('m') >= 0,
+    dotAll: options.indexOf('s') >= 0,
+  });
+}
+
+// Matches like Mongo: case sensitive unless the i option is given
+const buildRegexPattern = (column, literal, options = '') => {
+  if (options.indexOf('i') >= 0) {
+    return `LOWER(${column}) REGEXP LOWER(${literal})`;
+  }
+  return `BINARY ${column} REGEXP BINARY ${literal}`;
+}
+
+// Turns a regex that only matches literal text, such as the ones the SDKs
+// build for startsWith, into a LIKE pattern. Returns undefined otherwise.
+const regexToLikePattern = (regex) => {
+  let literal = regex;
+  const startsWith = literal.startsWith('^');
+  if (startsWith) {
+    literal = literal.slice(1);
+  }
+  const endsWith = /[^\\]\$$/.test(literal) || literal === '$';
+  if (endsWith) {
+    literal = literal.slice(0, -1);
+  }
+  const quoted = /^\\Q([\s\S]*?)(\\E)?$/.exec(literal);
+  if (quoted && quoted[1].indexOf('\\E') < 0) {
+    literal = quoted[1];
+  } else if (/^(?:[^\\.*+?()[\]{}|^$]|\\[^0-9a-zA-Z])*$/.test(literal)) {
+    literal = literal.replace(/\\(.)/g, '$1');
+  } else {
+    return undefined;
+  }
+  return `${startsWith ? '' : '%'}${literal.replace(/[\\%_]/g, '\\$&')}${endsWith ? '' : '%'}`;
 }
 
-const buildWhereClause = ({ schema, query, index }) => {
+// Constraints on a key of an Object field, e.g. 'address.city'. Values
+// are compared as JSON so that their types are respected.
+const buildDotFieldClause = (fieldName, fieldValue, index) => {
+  const [first, ...keys] = fieldName.split('.');
+  const values = [first, `$.${keys.map(key => `"${key}"`).join('.')}`];
+  const column = `\`$${index}:name\``;
+  const path = `'$${index + 1}:name'`;
+  const extracted = `JSON_EXTRACT(${column}, ${path})`;
+  const isNull = `(${extracted} IS NULL OR JSON_TYPE(${extracted}) = 'NULL')`;
+  const jsonValue = (atom) => {
+    values.push(JSON.stringify(atom));
+    return `CAST('$${index + values.length - 1}:name' AS JSON)`;
+  };
+  const equals = (atom) => atom === null ? isNull : `${extracted} = ${jsonValue(atom)}`;
+
+  if (fieldValue === null || typeof fieldValue !== 'object' || fieldValue.__type) {
+    return { pattern: equals(fieldValue), values };
+  }
+  const patterns = [];
+  Object.keys(fieldValue).forEach(key => {
+    const constraint = fieldValue[key];
+    switch (key) {
+    case '$eq':
+      patterns.push(equals(constraint));
+      break;
+    case '$ne':
+      patterns.push(`NOT COALESCE(${equals(constraint)}, FALSE)`);
+      break;
+    case '$lt':
+    case '$lte':
+    case '$gt':
+    case '$gte':
+      patterns.push(`${extracted} ${ParseToMySQLComparator[key]} ${jsonValue(constraint)}`);
+      break;
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(constraint)) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, `bad ${key} value`);
+      }
+      const matches = constraint.length > 0 ? `(${constraint.map(equals).join(' OR ')})` : 'FALSE';
+      patterns.push(key === '$in' ? matches : `NOT COALESCE(${matches}, FALSE)`);
+      break;
+    }
+    case '$exists':
+      patterns.push(`COALESCE(JSON_CONTAINS_PATH(${column}, 'one', ${path}), 0) = ${constraint ? 1 : 0}`);
+      break;
+    case '$regex':
+      values.push(toMySQLRegex(constraint, fieldValue.$options));
+      patterns.push(buildRegexPattern(`JSON_UNQUOTE(${extracted})`, `'$${index + values.length - 1}:name'`, fieldValue.$options));
+      break;
+    case '$options':
+      break;
+    default:
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `MySQL does not support ${key} on keys of Object fields`);
+    }
+  });
+  return { pattern: patterns.join(' AND '), values };
+}
+
+// The earth radius Parse distances in radians are based on
+const earthRadiusInMeters = 6371000;
+
+// Geo values end up inside SQL text, so they have to be actual numbers
+const validateGeoPoint = (point, message) => {
+  if (typeof point !== 'object' || point === null || point.__type !== 'GeoPoint' ||
+      typeof point.latitude !== 'number' || typeof point.longitude !== 'number') {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, message);
+  }
+  Parse.GeoPoint._validate(point.latitude, point.longitude);
+  return point;
+};
+
+// Geometries are passed to ST_GeomFromText as well-known text, which puts
+// the longitude first
+const geoPointToWKT = point => `POINT(${point.longitude} ${point.latitude})`;
+
+const ringToWKT = (lngLats) => {
+  const first = lngLats[0];
+  const last = lngLats[lngLats.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    lngLats = lngLats.concat([first]);
+  }
+  return `POLYGON((${lngLats.map(lngLat => lngLat.join(' ')).join(', ')}))`;
+};
+
+// Polygon coordinates are [latitude, longitude] pairs
+const polygonToWKT = polygon => ringToWKT(polygon.coordinates.map(([latitude, longitude]) => [longitude, latitude]));
+
+// The driver reads polygons as lists of rings of { x, y } points
+const toParsePolygon = rings => ({
+  __type: 'Polygon',
+  coordinates: rings[0].map(({ x, y }) => [y, x]),
+});
+
+const maxDistanceInRadians = (fieldValue) => {
+  let distance;
+  if (fieldValue.$maxDistance !== undefined) {
+    distance = fieldValue.$maxDistance;
+  } else if (fieldValue.$maxDistanceInRadians !== undefined) {
+    distance = fieldValue.$maxDistanceInRadians;
+  } else if (fieldValue.$maxDistanceInMiles !== undefined) {
+    distance = fieldValue.$maxDistanceInMiles / 3959;
+  } else if (fieldValue.$maxDistanceInKilometers !== undefined) {
+    distance = fieldValue.$maxDistanceInKilometers / 6371;
+  } else {
+    return undefined;
+  }
+  if (typeof distance !== 'number' || isNaN(distance) || distance < 0) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $maxDistance value');
+  }
+  return distance;
+};
+
+// $centerSphere is [center, distance in radians], where the center is a
+// GeoPoint or a [longitude, latitude] pair.
+const transformCenterSphere = (centerSphere) => {
+  if (!(centerSphere instanceof Array) || centerSphere.length < 2) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_JSON,
+      'bad $geoWithin value; $centerSphere should be an array of Parse.GeoPoint and distance'
+    );
+  }
+  let center = centerSphere[0];
+  if (center instanceof Array && center.length === 2) {
+    center = { __type: 'GeoPoint', longitude: center[0], latitude: center[1] };
+  }
+  validateGeoPoint(center, 'bad $geoWithin value; $centerSphere geo point invalid');
+  const distance = centerSphere[1];
+  if (typeof distance !== 'number' || isNaN(distance) || distance < 0) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $geoWithin value; $centerSphere distance invalid');
+  }
+  return { center, distance };
+};
+
+// A box around the circle, so that MySQL can narrow the rows down with a
+// SPATIAL index before computing distances. There is none when the circle
+// reaches a pole or crosses the antimeridian.
+const boundingBoxWKT = (center, distance) => {
+  const latitudeDelta = distance * 180 / Math.PI;
+  const south = center.latitude - latitudeDelta;
+  const north = center.latitude + latitudeDelta;
+  if (south <= -90 || north >= 90) {
+    return undefined;
+  }
+  const longitudeDelta = Math.asin(Math.sin(distance) / Math.cos(center.latitude * Math.PI / 180)) * 180 / Math.PI;
+  const west = center.longitude - longitudeDelta;
+  const east = center.longitude + longitudeDelta;
+  if (west < -180 || east > 180) {
+    return undefined;
+  }
+  return ringToWKT([[west, south], [west, north], [east, north], [east, south]]);
+};
+
+// Points at most distance radians away from center, on a sphere
+const buildDistanceClause = (fieldName, center, distance, index) => {
+  const values = [fieldName, geoPointToWKT(center), distance * earthRadiusInMeters];
+  let pattern = `ST_Distance_Sphere(\`$${index}:name\`, ST_GeomFromText('$${index + 1}:name'), ${earthRadiusInMeters}) <= $${index + 2}:name`;
+  const box = boundingBoxWKT(center, distance);
+  if (box) {
+    pattern = `MBRCovers(ST_GeomFromText('$${index + 3}:name'), \`$${index}:name\`) AND ${pattern}`;
+    values.push(box);
+  }
+  return { pattern, values };
+};
+
+// Values are escaped once, by buildWhereClause, however deep the clause is nested.
+// Tables other than the queried one are named behind tablePrefix.
+const buildClause = ({ schema, query, index, tablePrefix = '' }) => {
   const patterns = [];
-  let values = [];
+  const values = [];
   const sorts = [];
 
   schema = toMySQLSchema(schema);
@@ -250,31 +533,27 @@ const buildWhereClause = ({ schema, query, index }) => {
     const fieldValue = query[fieldName];
 
     // nothingin the schema, it's gonna blow up
-    if (!schema.fields[fieldName]) {
+    if (!schema.fields[fieldName.split('.')[0]]) {
       // as it won't exist
       if (fieldValue && fieldValue.$exists === false) {
         continue;
       }
     }
 
+    if (fieldName === '$relatedTo') {
+      const { object, key } = fieldValue;
+      patterns.push(`\`objectId\` IN (SELECT \`relatedId\` FROM \`$${index}:name\` WHERE \`owningId\` = '$${index + 1}:name')`);
+      values.push(`${tablePrefix}_Join:${key}:${object.className}`, object.objectId);
+      index += 2;
+      continue;
+    }
+
     if (fieldName.indexOf('.') >= 0) {
-      const components = fieldName.split('.');
-      let name;
-      components.map((cmpt, index) => {
-        if (index === 0) {
-          name = `\`${cmpt}\`->>`;
-        } else if (index === 1) {
-          name += `'$.${cmpt}`;
-        } else {
-          name += `.${cmpt}`;
-        }
-      });
-      name += "'";
-      if (fieldValue === null) {
-        patterns.push(`\`${name}\` IS NULL`);
-      } else {
-        patterns.push(`${name} = '${fieldValue}'`);
-      }
+      const clause = buildDotFieldClause(fieldName, fieldValue, index);
+      patterns.push(clause.pattern);
+      values.push(...clause.values);
+      index += clause.values.length;
+      continue;
     } else if (fieldValue === null) {
       patterns.push(`\`$${index}:name\` IS NULL`);
       values.push(fieldName);
@@ -296,7 +575,7 @@ const buildWhereClause = ({ schema, query, index }) => {
       const clauses = [];
       const clauseValues = [];
       fieldValue.forEach((subQuery) =>  {
-        const clause = buildWhereClause({ schema, query: subQuery, index });
+        const clause = buildClause({ schema, query: subQuery, index, tablePrefix });
         if (clause.pattern.length > 0) {
           clauses.push(clause.pattern);
           clauseValues.push(...clause.values);
@@ -309,24 +588,22 @@ const buildWhereClause = ({ schema, query, index }) => {
     }
 
     if (fieldValue.$ne !== undefined) {
-      if (isArrayField) {
-        fieldValue.$ne = JSON.stringify([fieldValue.$ne]);
-        patterns.push(`JSON_CONTAINS(\`$${index}:name\`, '$${index + 1}:name') != 1`);
+      if (fieldValue.$ne === null) {
+        patterns.push(`\`$${index}:name\` IS NOT NULL`);
+        values.push(fieldName);
+        index += 1;
       } else {
-        if (fieldValue.$ne === null) {
-          patterns.push(`\`$${index}:name\` IS NOT NULL`);
-          values.push(fieldName);
-          index += 1;
-          continue;
+        if (isArrayField) {
+          // Arrays that do not contain the value, or no array at all
+          patterns.push(`(\`$${index}:name\` IS NULL OR JSON_CONTAINS(\`$${index}:name\`, '$${index + 1}:name') = 0)`);
+          values.push(fieldName, JSON.stringify([fieldValue.$ne]));
         } else {
           // if not null, we need to manually exclude null
           patterns.push(`(\`$${index}:name\` <> '$${index + 1}:name' OR \`$${index}:name\` IS NULL)`);
+          values.push(fieldName, fieldValue.$ne);
         }
+        index += 2;
       }
-
-      // TODO: support arrays
-      values.push(fieldName, fieldValue.$ne);
-      index += 2;
     }
 
     if (fieldValue.$eq) {
@@ -335,42 +612,26 @@ const buildWhereClause = ({ schema, query, index }) => {
       index += 2;
     }
     const isInOrNin = Array.isArray(fieldValue.$in) || Array.isArray(fieldValue.$nin);
-    if (Array.isArray(fieldValue.$in) &&
-        isArrayField &&
-        schema.fields[fieldName].contents &&
-        schema.fields[fieldName].contents.type === 'String') {
-      const inPatterns = [];
-      let allowNull = false;
-      values.push(fieldName);
-      fieldValue.$in.forEach((listElem, listIndex) => {
-        if (listElem === null) {
-          allowNull = true;
-        } else {
-          values.push(listElem);
-          inPatterns.push(`JSON_CONTAINS(\`$${index}:name\`, JSON_ARRAY('$${index + 1 + listIndex - (allowNull ? 1 : 0)}:name')) = 1`);
-        }
-      });
-      const tempInPattern = inPatterns.join(' OR ');
-      if (allowNull) {
-        patterns.push(`(\`$${index}:name\` IS NULL OR ${tempInPattern})`);
-      } else {
-        patterns.push(`\`$${index}:name\` && ${tempInPattern}`);
-      }
-      index = index + 1 + inPatterns.length;
-    } else if (isInOrNin) {
+    if (isInOrNin) {
       var createConstraint = (baseArray, notIn) => {
         if (baseArray.length > 0) {
           const not = notIn ? ' NOT ' : '';
           if (isArrayField) {
-            const operator = notIn ? ' != ' : ' = ';
+            // Arrays that share an element with the list, null matches no array
             const inPatterns = [];
+            let position = index + 1;
             values.push(fieldName);
-            baseArray.forEach((listElem, listIndex) => {
-              values.push(JSON.stringify(listElem));
-              inPatterns.push(`JSON_CONTAINS(\`$${index}:name\`, '$${index + 1 + listIndex}:name') ${operator} 1`);
+            baseArray.forEach(listElem => {
+              if (listElem === null) {
+                inPatterns.push(`\`$${index}:name\` IS NULL`);
+              } else {
+                values.push(JSON.stringify([listElem]));
+                inPatterns.push(`JSON_CONTAINS(\`$${index}:name\`, '$${position++}:name') = 1`);
+              }
             });
-            patterns.push(`${inPatterns.join(' || ')}`);
-            index = index + 1 + inPatterns.length;
+            const matches = `COALESCE(${inPatterns.join(' OR ')}, FALSE)`;
+            patterns.push(notIn ? `NOT ${matches}` : matches);
+            index = position;
           } else {
             const inPatterns = [];
             values.push(fieldName);
@@ -396,9 +657,32 @@ const buildWhereClause = ({ schema, query, index }) => {
     }
 
     if (Array.isArray(fieldValue.$all) && isArrayField) {
-      patterns.push(`JSON_CONTAINS(\`$${index}:name\`, '$${index + 1}:name') = 1`);
-      values.push(fieldName, JSON.stringify(fieldValue.$all));
+      // Every element has to be in the array, regexes match any of its strings
+      fieldValue.$all.forEach(elem => {
+        if (elem && typeof elem.$regex === 'string') {
+          const likePattern = regexToLikePattern(elem.$regex);
+          if (likePattern === undefined) {
+            throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'MySQL only supports $regex in $all for literal, startsWith and endsWith patterns');
+          }
+          const caseInsensitive = elem.$options && elem.$options.indexOf('i') >= 0;
+          const column = caseInsensitive ? `LOWER(CAST(\`$${index}:name\` AS CHAR))` : `\`$${index}:name\``;
+          patterns.push(`JSON_SEARCH(${column}, 'one', '$${index + 1}:name') IS NOT NULL`);
+          values.push(fieldName, caseInsensitive ? likePattern.toLowerCase() : likePattern);
+        } else {
+          patterns.push(`JSON_CONTAINS(\`$${index}:name\`, '$${index + 1}:name') = 1`);
+          values.push(fieldName, JSON.stringify([elem]));
+        }
+        index += 2;
+      });
+    }
+
+    if (Array.isArray(fieldValue.$containedBy)) {
+      // Arrays with no element outside of the list
+      patterns.push(`(\`$${index}:name\` IS NULL OR JSON_CONTAINS('$${index + 1}:name', \`$${index}:name\`) = 1)`);
+      values.push(fieldName, JSON.stringify(fieldValue.$containedBy));
       index += 2;
+    } else if (fieldValue.$containedBy !== undefined) {
+      throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $containedBy: should be an array');
     }
 
     if (typeof fieldValue.$exists !== 'undefined') {
@@ -459,35 +743,47 @@ const buildWhereClause = ({ schema, query, index }) => {
     }
 
     if (fieldValue.$nearSphere) {
-      const point = fieldValue.$nearSphere;
-      sorts.push(`ST_Distance_Sphere(\`$${index}:name\`, ST_GeomFromText('POINT($${index + 1}:name $${index + 2}:name)')) ASC`);
-
-      if (fieldValue.$maxDistance) {
-        const distance = fieldValue.$maxDistance;
-        const distanceInKM = distance * 6371 * 1000;
-        patterns.push(`ST_Distance_Sphere(\`$${index}:name\`, ST_GeomFromText('POINT($${index + 1}:name $${index + 2}:name)')) <= $${index + 3}:name`);
-        values.push(fieldName, point.longitude, point.latitude, distanceInKM);
-        index += 4;
+      const point = validateGeoPoint(fieldValue.$nearSphere, 'bad $nearSphere value; should be a GeoPoint');
+      sorts.push(`ST_Distance_Sphere(\`$${index}:name\`, ST_GeomFromText('$${index + 1}:name')) ASC`);
+      values.push(fieldName, geoPointToWKT(point));
+      index += 2;
+
+      const distance = maxDistanceInRadians(fieldValue);
+      if (distance !== undefined) {
+        const clause = buildDistanceClause(fieldName, point, distance, index);
+        patterns.push(clause.pattern);
+        values.push(...clause.values);
+        index += clause.values.length;
       } else {
-        patterns.push(`ST_Distance_Sphere(\`$${index}:name\`, ST_GeomFromText('POINT($${index + 1}:name $${index + 2}:name)'))`);
-        values.push(fieldName, point.longitude, point.latitude);
-        index += 3;
+        patterns.push(`\`$${index}:name\` IS NOT NULL`);
+        values.push(fieldName);
+        index += 1;
       }
     }
 
-    if (fieldValue.$within && fieldValue.$within.$box) {
+    if (fieldValue.$within) {
       const box = fieldValue.$within.$box;
-      const left = box[0].longitude;
-      const bottom = box[0].latitude;
-      const right = box[1].longitude;
-      const top = box[1].latitude;
-
-      patterns.push(`MBRCovers(ST_GeomFromText('Polygon($${index}:name)'), \`$${index + 1}:name\`)`);
-      values.push(`(${left} ${bottom}, ${left} ${top}, ${top} ${right}, ${right} ${bottom}, ${left} ${bottom})`, fieldName);
+      if (!(box instanceof Array) || box.length !== 2) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, 'malformatted $within arg');
+      }
+      const [southwest, northeast] = box.map(point => validateGeoPoint(point, 'malformatted $within arg'));
+      patterns.push(`MBRCovers(ST_GeomFromText('$${index}:name'), \`$${index + 1}:name\`)`);
+      values.push(ringToWKT([
+        [southwest.longitude, southwest.latitude],
+        [southwest.longitude, northeast.latitude],
+        [northeast.longitude, northeast.latitude],
+        [northeast.longitude, southwest.latitude],
+      ]), fieldName);
       index += 2;
     }
 
-    if (fieldValue.$geoWithin && fieldValue.$geoWithin.$polygon) {
+    if (fieldValue.$geoWithin && fieldValue.$geoWithin.$centerSphere !== undefined) {
+      const { center, distance } = transformCenterSphere(fieldValue.$geoWithin.$centerSphere);
+      const clause = buildDistanceClause(fieldName, center, distance, index);
+      patterns.push(clause.pattern);
+      values.push(...clause.values);
+      index += clause.values.length;
+    } else if (fieldValue.$geoWithin) {
       const polygon = fieldValue.$geoWithin.$polygon;
       if (!(polygon instanceof Array)) {
         throw new Parse.Error(
@@ -501,41 +797,26 @@ const buildWhereClause = ({ schema, query, index }) => {
           'bad $geoWithin value; $polygon should contain at least 3 GeoPoints'
         );
       }
-      if (polygon[0].latitude !== polygon[polygon.length - 1].latitude ||
-        polygon[0].longitude !== polygon[polygon.length - 1].longitude) {
-        polygon.push(polygon[0]);
-      }
       const points = polygon.map((point) => {
-        if (typeof point !== 'object' || point.__type !== 'GeoPoint') {
-          throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $geoWithin value');
-        } else {
-          Parse.GeoPoint._validate(point.latitude, point.longitude);
-        }
-        return `${point.longitude} ${point.latitude}`;
-      }).join(', ');
+        validateGeoPoint(point, 'bad $geoWithin value');
+        return [point.longitude, point.latitude];
+      });
+      // Points on the edges are within the polygon, as with Mongo
+      patterns.push(`ST_Intersects(ST_GeomFromText('$${index}:name'), \`$${index + 1}:name\`)`);
+      values.push(ringToWKT(points), fieldName);
+      index += 2;
+    }
 
-      patterns.push(`MBRCovers(ST_GeomFromText('Polygon($${index}:name)'), \`$${index + 1}:name\`)`);
-      values.push(`(${points})`, fieldName);
+    if (fieldValue.$geoIntersects) {
+      const point = validateGeoPoint(fieldValue.$geoIntersects.$point, 'bad $geoIntersect value; $point should be GeoPoint');
+      patterns.push(`ST_Intersects(\`$${index}:name\`, ST_GeomFromText('$${index + 1}:name'))`);
+      values.push(fieldName, geoPointToWKT(point));
       index += 2;
     }
 
     if (fieldValue.$regex) {
-      let regex = fieldValue.$regex;
-      const operator = 'REGEXP';
-      const opts = fieldValue.$options;
-      if (opts) {
-        // if (opts.indexOf('i') >= 0) {
-        //   operator = '~*';
-        // }
-        if (opts.indexOf('x') >= 0) {
-          regex = removeWhiteSpace(regex);
-        }
-      }
-
-      regex = processRegexPattern(regex);
-
-      patterns.push(`\`$${index}:name\` ${operator} '$${index + 1}:name'`);
-      values.push(fieldName, regex);
+      patterns.push(buildRegexPattern(`\`$${index}:name\``, `'$${index + 1}:name'`, fieldValue.$options));
+      values.push(fieldName, toMySQLRegex(fieldValue.$regex, fieldValue.$options));
       index += 2;
     }
 
@@ -558,16 +839,37 @@ const buildWhereClause = ({ schema, query, index }) => {
     }
 
     if (fieldValue.__type === 'GeoPoint') {
-      patterns.push(`\`$${index}:name\` = ST_GeomFromText('POINT($${index + 1}:name $${index + 2}:name)')`);
-      values.push(fieldName, fieldValue.longitude, fieldValue.latitude);
-      index += 3;
+      validateGeoPoint(fieldValue, 'bad GeoPoint value');
+      patterns.push(`\`$${index}:name\` = ST_GeomFromText('$${index + 1}:name')`);
+      values.push(fieldName, geoPointToWKT(fieldValue));
+      index += 2;
     }
 
+    // Subqueries prepared by the DatabaseController, on pointer fields
+    ['$inSubquery', '$notInSubquery'].forEach(operator => {
+      const subquery = fieldValue[operator];
+      if (!subquery) {
+        return;
+      }
+      const clause = buildClause({ schema: subquery.schema, query: subquery.query, index: index + 2, tablePrefix });
+      const subqueryWhere = clause.pattern.length > 0 ? `WHERE ${clause.pattern}` : '';
+      const select = `SELECT \`objectId\` FROM \`$${index + 1}:name\` ${subqueryWhere}`;
+      if (operator === '$inSubquery') {
+        patterns.push(`\`$${index}:name\` IN (${select})`);
+      } else {
+        patterns.push(`(\`$${index}:name\` IS NULL OR \`$${index}:name\` NOT IN (${select}))`);
+      }
+      values.push(fieldName, tablePrefix + subquery.className, ...clause.values);
+      index += 2 + clause.values.length;
+    });
+
     Object.keys(ParseToMySQLComparator).forEach(cmp => {
-      if (fieldValue[cmp]) {
+      if (fieldValue[cmp] !== undefined && fieldValue[cmp] !== null) {
         const mysqlComparator = ParseToMySQLComparator[cmp];
+        const value = fieldValue[cmp];
         patterns.push(`\`$${index}:name\` ${mysqlComparator} '$${index + 1}:name'`);
-        values.push(fieldName, toMySQLValue(fieldValue[cmp]));
+        // Booleans are stored as 0 and 1
+        values.push(fieldName, typeof value === 'boolean' ? Number(value) : toMySQLValue(value));
         index += 2;
       }
     });
@@ -576,18 +878,71 @@ const buildWhereClause = ({ schema, query, index }) => {
       throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `MySQL does not support this query type yet ${fieldValue}`);
     }
   }
-  values = values.map(transformValue);
   return { pattern: patterns.join(' AND '), values, sorts };
 }
 
+const mySQLDateParts = {
+  $year: 'YEAR',
+  $month: 'MONTH',
+  $dayOfMonth: 'DAYOFMONTH',
+  $hour: 'HOUR',
+  $minute: 'MINUTE',
+};
+
+// The SQL expression of a computed field. String literals are added to
+// values, so that the query format does not take them for parameters.
+const computedFieldToSQL = (expression, values) => {
+  if (typeof expression === 'string' && expression[0] === '$') {
+    return `\`${expression.slice(1)}\``;
+  }
+  if (typeof expression === 'string') {
+    values.push(escapeMySQLString(expression));
+    return `'$${values.length}:name'`;
+  }
+  if (typeof expression === 'number') {
+    return `(${expression})`;
+  }
+  const operator = Object.keys(expression)[0];
+  const operands = expression[operator];
+  if (mySQLDateParts[operator]) {
+    // Dates are stored in UTC
+    return `${mySQLDateParts[operator]}(${computedFieldToSQL(operands, values)})`;
+  }
+  const sqlOperands = operands.map(operand => computedFieldToSQL(operand, values));
+  switch (operator) {
+  case '$concat':
+    return `CONCAT(${sqlOperands.join(', ')})`;
+  case '$add':
+    return `(${sqlOperands.join(' + ')})`;
+  case '$subtract':
+    return `(${sqlOperands.join(' - ')})`;
+  case '$multiply':
+    return `(${sqlOperands.join(' * ')})`;
+  case '$divide':
+    return `(${sqlOperands.join(' / ')})`;
+  default:
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Unsupported computed field operator ${operator}`);
+  }
+};
+
+const buildWhereClause = ({ schema, query, index, tablePrefix }) => {
+  const { pattern, values, sorts } = buildClause({ schema, query, index, tablePrefix });
+  return { pattern, values: values.map(transformValue), sorts };
+};
+
 module.exports = {
   toParseSchema,
   toMySQLSchema,
   parseTypeToMySQLType,
+  normalizeMySQLType,
   joinTablesForSchema,
   handleDotFields,
   validateKeys,
   toMySQLValue,
   buildWhereClause,
   formatDateToMySQL,
+  polygonToWKT,
+  toParsePolygon,
+  escapeMySQLString,
+  computedFieldToSQL,
 };
@@ -2,6 +2,7 @@ import { createClient } from './PostgresClient';
 import Parse            from 'parse/node';
 import _                from 'lodash';
 import sql              from './sql';
+import { timeQuery }    from '../SlowQueryLogger';
 
 const PostgresRelationDoesNotExistError = '42P01';
 const PostgresDuplicateRelationError = '42P07';
@@ -97,11 +98,15 @@ const toParseSchema = (schema) => {
   if (schema.classLevelPermissions) {
     clps = {...emptyCLPS, ...schema.classLevelPermissions};
   }
-  return {
+  const parseSchema = {
     className: schema.className,
     fields: schema.fields,
     classLevelPermissions: clps,
   };
+  if (schema.classOptions) {
+    parseSchema.classOptions = schema.classOptions;
+  }
+  return parseSchema;
 }
 
 const toPostgresSchema = (schema) => {
@@ -172,6 +177,63 @@ const joinTablesForSchema = (schema) => {
   return list;
 }
 
+// EXPLAIN (FORMAT JSON) gives a single row that holds the plan
+const explainedPlan = (rows) => rows.length > 0 ? rows[0]['QUERY PLAN'] : [];
+
+const postgresDateParts = {
+  $year: 'YEAR',
+  $month: 'MONTH',
+  $dayOfMonth: 'DAY',
+  $hour: 'HOUR',
+  $minute: 'MINUTE',
+};
+
+// The SQL expression of a computed field, with its literals added to values
+const computedFieldToSQL = (expression, values) => {
+  if (typeof expression === 'string' && expression[0] === '$') {
+    return `"${expression.slice(1)}"`;
+  }
+  if (typeof expression === 'string') {
+    values.push(expression);
+    return `$${values.length}::text`;
+  }
+  if (typeof expression === 'number') {
+    values.push(expression);
+    return `$${values.length}`;
+  }
+  const operator = Object.keys(expression)[0];
+  const operands = expression[operator];
+  if (postgresDateParts[operator]) {
+    return `CAST(EXTRACT(${postgresDateParts[operator]} FROM ${computedFieldToSQL(operands, values)} AT TIME ZONE 'UTC') AS double precision)`;
+  }
+  const sqlOperands = operands.map(operand => computedFieldToSQL(operand, values));
+  switch (operator) {
+  case '$concat':
+    return `(${sqlOperands.join(' || ')})`;
+  case '$add':
+    return `(${sqlOperands.join(' + ')})`;
+  case '$subtract':
+    return `(${sqlOperands.join(' - ')})`;
+  case '$multiply':
+    return `(${sqlOperands.join(' * ')})`;
+  case '$divide':
+    return `(${sqlOperands.join(' / ')})`;
+  default:
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Unsupported computed field operator ${operator}`);
+  }
+};
+
+// What queries on a class select from: its table, or a subquery that adds
+// the computed fields of the schema as columns, under the same name
+const selectSource = (schema, values) => {
+  const computedFields = schema.computedFields || {};
+  const columns = Object.keys(computedFields).map(name => `${computedFieldToSQL(computedFields[name], values)} AS "${name}"`);
+  if (columns.length === 0) {
+    return '$1:name';
+  }
+  return `(SELECT *, ${columns.join(', ')} FROM $1:name) AS $1:name`;
+};
+
 const buildWhereClause = ({ schema, query, index }) => {
   const patterns = [];
   let values = [];
@@ -326,6 +388,14 @@ const buildWhereClause = ({ schema, query, index }) => {
       index += 2;
     }
 
+    if (Array.isArray(fieldValue.$containedBy)) {
+      patterns.push(`($${index}:name IS NULL OR $${index}:name <@ $${index + 1}::jsonb)`);
+      values.push(fieldName, JSON.stringify(fieldValue.$containedBy));
+      index += 2;
+    } else if (fieldValue.$containedBy !== undefined) {
+      throw new Parse.Error(Parse.Error.INVALID_JSON, 'bad $containedBy: should be an array');
+    }
+
     if (typeof fieldValue.$exists !== 'undefined') {
       if (fieldValue.$exists) {
         patterns.push(`$${index}:name IS NOT NULL`);
@@ -481,7 +551,7 @@ const buildWhereClause = ({ schema, query, index }) => {
     }
 
     Object.keys(ParseToPosgresComparator).forEach(cmp => {
-      if (fieldValue[cmp]) {
+      if (fieldValue[cmp] !== undefined && fieldValue[cmp] !== null) {
         const pgComparator = ParseToPosgresComparator[cmp];
         patterns.push(`$${index}:name ${pgComparator} $${index + 1}`);
         values.push(fieldName, toPostgresValue(fieldValue[cmp]));
@@ -514,6 +584,33 @@ export class PostgresStorageAdapter {
     this._pgp = pgp;
   }
 
+  // Runs callback with a copy of the adapter bound to a single transaction,
+  // committed when the promise it returns resolves and rolled back otherwise.
+  // Nested calls run in a savepoint of the enclosing transaction.
+  transaction(callback) {
+    return this._client.tx(t => {
+      const transaction = Object.create(this);
+      transaction._client = t;
+      return callback(transaction);
+    });
+  }
+
+  // Queries taking longer than threshold ms are logged, undefined turns it off
+  setSlowQueryThreshold(threshold) {
+    this._slowQueryThreshold = threshold;
+  }
+
+  // Runs a query for the adapter method caller, timed against the
+  // slowQueryThreshold. Slow ones are logged as the SQL with its placeholders,
+  // the values are left out as they can hold passwords and tokens.
+  _timeQuery(caller, className, qs, values, run) {
+    return timeQuery(this._slowQueryThreshold, {
+      caller,
+      className,
+      query: qs,
+    }, run);
+  }
+
   _ensureSchemaCollectionExists(conn) {
     conn = conn || this._client;
     return conn.none('CREATE TABLE IF NOT EXISTS "_SCHEMA" ( "className" varChar(120), "schema" jsonb, "isParseClass" bool, PRIMARY KEY ("className") )')
@@ -541,6 +638,13 @@ export class PostgresStorageAdapter {
     });
   }
 
+  setClassOptions(className, classOptions) {
+    return this._ensureSchemaCollectionExists().then(() => {
+      const values = [className, 'schema', 'classOptions', JSON.stringify(classOptions)]
+      return this._client.none(`UPDATE "_SCHEMA" SET $2:name = json_object_set_key($2:name, $3::text, $4::jsonb) WHERE "className"=$1 `, values);
+    });
+  }
+
   createClass(className, schema) {
     return this._client.tx(t => {
       const q1 = this.createTable(className, schema, t);
@@ -679,7 +783,7 @@ export class PostgresStorageAdapter {
         const joins = results.reduce((list, schema) => {
           return list.concat(joinTablesForSchema(schema.schema));
         }, []);
-        const classes = ['_SCHEMA', '_PushStatus', '_JobStatus', '_JobSchedule', '_Hooks', '_GlobalConfig', '_Audience', ...results.map(result => result.className), ...joins];
+        const classes = ['_SCHEMA', '_PushStatus', '_JobStatus', '_JobSchedule', '_Hooks', '_GlobalConfig', '_Audience', '_Audit', '_Version', '_Tenant', '_File', '_FileUpload', ...results.map(result => result.className), ...joins];
         return this._client.tx(t=>t.batch(classes.map(className=>t.none('DROP TABLE IF EXISTS $<className:name>', {className}))));
       }, error => {
         if (error.code === PostgresRelationDoesNotExistError) {
@@ -878,7 +982,7 @@ export class PostgresStorageAdapter {
     const qs = `INSERT INTO $1:name (${columnsPattern}) VALUES (${valuesPattern})`
     const values = [className, ...columnsArray, ...valuesArray]
     debug(qs, values);
-    return this._client.none(qs, values)
+    return this._timeQuery('createObject', className, qs, values, () => this._client.none(qs, values))
       .then(() => ({ ops: [object] }))
       .catch(error => {
         if (error.code === PostgresUniqueIndexViolationError) {
@@ -903,7 +1007,7 @@ export class PostgresStorageAdapter {
     }
     const qs = `WITH deleted AS (DELETE FROM $1:name WHERE ${where.pattern} RETURNING *) SELECT count(*) FROM deleted`;
     debug(qs, values);
-    return this._client.one(qs, values , a => +a.count)
+    return this._timeQuery('deleteObjectsByQuery', className, qs, values, () => this._client.one(qs, values , a => +a.count))
       .then(count => {
         if (count === 0) {
           throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
@@ -1093,14 +1197,15 @@ export class PostgresStorageAdapter {
 
     const qs = `UPDATE $1:name SET ${updatePatterns.join(',')} WHERE ${where.pattern} RETURNING *`;
     debug('update: ', qs, values);
-    return this._client.any(qs, values);
+    return this._timeQuery('updateObjectsByQuery', className, qs, values, () => this._client.any(qs, values));
   }
 
   // Hopefully, we can get rid of this. It's only used for config and hooks.
   upsertOneObject(className, schema, query, update) {
     debug('upsertOneObject', {className, query, update});
     const createValue = Object.assign({}, query, update);
-    return this.createObject(className, schema, createValue).catch((err) => {
+    // A failed insert aborts the enclosing transaction, unless it runs in its own
+    return this.transaction(adapter => adapter.createObject(className, schema, createValue)).catch((err) => {
       // ignore duplicate value errors as it's upsert
       if (err.code === Parse.Error.DUPLICATE_VALUE) {
         return this.findOneAndUpdate(className, schema, query, update);
@@ -1109,7 +1214,8 @@ export class PostgresStorageAdapter {
     });
   }
 
-  find(className, schema, query, { skip, limit, sort, keys }) {
+  // explain gives the plan of EXPLAIN (FORMAT JSON)
+  find(className, schema, query, { skip, limit, sort, keys, explain }) {
     debug('find', className, query, {skip, limit, sort, keys });
     const hasLimit = limit !== undefined;
     const hasSkip = skip !== undefined;
@@ -1129,12 +1235,13 @@ export class PostgresStorageAdapter {
 
     let sortPattern = '';
     if (sort) {
+      // Missing values sort lowest, as in MongoDB, which cursors rely on
       const sorting = Object.keys(sort).map((key) => {
         // Using $idx pattern gives:  non-integer constant in ORDER BY
         if (sort[key] === 1) {
-          return `"${key}" ASC`;
+          return `"${key}" ASC NULLS FIRST`;
         }
-        return `"${key}" DESC`;
+        return `"${key}" DESC NULLS LAST`;
       }).join(',');
       sortPattern = sort !== undefined && Object.keys(sort).length > 0 ? `ORDER BY ${sorting}` : '';
     }
@@ -1157,9 +1264,12 @@ export class PostgresStorageAdapter {
       values = values.concat(keys);
     }
 
-    const qs = `SELECT ${columns} FROM $1:name ${wherePattern} ${sortPattern} ${limitPattern} ${skipPattern}`;
+    let qs = `SELECT ${columns} FROM ${selectSource(schema, values)} ${wherePattern} ${sortPattern} ${limitPattern} ${skipPattern}`;
+    if (explain) {
+      qs = `EXPLAIN (FORMAT JSON) ${qs}`;
+    }
     debug(qs, values);
-    return this._client.any(qs, values)
+    return this._timeQuery('find', className, qs, values, () => this._client.any(qs, values))
       .catch((err) => {
       // Query on non existing table, don't crash
         if (err.code === PostgresRelationDoesNotExistError) {
@@ -1167,7 +1277,7 @@ export class PostgresStorageAdapter {
         }
         return Promise.reject(err);
       })
-      .then(results => results.map(object => {
+      .then(results => explain ? explainedPlan(results) : results.map(object => {
         Object.keys(schema.fields).forEach(fieldName => {
           if (schema.fields[fieldName].type === 'Pointer' && object[fieldName]) {
             object[fieldName] = { objectId: object[fieldName], __type: 'Pointer', className: schema.fields[fieldName].targetClass };
@@ -1260,8 +1370,8 @@ export class PostgresStorageAdapter {
     values.push(...where.values);
 
     const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
-    const qs = `SELECT count(*) FROM $1:name ${wherePattern}`;
-    return this._client.one(qs, values, a => +a.count).catch((err) => {
+    const qs = `SELECT count(*) FROM ${selectSource(schema, values)} ${wherePattern}`;
+    return this._timeQuery('count', className, qs, values, () => this._client.one(qs, values, a => +a.count)).catch((err) => {
       if (err.code === PostgresRelationDoesNotExistError) {
         return 0;
       }
@@ -1269,6 +1379,93 @@ export class PostgresStorageAdapter {
     });
   }
 
+  // A GROUP BY query on the table of the class
+  aggregate(className, schema, { where: query, group, sort, skip, limit }) {
+    debug('aggregate', className, query, group, { sort, skip, limit });
+    const values = [className];
+    const where = buildWhereClause({ schema, query, index: 2 });
+    values.push(...where.values);
+    const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
+
+    const columns = [];
+    const groupColumns = [];
+    group.keys.forEach(({ name, field }) => {
+      const index = values.length + 1;
+      values.push(field, name);
+      columns.push(`$${index}:name AS $${index + 1}:name`);
+      groupColumns.push(`$${index}:name`);
+    });
+    group.accumulators.forEach(({ name, operator, field, value }) => {
+      const index = values.length + 1;
+      let expression;
+      if (operator === '$count') {
+        expression = 'COUNT(*)';
+      } else if (field === undefined) {
+        values.push(value);
+        expression = `SUM($${index})`;
+      } else {
+        values.push(field);
+        expression = `${operator.slice(1).toUpperCase()}($${index}:name)`;
+      }
+      values.push(name);
+      columns.push(`${expression} AS $${values.length}:name`);
+    });
+    if (columns.length === 0) {
+      columns.push('COUNT(*) AS "count"');
+    }
+    // Without a group key an empty table still gives one row, unlike $group
+    const groupPattern = groupColumns.length > 0 ? `GROUP BY ${groupColumns.join(',')}` : 'HAVING COUNT(*) > 0';
+
+    const sortPattern = sort && Object.keys(sort).length > 0 ? 'ORDER BY ' + Object.keys(sort).map(name => {
+      values.push(name);
+      return `$${values.length}:name ${sort[name] === 1 ? 'ASC' : 'DESC'}`;
+    }).join(',') : '';
+    let limitPattern = '';
+    if (limit !== undefined) {
+      values.push(limit);
+      limitPattern = `LIMIT $${values.length}`;
+    }
+    let skipPattern = '';
+    if (skip !== undefined) {
+      values.push(skip);
+      skipPattern = `OFFSET $${values.length}`;
+    }
+
+    const qs = `SELECT ${columns.join(',')} FROM $1:name ${wherePattern} ${groupPattern} ${sortPattern} ${limitPattern} ${skipPattern}`;
+    debug(qs, values);
+    return this._timeQuery('aggregate', className, qs, values, () => this._client.any(qs, values))
+      .catch((err) => {
+        if (err.code === PostgresRelationDoesNotExistError) {
+          return [];
+        }
+        throw err;
+      });
+  }
+
+  distinct(className, schema, query, fieldName) {
+    debug('distinct', className, query, fieldName);
+    const values = [className, fieldName];
+    const where = buildWhereClause({ schema, query, index: 3 });
+    values.push(...where.values);
+    const wherePattern = where.pattern.length > 0 ? `WHERE ${where.pattern}` : '';
+    // Arrays give their elements
+    let column = '$2:name';
+    const field = schema.fields[fieldName];
+    if (field.type === 'Array') {
+      column = field.contents && field.contents.type === 'String' ? 'unnest($2:name)' : 'jsonb_array_elements($2:name)';
+    }
+    const qs = `SELECT DISTINCT ${column} AS $2:name FROM $1:name ${wherePattern}`;
+    debug(qs, values);
+    return this._timeQuery('distinct', className, qs, values, () => this._client.any(qs, values))
+      .then(results => results.map(result => result[fieldName]))
+      .catch((err) => {
+        if (err.code === PostgresRelationDoesNotExistError) {
+          return [];
+        }
+        throw err;
+      });
+  }
+
   performInitialization({ VolatileClassesSchemas }) {
     debug('performInitialization');
     const promises = VolatileClassesSchemas.map((schema) => {
@@ -0,0 +1,41 @@
+const logger = require('../../logger');
+
+// Runs a query and logs it through the LoggerController when it takes more
+// than threshold ms. details tell what ran it: the adapter method as the
+// caller, the className and the query as the database got it, or a function
+// for it when it takes work to put together.
+export function timeQuery(threshold, { caller, className, query }, run) {
+  if (threshold === undefined || threshold === null) {
+    return run();
+  }
+  const start = Date.now();
+  const logIfSlow = () => {
+    const duration = Date.now() - start;
+    if (duration > threshold) {
+      query = typeof query === 'function' ? query() : query;
+      logger.getLogger().warn(`Slow query: ${caller} on ${className} took ${duration}ms`, { caller, className, query, duration });
+    }
+  };
+  return Promise.resolve().then(run).then((result) => {
+    logIfSlow();
+    return result;
+  }, (error) => {
+    logIfSlow();
+    throw error;
+  });
+}
+
+// The query with every value it holds replaced by '?', so that slow queries
+// are logged by their shape only and never with the data they match.
+export function withoutValues(query) {
+  if (Array.isArray(query)) {
+    return query.map(withoutValues);
+  }
+  if (query && typeof query === 'object' && Object.getPrototypeOf(query) === Object.prototype) {
+    return Object.keys(query).reduce((redacted, key) => {
+      redacted[key] = withoutValues(query[key]);
+      return redacted;
+    }, {});
+  }
+  return '?';
+}
@@ -0,0 +1,72 @@
+// @flow
+// Storage Adapter
+//
+// The interface of the database adapters the DatabaseController keeps the
+// objects of the app in: MongoStorageAdapter, PostgresStorageAdapter and
+// MySQLStorageAdapter. Queries, updates and schemas are given in Parse
+// format, each adapter translates them for its database.
+//
+// Adapters may also implement transaction(callback), withCollectionPrefix(prefix)
+// and the index and schema migration methods of MySQLStorageAdapter, the
+// DatabaseController checks that they do before using them.
+
+export type QueryOptions = {
+  skip?: number,
+  limit?: number,
+  sort?: { [string]: number },
+  keys?: Array<string>,
+  readPreference?: ?string,
+  // Resolve with the plan the database gives for the query, in its own
+  // format, instead of running it
+  explain?: boolean,
+};
+
+// A $group stage along with the $match, $sort, $skip and $limit stages of
+// an aggregate pipeline, as the DatabaseController folds it
+export type Aggregation = {
+  where: Object,
+  group: {
+    // objectId, or objectId.<name> for each field of a composite key
+    keys: Array<{ name: string, field: string }>,
+    compositeKey: boolean,
+    // The field or the constant value each accumulator operator is run on
+    accumulators: Array<{ name: string, operator: string, field?: string, value?: any }>,
+  },
+  sort?: { [string]: number },
+  skip?: number,
+  limit?: number,
+};
+
+export interface StorageAdapter {
+  classExists(className: string): Promise<boolean>;
+  setClassLevelPermissions(className: string, classLevelPermissions: Object): Promise<void>;
+  createClass(className: string, schema: Object): Promise<Object>;
+  addFieldIfNotExists(className: string, fieldName: string, type: Object): Promise<void>;
+  deleteClass(className: string): Promise<void>;
+  deleteAllClasses(): Promise<void>;
+  deleteFields(className: string, schema: Object, fieldNames: Array<string>): Promise<void>;
+  getAllClasses(): Promise<Array<Object>>;
+  getClass(className: string): Promise<Object>;
+  createObject(className: string, schema: Object, object: Object): Promise<Object>;
+  deleteObjectsByQuery(className: string, schema: Object, query: Object): Promise<void>;
+  updateObjectsByQuery(className: string, schema: Object, query: Object, update: Object): Promise<Array<Object>>;
+  findOneAndUpdate(className: string, schema: Object, query: Object, update: Object): Promise<Object>;
+  upsertOneObject(className: string, schema: Object, query: Object, update: Object): Promise<void>;
+  find(className: string, schema: Object, query: Object, options: QueryOptions): Promise<any>;
+  count(className: string, schema: Object, query: Object, readPreference: ?string): Promise<number>;
+  ensureUniqueness(className: string, schema: Object, fieldNames: Array<string>): Promise<void>;
+
+  // Runs the aggregation as a single query. Resolves with a row per group,
+  // keyed by the names of the group keys and of the accumulators. Pointers
+  // in group keys are given as their objectId, the DatabaseController
+  // formats the values.
+  aggregate(className: string, schema: Object, aggregation: Aggregation, readPreference: ?string): Promise<Array<Object>>;
+
+  // Resolves with the distinct values of the field among the objects
+  // matching the query, an empty list when the class has no table yet.
+  // Array fields give the distinct elements of their arrays and pointers
+  // their objectId.
+  distinct(className: string, schema: Object, query: Object, fieldName: string, readPreference: ?string): Promise<Array<any>>;
+
+  performInitialization(options: Object): Promise<void>;
+}
@@ -64,6 +64,9 @@ export class Config {
     this.hasPushScheduledSupport = cacheInfo.hasPushScheduledSupport;
     this.loggerController = cacheInfo.loggerController;
     this.userController = cacheInfo.userController;
+    this.auditController = cacheInfo.auditController;
+    this.tenantController = cacheInfo.tenantController;
+    this.enableTenants = cacheInfo.enableTenants;
     this.authDataManager = cacheInfo.authDataManager;
     this.customPages = cacheInfo.customPages || {};
     this.mount = removeTrailingSlash(mount);
@@ -73,6 +76,15 @@ export class Config {
     this.generateSessionExpiresAt = this.generateSessionExpiresAt.bind(this);
     this.generateEmailVerifyTokenExpiresAt = this.generateEmailVerifyTokenExpiresAt.bind(this);
     this.revokeSessionOnPasswordReset = cacheInfo.revokeSessionOnPasswordReset;
+    this.softDeleteRetention = cacheInfo.softDeleteRetention;
+    this.softDeletePurgeInterval = cacheInfo.softDeletePurgeInterval;
+    this.fileCleanupGracePeriod = cacheInfo.fileCleanupGracePeriod;
+    this.fileCleanupInterval = cacheInfo.fileCleanupInterval;
+    this.fileSigningKey = cacheInfo.fileSigningKey;
+    this.fileURLExpiry = cacheInfo.fileURLExpiry;
+    this.uploadSessionExpiry = cacheInfo.uploadSessionExpiry;
+    this.uploadSweepInterval = cacheInfo.uploadSweepInterval;
+    this.maxUploadSize = cacheInfo.maxUploadSize;
   }
 
   static validate({
@@ -85,7 +97,16 @@ export class Config {
     sessionLength,
     emailVerifyTokenValidityDuration,
     accountLockout,
-    passwordPolicy
+    passwordPolicy,
+    softDeleteRetention,
+    softDeletePurgeInterval,
+    fileCleanupGracePeriod,
+    fileCleanupInterval,
+    fileSigningKey,
+    fileURLExpiry,
+    uploadSessionExpiry,
+    uploadSweepInterval,
+    slowQueryThreshold
   }) {
     const emailAdapter = userController.adapter;
     if (verifyUserEmails) {
@@ -107,6 +128,54 @@ export class Config {
     }
 
     this.validateSessionConfiguration(sessionLength, expireInactiveSessions);
+
+    this.validateSoftDeleteConfiguration(softDeleteRetention, softDeletePurgeInterval);
+
+    this.validateFileCleanupConfiguration(fileCleanupGracePeriod, fileCleanupInterval);
+
+    this.validateFileURLConfiguration(fileSigningKey, fileURLExpiry);
+
+    this.validateUploadSessionConfiguration(uploadSessionExpiry, uploadSweepInterval);
+
+    if (slowQueryThreshold !== undefined && (isNaN(slowQueryThreshold) || slowQueryThreshold < 0)) {
+      throw 'slowQueryThreshold must be a number of milliseconds, 0 or greater.';
+    }
+  }
+
+  static validateSoftDeleteConfiguration(softDeleteRetention, softDeletePurgeInterval) {
+    if (isNaN(softDeleteRetention) || softDeleteRetention < 0) {
+      throw 'softDeleteRetention must be a number of seconds, 0 or greater.';
+    }
+    if (isNaN(softDeletePurgeInterval) || softDeletePurgeInterval < 0) {
+      throw 'softDeletePurgeInterval must be a number of seconds, 0 or greater.';
+    }
+  }
+
+  static validateFileCleanupConfiguration(fileCleanupGracePeriod, fileCleanupInterval) {
+    if (isNaN(fileCleanupGracePeriod) || fileCleanupGracePeriod < 0) {
+      throw 'fileCleanupGracePeriod must be a number of seconds, 0 or greater.';
+    }
+    if (isNaN(fileCleanupInterval) || fileCleanupInterval < 0) {
+      throw 'fileCleanupInterval must be a number of seconds, 0 or greater.';
+    }
+  }
+
+  static validateUploadSessionConfiguration(uploadSessionExpiry, uploadSweepInterval) {
+    if (isNaN(uploadSessionExpiry) || uploadSessionExpiry <= 0) {
+      throw 'uploadSessionExpiry must be a number of seconds, greater than 0.';
+    }
+    if (isNaN(uploadSweepInterval) || uploadSweepInterval < 0) {
+      throw 'uploadSweepInterval must be a number of seconds, 0 or greater.';
+    }
+  }
+
+  static validateFileURLConfiguration(fileSigningKey, fileURLExpiry) {
+    if (fileSigningKey !== undefined && (typeof fileSigningKey !== 'string' || fileSigningKey.length === 0)) {
+      throw 'fileSigningKey must be a non-empty string.';
+    }
+    if (isNaN(fileURLExpiry) || fileURLExpiry <= 0) {
+      throw 'fileURLExpiry must be a number of seconds, greater than 0.';
+    }
   }
 
   static validateAccountLockoutPolicy(accountLockout) {
@@ -0,0 +1,108 @@
+import AdaptableController from './AdaptableController';
+import AuditAdapter        from '../Adapters/Audit/AuditAdapter';
+import { newObjectId }     from '../cryptoUtils';
+import Auth                from '../Auth';
+import rest                from '../rest';
+import _                   from 'lodash';
+
+const AUDIT_CLASS = '_Audit';
+
+// The fields that change with every write or hold secrets
+const unauditedFields = ['createdAt', 'updatedAt', 'password', 'sessionToken', 'authData'];
+
+// The fields that differ between the two versions of an object, with their
+// values before and after. Internal fields, starting with _, are left out.
+export function diff(before = {}, after = {}) {
+  const changes = {};
+  _.union(Object.keys(before), Object.keys(after)).forEach(field => {
+    if (field[0] === '_' || unauditedFields.indexOf(field) > -1) {
+      return;
+    }
+    if (_.isEqual(before[field], after[field])) {
+      return;
+    }
+    changes[field] = {};
+    if (before[field] !== undefined) {
+      changes[field].before = before[field];
+    }
+    if (after[field] !== undefined) {
+      changes[field].after = after[field];
+    }
+  });
+  return changes;
+}
+
+// Records who changed which fields of the objects of the classes with the
+// audit option.
+export class AuditController extends AdaptableController {
+
+  validateAdapter(adapter) {
+    // Allow no adapter, the entries go to the _Audit class then
+    if (!adapter) {
+      return;
+    }
+    super.validateAdapter(adapter);
+  }
+
+  expectedAdapterType() {
+    return AuditAdapter;
+  }
+
+  isAudited(config, className) {
+    if (className === AUDIT_CLASS) {
+      return Promise.resolve(false);
+    }
+    return config.database.loadSchema()
+      .then(schemaController => !!schemaController.getClassOptions(className).audit);
+  }
+
+  // Returns a promise for the object as it is stored, in REST format
+  loadObject(config, className, objectId) {
+    return config.database.find(className, { objectId }, { readPreference: 'PRIMARY' })
+      .then(results => results[0]);
+  }
+
+  // Records a change to an object. action is create, update or delete, and
+  // before and after are the object before and after the change.
+  record(config, auth, { className, objectId, action, before, after }) {
+    const entry = {
+      targetClass: className,
+      targetId: objectId,
+      action,
+      changes: diff(before, after),
+      master: !!auth.isMaster
+    };
+    if (auth.user) {
+      entry.userId = auth.user.id;
+    }
+    if (auth.installationId) {
+      entry.installationId = auth.installationId;
+    }
+    if (config.ip) {
+      entry.ip = config.ip;
+    }
+    if (config.requestId) {
+      entry.requestId = config.requestId;
+    }
+    if (this.adapter) {
+      return Promise.resolve().then(() => this.adapter.log(entry));
+    }
+    return config.database.create(AUDIT_CLASS, Object.assign({
+      objectId: newObjectId(),
+      createdAt: new Date(),
+      // lockdown!
+      ACL: {}
+    }, entry));
+  }
+
+  // Returns a promise for a {results, count} object with the entries that
+  // match the query
+  find(config, where = {}, options = {}) {
+    if (this.adapter) {
+      return Promise.resolve().then(() => this.adapter.find(where, options));
+    }
+    return rest.find(config, Auth.master(config), AUDIT_CLASS, where, options);
+  }
+}
+
+export default AuditController;
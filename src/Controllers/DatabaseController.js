@@ -6,6 +6,8 @@ import _                      from 'lodash';
 import intersect              from 'intersect';
 import deepcopy               from 'deepcopy';
 import logger                 from '../logger';
+import { newObjectId }        from '../cryptoUtils';
+import { ServerError }        from '../errors';
 import * as SchemaController  from './SchemaController';
 
 function addWriteACL(query, acl) {
@@ -42,7 +44,7 @@ const transformObjectACL = ({ ACL, ...result }) => {
   return result;
 }
 
-const specialQuerykeys = ['$and', '$or', '_rperm', '_wperm', '_perishable_token', '_email_verify_token', '_email_verify_token_expires_at', '_account_lockout_expires_at', '_failed_login_count'];
+const specialQuerykeys = ['$and', '$or', '$relatedTo', '_rperm', '_wperm', '_perishable_token', '_email_verify_token', '_email_verify_token_expires_at', '_account_lockout_expires_at', '_failed_login_count'];
 
 const isSpecialQueryKey = key => {
   return specialQuerykeys.indexOf(key) >= 0;
@@ -124,6 +126,9 @@ function DatabaseController(adapter, schemaCache) {
   // one request that uses different schemas for different parts of
   // it. Instead, use loadSchema to get a schema.
   this.schemaPromise = null;
+  // Set on the first write. Reads then go to the primary database, so that
+  // the rest of the request sees the write even when read replicas lag behind.
+  this.readsFromPrimary = false;
 }
 
 DatabaseController.prototype.collectionExists = function(className) {
@@ -131,6 +136,7 @@ DatabaseController.prototype.collectionExists = function(className) {
 };
 
 DatabaseController.prototype.purgeCollection = function(className) {
+  this.readsFromPrimary = true;
   return this.loadSchema()
     .then(schemaController => schemaController.getOneSchema(className))
     .then(schema => this.adapter.deleteObjectsByQuery(className, schema, {}));
@@ -143,6 +149,34 @@ DatabaseController.prototype.validateClassName = function(className) {
   return Promise.resolve();
 };
 
+// Runs callback with a DatabaseController whose writes all go through a
+// single transaction, when the storage adapter supports transactions.
+// Otherwise the callback simply gets this controller.
+// create and update use it to write an object along with its relation and
+// _Join changes, and update the prior version of the object. The other writes of a RestWrite, like the installation
+// dedup and the session of a signup, are separate transactions.
+DatabaseController.prototype.runInTransaction = function(callback) {
+  if (typeof this.adapter.transaction !== 'function') {
+    return Promise.resolve().then(() => callback(this));
+  }
+  return this.adapter.transaction(transactionalAdapter => {
+    const database = Object.create(this);
+    database.adapter = transactionalAdapter;
+    return callback(database);
+  });
+};
+
+// Whether the storage adapter resolves relations, subqueries and includes
+// within the query itself.
+DatabaseController.prototype.supportsJoins = function() {
+  return typeof this.adapter.supportsJoins === 'function' && this.adapter.supportsJoins();
+};
+
+// The read preference to pass to the adapter for a read.
+DatabaseController.prototype.readPreferenceFor = function(readPreference) {
+  return this.readsFromPrimary ? 'PRIMARY' : readPreference;
+};
+
 // Returns a promise for a schemaController.
 DatabaseController.prototype.loadSchema = function(options = {clearCache: false}) {
   if (!this.schemaPromise) {
@@ -224,6 +258,10 @@ const filterSensitiveData = (isMaster, aclGroup, className, object) => {
 //   acl:  a list of strings. If the object to be updated has an ACL,
 //         one of the provided strings must provide the caller with
 //         write permissions.
+//   expectedUpdatedAt: the object is only updated while its updatedAt is
+//         still this, else the update fails with ServerError.UPDATE_CONFLICT.
+//   versioned: the state of the object before the update is stored in the
+//         _Version class, in the same transaction as the update.
 const specialKeysForUpdate = ['_hashed_password', '_perishable_token', '_email_verify_token', '_email_verify_token_expires_at', '_account_lockout_expires_at', '_failed_login_count', '_perishable_token_expires_at', '_password_changed_at', '_password_history'];
 
 const isSpecialUpdateKey = key => {
@@ -234,7 +272,10 @@ DatabaseController.prototype.update = function(className, query, update, {
   acl,
   many,
   upsert,
+  expectedUpdatedAt,
+  versioned,
 } = {}, skipSanitization = false) {
+  this.readsFromPrimary = true;
   const originalQuery = query;
   const originalUpdate = update;
   // Make a copy of the object, so we don't mutate the incoming data.
@@ -256,6 +297,13 @@ DatabaseController.prototype.update = function(className, query, update, {
           if (acl) {
             query = addWriteACL(query, acl);
           }
+          if (expectedUpdatedAt) {
+            query = withExpectedUpdatedAt(query, expectedUpdatedAt);
+          }
+          // Deleted objects only change when they are restored
+          if (schemaController.getClassOptions(className).softDelete) {
+            query = SchemaController.withDeletedConstraint(query, false);
+          }
           validateQuery(query);
           return schemaController.getOneSchema(className, true)
             .catch(error => {
@@ -283,22 +331,39 @@ DatabaseController.prototype.update = function(className, query, update, {
               }
               update = transformObjectACL(update);
               transformAuthData(className, update, schema);
-              if (many) {
-                return this.adapter.updateObjectsByQuery(className, schema, query, update);
-              } else if (upsert) {
-                return this.adapter.upsertOneObject(className, schema, query, update);
-              } else {
-                return this.adapter.findOneAndUpdate(className, schema, query, update)
-              }
+              return this.runInTransaction(database => {
+                const beforePromise = versioned && !many && originalQuery.objectId
+                  ? database.find(className, { objectId: originalQuery.objectId }, { readPreference: 'PRIMARY' })
+                  : Promise.resolve([]);
+                return beforePromise.then(([before]) => {
+                  let promise;
+                  if (many) {
+                    promise = database.adapter.updateObjectsByQuery(className, schema, query, update);
+                  } else if (upsert) {
+                    promise = database.adapter.upsertOneObject(className, schema, query, update);
+                  } else {
+                    promise = database.adapter.findOneAndUpdate(className, schema, query, update)
+                  }
+                  return promise.then(result => {
+                    if (!result) {
+                      return result;
+                    }
+                    return database.handleRelationUpdates(className, originalQuery.objectId, update, relationUpdates)
+                      .then(() => before && database.saveVersion(className, before))
+                      .then(() => result);
+                  });
+                });
+              });
             });
         })
         .then(result => {
           if (!result) {
+            if (expectedUpdatedAt) {
+              return this.rejectUpdateWithExpectedUpdatedAt(className, originalQuery, acl, expectedUpdatedAt);
+            }
             return Promise.reject(new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.'));
           }
-          return this.handleRelationUpdates(className, originalQuery.objectId, update, relationUpdates).then(() => {
-            return result;
-          });
+          return result;
         }).then((result) => {
           if (skipSanitization) {
             return Promise.resolve(result);
@@ -308,6 +373,27 @@ DatabaseController.prototype.update = function(className, query, update, {
     });
 };
 
+const withExpectedUpdatedAt = (query, expectedUpdatedAt) => {
+  const constraint = { updatedAt: { __type: 'Date', iso: expectedUpdatedAt } };
+  if (query.updatedAt === undefined) {
+    return Object.assign({}, query, constraint);
+  }
+  return { '$and': [query, constraint] };
+};
+
+// Tells apart the updates that found no object from the ones that found it
+// changed since expectedUpdatedAt, as far as the user can see the object.
+DatabaseController.prototype.rejectUpdateWithExpectedUpdatedAt = function(className, query, acl, expectedUpdatedAt) {
+  return this.find(className, query, { acl, limit: 1, readPreference: 'PRIMARY' })
+    .catch(() => [])
+    .then(([object]) => {
+      if (object && new Date(object.updatedAt).getTime() !== new Date(expectedUpdatedAt).getTime()) {
+        throw new Parse.Error(ServerError.UPDATE_CONFLICT, `Object was updated at ${object.updatedAt}.`);
+      }
+      throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+    });
+};
+
 function sanitizeDatabaseResult(originalObject, result) {
   const response = {};
   if (!result) {
@@ -365,6 +451,7 @@ DatabaseController.prototype.collectRelationUpdates = function(className, object
 
 // Processes relation-updating operations from a REST-format update.
 // Returns a promise that resolves when all updates have been performed
+// The updates run one after the other as they may share a transaction.
 DatabaseController.prototype.handleRelationUpdates = function(className, objectId, update, ops) {
   var pending = [];
   objectId = update.objectId || objectId;
@@ -374,7 +461,7 @@ DatabaseController.prototype.handleRelationUpdates = function(className, objectI
     }
     if (op.__op == 'AddRelation') {
       for (const object of op.objects) {
-        pending.push(this.addRelation(key, className,
+        pending.push(() => this.addRelation(key, className,
           objectId,
           object.objectId));
       }
@@ -382,20 +469,21 @@ DatabaseController.prototype.handleRelationUpdates = function(className, objectI
 
     if (op.__op == 'RemoveRelation') {
       for (const object of op.objects) {
-        pending.push(this.removeRelation(key, className,
+        pending.push(() => this.removeRelation(key, className,
           objectId,
           object.objectId));
       }
     }
   });
 
-  return Promise.all(pending);
+  return pending.reduce((promise, next) => promise.then(next), Promise.resolve());
 };
 
 // Adds a relation.
 // Returns a promise that resolves successfully iff the add was successful.
 const relationSchema = { fields: { relatedId: { type: 'String' }, owningId: { type: 'String' } } };
 DatabaseController.prototype.addRelation = function(key, fromClassName, fromId, toId) {
+  this.readsFromPrimary = true;
   const doc = {
     relatedId: toId,
     owningId : fromId
@@ -407,6 +495,7 @@ DatabaseController.prototype.addRelation = function(key, fromClassName, fromId,
 // Returns a promise that resolves successfully iff the remove was
 // successful.
 DatabaseController.prototype.removeRelation = function(key, fromClassName, fromId, toId) {
+  this.readsFromPrimary = true;
   var doc = {
     relatedId: toId,
     owningId: fromId
@@ -429,6 +518,7 @@ DatabaseController.prototype.removeRelation = function(key, fromClassName, fromI
 //         one of the provided strings must provide the caller with
 //         write permissions.
 DatabaseController.prototype.destroy = function(className, query, { acl } = {}) {
+  this.readsFromPrimary = true;
   const isMaster = acl === undefined;
   const aclGroup = acl || [];
 
@@ -456,7 +546,12 @@ DatabaseController.prototype.destroy = function(className, query, { acl } = {})
               }
               throw error;
             })
-            .then(parseFormatSchema => this.adapter.deleteObjectsByQuery(className, parseFormatSchema, query))
+            .then(parseFormatSchema => {
+              if (schemaController.getClassOptions(className).softDelete) {
+                return this.softDelete(className, parseFormatSchema, query);
+              }
+              return this.adapter.deleteObjectsByQuery(className, parseFormatSchema, query);
+            })
             .catch(error => {
               // When deleting sessions while changing passwords, don't throw an error if they don't have any sessions.
               if (className === "_Session" && error.code === Parse.Error.OBJECT_NOT_FOUND) {
@@ -468,6 +563,175 @@ DatabaseController.prototype.destroy = function(className, query, { acl } = {})
     });
 };
 
+// Resolves with the query restricted to the objects that are not deleted,
+// for classes with the softDelete option.
+DatabaseController.prototype.excludeDeleted = function(className, query) {
+  return this.loadSchema().then(schemaController => {
+    if (!schemaController.getClassOptions(className).softDelete) {
+      return query;
+    }
+    return SchemaController.withDeletedConstraint(query, false);
+  });
+};
+
+// Marks the object that matches the query as deleted, for classes with the
+// softDelete option. Rejects with OBJECT_NOT_FOUND like deleteObjectsByQuery
+// when there is no such object, or it is deleted already.
+DatabaseController.prototype.softDelete = function(className, schema, query) {
+  const now = new Date().toISOString();
+  const update = {
+    [SchemaController.softDeleteField]: { __type: 'Date', iso: now },
+    updatedAt: now
+  };
+  return this.adapter.findOneAndUpdate(className, schema, SchemaController.withDeletedConstraint(query, false), update)
+    .then(result => {
+      if (!result) {
+        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+      }
+    });
+};
+
+// Undeletes the object that matches the query, for classes with the
+// softDelete option. Restoring takes the same permissions as deleting.
+// Returns a promise for the new updatedAt.
+DatabaseController.prototype.restore = function(className, query, { acl } = {}) {
+  this.readsFromPrimary = true;
+  const isMaster = acl === undefined;
+  const aclGroup = acl || [];
+
+  return this.loadSchema()
+    .then(schemaController => {
+      if (!schemaController.getClassOptions(className).softDelete) {
+        throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Class ${className} does not keep deleted objects.`);
+      }
+      return (isMaster ? Promise.resolve() : schemaController.validatePermission(className, aclGroup, 'delete'))
+        .then(() => {
+          if (!isMaster) {
+            query = this.addPointerPermissions(schemaController, className, 'delete', query, aclGroup);
+            if (!query) {
+              throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+            }
+          }
+          if (acl) {
+            query = addWriteACL(query, acl);
+          }
+          query = SchemaController.withDeletedConstraint(query, true);
+          validateQuery(query);
+          return schemaController.getOneSchema(className);
+        });
+    })
+    .then(schema => {
+      const updatedAt = new Date().toISOString();
+      const update = { [SchemaController.softDeleteField]: { __op: 'Delete' }, updatedAt };
+      return this.adapter.findOneAndUpdate(className, schema, query, update)
+        .then(result => {
+          if (!result) {
+            throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+          }
+          return { updatedAt };
+        });
+    });
+};
+
+// Permanently removes the objects of the softDelete classes that were
+// deleted before the given date. Resolves with the names of the classes
+// that had objects to remove.
+DatabaseController.prototype.purgeDeleted = function(before) {
+  const query = { [SchemaController.softDeleteField]: { $lt: { __type: 'Date', iso: before.toISOString() } } };
+  return this.loadSchema({ clearCache: true })
+    .then(schemaController => schemaController.getAllClasses()
+      .then(schemas => schemas.filter(schema => schemaController.getClassOptions(schema.className).softDelete)))
+    .then(schemas => Promise.all(schemas.map(schema => {
+      return this.adapter.deleteObjectsByQuery(schema.className, schema, query)
+        .then(() => schema.className, error => {
+          if (error.code === Parse.Error.OBJECT_NOT_FOUND) {
+            return;
+          }
+          throw error;
+        });
+    })))
+    .then(classNames => classNames.filter(className => className));
+};
+
+// The fields versions leave out: the ones every write changes, internal
+// ones, secrets and relations, which are not part of the object
+const isVersionedField = (field, value) => {
+  return field[0] !== '_'
+    && ['objectId', 'createdAt', 'updatedAt', 'password', 'sessionToken', 'authData'].indexOf(field) < 0
+    && !(value && value.__type === 'Relation');
+};
+
+const versionedState = object => {
+  return Object.keys(object).reduce((state, field) => {
+    if (isVersionedField(field, object[field])) {
+      state[field] = object[field];
+    }
+    return state;
+  }, {});
+};
+
+DatabaseController.prototype.loadVersionedSchema = function(className) {
+  return this.loadSchema().then(schemaController => {
+    if (!schemaController.getClassOptions(className).versioned) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Class ${className} does not keep versions.`);
+    }
+  });
+};
+
+// Stores the state of an object before an update, for classes with the
+// versioned option. object is in REST format, as find returns it. The unique
+// index on targetClass, targetId and version fails concurrent updates that
+// would store the same version.
+DatabaseController.prototype.saveVersion = function(className, object) {
+  const query = { targetClass: className, targetId: object.objectId };
+  return this.find('_Version', query, { sort: { version: -1 }, limit: 1, readPreference: 'PRIMARY' })
+    .then(([last]) => {
+      const now = new Date().toISOString();
+      return this.create('_Version', {
+        objectId: newObjectId(),
+        targetClass: className,
+        targetId: object.objectId,
+        version: last ? last.version + 1 : 1,
+        object: versionedState(object),
+        createdAt: now,
+        updatedAt: now,
+        // lockdown!
+        ACL: {}
+      });
+    });
+};
+
+// Returns a promise for the prior states of an object, the latest first,
+// as {version, createdAt, object} entries.
+DatabaseController.prototype.findVersions = function(className, objectId, { skip, limit } = {}) {
+  return this.loadVersionedSchema(className)
+    .then(() => this.find('_Version', { targetClass: className, targetId: objectId }, { sort: { version: -1 }, skip, limit }))
+    .then(results => results.map(({ version, createdAt, object }) => ({ version, createdAt, object })));
+};
+
+// Returns a promise for the REST update that brings an object back to the
+// given version: the fields of the version, and deletes for the fields that
+// were added since.
+DatabaseController.prototype.versionUpdate = function(className, objectId, version) {
+  return this.loadVersionedSchema(className)
+    .then(() => Promise.all([
+      this.find('_Version', { targetClass: className, targetId: objectId, version }, { limit: 1 }),
+      this.find(className, { objectId }, { readPreference: 'PRIMARY' })
+    ]))
+    .then(([[entry], [object]]) => {
+      if (!entry || !object) {
+        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Version not found.');
+      }
+      const update = {};
+      Object.keys(object).forEach(field => {
+        if (isVersionedField(field, object[field]) && entry.object[field] === undefined) {
+          update[field] = { __op: 'Delete' };
+        }
+      });
+      return Object.assign(update, entry.object);
+    });
+};
+
 const flattenUpdateOperatorsForCreate = object => {
   for (const key in object) {
     if (object[key] && object[key].__op) {
@@ -527,6 +791,7 @@ const transformAuthData = (className, object, schema) => {
 // Inserts an object into the database.
 // Returns a promise that resolves successfully iff the object saved.
 DatabaseController.prototype.create = function(className, object, { acl } = {}) {
+  this.readsFromPrimary = true;
   // Make a copy of the object, so we don't mutate the incoming data.
   const originalObject = object;
   object = transformObjectACL(object);
@@ -547,16 +812,60 @@ DatabaseController.prototype.create = function(className, object, { acl } = {})
         .then(schema => {
           transformAuthData(className, object, schema);
           flattenUpdateOperatorsForCreate(object);
-          return this.adapter.createObject(className, SchemaController.convertSchemaToAdapterSchema(schema), object);
+          return this.runInTransaction(database => {
+            return database.adapter.createObject(className, SchemaController.convertSchemaToAdapterSchema(schema), object)
+              .then(result => {
+                return database.handleRelationUpdates(className, null, object, relationUpdates).then(() => result);
+              });
+          });
         })
         .then(result => {
-          return this.handleRelationUpdates(className, null, object, relationUpdates).then(() => {
-            return sanitizeDatabaseResult(originalObject, result.ops[0])
-          });
+          return sanitizeDatabaseResult(originalObject, result.ops[0]);
         });
     })
 };
 
+// Inserts REST-format objects as the master key, in a single write when the
+// storage adapter supports it. The objects must already have their objectId,
+// createdAt and updatedAt, and have been validated against the schema.
+DatabaseController.prototype.createObjects = function(className, objects) {
+  this.readsFromPrimary = true;
+  const relationUpdates = [];
+  objects = objects.map(object => {
+    object = transformObjectACL(object);
+    object.createdAt = { iso: object.createdAt, __type: 'Date' };
+    object.updatedAt = { iso: object.updatedAt, __type: 'Date' };
+    relationUpdates.push(this.collectRelationUpdates(className, null, object));
+    return object;
+  });
+  return this.validateClassName(className)
+    .then(() => this.loadSchema())
+    .then(schemaController => schemaController.enforceClassExists(className)
+      .then(() => schemaController.reloadData())
+      .then(() => schemaController.getOneSchema(className, true)))
+    .then(schema => {
+      objects.forEach(object => {
+        transformAuthData(className, object, schema);
+        flattenUpdateOperatorsForCreate(object);
+      });
+      const adapterSchema = SchemaController.convertSchemaToAdapterSchema(schema);
+      return this.runInTransaction(database => {
+        let promise;
+        if (typeof database.adapter.createObjects === 'function') {
+          promise = database.adapter.createObjects(className, adapterSchema, objects);
+        } else {
+          promise = objects.reduce((promise, object) => {
+            return promise.then(() => database.adapter.createObject(className, adapterSchema, object));
+          }, Promise.resolve());
+        }
+        return objects.reduce((promise, object, index) => {
+          return promise.then(() => database.handleRelationUpdates(className, null, object, relationUpdates[index]));
+        }, promise);
+      });
+    })
+    .then(() => objects.length);
+};
+
 DatabaseController.prototype.canAddField = function(schema, className, object, aclGroup) {
   const classSchema = schema.data[className];
   if (!classSchema) {
@@ -586,17 +895,29 @@ DatabaseController.prototype.deleteEverything = function() {
 // Returns a promise for a list of related ids given an owning id.
 // className here is the owning className.
 DatabaseController.prototype.relatedIds = function(className, key, owningId) {
-  return this.adapter.find(joinTableName(className, key), relationSchema, { owningId }, {})
+  return this.adapter.find(joinTableName(className, key), relationSchema, { owningId }, { readPreference: this.readPreferenceFor() })
     .then(results => results.map(result => result.relatedId));
 };
 
 // Returns a promise for a list of owning ids given some related ids.
 // className here is the owning className.
 DatabaseController.prototype.owningIds = function(className, key, relatedIds) {
-  return this.adapter.find(joinTableName(className, key), relationSchema, { relatedId: { '$in': relatedIds } }, {})
+  return this.adapter.find(joinTableName(className, key), relationSchema, { relatedId: { '$in': relatedIds } }, { readPreference: this.readPreferenceFor() })
     .then(results => results.map(result => result.owningId));
 };
 
+// Returns a promise for the related ids of each of the given owning ids,
+// keyed by owning id.
+// className here is the owning className.
+DatabaseController.prototype.relatedIdsForOwners = function(className, key, owningIds) {
+  return this.adapter.find(joinTableName(className, key), relationSchema, { owningId: { '$in': owningIds } }, { readPreference: this.readPreferenceFor() })
+    .then(results => results.reduce((relatedIds, { owningId, relatedId }) => {
+      relatedIds[owningId] = relatedIds[owningId] || [];
+      relatedIds[owningId].push(relatedId);
+      return relatedIds;
+    }, {}));
+};
+
 // Modifies query so that it no longer has $in on relation fields, or
 // equal-to-pointer constraints on relation fields.
 // Returns a promise that resolves when query is mutated
@@ -689,6 +1010,16 @@ DatabaseController.prototype.reduceRelationKeys = function(className, query) {
 
   var relatedTo = query['$relatedTo'];
   if (relatedTo) {
+    if (this.supportsJoins()) {
+      // Left for the adapter, which names the join table after these
+      if (!SchemaController.classNameIsValid(relatedTo.object.className)) {
+        return Promise.reject(new Parse.Error(Parse.Error.INVALID_CLASS_NAME, 'invalid className: ' + relatedTo.object.className));
+      }
+      if (!SchemaController.fieldNameIsValid(relatedTo.key)) {
+        return Promise.reject(new Parse.Error(Parse.Error.INVALID_KEY_NAME, `Invalid field name: ${relatedTo.key}.`));
+      }
+      return Promise.resolve();
+    }
     return this.relatedIds(
       relatedTo.object.className,
       relatedTo.key,
@@ -701,6 +1032,41 @@ DatabaseController.prototype.reduceRelationKeys = function(className, query) {
   }
 };
 
+// Modifies query so that $inSubquery and $notInSubquery are only left on
+// pointer fields, where the adapter nests them. On other fields they are run
+// and replaced by $in or $nin with the pointers they match.
+// Returns a promise that resolves when query is mutated
+DatabaseController.prototype.reduceSubqueries = function(className, query, schema) {
+  const promises = Object.keys(query).map((key) => {
+    if ((key === '$or' || key === '$and') && Array.isArray(query[key])) {
+      return Promise.all(query[key].map(aQuery => this.reduceSubqueries(className, aQuery, schema)));
+    }
+    const constraint = query[key];
+    return Promise.all(['$inSubquery', '$notInSubquery'].map((operator) => {
+      if (!constraint || typeof constraint !== 'object' || constraint[operator] === undefined) {
+        return;
+      }
+      const subquery = constraint[operator];
+      // Only prepareSubquery makes these, they never come from a client
+      if (!(subquery instanceof Subquery)) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, `improper usage of ${operator}`);
+      }
+      const t = schema.getExpectedType(className, key);
+      if (t && t.type === 'Pointer') {
+        return;
+      }
+      return this.adapter.find(subquery.className, subquery.schema, subquery.query, { keys: ['objectId'], readPreference: this.readPreferenceFor() })
+        .then((results) => {
+          const pointers = results.map(result => ({ __type: 'Pointer', className: subquery.className, objectId: result.objectId }));
+          const listOperator = operator === '$inSubquery' ? '$in' : '$nin';
+          delete constraint[operator];
+          constraint[listOperator] = (constraint[listOperator] || []).concat(pointers);
+        });
+    }));
+  });
+  return Promise.all(promises).then(() => query);
+};
+
 DatabaseController.prototype.addInObjectIdsIds = function(ids = null, query) {
   const idsFromString = typeof query.objectId === 'string' ? [query.objectId] : null;
   const idsFromEq = query.objectId && query.objectId['$eq'] ? [query.objectId['$eq']] : null;
@@ -760,6 +1126,8 @@ DatabaseController.prototype.addNotInObjectIdsIds = function(ids = [], query) {
 //   acl     restrict this operation with an ACL for the provided array
 //           of user objectIds and roles. acl: null means no user.
 //           when this field is not present, don't do anything regarding ACLs.
+//   explain resolve with the plan of the adapter for the query, instead of
+//           the objects.
 // TODO: make userIds not needed here. The db adapter shouldn't know
 // anything about users, ideally. Then, improve the format of the ACL
 // arg to work like the others.
@@ -771,7 +1139,9 @@ DatabaseController.prototype.find = function(className, query, {
   count,
   keys,
   op,
-  readPreference
+  readPreference,
+  include,
+  explain
 } = {}) {
   const isMaster = acl === undefined;
   const aclGroup = acl || [];
@@ -815,7 +1185,10 @@ DatabaseController.prototype.find = function(className, query, {
               throw new Parse.Error(Parse.Error.INVALID_KEY_NAME, `Invalid field name: ${fieldName}.`);
             }
           });
+          // The adapter works out the computed fields, to give, sort and filter on
+          schema = SchemaController.withComputedFields(schema, schemaController.getClassOptions(className).computedFields);
           return (isMaster ? Promise.resolve() : schemaController.validatePermission(className, aclGroup, op))
+            .then(() => this.reduceSubqueries(className, query, schemaController))
             .then(() => this.reduceRelationKeys(className, query))
             .then(() => this.reduceInRelation(className, query, schemaController))
             .then(() => {
@@ -837,19 +1210,29 @@ DatabaseController.prototype.find = function(className, query, {
                 if (!classExists) {
                   return 0;
                 } else {
-                  return this.adapter.count(className, schema, query, readPreference);
+                  return this.adapter.count(className, schema, query, this.readPreferenceFor(readPreference));
                 }
               } else {
                 if (!classExists) {
                   return [];
                 } else {
-                  return this.adapter.find(className, schema, query, { skip, limit, sort, keys, readPreference })
-                    .then(objects => objects.map(object => {
-                      object = untransformObjectACL(object);
-                      return filterSensitiveData(isMaster, aclGroup, className, object)
-                    })).catch((error) => {
-                      throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, error);
-                    });
+                  return this.prepareJoins(schemaController, className, include, acl)
+                    .then(joins => this.adapter.find(className, schema, query, { skip, limit, sort, keys, readPreference: this.readPreferenceFor(readPreference), joins, explain })
+                      .then(objects => explain ? objects : objects.map(object => {
+                        object = untransformObjectACL(object);
+                        Object.keys(joins).forEach(key => {
+                          // Pointers the adapter did not join are left for RestQuery to include
+                          if (object[key] && object[key].__type !== 'Pointer') {
+                            const joinedClassName = joins[key].className;
+                            object[key] = filterSensitiveData(isMaster, aclGroup, joinedClassName, untransformObjectACL(object[key]));
+                            object[key].__type = 'Object';
+                            object[key].className = joinedClassName;
+                          }
+                        });
+                        return filterSensitiveData(isMaster, aclGroup, className, object)
+                      })).catch((error) => {
+                        throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, error);
+                      }));
                 }
               }
             });
@@ -857,6 +1240,75 @@ DatabaseController.prototype.find = function(className, query, {
     });
 };
 
+// A query on another class, ready to be nested in a query by an adapter
+// that supports joins.
+function Subquery(className, schema, query) {
+  this.className = className;
+  this.schema = schema;
+  this.query = query;
+}
+
+// Checks permissions and restricts the query with ACLs the way find does,
+// without running it. Resolves with a Subquery, or null when the class does
+// not exist.
+DatabaseController.prototype.prepareSubquery = function(className, query, { acl, op = 'find' } = {}) {
+  const isMaster = acl === undefined;
+  const aclGroup = acl || [];
+  return this.loadSchema().then(schemaController => {
+    return schemaController.getOneSchema(className, isMaster)
+      .then(schema => {
+        return (isMaster ? Promise.resolve() : schemaController.validatePermission(className, aclGroup, op))
+          .then(() => this.reduceSubqueries(className, query, schemaController))
+          .then(() => this.reduceRelationKeys(className, query))
+          .then(() => this.reduceInRelation(className, query, schemaController))
+          .then(() => {
+            if (!isMaster) {
+              query = this.addPointerPermissions(schemaController, className, op, query, aclGroup);
+            }
+            if (!query) {
+              // Nothing the user can see
+              query = { objectId: { $in: [] } };
+            }
+            if (!isMaster) {
+              query = addReadACL(query, aclGroup);
+            }
+            validateQuery(query);
+            return new Subquery(className, schema, query);
+          });
+      }, error => {
+        if (error === undefined) {
+          return null;
+        }
+        throw error;
+      });
+  });
+};
+
+// Prepares the pointer fields in include to be joined by the adapter, as the
+// objects they point to would be fetched with a get.
+// Resolves with a map from field to Subquery.
+DatabaseController.prototype.prepareJoins = function(schemaController, className, include, acl) {
+  if (!include || !this.supportsJoins()) {
+    return Promise.resolve({});
+  }
+  const joins = {};
+  return Promise.all(include.map(key => {
+    const t = schemaController.getExpectedType(className, key);
+    if (!t || t.type !== 'Pointer') {
+      return;
+    }
+    let query = {};
+    if (schemaController.getClassOptions(t.targetClass).softDelete) {
+      query = SchemaController.withDeletedConstraint(query, false);
+    }
+    return this.prepareSubquery(t.targetClass, query, { acl, op: 'get' }).then(subquery => {
+      if (subquery) {
+        joins[key] = subquery;
+      }
+    });
+  })).then(() => joins);
+};
+
 // Transforms a Database format ACL to a REST API format ACL
 const untransformObjectACL = ({_rperm, _wperm, ...output}) => {
   if (_rperm || _wperm) {
@@ -881,6 +1333,343 @@ const untransformObjectACL = ({_rperm, _wperm, ...output}) => {
   return output;
 }
 
+const aggregateStagePhases = { $match: 0, $group: 1, $project: 2, $sort: 2, $skip: 3, $limit: 3 };
+const groupKeyTypes = ['String', 'Number', 'Boolean', 'Date', 'Pointer'];
+const accumulatorTypes = {
+  $sum: ['Number'],
+  $avg: ['Number'],
+  $min: ['Number', 'Date', 'String'],
+  $max: ['Number', 'Date', 'String'],
+};
+
+const invalidPipeline = message => {
+  return new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid aggregate pipeline: ${message}`);
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Resolves a '$fieldName' reference against the schema
+const aggregateFieldReference = (schema, reference, allowedTypes) => {
+  const fieldName = typeof reference === 'string' && reference[0] === '$' ? reference.slice(1) : null;
+  if (!fieldName || !schema.fields[fieldName]) {
+    throw invalidPipeline(`unknown field ${JSON.stringify(reference)}`);
+  }
+  if (allowedTypes.indexOf(schema.fields[fieldName].type) < 0) {
+    throw invalidPipeline(`field ${fieldName} of type ${schema.fields[fieldName].type} cannot be used here`);
+  }
+  return fieldName;
+}
+
+// Turns a $group stage into
+// { keys: [{ name, field }], accumulators: [{ name, operator, field | value }] }
+// The group key is returned as objectId. When it is an object, every key is
+// named objectId.<name> and the results get an objectId object.
+const parseAggregateGroup = (schema, group) => {
+  if (!isPlainObject(group)) {
+    throw invalidPipeline('$group must be an object');
+  }
+  if (group.hasOwnProperty('_id')) {
+    throw invalidPipeline('$group uses objectId instead of _id');
+  }
+  if (!group.hasOwnProperty('objectId')) {
+    throw invalidPipeline('$group requires an objectId');
+  }
+  const keys = [];
+  const groupId = group.objectId;
+  if (typeof groupId === 'string') {
+    keys.push({ name: 'objectId', field: aggregateFieldReference(schema, groupId, groupKeyTypes) });
+  } else if (isPlainObject(groupId) && Object.keys(groupId).length > 0) {
+    Object.keys(groupId).forEach(name => {
+      if (!SchemaController.fieldNameIsValid(name)) {
+        throw invalidPipeline(`invalid group key name ${name}`);
+      }
+      keys.push({ name: `objectId.${name}`, field: aggregateFieldReference(schema, groupId[name], groupKeyTypes) });
+    });
+  } else if (groupId !== null) {
+    throw invalidPipeline('objectId must be null, a field or an object of fields');
+  }
+  const accumulators = Object.keys(group).filter(name => name !== 'objectId').map(name => {
+    if (!SchemaController.fieldNameIsValid(name)) {
+      throw invalidPipeline(`invalid accumulator name ${name}`);
+    }
+    const accumulator = group[name];
+    const operators = isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+    const operator = operators[0];
+    if (operators.length !== 1 || (operator !== '$count' && !accumulatorTypes[operator])) {
+      throw invalidPipeline(`unsupported accumulator for ${name}`);
+    }
+    const argument = accumulator[operator];
+    if (operator === '$count') {
+      return { name, operator };
+    }
+    if (operator === '$sum' && typeof argument === 'number') {
+      return { name, operator, value: argument };
+    }
+    return { name, operator, field: aggregateFieldReference(schema, argument, accumulatorTypes[operator]) };
+  });
+  return { keys, accumulators, compositeKey: isPlainObject(groupId) };
+}
+
+// Checks a $project stage, returns { fieldName: true|false }
+const parseAggregateProject = project => {
+  if (!isPlainObject(project) || Object.keys(project).length === 0) {
+    throw invalidPipeline('$project must be a non empty object');
+  }
+  const projection = {};
+  Object.keys(project).forEach(fieldName => {
+    const value = project[fieldName];
+    if ([0, 1, true, false].indexOf(value) < 0) {
+      throw invalidPipeline(`$project only supports including or excluding fields, ${fieldName} is invalid`);
+    }
+    projection[fieldName] = !!value;
+  });
+  const included = Object.keys(projection).filter(fieldName => fieldName !== 'objectId').map(fieldName => projection[fieldName]);
+  if (included.indexOf(true) >= 0 && included.indexOf(false) >= 0) {
+    throw invalidPipeline('$project cannot mix inclusion and exclusion');
+  }
+  return projection;
+}
+
+const applyAggregateProject = (object, projection) => {
+  const inclusion = Object.keys(projection).some(fieldName => fieldName !== 'objectId' && projection[fieldName]);
+  const result = {};
+  Object.keys(object).forEach(fieldName => {
+    const include = projection.hasOwnProperty(fieldName) ? projection[fieldName] : (!inclusion || fieldName === 'objectId');
+    if (include) {
+      result[fieldName] = object[fieldName];
+    }
+  });
+  return result;
+}
+
+const aggregateCount = value => {
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw invalidPipeline(`$skip and $limit require a number, got ${JSON.stringify(value)}`);
+  }
+  const count = Number(value);
+  if (!(count >= 0) || Math.floor(count) !== count) {
+    throw invalidPipeline(`$skip and $limit require a non negative integer, got ${JSON.stringify(value)}`);
+  }
+  return count;
+}
+
+// Folds an aggregate pipeline into { where, group, projections, sort, skip, limit }.
+// The stages must follow the $match, $group, $project / $sort, $skip / $limit
+// order so that all the adapters can run the pipeline as a single query.
+const parseAggregatePipeline = (schema, pipeline) => {
+  if (!Array.isArray(pipeline)) {
+    throw invalidPipeline('pipeline must be an array of stages');
+  }
+  const matches = [];
+  const aggregation = { projections: [] };
+  let phase = 0;
+  pipeline.forEach(stage => {
+    const stageNames = isPlainObject(stage) ? Object.keys(stage) : [];
+    const stageName = stageNames[0];
+    if (stageNames.length !== 1 || !aggregateStagePhases.hasOwnProperty(stageName)) {
+      throw invalidPipeline(`unsupported stage ${JSON.stringify(stage)}`);
+    }
+    if (aggregateStagePhases[stageName] < phase || (stageName === '$group' && aggregation.group)) {
+      throw invalidPipeline(`${stageName} cannot come after the previous stages`);
+    }
+    phase = aggregateStagePhases[stageName];
+    const value = stage[stageName];
+    switch (stageName) {
+    case '$match':
+      if (!isPlainObject(value)) {
+        throw invalidPipeline('$match must be an object');
+      }
+      matches.push(value);
+      break;
+    case '$group':
+      aggregation.group = parseAggregateGroup(schema, value);
+      break;
+    case '$project':
+      aggregation.projections.push(parseAggregateProject(value));
+      break;
+    case '$sort':
+      if (!isPlainObject(value) || Object.keys(value).some(fieldName => value[fieldName] !== 1 && value[fieldName] !== -1)) {
+        throw invalidPipeline('$sort must map fields to 1 or -1');
+      }
+      aggregation.sort = value;
+      break;
+    case '$skip': {
+      const skip = aggregateCount(value);
+      aggregation.skip = (aggregation.skip || 0) + skip;
+      if (aggregation.limit !== undefined) {
+        aggregation.limit = Math.max(aggregation.limit - skip, 0);
+      }
+      break;
+    }
+    case '$limit': {
+      const limit = aggregateCount(value);
+      aggregation.limit = aggregation.limit === undefined ? limit : Math.min(aggregation.limit, limit);
+      break;
+    }
+    }
+  });
+  aggregation.where = matches.length > 1 ? { '$and': matches } : (matches[0] || {});
+  validateQuery(aggregation.where);
+
+  const { group } = aggregation;
+  if (group && aggregation.sort) {
+    // Sort on the group outputs, objectId sorts on every group key
+    const sort = {};
+    Object.keys(aggregation.sort).forEach(fieldName => {
+      const direction = aggregation.sort[fieldName];
+      if (fieldName === 'objectId' && group.keys.length > 0) {
+        group.keys.forEach(key => sort[key.name] = direction);
+      } else if (group.keys.some(key => key.name === fieldName) || group.accumulators.some(accumulator => accumulator.name === fieldName)) {
+        sort[fieldName] = direction;
+      } else {
+        throw invalidPipeline(`cannot sort on ${fieldName}, it is not an output of $group`);
+      }
+    });
+    aggregation.sort = sort;
+  }
+  return aggregation;
+}
+
+const formatAggregateValue = (type, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  switch (type) {
+  case 'Date':
+    return { __type: 'Date', iso: new Date(value).toISOString() };
+  case 'Number':
+    return Number(value);
+  case 'Boolean':
+    return !!value;
+  default:
+    return value;
+  }
+}
+
+// Builds a result object out of a row returned by adapter.aggregate
+const formatAggregateResult = (schema, group, row) => {
+  const result = {};
+  if (group.compositeKey) {
+    result.objectId = {};
+    group.keys.forEach(key => {
+      result.objectId[key.name.slice('objectId.'.length)] = formatAggregateValue(schema.fields[key.field].type, row[key.name]);
+    });
+  } else if (group.keys.length > 0) {
+    const key = group.keys[0];
+    result.objectId = formatAggregateValue(schema.fields[key.field].type, row[key.name]);
+  } else {
+    result.objectId = null;
+  }
+  group.accumulators.forEach(({ name, operator, field }) => {
+    const value = row[name];
+    switch (operator) {
+    case '$count':
+    case '$sum':
+      result[name] = value === null || value === undefined ? 0 : Number(value);
+      break;
+    case '$avg':
+      result[name] = formatAggregateValue('Number', value);
+      break;
+    default:
+      result[name] = formatAggregateValue(schema.fields[field].type, value);
+    }
+  });
+  return result;
+}
+
+// Runs an aggregate pipeline made of $match, $group, $project, $sort, $skip
+// and $limit stages. Meant for the master key, ACLs and CLPs are not checked.
+DatabaseController.prototype.aggregate = function(className, pipeline, { readPreference } = {}) {
+  let aggregation;
+  return this.loadSchema()
+    .then(schemaController => {
+      return schemaController.getOneSchema(className, true)
+        .then(schema => {
+          aggregation = parseAggregatePipeline(schema, pipeline);
+          const { where, group, sort, skip, limit } = aggregation;
+          if (!group) {
+            return this.find(className, where, { sort, skip, limit, readPreference });
+          }
+          return Promise.resolve()
+            .then(() => this.reduceRelationKeys(className, where))
+            .then(() => this.reduceInRelation(className, where, schemaController))
+            .then(() => this.adapter.aggregate(className, schema, { where, group, sort, skip, limit }, this.readPreferenceFor(readPreference)))
+            .then(rows => rows.map(row => formatAggregateResult(schema, group, row)));
+        }, error => {
+          // Aggregating a class that doesn't exist gives nothing
+          if (error === undefined) {
+            aggregation = { projections: [] };
+            return [];
+          }
+          throw error;
+        });
+    })
+    .then(results => {
+      return aggregation.projections.reduce((results, projection) => {
+        return results.map(result => applyAggregateProject(result, projection));
+      }, results);
+    });
+};
+
+// Types distinct can give the values of
+const distinctTypes = ['String', 'Number', 'Boolean', 'Date', 'Pointer', 'Array'];
+
+// Formats a value returned by adapter.distinct. Arrays give their elements.
+const formatDistinctValue = (field, value) => {
+  switch (field.type) {
+  case 'Pointer':
+    return { __type: 'Pointer', className: field.targetClass, objectId: value };
+  case 'Array':
+    return value instanceof Date ? { __type: 'Date', iso: value.toISOString() } : value;
+  default:
+    return formatAggregateValue(field.type, value);
+  }
+}
+
+// Returns the distinct values of a field among the objects matching the query.
+// The values of an Array field are the distinct elements of its arrays.
+// Options:
+//   acl     restrict the objects to the ones readable with the ACL, and
+//           check the CLPs, as find does. When absent, nothing is checked.
+DatabaseController.prototype.distinct = function(className, query, fieldName, { acl, readPreference } = {}) {
+  const isMaster = acl === undefined;
+  const aclGroup = acl || [];
+  return this.loadSchema()
+    .then(schemaController => {
+      return schemaController.getOneSchema(className, isMaster)
+        .then(schema => {
+          const field = schema.fields[fieldName];
+          if (!field || distinctTypes.indexOf(field.type) < 0) {
+            throw new Parse.Error(Parse.Error.INVALID_KEY_NAME, `Invalid field for distinct: ${fieldName}`);
+          }
+          return (isMaster ? Promise.resolve() : schemaController.validatePermission(className, aclGroup, 'find'))
+            .then(() => this.reduceSubqueries(className, query, schemaController))
+            .then(() => this.reduceRelationKeys(className, query))
+            .then(() => this.reduceInRelation(className, query, schemaController))
+            .then(() => {
+              if (!isMaster) {
+                query = this.addPointerPermissions(schemaController, className, 'find', query, aclGroup);
+              }
+              if (!query) {
+                return [];
+              }
+              if (!isMaster) {
+                query = addReadACL(query, aclGroup);
+              }
+              validateQuery(query);
+              return this.adapter.distinct(className, schema, query, fieldName, this.readPreferenceFor(readPreference));
+            })
+            .then(values => values.filter(value => value !== null && value !== undefined)
+              .map(value => formatDistinctValue(field, value)));
+        }, error => {
+          if (error === undefined) {
+            return [];
+          }
+          throw error;
+        });
+    });
+};
+
 DatabaseController.prototype.deleteSchema = function(className) {
   return this.loadSchema(true)
     .then(schemaController => schemaController.getOneSchema(className, true))
@@ -957,6 +1746,7 @@ DatabaseController.prototype.addPointerPermissions = function(schema, className,
 DatabaseController.prototype.performInitialization = function() {
   const requiredUserFields = { fields: { ...SchemaController.defaultColumns._Default, ...SchemaController.defaultColumns._User } };
   const requiredRoleFields = { fields: { ...SchemaController.defaultColumns._Default, ...SchemaController.defaultColumns._Role } };
+  const requiredVersionFields = { fields: { ...SchemaController.defaultColumns._Default, ...SchemaController.defaultColumns._Version } };
 
   const userClassPromise = this.loadSchema()
     .then(schema => schema.enforceClassExists('_User'))
@@ -986,7 +1776,14 @@ DatabaseController.prototype.performInitialization = function() {
 
   // Create tables for volatile classes
   const adapterInit = this.adapter.performInitialization({ VolatileClassesSchemas: SchemaController.VolatileClassesSchemas });
-  return Promise.all([usernameUniqueness, emailUniqueness, roleUniqueness, adapterInit]);
+
+  const versionUniqueness = adapterInit
+    .then(() => this.adapter.ensureUniqueness('_Version', requiredVersionFields, ['targetClass', 'targetId', 'version']))
+    .catch(error => {
+      logger.warn('Unable to ensure uniqueness for object versions: ', error);
+      throw error;
+    });
+  return Promise.all([usernameUniqueness, emailUniqueness, roleUniqueness, versionUniqueness]);
 }
 
 function joinTableName(className, key) {
@@ -1,9 +1,74 @@
 // FilesController.js
-import { randomHexString } from '../cryptoUtils';
+import { randomHexString, newObjectId, md5Hash } from '../cryptoUtils';
 import AdaptableController from './AdaptableController';
 import { FilesAdapter } from '../Adapters/Files/FilesAdapter';
+import Auth  from '../Auth';
+import rest  from '../rest';
+import Parse from 'parse/node';
 import path  from 'path';
 import mime from 'mime';
+import crypto from 'crypto';
+import bytes from 'bytes';
+import defaults from '../defaults';
+
+const FILE_CLASS = '_File';
+const UPLOAD_CLASS = '_FileUpload';
+// Number of _File entries checked for references at once
+const orphanBatchSize = 100;
+// Number of objects read at once when looking for files in Array and Object fields
+const referenceScanBatchSize = 1000;
+
+// Signature of the URL of a file, valid until expires, in seconds since the epoch
+export function fileSignature(key, filename, expires) {
+  return crypto.createHmac('sha256', key).update(`${filename}:${expires}`).digest('hex');
+}
+
+// Compares in a time that does not depend on where the strings differ
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+// The read entries of an object ACL, what the ACL of a file keeps
+export function readACL(ACL) {
+  return Object.keys(ACL).reduce((acl, entity) => {
+    if (ACL[entity] && ACL[entity].read) {
+      acl[entity] = { read: true };
+    }
+    return acl;
+  }, {});
+}
+
+const isReadable = (acl, entities) => entities.some(entity => acl[entity] && acl[entity].read);
+
+// Adds the names of the files in a REST-format value to names
+function collectFileNames(value, names) {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+  if (value.__type === 'File') {
+    names.add(value.name);
+    return;
+  }
+  Object.keys(value).forEach(key => collectFileNames(value[key], names));
+}
+
+// The most bytes a resumable upload can have, it is put together in memory
+const maxUploadBytes = config => bytes.parse(config.maxUploadSize || defaults.maxUploadSize);
+
+// Names of the files the chunks of resumable uploads are stored in. Saved
+// files are named after a random hex string, which never starts this way.
+const uploadChunkPrefix = 'upload_';
+const uploadChunkRegex = new RegExp(`^${uploadChunkPrefix}[0-9a-f]{32}_`);
+
+// When an upload expires if no chunk comes in
+const uploadExpiry = config => ({ __type: 'Date', iso: new Date(Date.now() + config.uploadSessionExpiry * 1000).toISOString() });
 
 const legacyFilesRegex = new RegExp("^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}-.*");
 
@@ -13,7 +78,9 @@ export class FilesController extends AdaptableController {
     return this.adapter.getFileData(filename);
   }
 
-  createFile(config, filename, data, contentType) {
+  // The upload is recorded in the _File class, with the user who uploaded
+  // it, the given tags and metadata, and the ACL downloads are checked with
+  createFile(config, filename, data, contentType, { user, tags, metadata, acl } = {}) {
 
     const extname = path.extname(filename);
 
@@ -29,15 +96,132 @@ export class FilesController extends AdaptableController {
 
     var location = this.adapter.getFileLocation(config, filename);
     return this.adapter.createFile(filename, data, contentType).then(() => {
+      const file = {
+        objectId: newObjectId(),
+        createdAt: new Date(),
+        // lockdown!
+        ACL: {},
+        name: filename,
+        size: data.length,
+        hash: md5Hash(data),
+        tags: tags || []
+      };
+      if (contentType) {
+        file.contentType = contentType;
+      }
+      if (metadata && Object.keys(metadata).length > 0) {
+        file.metadata = metadata;
+      }
+      if (acl) {
+        file.acl = readACL(acl);
+      }
+      if (user) {
+        file.uploader = { __type: 'Pointer', className: '_User', objectId: user.id };
+      }
+      return config.database.create(FILE_CLASS, file);
+    }).then(() => {
       return Promise.resolve({
-        url: location,
+        url: this.signLocation(config, filename, location),
         name: filename
       });
     });
   }
 
   deleteFile(config, filename) {
-    return this.adapter.deleteFile(filename);
+    return this.adapter.deleteFile(filename).then(() => {
+      return config.database.destroy(FILE_CLASS, { name: filename }).catch(error => {
+        // Files uploaded before they were recorded have no entry
+        if (error.code !== Parse.Error.OBJECT_NOT_FOUND) {
+          throw error;
+        }
+      });
+    });
+  }
+
+  // Returns a promise for a {results, count} object with the _File entries
+  // that match the query
+  find(config, where = {}, options = {}) {
+    return rest.find(config, Auth.master(config), FILE_CLASS, where, options);
+  }
+
+  // Deletes the files recorded in the _File class of the database before the
+  // given date that no object of any class refers to anymore, in a File field
+  // or within an Array or Object field, like the snapshots of _Version.
+  // Resolves with the names of the deleted files.
+  removeOrphans(database, before) {
+    const removed = [];
+    // Array and Object fields cannot be queried for the names of a batch,
+    // the files they refer to are collected before
+    const collectNestedReferences = (nestedFields) => {
+      const names = new Set();
+      return nestedFields.reduce((promise, { className, fieldNames }) => promise.then(() => {
+        const scan = after => {
+          const where = after ? { objectId: { $gt: after } } : {};
+          return database.find(className, where, { sort: { objectId: 1 }, limit: referenceScanBatchSize, keys: fieldNames })
+            .then(objects => {
+              objects.forEach(object => fieldNames.forEach(fieldName => collectFileNames(object[fieldName], names)));
+              if (objects.length === referenceScanBatchSize) {
+                return scan(objects[objects.length - 1].objectId);
+              }
+            });
+        };
+        return scan();
+      }), Promise.resolve()).then(() => names);
+    };
+    const removeBatch = (fileFields, nestedReferences, after) => {
+      const where = { createdAt: { $lt: { __type: 'Date', iso: before.toISOString() } } };
+      if (after) {
+        where.objectId = { $gt: after };
+      }
+      return database.find(FILE_CLASS, where, { sort: { objectId: 1 }, limit: orphanBatchSize })
+        .then(files => {
+          const names = files.map(file => file.name);
+          return Promise.all(fileFields.map(({ className, fieldName }) => {
+            return database.find(className, { [fieldName]: { $in: names } }, { keys: [fieldName] })
+              .then(objects => objects.map(object => object[fieldName] && object[fieldName].name));
+          })).then(referenced => {
+            const used = [].concat(...referenced);
+            const orphans = files.filter(file => used.indexOf(file.name) < 0 && !nestedReferences.has(file.name));
+            return orphans.reduce((promise, file) => promise.then(() => {
+              return this.adapter.deleteFile(file.name)
+                // Gone from the adapter already, the entry still has to go
+                .catch(() => {})
+                .then(() => database.destroy(FILE_CLASS, { objectId: file.objectId }))
+                .then(() => removed.push(file.name));
+            }), Promise.resolve());
+          }).then(() => {
+            if (files.length === orphanBatchSize) {
+              return removeBatch(fileFields, nestedReferences, files[files.length - 1].objectId);
+            }
+          });
+        });
+    };
+    return database.loadSchema({ clearCache: true })
+      .then(schemaController => schemaController.getAllClasses())
+      .then(schemas => {
+        const fileFields = [];
+        const nestedFields = [];
+        schemas.forEach(({ className, fields }) => {
+          if (className === FILE_CLASS || className === UPLOAD_CLASS) {
+            return;
+          }
+          const fieldNames = [];
+          Object.keys(fields).forEach(fieldName => {
+            const type = fields[fieldName].type;
+            if (type === 'File') {
+              fileFields.push({ className, fieldName });
+            } else if (type === 'Array' || type === 'Object') {
+              fieldNames.push(fieldName);
+            }
+          });
+          if (fieldNames.length) {
+            nestedFields.push({ className, fieldNames });
+          }
+        });
+        return collectNestedReferences(nestedFields)
+          .then(nestedReferences => removeBatch(fileFields, nestedReferences));
+      })
+      .then(() => removed);
   }
 
   /**
@@ -64,20 +248,226 @@ export class FilesController extends AdaptableController {
         // all filenames starting with a "-" seperated UUID should be from files.parse.com
         // all other filenames have been migrated or created from Parse Server
         if (config.fileKey === undefined) {
-          fileObject['url'] = this.adapter.getFileLocation(config, filename);
+          fileObject['url'] = this.signLocation(config, filename, this.adapter.getFileLocation(config, filename));
         } else {
           if (filename.indexOf('tfss-') === 0) {
             fileObject['url'] = 'http://files.parsetfss.com/' + config.fileKey + '/' + encodeURIComponent(filename);
           } else if (legacyFilesRegex.test(filename)) {
             fileObject['url'] = 'http://files.parse.com/' + config.fileKey + '/' + encodeURIComponent(filename);
           } else {
-            fileObject['url'] = this.adapter.getFileLocation(config, filename);
+            fileObject['url'] = this.signLocation(config, filename, this.adapter.getFileLocation(config, filename));
           }
         }
       }
     }
   }
 
+  // Adds a signature expiring after fileURLExpiry seconds to the URLs of the
+  // files Parse Server serves itself, when the app has a fileSigningKey
+  signLocation(config, filename, location) {
+    if (!config.fileSigningKey || location.indexOf(config.mount + '/files/') !== 0) {
+      return location;
+    }
+    const expires = Math.floor(Date.now() / 1000) + config.fileURLExpiry;
+    const signature = fileSignature(config.fileSigningKey, filename, expires);
+    return `${location}?expires=${expires}&signature=${signature}`;
+  }
+
+  isSignatureValid(config, filename, expires, signature) {
+    if (!config.fileSigningKey || !signature || !(Number(expires) > Date.now() / 1000)) {
+      return false;
+    }
+    return safeEqual(fileSignature(config.fileSigningKey, filename, expires), signature);
+  }
+
+  // Starts a resumable upload, resolves with its _FileUpload entry. Chunks
+  // are stored with the adapter until the upload is finished.
+  startUpload(config, { filename, contentType, size, tags, acl, user }) {
+    if (size > maxUploadBytes(config)) {
+      return Promise.reject(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, `Uploads are limited to ${maxUploadBytes(config)} bytes.`));
+    }
+    const upload = {
+      objectId: newObjectId(),
+      createdAt: new Date(),
+      // lockdown!
+      ACL: {},
+      uploadId: randomHexString(32),
+      filename,
+      offset: 0,
+      chunks: [],
+      tags: tags || [],
+      state: 'uploading',
+      expiresAt: uploadExpiry(config)
+    };
+    if (contentType) {
+      upload.contentType = contentType;
+    }
+    if (size !== undefined) {
+      upload.size = size;
+    }
+    if (acl) {
+      upload.acl = acl;
+    }
+    if (user) {
+      upload.user = { __type: 'Pointer', className: '_User', objectId: user.id };
+    }
+    return config.database.create(UPLOAD_CLASS, upload).then(() => {
+      delete upload.ACL;
+      return upload;
+    });
+  }
+
+  // Resolves with the upload, when it has not expired, is not being
+  // finalized and was started by the user of auth, or by no user
+  getUpload(config, uploadId, auth) {
+    return config.database.find(UPLOAD_CLASS, { uploadId, state: 'uploading' }, { limit: 1 }).then(([upload]) => {
+      const expired = !upload || new Date(upload.expiresAt.iso) < new Date();
+      const allowed = upload && (!upload.user || auth.isMaster || auth.user && auth.user.id === upload.user.objectId);
+      if (expired || !allowed) {
+        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Upload not found.');
+      }
+      delete upload.ACL;
+      return upload;
+    });
+  }
+
+  // Stores the data of a chunk starting at offset, which has to be the number
+  // of bytes received so far. Resolves with the upload, expiring later.
+  addChunk(config, upload, offset, data) {
+    return Promise.resolve().then(() => {
+      if (offset !== upload.offset) {
+        throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, `The upload is at offset ${upload.offset}.`);
+      }
+      if (upload.size !== undefined && offset + data.length > upload.size) {
+        throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, `The upload is ${upload.size} bytes.`);
+      }
+      if (offset + data.length > maxUploadBytes(config)) {
+        throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, `Uploads are limited to ${maxUploadBytes(config)} bytes.`);
+      }
+      // Requests racing at the same offset store their chunks apart
+      const chunk = { name: `${uploadChunkPrefix}${upload.uploadId}_${offset}_${randomHexString(8)}`, offset, size: data.length, hash: md5Hash(data) };
+      const update = {
+        offset: offset + data.length,
+        chunks: { __op: 'Add', objects: [chunk] },
+        expiresAt: uploadExpiry(config)
+      };
+      return this.adapter.createFile(chunk.name, data).then(() => {
+        // Only one of the requests sending a chunk at that offset moves it on
+        return config.database.update(UPLOAD_CLASS, { uploadId: upload.uploadId, offset, state: 'uploading' }, update);
+      }).then(() => {
+        return Object.assign({}, upload, update, { chunks: upload.chunks.concat(chunk) });
+      }, error => {
+        return this.adapter.deleteFile(chunk.name).catch(() => {}).then(() => {
+          if (error.code === Parse.Error.OBJECT_NOT_FOUND) {
+            throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'The upload was moved on by another request.');
+          }
+          throw error;
+        });
+      });
+    });
+  }
+
+  // Resolves with the content of a complete upload, its chunks put together
+  readUpload(config, upload) {
+    if (upload.size !== undefined && upload.offset !== upload.size) {
+      return Promise.reject(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, `The upload has ${upload.offset} of ${upload.size} bytes.`));
+    }
+    const chunks = upload.chunks.slice().sort((a, b) => a.offset - b.offset);
+    return Promise.all(chunks.map(chunk => this.adapter.getFileData(chunk.name))).then(buffers => {
+      buffers.forEach((buffer, index) => {
+        if (md5Hash(buffer) !== chunks[index].hash) {
+          throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, `The chunk at offset ${chunks[index].offset} is corrupted.`);
+        }
+      });
+      return Buffer.concat(buffers);
+    });
+  }
+
+  // Marks the upload as finalizing, so that no other request adds chunks to
+  // it or finalizes it. Only one request wins, the others get a not found.
+  claimUpload(config, upload) {
+    const where = { uploadId: upload.uploadId, offset: upload.offset, state: 'uploading' };
+    return config.database.update(UPLOAD_CLASS, where, { state: 'finalizing' }).then(() => {
+      return Object.assign({}, upload, { state: 'finalizing' });
+    }, error => {
+      if (error.code === Parse.Error.OBJECT_NOT_FOUND) {
+        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'The upload was moved on or finalized by another request.');
+      }
+      throw error;
+    });
+  }
+
+  // Deletes the chunks and the entry of the upload
+  removeUpload(database, upload) {
+    return Promise.all(upload.chunks.map(chunk => this.adapter.deleteFile(chunk.name).catch(() => {})))
+      .then(() => database.destroy(UPLOAD_CLASS, { uploadId: upload.uploadId }))
+      .catch(error => {
+        if (error.code !== Parse.Error.OBJECT_NOT_FOUND) {
+          throw error;
+        }
+      });
+  }
+
+  // Removes the uploads of the database that expired before the given date.
+  // Resolves with their number.
+  removeExpiredUploads(database, before) {
+    const where = { expiresAt: { $lt: { __type: 'Date', iso: before.toISOString() } } };
+    return database.find(UPLOAD_CLASS, where, { limit: orphanBatchSize }).then(uploads => {
+      return Promise.all(uploads.map(upload => this.removeUpload(database, upload))).then(() => {
+        if (uploads.length === orphanBatchSize) {
+          return this.removeExpiredUploads(database, before).then(count => count + uploads.length);
+        }
+        return uploads.length;
+      });
+    });
+  }
+
+  // Resolves with whether the file can be downloaded with the given master
+  // key, session token or signed URL parameters. Files with no _File entry
+  // are public, but for the chunks of uploads, which only the master key
+  // gets. Files with no ACL are public too, unless the app signs its URLs.
+  canDownload(config, filename, { masterKey, sessionToken, expires, signature } = {}) {
+    if (masterKey && masterKey === config.masterKey) {
+      return Promise.resolve(true);
+    }
+    if (uploadChunkRegex.test(filename)) {
+      return Promise.resolve(false);
+    }
+    if (this.isSignatureValid(config, filename, expires, signature)) {
+      return Promise.resolve(true);
+    }
+    return config.database.find(FILE_CLASS, { name: filename }, { limit: 1 }).then(([file]) => {
+      if (!file) {
+        return true;
+      }
+      if (!file.acl) {
+        return !config.fileSigningKey;
+      }
+      if (isReadable(file.acl, ['*'])) {
+        return true;
+      }
+      if (!sessionToken) {
+        return false;
+      }
+      return Auth.getAuthForSessionToken({ config, sessionToken })
+        .then(auth => auth.getUserRoles().then(roles => isReadable(file.acl, [auth.user.id, ...roles])))
+        .catch(() => false);
+    });
+  }
+
+  // Files saved without an ACL take the read permissions of the first
+  // object their uploader, or the master key, saves them in
+  inheritACL(config, filenames, ACL, auth) {
+    const query = { name: { $in: filenames }, acl: { $exists: false } };
+    if (!auth.isMaster) {
+      if (!auth.user) {
+        return Promise.resolve();
+      }
+      query.uploader = { __type: 'Pointer', className: '_User', objectId: auth.user.id };
+    }
+    return config.database.update(FILE_CLASS, query, { acl: readACL(ACL) }, { many: true });
+  }
+
   expectedAdapterType() {
     return FilesAdapter;
   }
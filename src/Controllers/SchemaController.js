@@ -119,6 +119,51 @@ const defaultColumns = Object.freeze({
     "objectId": {type:'String'},
     "name":   {type:'String'},
     "query": {type:'String'} //storing query as JSON string to prevent "Nested keys should not contain the '$' or '.' characters" error
+  },
+  _Audit: {
+    "targetClass":    {type:'String'},
+    "targetId":       {type:'String'},
+    "action":         {type:'String'},
+    "changes":        {type:'Object'}, // the fields that changed, with their values before and after
+    "userId":         {type:'String'},
+    "master":         {type:'Boolean'},
+    "installationId": {type:'String'},
+    "ip":             {type:'String'},
+    "requestId":      {type:'String'}
+  },
+  _Version: {
+    "targetClass": {type:'String', maxLength: 120},
+    "targetId":    {type:'String', maxLength: 120},
+    "version":     {type:'Number', integer: true},
+    "object":      {type:'Object'} // the fields of the object before the update
+  },
+  _Tenant: {
+    "tenantId":    {type:'String'},
+    "appId":       {type:'String'},
+    "databaseURI": {type:'String'}
+  },
+  _File: {
+    "name":        {type:'String'},
+    "contentType": {type:'String'},
+    "size":        {type:'Number'},
+    "hash":        {type:'String'}, // md5 of the content, in hex
+    "tags":        {type:'Array'},
+    "uploader":    {type:'Pointer', targetClass:'_User'},
+    "metadata":    {type:'Object'}, // set by the beforeSaveFile trigger
+    "acl":         {type:'Object'} // who can download the file, public when unset
+  },
+  _FileUpload: {
+    "uploadId":    {type:'String'},
+    "filename":    {type:'String'},
+    "contentType": {type:'String'},
+    "size":        {type:'Number'}, // announced when the upload starts, optional
+    "offset":      {type:'Number'}, // number of bytes received
+    "chunks":      {type:'Array'}, // names, sizes and md5 of the chunks received
+    "tags":        {type:'Array'},
+    "acl":         {type:'Object'},
+    "user":        {type:'Pointer', targetClass:'_User'},
+    "state":       {type:'String'}, // uploading, or finalizing once a request saves the file
+    "expiresAt":   {type:'Date'}
   }
 });
 
@@ -127,9 +172,9 @@ const requiredColumns = Object.freeze({
   _Role: ["name", "ACL"]
 });
 
-const systemClasses = Object.freeze(['_User', '_Installation', '_Role', '_Session', '_Product', '_PushStatus', '_JobStatus', '_JobSchedule', '_Audience']);
+const systemClasses = Object.freeze(['_User', '_Installation', '_Role', '_Session', '_Product', '_PushStatus', '_JobStatus', '_JobSchedule', '_Audience', '_Audit', '_Version', '_Tenant', '_File', '_FileUpload']);
 
-const volatileClasses = Object.freeze(['_JobStatus', '_PushStatus', '_Hooks', '_GlobalConfig', '_JobSchedule', '_Audience']);
+const volatileClasses = Object.freeze(['_JobStatus', '_PushStatus', '_Hooks', '_GlobalConfig', '_JobSchedule', '_Audience', '_Audit', '_Version', '_Tenant', '_File', '_FileUpload']);
 
 // 10 alpha numberic chars + uppercase
 const userIdRegex = /^[a-zA-Z0-9]{10}$/;
@@ -231,10 +276,15 @@ const validNonRelationOrPointerTypes = [
   'Array',
   'GeoPoint',
   'File',
-  'Bytes'
+  'Bytes',
+  'Polygon'
 ];
+// Longest String a maxLength can be declared for, the most a MySQL
+// varchar holds in utf8mb4
+const maxStringLength = 16383;
+
 // Returns an error suitable for throwing if the type is invalid
-const fieldTypeIsInvalid = ({ type, targetClass }) => {
+const fieldTypeIsInvalid = ({ type, targetClass, maxLength, integer }) => {
   if (['Pointer', 'Relation'].indexOf(type) >= 0) {
     if (!targetClass) {
       return new Parse.Error(135, `type ${type} needs a class name`);
@@ -252,9 +302,292 @@ const fieldTypeIsInvalid = ({ type, targetClass }) => {
   if (validNonRelationOrPointerTypes.indexOf(type) < 0) {
     return new Parse.Error(Parse.Error.INCORRECT_TYPE, `invalid field type: ${type}`);
   }
+  if (maxLength !== undefined && (type !== 'String' || !Number.isInteger(maxLength) || maxLength <= 0 || maxLength > maxStringLength)) {
+    return new Parse.Error(Parse.Error.INCORRECT_TYPE, `maxLength must be an integer between 1 and ${maxStringLength} on a String field`);
+  }
+  if (integer !== undefined && (type !== 'Number' || typeof integer !== 'boolean')) {
+    return new Parse.Error(Parse.Error.INCORRECT_TYPE, 'integer must be a boolean on a Number field');
+  }
   return undefined;
 }
 
+// Whether the coordinates are not a Polygon, a list of at least 3
+// [latitude, longitude] pairs
+const polygonIsInvalid = coordinates => {
+  if (!(coordinates instanceof Array) || coordinates.length < 3) {
+    return true;
+  }
+  return coordinates.some(coordinate => {
+    if (!(coordinate instanceof Array) || coordinate.length !== 2 ||
+        typeof coordinate[0] !== 'number' || typeof coordinate[1] !== 'number') {
+      return true;
+    }
+    try {
+      Parse.GeoPoint._validate(coordinate[0], coordinate[1]);
+    } catch (e) {
+      return true;
+    }
+    return false;
+  });
+}
+
+// Returns an error suitable for throwing if the value does not satisfy
+// the options its field was declared with
+const fieldValueIsInvalid = (fieldName, { type, maxLength, integer }, value) => {
+  if (type === 'Polygon' && value && value.__type === 'Polygon' && polygonIsInvalid(value.coordinates)) {
+    return new Parse.Error(Parse.Error.INVALID_JSON, `${fieldName} should be a Polygon of at least 3 [latitude, longitude] coordinates`);
+  }
+  if (maxLength && typeof value === 'string' && value.length > maxLength) {
+    return new Parse.Error(Parse.Error.INCORRECT_TYPE, `${fieldName} is longer than ${maxLength} characters`);
+  }
+  if (integer) {
+    const number = value && value.__op === 'Increment' ? value.amount : value;
+    if (typeof number === 'number' && !Number.isInteger(number)) {
+      return new Parse.Error(Parse.Error.INCORRECT_TYPE, `${fieldName} must be an integer`);
+    }
+  }
+  return undefined;
+}
+
+const indexableTypes = ['String', 'Number', 'Boolean', 'Date', 'Pointer', 'File'];
+
+// Indexes are given either as { field: 1 } or as
+// { fields: { field: 1 }, unique: true, prefixLength: { field: 64 } }.
+// Returns the long form, or throws if the definition is invalid.
+const normalizeIndex = (name, index, fields) => {
+  if (!index || typeof index !== 'object' || Array.isArray(index)) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `invalid definition for index ${name}`);
+  }
+  const { fields: indexFields, unique, prefixLength } = (index.fields && typeof index.fields === 'object') ? index : { fields: index };
+  const fieldNames = Object.keys(indexFields);
+  if (fieldNames.length === 0) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `index ${name} needs at least one field`);
+  }
+  const isText = fieldNames.some(fieldName => indexFields[fieldName] === 'text');
+  fieldNames.forEach(fieldName => {
+    const field = fields[fieldName];
+    if (!field) {
+      throw new Parse.Error(Parse.Error.INVALID_KEY_NAME, `Field ${fieldName} does not exist, cannot index.`);
+    }
+    if (indexableTypes.indexOf(field.type) < 0) {
+      throw new Parse.Error(Parse.Error.INCORRECT_TYPE, `Field ${fieldName} of type ${field.type} cannot be indexed.`);
+    }
+    const direction = indexFields[fieldName];
+    if (isText ? (direction !== 'text' || field.type !== 'String') : (direction !== 1 && direction !== -1)) {
+      throw new Parse.Error(Parse.Error.INVALID_JSON, `invalid index type for ${fieldName} in index ${name}`);
+    }
+  });
+  if (unique !== undefined && typeof unique !== 'boolean') {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `unique must be a boolean in index ${name}`);
+  }
+  if (isText && unique) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `text index ${name} cannot be unique`);
+  }
+  const normalized = { fields: indexFields };
+  if (unique) {
+    normalized.unique = true;
+  }
+  if (prefixLength !== undefined) {
+    if (!prefixLength || typeof prefixLength !== 'object' || isText) {
+      throw new Parse.Error(Parse.Error.INVALID_JSON, `invalid prefixLength in index ${name}`);
+    }
+    Object.keys(prefixLength).forEach(fieldName => {
+      const length = prefixLength[fieldName];
+      if (indexFields[fieldName] === undefined || ['String', 'File'].indexOf(fields[fieldName].type) < 0) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, `prefixLength of index ${name} only applies to its String and File fields`);
+      }
+      if (!Number.isInteger(length) || length <= 0) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, `prefixLength of ${fieldName} in index ${name} must be a positive integer`);
+      }
+    });
+    normalized.prefixLength = prefixLength;
+  }
+  return normalized;
+}
+
+// Splits submitted indexes into the ones to create and the ones to drop,
+// checking them against the class fields and the indexes that already exist.
+const validateIndexes = (submittedIndexes, fields, existingIndexes) => {
+  if (!submittedIndexes || typeof submittedIndexes !== 'object' || Array.isArray(submittedIndexes)) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'indexes must be an object');
+  }
+  const created = {};
+  const deleted = [];
+  Object.keys(submittedIndexes).forEach(name => {
+    const index = submittedIndexes[name];
+    if (!classAndFieldRegex.test(name)) {
+      throw new Parse.Error(Parse.Error.INVALID_KEY_NAME, `invalid index name: ${name}`);
+    }
+    if (index && index.__op === 'Delete') {
+      if (!existingIndexes[name]) {
+        throw new Parse.Error(255, `Index ${name} does not exist, cannot delete.`);
+      }
+      if (name === 'PRIMARY') {
+        throw new Parse.Error(255, 'The primary index cannot be deleted.');
+      }
+      deleted.push(name);
+      return;
+    }
+    if (existingIndexes[name]) {
+      throw new Parse.Error(255, `Index ${name} exists, cannot update.`);
+    }
+    created[name] = normalizeIndex(name, index, fields);
+  });
+  return { created, deleted };
+}
+
+const indexesNotSupportedError = () => new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Indexes are not supported by this database adapter');
+
+// The class options and the type of their values
+const classOptionTypes = Object.freeze({
+  // DELETE only sets deletedAt, and queries leave out the deleted objects
+  softDelete: 'boolean',
+  // Writes record who changed which fields in the _Audit class
+  audit: 'boolean',
+  // Updates keep the prior states of the objects in the _Version class
+  versioned: 'boolean',
+  // Fields the database works out from the other fields when querying
+  computedFields: 'object',
+});
+
+// The field soft deletes set
+const softDeleteField = 'deletedAt';
+
+const validateClassOptions = (className, classOptions) => {
+  if (!classOptions || typeof classOptions !== 'object' || Array.isArray(classOptions)) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'classOptions must be an object');
+  }
+  Object.keys(classOptions).forEach(option => {
+    if (!classOptionTypes[option]) {
+      throw new Parse.Error(Parse.Error.INVALID_JSON, `${option} is not a valid class option`);
+    }
+    if (typeof classOptions[option] !== classOptionTypes[option]) {
+      throw new Parse.Error(Parse.Error.INVALID_JSON, `'${classOptions[option]}' is not a valid value for class option ${option}`);
+    }
+  });
+  if (classOptions.computedFields !== undefined &&
+      (classOptions.computedFields === null || Array.isArray(classOptions.computedFields))) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, 'computedFields must be an object');
+  }
+  // The server looks up system objects without going through queries
+  if (classOptions.softDelete && systemClasses.indexOf(className) > -1) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `softDelete is not supported on ${className}`);
+  }
+}
+
+// Restricts a query to the deleted objects of a softDelete class, or to the
+// ones that are not deleted
+const withDeletedConstraint = (query, deleted) => {
+  const constraint = { [softDeleteField]: { $exists: deleted } };
+  if (query[softDeleteField] === undefined) {
+    return Object.assign({}, query, constraint);
+  }
+  return { $and: [query, constraint] };
+}
+
+// Adds the field soft deletes set to the fields when the options turn them on
+const withSoftDeleteField = (fields, classOptions) => {
+  if (!classOptions.softDelete) {
+    return fields;
+  }
+  const field = fields[softDeleteField];
+  if (!field) {
+    return Object.assign({}, fields, { [softDeleteField]: { type: 'Date' } });
+  }
+  if (field.type !== 'Date') {
+    throw new Parse.Error(Parse.Error.INCORRECT_TYPE, `softDelete needs ${softDeleteField} to be a Date, not ${typeToString(field)}`);
+  }
+  return fields;
+}
+
+// The operators of computed fields, with the type of their operands and of
+// their value. Date parts are single field references, the others arrays.
+const computedOperators = Object.freeze({
+  $concat: { operands: 'String', type: 'String', min: 1 },
+  $add: { operands: 'Number', type: 'Number', min: 2 },
+  $subtract: { operands: 'Number', type: 'Number', min: 2, max: 2 },
+  $multiply: { operands: 'Number', type: 'Number', min: 2 },
+  $divide: { operands: 'Number', type: 'Number', min: 2, max: 2 },
+  $year: { operands: 'Date', type: 'Number' },
+  $month: { operands: 'Date', type: 'Number' },
+  $dayOfMonth: { operands: 'Date', type: 'Number' },
+  $hour: { operands: 'Date', type: 'Number' },
+  $minute: { operands: 'Date', type: 'Number' },
+});
+
+// The type of the value of a computed field expression, made of '$field'
+// references to String, Number and Date fields, string and number literals
+// and computedOperators. Throws when the expression is not valid.
+const computedExpressionType = (name, expression, fields) => {
+  const invalid = message => new Parse.Error(Parse.Error.INVALID_JSON, `Invalid computed field ${name}: ${message}`);
+  if (typeof expression === 'string' && expression[0] === '$') {
+    const field = fields[expression.slice(1)];
+    if (!field || ['String', 'Number', 'Date'].indexOf(field.type) < 0) {
+      throw invalid(`${expression.slice(1)} is not a String, Number or Date field`);
+    }
+    return field.type;
+  }
+  if (typeof expression === 'string') {
+    return 'String';
+  }
+  if (typeof expression === 'number' && isFinite(expression)) {
+    return 'Number';
+  }
+  const operatorNames = expression && typeof expression === 'object' && !Array.isArray(expression) ? Object.keys(expression) : [];
+  const operator = operatorNames.length === 1 && computedOperators[operatorNames[0]];
+  if (!operator) {
+    throw invalid(`${JSON.stringify(expression)} is not an expression`);
+  }
+  const operands = expression[operatorNames[0]];
+  if (operator.operands === 'Date') {
+    if (typeof operands !== 'string' || operands[0] !== '$' || computedExpressionType(name, operands, fields) !== 'Date') {
+      throw invalid(`${operatorNames[0]} takes a reference to a Date field`);
+    }
+    return operator.type;
+  }
+  if (!Array.isArray(operands) || operands.length < operator.min || operands.length > (operator.max || Infinity)) {
+    throw invalid(`${operatorNames[0]} takes an array of ${operator.max || `at least ${operator.min}`} operands`);
+  }
+  operands.forEach(operand => {
+    if (computedExpressionType(name, operand, fields) !== operator.operands) {
+      throw invalid(`the operands of ${operatorNames[0]} should be of type ${operator.operands}`);
+    }
+  });
+  return operator.type;
+}
+
+// Checks the computed fields against the fields of the class
+const validateComputedFields = (computedFields = {}, fields) => {
+  Object.keys(computedFields).forEach(name => {
+    if (!fieldNameIsValid(name)) {
+      throw new Parse.Error(Parse.Error.INVALID_KEY_NAME, `invalid field name: ${name}`);
+    }
+    if (fields[name]) {
+      throw new Parse.Error(Parse.Error.INVALID_KEY_NAME, `Computed field ${name} has the name of a field.`);
+    }
+    computedExpressionType(name, computedFields[name], fields);
+  });
+}
+
+// The schema the adapters query a class with: the computed fields are
+// typed fields, and computedFields has their expressions.
+const withComputedFields = (schema, computedFields) => {
+  const names = Object.keys(computedFields || {});
+  if (names.length === 0) {
+    return schema;
+  }
+  const fields = Object.assign({}, schema.fields);
+  names.forEach(name => {
+    fields[name] = { type: computedExpressionType(name, computedFields[name], schema.fields) };
+  });
+  return Object.assign({}, schema, { fields, computedFields });
+}
+
+const classOptionsNotSupportedError = () => new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Class options are not supported by this database adapter');
+
+// Adapters bound to a transaction may not be able to change the schema
+const canChangeSchema = dbAdapter => typeof dbAdapter.canChangeSchema !== 'function' || dbAdapter.canChangeSchema();
+
 const convertSchemaToAdapterSchema = schema => {
   schema = injectDefaultSchema(schema);
   delete schema.fields.ACL;
@@ -284,7 +617,7 @@ const convertAdapterSchemaToParseSchema = ({...schema}) => {
   return schema;
 }
 
-const injectDefaultSchema = ({className, fields, classLevelPermissions}) => ({
+const injectDefaultSchema = ({className, fields, classLevelPermissions, classOptions}) => ({
   className,
   fields: {
     ...defaultColumns._Default,
@@ -292,6 +625,7 @@ const injectDefaultSchema = ({className, fields, classLevelPermissions}) => ({
     ...fields,
   },
   classLevelPermissions,
+  ...(classOptions ? { classOptions } : {}),
 });
 
 const _HooksSchema =  {className: "_Hooks", fields: defaultColumns._Hooks};
@@ -315,7 +649,32 @@ const _AudienceSchema = convertSchemaToAdapterSchema(injectDefaultSchema({
   className: "_Audience",
   fields: defaultColumns._Audience
 }));
-const VolatileClassesSchemas = [_HooksSchema, _JobStatusSchema, _JobScheduleSchema, _PushStatusSchema, _GlobalConfigSchema, _AudienceSchema];
+const _AuditSchema = convertSchemaToAdapterSchema(injectDefaultSchema({
+  className: "_Audit",
+  fields: {},
+  classLevelPermissions: {}
+}));
+const _VersionSchema = convertSchemaToAdapterSchema(injectDefaultSchema({
+  className: "_Version",
+  fields: {},
+  classLevelPermissions: {}
+}));
+const _TenantSchema = convertSchemaToAdapterSchema(injectDefaultSchema({
+  className: "_Tenant",
+  fields: {},
+  classLevelPermissions: {}
+}));
+const _FileSchema = convertSchemaToAdapterSchema(injectDefaultSchema({
+  className: "_File",
+  fields: {},
+  classLevelPermissions: {}
+}));
+const _FileUploadSchema = convertSchemaToAdapterSchema(injectDefaultSchema({
+  className: "_FileUpload",
+  fields: {},
+  classLevelPermissions: {}
+}));
+const VolatileClassesSchemas = [_HooksSchema, _JobStatusSchema, _JobScheduleSchema, _PushStatusSchema, _GlobalConfigSchema, _AudienceSchema, _AuditSchema, _VersionSchema, _TenantSchema, _FileSchema, _FileUploadSchema];
 
 const dbTypeMatchesObjectType = (dbType, objectType) => {
   // console.log(typeof dbType.type);
@@ -341,6 +700,7 @@ export default class SchemaController {
   _dbAdapter;
   data;
   perms;
+  options;
 
   constructor(databaseAdapter, schemaCache) {
     this._dbAdapter = databaseAdapter;
@@ -349,6 +709,9 @@ export default class SchemaController {
     this.data = {};
     // this.perms[className][operation] tells you the acl-style permissions
     this.perms = {};
+    // this.options[className][option] tells you how the class behaves, like
+    // whether it keeps deleted objects
+    this.options = {};
   }
 
   reloadData(options = {clearCache: false}) {
@@ -367,9 +730,11 @@ export default class SchemaController {
       .then(allSchemas => {
         const data = {};
         const perms = {};
+        const options = {};
         allSchemas.forEach(schema => {
           data[schema.className] = injectDefaultSchema(schema).fields;
           perms[schema.className] = schema.classLevelPermissions;
+          options[schema.className] = schema.classOptions || {};
         });
 
         // Inject the in-memory classes
@@ -380,10 +745,12 @@ export default class SchemaController {
         });
         this.data = data;
         this.perms = perms;
+        this.options = options;
         delete this.reloadDataPromise;
       }, (err) => {
         this.data = {};
         this.perms = {};
+        this.options = {};
         delete this.reloadDataPromise;
         throw err;
       });
@@ -446,29 +813,82 @@ export default class SchemaController {
   // on success, and rejects with an error on fail. Ensure you
   // have authorization (master key, or client class creation
   // enabled) before calling this function.
-  addClassIfNotExists(className, fields = {}, classLevelPermissions) {
+  addClassIfNotExists(className, fields = {}, classLevelPermissions, indexes, classOptions) {
     var validationError = this.validateNewClass(className, fields, classLevelPermissions);
     if (validationError) {
       return Promise.reject(validationError);
     }
+    if (classOptions !== undefined) {
+      if (!this._dbAdapter.setClassOptions) {
+        return Promise.reject(classOptionsNotSupportedError());
+      }
+      try {
+        validateClassOptions(className, classOptions);
+        fields = withSoftDeleteField(fields, classOptions);
+        validateComputedFields(classOptions.computedFields, injectDefaultSchema({ className, fields }).fields);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    let createdIndexes;
+    if (indexes !== undefined) {
+      if (!this._dbAdapter.createIndexes) {
+        return Promise.reject(indexesNotSupportedError());
+      }
+      try {
+        createdIndexes = validateIndexes(indexes, injectDefaultSchema({ className, fields }).fields, {}).created;
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
 
     return this._dbAdapter.createClass(className, convertSchemaToAdapterSchema({ fields, classLevelPermissions, className }))
-      .then(convertAdapterSchemaToParseSchema)
-      .then((res) => {
-        return this._cache.clear().then(() => {
-          return Promise.resolve(res);
-        });
-      })
       .catch(error => {
         if (error && error.code === Parse.Error.DUPLICATE_VALUE) {
           throw new Parse.Error(Parse.Error.INVALID_CLASS_NAME, `Class ${className} already exists.`);
         } else {
           throw error;
         }
+      })
+      .then(convertAdapterSchemaToParseSchema)
+      .then(schema => {
+        return Promise.resolve(schema)
+          .then(schema => {
+            if (!createdIndexes) {
+              return schema;
+            }
+            return this._dbAdapter.createIndexes(className, createdIndexes)
+              .then(() => this.getIndexes(className))
+              .then(indexes => Object.assign(schema, { indexes }));
+          })
+          .then(schema => {
+            if (classOptions === undefined) {
+              return schema;
+            }
+            return this._dbAdapter.setClassOptions(className, classOptions)
+              .then(() => Object.assign(schema, { classOptions }));
+          })
+          .catch(error => {
+            // Not created at all, rather than without its indexes or options
+            return this._dbAdapter.deleteClass(className)
+              .catch(() => {})
+              .then(() => { throw error; });
+          });
+      })
+      .then((res) => {
+        return this._cache.clear().then(() => {
+          return Promise.resolve(res);
+        });
       });
   }
 
-  updateClass(className, submittedFields, classLevelPermissions, database) {
+  updateClass(className, submittedFields, classLevelPermissions, database, submittedIndexes, classOptions) {
+    if (submittedIndexes !== undefined && !this._dbAdapter.createIndexes) {
+      return Promise.reject(indexesNotSupportedError());
+    }
+    if (classOptions !== undefined && !this._dbAdapter.setClassOptions) {
+      return Promise.reject(classOptionsNotSupportedError());
+    }
     return this.getOneSchema(className)
       .then(schema => {
         const existingFields = schema.fields;
@@ -482,47 +902,85 @@ export default class SchemaController {
           }
         });
 
+        const newOptions = classOptions === undefined ? this.getClassOptions(className) : classOptions;
+        if (classOptions !== undefined) {
+          validateClassOptions(className, classOptions);
+          submittedFields = Object.assign({}, submittedFields);
+          if (!existingFields[softDeleteField]) {
+            submittedFields = withSoftDeleteField(submittedFields, classOptions);
+          } else {
+            withSoftDeleteField(existingFields, classOptions);
+          }
+        }
+        if (newOptions.softDelete && submittedFields[softDeleteField] && submittedFields[softDeleteField].__op === 'Delete') {
+          throw new Parse.Error(255, `Field ${softDeleteField} is needed by softDelete, cannot delete.`);
+        }
+
         delete existingFields._rperm;
         delete existingFields._wperm;
         const newSchema = buildMergedSchemaObject(existingFields, submittedFields);
+        validateComputedFields(newOptions.computedFields, injectDefaultSchema({ className, fields: newSchema }).fields);
         const validationError = this.validateSchemaData(className, newSchema, classLevelPermissions, Object.keys(existingFields));
         if (validationError) {
           throw new Parse.Error(validationError.code, validationError.error);
         }
+        let indexesPromise = Promise.resolve();
+        if (submittedIndexes !== undefined) {
+          const newFields = injectDefaultSchema({ className, fields: newSchema }).fields;
+          indexesPromise = this.getIndexes(className)
+            .then(existingIndexes => validateIndexes(submittedIndexes, newFields, existingIndexes));
+        }
 
-        // Finally we have checked to make sure the request is valid and we can start deleting fields.
-        // Do all deletions first, then a single save to _SCHEMA collection to handle all additions.
-        const deletedFields = [];
-        const insertedFields = [];
-        Object.keys(submittedFields).forEach(fieldName => {
-          if (submittedFields[fieldName].__op === 'Delete') {
-            deletedFields.push(fieldName);
-          } else {
-            insertedFields.push(fieldName);
-          }
-        });
+        return indexesPromise.then(indexChanges => {
+          // Finally we have checked to make sure the request is valid and we can start deleting fields.
+          // Do all deletions first, then a single save to _SCHEMA collection to handle all additions.
+          const deletedFields = [];
+          const insertedFields = [];
+          Object.keys(submittedFields).forEach(fieldName => {
+            if (submittedFields[fieldName].__op === 'Delete') {
+              deletedFields.push(fieldName);
+            } else {
+              insertedFields.push(fieldName);
+            }
+          });
 
-        let deletePromise = Promise.resolve();
-        if (deletedFields.length > 0) {
-          deletePromise = this.deleteFields(deletedFields, className, database);
-        }
+          // Indexes go first so that none of them refers to a deleted field.
+          let deletePromise = Promise.resolve();
+          if (indexChanges && indexChanges.deleted.length > 0) {
+            deletePromise = this._dbAdapter.dropIndexes(className, indexChanges.deleted);
+          }
+          if (deletedFields.length > 0) {
+            deletePromise = deletePromise.then(() => this.deleteFields(deletedFields, className, database));
+          }
 
-        return deletePromise // Delete Everything
-          .then(() => this.reloadData({ clearCache: true })) // Reload our Schema, so we have all the new values
-          .then(() => {
-            const promises = insertedFields.map(fieldName => {
-              const type = submittedFields[fieldName];
-              return this.enforceFieldExists(className, fieldName, type);
+          return deletePromise // Delete Everything
+            .then(() => this.reloadData({ clearCache: true })) // Reload our Schema, so we have all the new values
+            .then(() => {
+              const promises = insertedFields.map(fieldName => {
+                const type = submittedFields[fieldName];
+                return this.enforceFieldExists(className, fieldName, type);
+              });
+              return Promise.all(promises);
+            })
+            .then(() => this.setPermissions(className, classLevelPermissions, newSchema))
+            .then(() => indexChanges && this._dbAdapter.createIndexes(className, indexChanges.created))
+            .then(() => this.setClassOptions(className, classOptions))
+          //TODO: Move this logic into the database adapter
+            .then(() => {
+              const result = {
+                className: className,
+                fields: this.data[className],
+                classLevelPermissions: this.perms[className]
+              };
+              if (Object.keys(this.getClassOptions(className)).length > 0) {
+                result.classOptions = this.getClassOptions(className);
+              }
+              if (!indexChanges) {
+                return result;
+              }
+              return this.getIndexes(className).then(indexes => Object.assign(result, { indexes }));
             });
-            return Promise.all(promises);
-          })
-          .then(() => this.setPermissions(className, classLevelPermissions, newSchema))
-        //TODO: Move this logic into the database adapter
-          .then(() => ({
-            className: className,
-            fields: this.data[className],
-            classLevelPermissions: this.perms[className]
-          }));
+        });
       })
       .catch(error => {
         if (error === undefined) {
@@ -533,12 +991,24 @@ export default class SchemaController {
       })
   }
 
+  // Returns a promise for the indexes of a class keyed by name, in the
+  // format accepted by addClassIfNotExists and updateClass.
+  getIndexes(className) {
+    if (!this._dbAdapter.getIndexes) {
+      return Promise.reject(indexesNotSupportedError());
+    }
+    return this._dbAdapter.getIndexes(className);
+  }
+
   // Returns a promise that resolves successfully to the new schema
   // object or fails with a reason.
   enforceClassExists(className) {
     if (this.data[className]) {
       return Promise.resolve(this);
     }
+    if (!canChangeSchema(this._dbAdapter)) {
+      return Promise.reject(new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Class ${className} does not exist and cannot be created in a transaction.`));
+    }
     // We don't have this class. Update the schema
     return this.addClassIfNotExists(className)
     // The schema update succeeded. Reload the schema
@@ -611,6 +1081,20 @@ export default class SchemaController {
     validateCLP(classLevelPermissions, fields);
   }
 
+  // Sets the class options for a given className, which must exist.
+  setClassOptions(className, classOptions) {
+    if (typeof classOptions === 'undefined') {
+      return Promise.resolve();
+    }
+    return this._dbAdapter.setClassOptions(className, classOptions)
+      .then(() => this.reloadData({ clearCache: true }));
+  }
+
+  // Returns the class options of a given className, an empty object when it has none.
+  getClassOptions(className) {
+    return this.options[className] || {};
+  }
+
   // Sets the Class-level permissions for a given className, which must exist.
   setPermissions(className, perms, newSchema) {
     if (typeof perms === 'undefined') {
@@ -655,6 +1139,9 @@ export default class SchemaController {
         }
         return this;
       }
+      if (!canChangeSchema(this._dbAdapter)) {
+        throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Field ${fieldName} does not exist and cannot be added in a transaction.`);
+      }
 
       return this._dbAdapter.addFieldIfNotExists(className, fieldName, type).then(() => {
         // The update succeeded. Reload the schema
@@ -741,6 +1228,14 @@ export default class SchemaController {
   // Returns a promise that resolves to the new schema if this object is
   // valid.
   validateObject(className, object, query) {
+    if (this.getClassOptions(className).softDelete && object[softDeleteField] !== undefined) {
+      return Promise.reject(new Parse.Error(Parse.Error.INVALID_KEY_NAME, `${softDeleteField} is only set by deleting objects.`));
+    }
+    const computedFields = this.getClassOptions(className).computedFields || {};
+    const computedFieldName = Object.keys(object).find(fieldName => computedFields[fieldName]);
+    if (computedFieldName) {
+      return Promise.reject(new Parse.Error(Parse.Error.INVALID_KEY_NAME, `${computedFieldName} is a computed field, it cannot be set.`));
+    }
     let geocount = 0;
     let promise = this.enforceClassExists(className);
     for (const fieldName in object) {
@@ -769,6 +1264,16 @@ export default class SchemaController {
 
       promise = promise.then(schema => schema.enforceFieldExists(className, fieldName, expected));
     }
+    promise = promise.then(schema => {
+      for (const fieldName in object) {
+        const type = schema.getExpectedType(className, fieldName);
+        const error = type && fieldValueIsInvalid(fieldName, type, object[fieldName]);
+        if (error) {
+          throw error;
+        }
+      }
+      return schema;
+    });
     promise = thenValidateRequiredColumns(promise, className, object, query);
     return promise;
   }
@@ -1002,6 +1507,11 @@ function getObjectType(obj) {
         return 'Bytes';
       }
       break;
+    case 'Polygon' :
+      if(obj.coordinates) {
+        return 'Polygon';
+      }
+      break;
     }
     throw new Parse.Error(Parse.Error.INCORRECT_TYPE, "This is not a valid " + obj.__type);
   }
@@ -1043,4 +1553,7 @@ export {
   defaultColumns,
   convertSchemaToAdapterSchema,
   VolatileClassesSchemas,
+  softDeleteField,
+  withDeletedConstraint,
+  withComputedFields,
 };
@@ -0,0 +1,221 @@
+import Parse                  from 'parse/node';
+import AppCache               from '../cache';
+import DatabaseController     from './DatabaseController';
+import SchemaCache            from './SchemaCache';
+import { CacheController,
+  SubCache }                  from './CacheController';
+import { newObjectId }        from '../cryptoUtils';
+
+const TENANT_CLASS = '_Tenant';
+
+// Tenant ids name the tables or collections of their tenant. Kept to letters
+// and digits, the prefix of a tenant never starts the one of another.
+const tenantIdPattern = /^[A-Za-z0-9]+$/;
+
+// The tables or collections of a tenant are named after its classes behind
+// this prefix. Class names cannot hold a ':', so they never collide with the
+// ones of the app.
+function tenantPrefix(tenantId) {
+  return `${tenantId}:`;
+}
+
+// How long a tenant id that is not in the database is answered from the
+// cache, in milliseconds. Tenants provisioned by another process in that
+// time are found once it is over.
+const missingTenantTTL = 5 * 1000;
+
+// The app ids tenants answer to, with the app and the tenant they stand for.
+// App ids are shared by every app in the process, so is this.
+const tenantAppIds = {};
+
+// The app and tenant an app id stands for, when it is the one of a tenant
+export function tenantForAppId(appId) {
+  return tenantAppIds[appId];
+}
+
+// Routes the requests of the tenants of an app to databases of their own:
+// either a set of tables or collections behind a prefix in the database of
+// the app, or a database of their own given by a databaseURI. Tenants are
+// kept in the _Tenant class of the app database.
+export class TenantController {
+
+  constructor(applicationId, databaseController, { cacheController, schemaCacheTTL, enableSingleSchemaCache, createDatabaseAdapter }) {
+    this._applicationId = applicationId;
+    this.database = databaseController;
+    this._cacheController = cacheController;
+    this._schemaCacheTTL = schemaCacheTTL;
+    this._enableSingleSchemaCache = enableSingleSchemaCache;
+    this._createDatabaseAdapter = createDatabaseAdapter;
+    this._tenants = {};
+    this._missingTenants = new SubCache('missingTenant', cacheController, missingTenantTTL);
+  }
+
+  load() {
+    return this._findTenants({}).then(records => {
+      records.forEach(record => this._register(record));
+    });
+  }
+
+  // Resolves with the tenant, undefined when there is none. Tenants that
+  // another process provisioned are looked up in the database, the ids that
+  // are not there are cached for a while.
+  get(tenantId) {
+    if (this._tenants[tenantId]) {
+      return Promise.resolve(this._tenants[tenantId]);
+    }
+    if (!tenantIdPattern.test(tenantId)) {
+      return Promise.resolve();
+    }
+    return this._missingTenants.get(tenantId).then(missing => {
+      if (missing) {
+        return;
+      }
+      return this._findTenants({ tenantId }).then(([record]) => {
+        if (!record) {
+          this._missingTenants.put(tenantId, true, this._missingTenants.ttl);
+          return;
+        }
+        return this._register(record);
+      });
+    });
+  }
+
+  // Points the config of a request at the database and caches of the
+  // tenant. Resolves with false when there is no such tenant.
+  configure(config, tenantId) {
+    return this.get(tenantId).then(tenant => {
+      if (!tenant) {
+        return false;
+      }
+      config.tenantId = tenant.tenantId;
+      config.cacheController = tenant.cacheController;
+      config.database = this.databaseFor(tenant);
+      return true;
+    });
+  }
+
+  // A DatabaseController for the tenant, with a schema cache of its own
+  databaseFor(tenant) {
+    const schemaCache = new SchemaCache(tenant.cacheController, this._schemaCacheTTL, this._enableSingleSchemaCache);
+    return new DatabaseController(tenant.adapter, schemaCache);
+  }
+
+  // DatabaseControllers for the tenants known to this process
+  databaseControllers() {
+    return Object.keys(this._tenants).map(tenantId => this.databaseFor(this._tenants[tenantId]));
+  }
+
+  getTenants() {
+    return this._findTenants({}).then(records => records.map(tenantResponse));
+  }
+
+  // Provisions a tenant and sets up its database. appId is the app id the
+  // tenant answers to besides the tenant header, databaseURI the database it
+  // gets instead of a prefix in the app database.
+  createTenant({ tenantId, appId, databaseURI }) {
+    if (typeof tenantId !== 'string' || !tenantIdPattern.test(tenantId)) {
+      return Promise.reject(new Parse.Error(Parse.Error.INVALID_JSON, 'tenantId should be made of letters and digits.'));
+    }
+    if (appId !== undefined && (typeof appId !== 'string' || appId.length === 0)) {
+      return Promise.reject(new Parse.Error(Parse.Error.INVALID_JSON, 'appId should be a string.'));
+    }
+    if (databaseURI !== undefined && typeof databaseURI !== 'string') {
+      return Promise.reject(new Parse.Error(Parse.Error.INVALID_JSON, 'databaseURI should be a string.'));
+    }
+    if (!databaseURI && typeof this.database.adapter.withCollectionPrefix !== 'function') {
+      return Promise.reject(new Parse.Error(Parse.Error.INVALID_JSON, 'The database adapter cannot prefix the tables of tenants, give the tenant a databaseURI.'));
+    }
+    if (appId && (AppCache.get(appId) || tenantAppIds[appId])) {
+      return Promise.reject(new Parse.Error(Parse.Error.DUPLICATE_VALUE, `App id ${appId} is taken.`));
+    }
+    return this.get(tenantId).then(existing => {
+      if (existing) {
+        throw new Parse.Error(Parse.Error.DUPLICATE_VALUE, `Tenant ${tenantId} already exists.`);
+      }
+      const record = { tenantId };
+      if (appId) {
+        record.appId = appId;
+      }
+      if (databaseURI) {
+        record.databaseURI = databaseURI;
+        return record;
+      }
+      // Tables left behind the prefix would be taken over by the tenant
+      return this.database.adapter.withCollectionPrefix(tenantPrefix(tenantId)).classExists('_SCHEMA').then(exists => {
+        if (exists) {
+          throw new Parse.Error(Parse.Error.DUPLICATE_VALUE, `The tables of tenant ${tenantId} already exist.`);
+        }
+        return record;
+      });
+    }).then(record => {
+      return this.database.create(TENANT_CLASS, Object.assign({ objectId: newObjectId(), createdAt: new Date(), ACL: {} }, record))
+        .then(() => this._missingTenants.del(tenantId))
+        .then(() => this.databaseFor(this._register(record)).performInitialization())
+        .then(() => tenantResponse(record));
+    });
+  }
+
+  // Deprovisions a tenant, dropping the classes of its database
+  deleteTenant(tenantId) {
+    return this.get(tenantId).then(tenant => {
+      if (!tenant) {
+        throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Tenant not found.');
+      }
+      return tenant.adapter.deleteAllClasses()
+        .then(() => this.database.destroy(TENANT_CLASS, { tenantId }))
+        .then(() => this._unregister(tenant));
+    });
+  }
+
+  handleShutdown() {
+    Object.keys(this._tenants).forEach(tenantId => {
+      const { adapter } = this._tenants[tenantId];
+      if (typeof adapter.handleShutdown === 'function') {
+        adapter.handleShutdown();
+      }
+    });
+  }
+
+  _findTenants(query) {
+    return this.database.find(TENANT_CLASS, query, { readPreference: 'PRIMARY' });
+  }
+
+  _register({ tenantId, appId, databaseURI }) {
+    const tenant = {
+      tenantId,
+      appId,
+      adapter: databaseURI ? this._createDatabaseAdapter(databaseURI) : this.database.adapter.withCollectionPrefix(tenantPrefix(tenantId)),
+      // Schemas and sessions are cached apart from the other tenants
+      cacheController: new CacheController(this._cacheController.adapter, `${this._applicationId}:${tenantId}`)
+    };
+    this._tenants[tenantId] = tenant;
+    if (appId) {
+      tenantAppIds[appId] = { applicationId: this._applicationId, tenantId };
+    }
+    return tenant;
+  }
+
+  _unregister(tenant) {
+    delete this._tenants[tenant.tenantId];
+    if (tenant.appId) {
+      delete tenantAppIds[tenant.appId];
+    }
+    if (typeof tenant.adapter.handleShutdown === 'function') {
+      tenant.adapter.handleShutdown();
+    }
+  }
+}
+
+// Database URIs hold credentials, they stay on the server
+function tenantResponse({ tenantId, appId, createdAt }) {
+  const response = { tenantId };
+  if (appId) {
+    response.appId = appId;
+  }
+  if (createdAt) {
+    response.createdAt = createdAt;
+  }
+  return response;
+}
+
+export default TenantController;
@@ -20,14 +20,22 @@ import { ClassesRouter }        from './Routers/ClassesRouter';
 import { FeaturesRouter }       from './Routers/FeaturesRouter';
 import { InMemoryCacheAdapter } from './Adapters/Cache/InMemoryCacheAdapter';
 import { AnalyticsController }  from './Controllers/AnalyticsController';
+import { AuditController }      from './Controllers/AuditController';
+import { AuditRouter }          from './Routers/AuditRouter';
+import { FileMetadataRouter }   from './Routers/FileMetadataRouter';
+import { TenantController }     from './Controllers/TenantController';
+import { TenantsRouter }        from './Routers/TenantsRouter';
 import { CacheController }      from './Controllers/CacheController';
 import { AnalyticsAdapter }     from './Adapters/Analytics/AnalyticsAdapter';
 import { WinstonLoggerAdapter } from './Adapters/Logger/WinstonLoggerAdapter';
 import { FilesController }      from './Controllers/FilesController';
 import { FilesRouter }          from './Routers/FilesRouter';
+import { ImportExportRouter }   from './Routers/ImportExportRouter';
 import { FunctionsRouter }      from './Routers/FunctionsRouter';
 import { GlobalConfigRouter }   from './Routers/GlobalConfigRouter';
 import { GridStoreAdapter }     from './Adapters/Files/GridStoreAdapter';
+import { MySQLFilesAdapter }    from './Adapters/Files/MySQLFilesAdapter';
+import { FileSystemAdapter }    from './Adapters/Files/FileSystemAdapter';
 import { HooksController }      from './Controllers/HooksController';
 import { HooksRouter }          from './Routers/HooksRouter';
 import { IAPValidationRouter }  from './Routers/IAPValidationRouter';
@@ -50,6 +58,7 @@ import { UserController }       from './Controllers/UserController';
 import { UsersRouter }          from './Routers/UsersRouter';
 import { PurgeRouter }          from './Routers/PurgeRouter';
 import { AudiencesRouter }          from './Routers/AudiencesRouter';
+import { AggregateRouter }      from './Routers/AggregateRouter';
 
 import DatabaseController       from './Controllers/DatabaseController';
 import SchemaCache              from './Controllers/SchemaCache';
@@ -59,19 +68,48 @@ import PostgresStorageAdapter   from './Adapters/Storage/Postgres/PostgresStorag
 import MySQLStorageAdapter   from './Adapters/Storage/MySQL/MySQLStorageAdapter';
 
 import { ParseServerRESTController } from './ParseServerRESTController';
+
+// The longest delay timers take, in ms
+const maxTimerDelay = 2147483647;
+
 // Mutate the Parse object to add the Cloud Code handlers
 addParseCloud();
 
 // ParseServer works like a constructor of an express app.
 // The args that we understand are:
 // "analyticsAdapter": an adapter class for analytics
+// "auditAdapter": a class like AuditAdapter keeping the audit trail, defaults
+//                 to the _Audit class
 // "filesAdapter": a class like GridStoreAdapter providing create, get,
-//                 and delete
+//                 and delete. Defaults to GridStoreAdapter on MongoDB,
+//                 MySQLFilesAdapter on MySQL and FileSystemAdapter on
+//                 Postgres
 // "loggerAdapter": a class like WinstonLoggerAdapter providing info, error,
 //                 and query
 // "jsonLogs": log as structured JSON objects
 // "databaseURI": a uri like mongodb://localhost:27017/dbname to tell us
 //          what database this Parse API connects to.
+// "softDeleteRetention": how long, in seconds, deleted objects of softDelete
+//          classes are kept
+// "softDeletePurgeInterval": how often, in seconds, deleted objects past
+//          their retention are purged. 0, the default, never purges them.
+//          Every instance that sets it purges, set it on one only
+// "fileCleanupInterval": how often, in seconds, the files recorded in _File
+//          that no File field refers to anymore are deleted. 0, the default,
+//          leaves it to POST /cleanupFiles
+// "fileCleanupGracePeriod": how old, in seconds, such files have to be to go
+// "fileSigningKey": signs the file URLs given with objects, they expire after
+//          "fileURLExpiry" seconds. Files with no ACL then need a signed URL.
+// "uploadSessionExpiry": how long, in seconds, a resumable upload is kept
+//          after its last chunk
+// "uploadSweepInterval": how often, in seconds, expired resumable uploads
+//          are removed. 0 turns it off
+// "slowQueryThreshold": database queries taking longer than this, in ms,
+//          are logged with the query the database got, without its values
+// "enableTenants": route the requests with a tenant header, or the app id of
+//          a tenant, to the database of the tenant. Tenants are provisioned
+//          through /tenants with the master key. Cloud Code keeps going to
+//          the app database.
 // "cloud": relative location to cloud code to require, or a function
 //          that is given an instance of Parse as a parameter.  Use this instance of Parse
 //          to register your cloud code hooks and functions.
@@ -95,6 +133,7 @@ class ParseServer {
     masterKey = requiredParameter('You must provide a masterKey!'),
     appName,
     analyticsAdapter,
+    auditAdapter,
     filesAdapter,
     push,
     scheduledPush = false,
@@ -142,6 +181,16 @@ class ParseServer {
     revokeSessionOnPasswordReset = defaults.revokeSessionOnPasswordReset,
     schemaCacheTTL = defaults.schemaCacheTTL, // cache for 5s
     enableSingleSchemaCache = false,
+    softDeleteRetention = defaults.softDeleteRetention,
+    softDeletePurgeInterval = defaults.softDeletePurgeInterval,
+    fileCleanupGracePeriod = defaults.fileCleanupGracePeriod,
+    fileCleanupInterval = defaults.fileCleanupInterval,
+    fileSigningKey,
+    fileURLExpiry = defaults.fileURLExpiry,
+    uploadSessionExpiry = defaults.uploadSessionExpiry,
+    uploadSweepInterval = defaults.uploadSweepInterval,
+    slowQueryThreshold,
+    enableTenants = false,
     __indexBuildCompletionCallbackForTests = () => {},
   }) {
     // Initialize the node client SDK automatically
@@ -169,7 +218,7 @@ class ParseServer {
     logging.setLogger(loggerController);
 
     const filesControllerAdapter = loadAdapter(filesAdapter, () => {
-      return new GridStoreAdapter(databaseURI);
+      return this.getFilesAdapter(databaseURI);
     });
     const filesController = new FilesController(filesControllerAdapter, appId);
 
@@ -205,9 +254,18 @@ class ParseServer {
     const analyticsControllerAdapter = loadAdapter(analyticsAdapter, AnalyticsAdapter);
     const analyticsController = new AnalyticsController(analyticsControllerAdapter);
 
+    const auditControllerAdapter = loadAdapter(auditAdapter);
+    const auditController = new AuditController(auditControllerAdapter, appId);
+
     const liveQueryController = new LiveQueryController(liveQuery);
     const databaseController = new DatabaseController(databaseAdapter, new SchemaCache(cacheController, schemaCacheTTL, enableSingleSchemaCache));
     const hooksController = new HooksController(appId, databaseController, webhookKey);
+    const tenantController = new TenantController(appId, databaseController, {
+      cacheController,
+      schemaCacheTTL,
+      enableSingleSchemaCache,
+      createDatabaseAdapter: (uri) => this.getDatabaseAdapter(uri, '', databaseOptions)
+    });
 
     const dbInitPromise = databaseController.performInitialization();
 
@@ -234,6 +292,9 @@ class ParseServer {
       webhookKey: webhookKey,
       fileKey: fileKey,
       analyticsController: analyticsController,
+      auditController: auditController,
+      tenantController: tenantController,
+      enableTenants: enableTenants,
       cacheController: cacheController,
       filesController: filesController,
       pushController: pushController,
@@ -263,13 +324,69 @@ class ParseServer {
       pushWorker,
       pushControllerQueue,
       hasPushSupport,
-      hasPushScheduledSupport
+      hasPushScheduledSupport,
+      softDeleteRetention: Number(softDeleteRetention),
+      softDeletePurgeInterval: Number(softDeletePurgeInterval),
+      fileCleanupGracePeriod: Number(fileCleanupGracePeriod),
+      fileCleanupInterval: Number(fileCleanupInterval),
+      fileSigningKey,
+      fileURLExpiry: Number(fileURLExpiry),
+      uploadSessionExpiry: Number(uploadSessionExpiry),
+      uploadSweepInterval: Number(uploadSweepInterval),
+      slowQueryThreshold: slowQueryThreshold === undefined ? undefined : Number(slowQueryThreshold)
     });
 
     Config.validate(AppCache.get(appId));
     this.config = AppCache.get(appId);
     Config.setupPasswordValidator(this.config.passwordPolicy);
+    if (typeof databaseAdapter.setSlowQueryThreshold === 'function') {
+      databaseAdapter.setSlowQueryThreshold(this.config.slowQueryThreshold);
+    }
     hooksController.load();
+    if (enableTenants) {
+      tenantController.load().catch(error => {
+        logging.logger.error('Could not load the tenants', error);
+      });
+    }
+
+    if (this.config.softDeletePurgeInterval > 0) {
+      // Deleted objects of softDelete classes go for good after the retention
+      this.softDeletePurgeTimer = setInterval(() => {
+        const before = new Date(Date.now() - this.config.softDeleteRetention * 1000);
+        [databaseController, ...tenantController.databaseControllers()].forEach(database => {
+          database.purgeDeleted(before).catch(error => {
+            logging.logger.error('Could not purge the deleted objects', error);
+          });
+        });
+      }, Math.min(this.config.softDeletePurgeInterval * 1000, maxTimerDelay));
+      this.softDeletePurgeTimer.unref();
+    }
+
+    if (this.config.fileCleanupInterval > 0) {
+      // Uploaded files no object refers to go after the grace period
+      this.fileCleanupTimer = setInterval(() => {
+        const before = new Date(Date.now() - this.config.fileCleanupGracePeriod * 1000);
+        [databaseController, ...tenantController.databaseControllers()].forEach(database => {
+          filesController.removeOrphans(database, before).catch(error => {
+            logging.logger.error('Could not delete the orphaned files', error);
+          });
+        });
+      }, Math.min(this.config.fileCleanupInterval * 1000, maxTimerDelay));
+      this.fileCleanupTimer.unref();
+    }
+
+    if (this.config.uploadSweepInterval > 0) {
+      // Abandoned resumable uploads go once expired
+      this.uploadSweepTimer = setInterval(() => {
+        const now = new Date();
+        [databaseController, ...tenantController.databaseControllers()].forEach(database => {
+          filesController.removeExpiredUploads(database, now).catch(error => {
+            logging.logger.error('Could not remove the expired uploads', error);
+          });
+        });
+      }, Math.min(this.config.uploadSweepInterval * 1000, maxTimerDelay));
+      this.uploadSweepTimer.unref();
+    }
 
     // Note: Tests will start to fail if any validation happens after this is called.
     if (process.env.TESTING) {
@@ -288,6 +405,23 @@ class ParseServer {
     }
   }
 
+  // Files are stored in the database when it can hold them
+  getFilesAdapter(databaseURI) {
+    let protocol;
+    try {
+      const parsedURI = url.parse(databaseURI);
+      protocol = parsedURI.protocol ? parsedURI.protocol.toLowerCase() : null;
+    } catch(e) { /* */ }
+    switch (protocol) {
+    case 'postgres:':
+      return new FileSystemAdapter();
+    case 'mysql:':
+      return new MySQLFilesAdapter(databaseURI);
+    default:
+      return new GridStoreAdapter(databaseURI);
+    }
+  }
+
   getDatabaseAdapter(databaseURI, collectionPrefix, databaseOptions) {
     let protocol;
     try {
@@ -321,10 +455,18 @@ class ParseServer {
   }
 
   handleShutdown() {
+    clearInterval(this.softDeletePurgeTimer);
+    clearInterval(this.fileCleanupTimer);
+    clearInterval(this.uploadSweepTimer);
+    this.config.tenantController.handleShutdown();
     const { adapter } = this.config.databaseController;
     if (adapter && typeof adapter.handleShutdown === 'function') {
       adapter.handleShutdown();
     }
+    const filesAdapter = this.config.filesController.adapter;
+    if (filesAdapter && typeof filesAdapter.handleShutdown === 'function') {
+      filesAdapter.handleShutdown();
+    }
   }
 
   static app({maxUploadSize = '20mb', appId}) {
@@ -336,6 +478,8 @@ class ParseServer {
     api.use('/', middlewares.allowCrossDomain, new FilesRouter().expressRouter({
       maxUploadSize: maxUploadSize
     }));
+    // Imports stream their body, exports stream their response
+    api.use('/', middlewares.allowCrossDomain, new ImportExportRouter().expressRouter());
 
     api.use('/health', (req, res) => res.sendStatus(200));
 
@@ -388,7 +532,11 @@ class ParseServer {
       new PurgeRouter(),
       new HooksRouter(),
       new CloudCodeRouter(),
-      new AudiencesRouter()
+      new AudiencesRouter(),
+      new AggregateRouter(),
+      new AuditRouter(),
+      new FileMetadataRouter(),
+      new TenantsRouter()
     ];
 
     const routes = routers.reduce((memo, router) => {
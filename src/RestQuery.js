@@ -14,6 +14,10 @@ const AlwaysSelectedKeys = ['objectId', 'createdAt', 'updatedAt'];
 //   include
 //   keys
 //   redirectClassNameForKey
+//   cursor
+//   includeDeleted
+//   explain
+//   distinct
 function RestQuery(config, auth, className, restWhere = {}, restOptions = {}, clientSDK) {
 
   this.config = config;
@@ -131,14 +135,131 @@ function RestQuery(config, auth, className, restWhere = {}, restOptions = {}, cl
       break;
     case 'includeReadPreference':
     case 'subqueryReadPreference':
+    case 'cursor':
+      break;
+    case 'includeDeleted':
+      if (!this.auth.isMaster) {
+        throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'includeDeleted requires the master key.');
+      }
+      this.includeDeleted = true;
+      break;
+    case 'explain':
+      if (!this.auth.isMaster) {
+        throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'explain requires the master key.');
+      }
+      this.findOptions.explain = true;
+      break;
+    case 'distinct':
+      this.distinct = String(restOptions.distinct);
+      if (this.className === '_User' && !this.auth.isMaster &&
+          this.config.userSensitiveFields.indexOf(this.distinct) >= 0) {
+        throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Cannot get the distinct values of ${this.distinct}.`);
+      }
       break;
     default:
       throw new Parse.Error(Parse.Error.INVALID_JSON,
         'bad option: ' + option);
     }
   }
+
+  // Keyset pagination: objectId breaks ties in the sort, so the last object
+  // of a page tells where the next one starts. An empty cursor asks for the
+  // first page.
+  if (restOptions.hasOwnProperty('cursor')) {
+    if (this.findOptions.skip) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Cannot use skip with a cursor.');
+    }
+    const sort = this.findOptions.sort || {};
+    if (sort.score && sort.score.$meta) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Cannot use a cursor when sorting by $score.');
+    }
+    const sortKeys = Object.keys(sort);
+    const tiebreaker = sortKeys.indexOf('objectId');
+    this.findOptions.sort = sortKeys.slice(0, tiebreaker < 0 ? sortKeys.length : tiebreaker + 1)
+      .reduce((sortMap, key) => {
+        // The database sorts by these as createdAt and updatedAt
+        const sortKey = { _created_at: 'createdAt', _updated_at: 'updatedAt' }[key] || key;
+        sortMap[sortKey] = sort[key];
+        return sortMap;
+      }, {});
+    if (tiebreaker < 0) {
+      this.findOptions.sort.objectId = 1;
+    }
+    this.cursorOrder = Object.keys(this.findOptions.sort).map((key) => {
+      return this.findOptions.sort[key] === -1 ? '-' + key : key;
+    });
+    if (restOptions.cursor) {
+      this.cursorValues = decodeCursor(restOptions.cursor, this.cursorOrder);
+    }
+  }
 }
 
+// Sort values a cursor can hold
+const isCursorValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].indexOf(typeof value) >= 0) {
+    return true;
+  }
+  return typeof value === 'object' && value.__type === 'Date' && typeof value.iso === 'string' &&
+    Object.keys(value).length === 2;
+};
+
+const encodeCursor = (order, values) => {
+  return Buffer.from(JSON.stringify({ order, values })).toString('base64');
+};
+
+const decodeCursor = (cursor, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64').toString());
+  } catch (e) {
+    decoded = null;
+  }
+  if (!decoded || JSON.stringify(decoded.order) !== JSON.stringify(order) ||
+      !Array.isArray(decoded.values) || decoded.values.length !== order.length ||
+      !decoded.values.every(isCursorValue)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Invalid cursor.');
+  }
+  return decoded.values;
+};
+
+// The value of a sort key on an object, for the cursor to the next page
+const cursorValue = (object, key) => {
+  const value = key.split('.').reduce((value, part) => {
+    return value && typeof value === 'object' ? value[part] : undefined;
+  }, object);
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if ((key === 'createdAt' || key === 'updatedAt') && typeof value === 'string') {
+    return { __type: 'Date', iso: value };
+  }
+  if (!isCursorValue(value)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Cannot use a cursor when sorting by ${key}.`);
+  }
+  return value;
+};
+
+// A constraint for the objects that come after the given sort values.
+// Missing values sort lowest, as they do in MongoDB.
+const seekConstraint = (sort, values) => {
+  const keys = Object.keys(sort);
+  const clauses = [];
+  keys.forEach((key, index) => {
+    const equalities = {};
+    keys.slice(0, index).forEach((previousKey, previousIndex) => {
+      equalities[previousKey] = values[previousIndex];
+    });
+    const value = values[index];
+    if (sort[key] === 1) {
+      clauses.push(Object.assign({ [key]: value === null ? { $ne: null } : { $gt: value } }, equalities));
+    } else if (value !== null) {
+      clauses.push(Object.assign({ [key]: { $lt: value } }, equalities));
+      clauses.push(Object.assign({ [key]: null }, equalities));
+    }
+  });
+  return { $or: clauses };
+};
+
 // A convenient method to perform all the steps of processing a query
 // in order.
 // Returns a promise for the response - an object with optional keys
@@ -156,6 +277,9 @@ RestQuery.prototype.execute = function(executeOptions) {
   }).then(() => {
     return this.runAfterFindTrigger();
   }).then(() => {
+    if (this.cursor) {
+      this.response.cursor = this.cursor;
+    }
     return this.response;
   });
 };
@@ -167,6 +291,8 @@ RestQuery.prototype.buildRestWhere = function() {
     return this.redirectClassNameForKey();
   }).then(() => {
     return this.validateClientClassCreation();
+  }).then(() => {
+    return this.excludeDeleted();
   }).then(() => {
     return this.replaceSelect();
   }).then(() => {
@@ -226,6 +352,36 @@ RestQuery.prototype.validateClientClassCreation = function() {
   }
 };
 
+// Leaves out the deleted objects of softDelete classes, unless the query
+// asks for them.
+RestQuery.prototype.excludeDeleted = function() {
+  if (this.includeDeleted) {
+    return Promise.resolve();
+  }
+  return this.config.database.excludeDeleted(this.className, this.restWhere)
+    .then(restWhere => {
+      this.restWhere = restWhere;
+    });
+};
+
+// Runs a subquery for $inQuery or $notInQuery. Resolves with the results, or
+// with a subquery prepared for the database to nest in this query when it
+// supports joins and no afterFind trigger has to see the results.
+RestQuery.prototype.resolveSubquery = function(subquery) {
+  if (!this.config.database.supportsJoins() || this.restOptions.subqueryReadPreference) {
+    return subquery.execute();
+  }
+  return subquery.buildRestWhere().then(() => {
+    if (triggers.triggerExists(subquery.className, triggers.Types.afterFind, this.config.applicationId)) {
+      return subquery.runFind()
+        .then(() => subquery.runAfterFindTrigger())
+        .then(() => subquery.response);
+    }
+    return this.config.database.prepareSubquery(subquery.className, subquery.restWhere, { acl: subquery.findOptions.acl })
+      .then(prepared => prepared ? { prepared } : { results: [] });
+  });
+};
+
 function transformInQuery(inQueryObject, className, results) {
   var values = [];
   for (var result of results) {
@@ -272,8 +428,15 @@ RestQuery.prototype.replaceInQuery = function() {
   var subquery = new RestQuery(
     this.config, this.auth, inQueryValue.className,
     inQueryValue.where, additionalOptions);
-  return subquery.execute().then((response) => {
-    transformInQuery(inQueryObject, subquery.className, response.results);
+  // Pointers listed in $in are matched as well, which a nested query cannot do
+  const resolved = Array.isArray(inQueryObject['$in']) ? subquery.execute() : this.resolveSubquery(subquery);
+  return resolved.then((response) => {
+    if (response.prepared) {
+      delete inQueryObject['$inQuery'];
+      inQueryObject['$inSubquery'] = response.prepared;
+    } else {
+      transformInQuery(inQueryObject, subquery.className, response.results);
+    }
     // Recurse to repeat
     return this.replaceInQuery();
   });
@@ -325,8 +488,13 @@ RestQuery.prototype.replaceNotInQuery = function() {
   var subquery = new RestQuery(
     this.config, this.auth, notInQueryValue.className,
     notInQueryValue.where, additionalOptions);
-  return subquery.execute().then((response) => {
-    transformNotInQuery(notInQueryObject, subquery.className, response.results);
+  return this.resolveSubquery(subquery).then((response) => {
+    if (response.prepared) {
+      delete notInQueryObject['$notInQuery'];
+      notInQueryObject['$notInSubquery'] = response.prepared;
+    } else {
+      transformNotInQuery(notInQueryObject, subquery.className, response.results);
+    }
     // Recurse to repeat
     return this.replaceNotInQuery();
   });
@@ -506,6 +674,9 @@ RestQuery.prototype.runFind = function(options = {}) {
     this.response = {results: []};
     return Promise.resolve();
   }
+  if (this.distinct) {
+    return this.runDistinct();
+  }
   const findOptions = Object.assign({}, this.findOptions);
   if (this.keys) {
     findOptions.keys = this.keys.map((key) => {
@@ -515,8 +686,40 @@ RestQuery.prototype.runFind = function(options = {}) {
   if (options.op) {
     findOptions.op = options.op;
   }
-  return this.config.database.find(this.className, this.restWhere, findOptions)
+  let where = this.restWhere;
+  // Sort keys the cursor needs, that were not asked for
+  let cursorKeys = [];
+  if (this.cursorOrder) {
+    const sortKeys = Object.keys(findOptions.sort);
+    if (this.className === '_User' && !this.auth.isMaster && sortKeys.some((key) => {
+      return this.config.userSensitiveFields.indexOf(key.split('.')[0]) >= 0;
+    })) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Cannot use a cursor when sorting by a sensitive field.');
+    }
+    if (findOptions.keys) {
+      cursorKeys = sortKeys.map(key => key.split('.')[0])
+        .filter(key => findOptions.keys.indexOf(key) < 0);
+      findOptions.keys = findOptions.keys.concat(cursorKeys);
+    }
+    if (this.cursorValues) {
+      // Count keeps counting the whole query
+      where = Object.assign({}, this.restWhere);
+      where.$and = (where.$and || []).concat(seekConstraint(findOptions.sort, this.cursorValues));
+    }
+  }
+  return this.joinedIncludes()
+    .then((include) => {
+      if (include.length > 0) {
+        findOptions.include = include;
+      }
+      return this.config.database.find(this.className, where, findOptions);
+    })
     .then((results) => {
+      // The plan of the database is all an explained query gives
+      if (findOptions.explain) {
+        this.response = {results: results};
+        return;
+      }
       if (this.className === '_User') {
         for (var result of results) {
           cleanResultOfSensitiveUserInfo(result, this.auth, this.config);
@@ -524,8 +727,36 @@ RestQuery.prototype.runFind = function(options = {}) {
         }
       }
 
+      // A full page may not be the last one
+      if (this.cursorOrder && results.length > 0 && results.length === findOptions.limit) {
+        const last = results[results.length - 1];
+        this.cursor = encodeCursor(this.cursorOrder, Object.keys(findOptions.sort).map(key => cursorValue(last, key)));
+      }
+      cursorKeys.forEach((key) => {
+        results.forEach(result => delete result[key]);
+      });
+
       this.config.filesController.expandFilesInObject(this.config, results);
 
+      // Included by the database, cleaned up the way includePath does it
+      for (var path of findOptions.include || []) {
+        for (var object of results) {
+          const included = object[path];
+          if (!included || included.__type !== 'Object') {
+            continue;
+          }
+          if (included.className === '_User') {
+            cleanResultOfSensitiveUserInfo(included, this.auth, this.config);
+            cleanResultAuthData(included);
+            if (!this.auth.isMaster) {
+              delete included.sessionToken;
+              delete included.authData;
+            }
+          }
+          this.config.filesController.expandFilesInObject(this.config, included);
+        }
+      }
+
       if (this.redirectClassName) {
         for (var r of results) {
           r.className = this.redirectClassName;
@@ -535,10 +766,37 @@ RestQuery.prototype.runFind = function(options = {}) {
     });
 };
 
+// Populates this.response with the distinct values of the field
+RestQuery.prototype.runDistinct = function() {
+  const { acl, readPreference } = this.findOptions;
+  return this.config.database.distinct(this.className, this.restWhere, this.distinct, { acl, readPreference })
+    .then((results) => {
+      this.response = {results: results};
+    });
+};
+
+// Returns a promise for the top level pointer fields in this.include that
+// the database can include within the query. The others, and classes with
+// an afterFind trigger, are left to handleInclude.
+RestQuery.prototype.joinedIncludes = function() {
+  const paths = this.include.filter(path => path.length === 1);
+  if (paths.length === 0 || this.keys || this.restOptions.includeReadPreference ||
+      !this.config.database.supportsJoins()) {
+    return Promise.resolve([]);
+  }
+  return this.config.database.loadSchema().then((schemaController) => {
+    return paths.map(path => path[0]).filter((key) => {
+      const type = schemaController.getExpectedType(this.className, key);
+      return type && type.type === 'Pointer' &&
+        !triggers.triggerExists(type.targetClass, triggers.Types.afterFind, this.config.applicationId);
+    });
+  });
+};
+
 // Returns a promise for whether it was successful.
 // Populates this.response.count with the count
 RestQuery.prototype.runCount = function() {
-  if (!this.doCount) {
+  if (!this.doCount || this.findOptions.explain || this.distinct) {
     return;
   }
   this.findOptions.count = true;
@@ -552,7 +810,7 @@ RestQuery.prototype.runCount = function() {
 
 // Augments this.response with data at the paths provided in this.include.
 RestQuery.prototype.handleInclude = function() {
-  if (this.include.length == 0) {
+  if (this.include.length == 0 || this.findOptions.explain || this.distinct) {
     return;
   }
 
@@ -574,7 +832,7 @@ RestQuery.prototype.handleInclude = function() {
 
 //Returns a promise of a processed set of results
 RestQuery.prototype.runAfterFindTrigger = function() {
-  if (!this.response) {
+  if (!this.response || this.findOptions.explain || this.distinct) {
     return;
   }
   // Avoid doing any setup for triggers if there is no 'afterFind' trigger for this class.
@@ -13,6 +13,7 @@ var triggers = require('./triggers');
 var ClientSDK = require('./ClientSDK');
 import RestQuery from './RestQuery';
 import _         from 'lodash';
+import { logAfterWriteError } from './logger';
 
 // query and data are both provided in REST API format. So data
 // types are encoded by plain old objects.
@@ -45,6 +46,11 @@ function RestWrite(config, auth, className, query, data, originalData, clientSDK
   // copy
   this.query = deepcopy(query);
   this.data = deepcopy(data);
+  // Updates can expect the object to be as the client last saw it
+  if (this.query && this.data._expectedUpdatedAt !== undefined) {
+    this.runOptions.expectedUpdatedAt = parseExpectedUpdatedAt(this.data._expectedUpdatedAt);
+    delete this.data._expectedUpdatedAt;
+  }
   // We never change originalData, so we do not need a deep copy
   this.originalData = originalData;
 
@@ -52,10 +58,22 @@ function RestWrite(config, auth, className, query, data, originalData, clientSDK
   this.updatedAt = Parse._encode(new Date()).iso;
 }
 
+// Takes an ISO date string or a Date in REST format, returns the ISO string
+function parseExpectedUpdatedAt(expectedUpdatedAt) {
+  const iso = expectedUpdatedAt && expectedUpdatedAt.__type === 'Date' ? expectedUpdatedAt.iso : expectedUpdatedAt;
+  const date = new Date(iso);
+  if (typeof iso !== 'string' || isNaN(date.getTime())) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, '_expectedUpdatedAt should be a date.');
+  }
+  return date.toISOString();
+}
+
 // A convenient method to perform all the steps of processing the
 // write, in order.
 // Returns a promise for a {response, status, location} object.
 // status and location are optional.
+// The steps write separately, only runDatabaseOperation writes the object,
+// its relations and its version atomically, see DatabaseController.runInTransaction.
 RestWrite.prototype.execute = function() {
   return Promise.resolve().then(() => {
     return this.getUserAndRoleACL();
@@ -79,6 +97,8 @@ RestWrite.prototype.execute = function() {
     return this.expandFilesForExistingObjects();
   }).then(() => {
     return this.runDatabaseOperation();
+  }).then(() => {
+    return this.inheritFileACLs();
   }).then(() => {
     return this.createSessionTokenIfNeeded();
   }).then(() => {
@@ -965,14 +985,20 @@ RestWrite.prototype.runDatabaseOperation = function() {
       });
     }
 
+    let storedObject;
     return defer.then(() => {
-      // Run an update
-      return this.config.database.update(this.className, this.query, this.data, this.runOptions)
+      return Promise.all([this.loadStoredObject(), this.isVersioned()]);
+    }).then(([object, versioned]) => {
+      storedObject = object;
+      // Run an update, versioned classes keep the prior state in the same transaction
+      return this.config.database.update(this.className, this.query, this.data, Object.assign({ versioned }, this.runOptions))
         .then(response => {
           response.updatedAt = this.updatedAt;
           this._updateResponseWithData(response, this.data);
           this.response = { response };
         });
+    }).then(() => {
+      return this.recordAudit('update', storedObject);
     });
   } else {
     // Set the default ACL and password timestamp for the new _User
@@ -1037,10 +1063,82 @@ RestWrite.prototype.runDatabaseOperation = function() {
           response,
           location: this.location()
         };
+      })
+      .then(() => {
+        return this.recordAudit('create');
       });
   }
 };
 
+// Files saved in the object without an ACL of their own get the one of
+// the object, so that its readers can download them. Only the uploader of a
+// file, or the master key, gives it an ACL this way.
+RestWrite.prototype.inheritFileACLs = function() {
+  if (!this.response || this.className === '_File') {
+    return;
+  }
+  const filenames = Object.keys(this.data)
+    .map(key => this.data[key])
+    .filter(value => value && value.__type === 'File' && value.name)
+    .map(value => value.name);
+  if (filenames.length === 0) {
+    return;
+  }
+  let loadACL;
+  if (this.data.ACL || !this.query) {
+    loadACL = Promise.resolve(this.data.ACL);
+  } else {
+    loadACL = this.config.database.find(this.className, { objectId: this.objectId() }, { keys: ['ACL'], limit: 1 })
+      .then(([object]) => object && object.ACL);
+  }
+  return logAfterWriteError(loadACL.then(ACL => {
+    // Public objects leave their files public
+    if (ACL) {
+      return this.config.filesController.inheritACL(this.config, filenames, ACL, this.auth);
+    }
+  }), 'Could not set the ACL of the files');
+};
+
+RestWrite.prototype.isAudited = function() {
+  if (this.audited === undefined) {
+    this.audited = this.config.auditController.isAudited(this.config, this.className);
+  }
+  return this.audited;
+};
+
+RestWrite.prototype.isVersioned = function() {
+  if (this.versioned === undefined) {
+    this.versioned = this.config.database.loadSchema()
+      .then(schemaController => !!schemaController.getClassOptions(this.className).versioned);
+  }
+  return this.versioned;
+};
+
+// Returns a promise for the object this update changes as it is stored
+// now, when its class is audited.
+RestWrite.prototype.loadStoredObject = function() {
+  return this.isAudited().then(audited => {
+    if (audited) {
+      return this.config.auditController.loadObject(this.config, this.className, this.objectId());
+    }
+  });
+};
+
+// Records the change to an object of an audited class. before is the
+// object before an update, the object after the write is loaded.
+RestWrite.prototype.recordAudit = function(action, before) {
+  return this.isAudited().then(audited => {
+    if (!audited || action === 'update' && !before) {
+      return;
+    }
+    const auditController = this.config.auditController;
+    const objectId = this.objectId();
+    const recorded = auditController.loadObject(this.config, this.className, objectId)
+      .then(after => auditController.record(this.config, this.auth, { className: this.className, objectId, action, before, after }));
+    return logAfterWriteError(recorded, 'Could not record the audit entry');
+  });
+};
+
 // Returns nothing - doesn't wait for the trigger.
 RestWrite.prototype.runAfterTrigger = function() {
   if (!this.response || !this.response.response) {
@@ -1070,11 +1168,13 @@ RestWrite.prototype.runAfterTrigger = function() {
   const updatedObject = this.buildUpdatedObject(extraData);
   updatedObject._handleSaveResponse(this.response.response, this.response.status || 200);
 
-  // Notifiy LiveQueryServer if possible
-  this.config.liveQueryController.onAfterSave(updatedObject.className, updatedObject, originalObject);
+  return triggers.runAfterWrite(this.config, () => {
+    // Notifiy LiveQueryServer if possible
+    this.config.liveQueryController.onAfterSave(updatedObject.className, updatedObject, originalObject);
 
-  // Run afterSave trigger
-  return triggers.maybeRunTrigger(triggers.Types.afterSave, this.auth, updatedObject, originalObject, this.config);
+    // Run afterSave trigger
+    return triggers.maybeRunTrigger(triggers.Types.afterSave, this.auth, updatedObject, originalObject, this.config);
+  });
 };
 
 // A helper to figure out what location this operation happens at.
@@ -0,0 +1,68 @@
+import PromiseRouter   from '../PromiseRouter';
+import ClassesRouter   from './ClassesRouter';
+import * as middleware from '../middlewares';
+import Parse           from 'parse/node';
+
+// Stages that can be given as top level parameters, e.g. ?group={...}
+const stageKeys = ['match', 'group', 'project', 'sort', 'skip', 'limit'];
+
+export class AggregateRouter extends PromiseRouter {
+
+  handleAggregate(req) {
+    const body = Object.assign({}, req.body, ClassesRouter.JSONFromQuery(req.query));
+    let pipeline = [];
+    let hasStages = false;
+    for (const key of Object.keys(body)) {
+      const stageName = key[0] === '$' ? key.slice(1) : key;
+      if (stageKeys.indexOf(stageName) >= 0) {
+        pipeline.push({ [`$${stageName}`]: body[key] });
+        hasStages = true;
+      } else if (['where', 'distinct', 'pipeline', 'includeDeleted'].indexOf(key) < 0) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid parameter for aggregate: ${key}`);
+      }
+    }
+    if (body.where !== undefined && (body.where === null || typeof body.where !== 'object')) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'where must be an object');
+    }
+
+    const database = req.config.database;
+    const className = req.params.className;
+    // Deleted objects of softDelete classes are left out unless asked for
+    const loadWhere = () => {
+      return body.includeDeleted ? Promise.resolve(body.where || {}) : database.excludeDeleted(className, body.where || {});
+    };
+
+    if (body.distinct !== undefined) {
+      if (hasStages || body.pipeline !== undefined) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, 'distinct cannot be combined with a pipeline');
+      }
+      return loadWhere()
+        .then(where => database.distinct(className, where, String(body.distinct)))
+        .then(results => ({ response: { results } }));
+    }
+
+    if (body.pipeline !== undefined) {
+      if (hasStages) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, 'pipeline cannot be combined with top level stages');
+      }
+      if (!Array.isArray(body.pipeline)) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, 'pipeline must be an array');
+      }
+      pipeline = body.pipeline;
+    }
+    return loadWhere()
+      .then(where => {
+        if (Object.keys(where).length > 0) {
+          pipeline = [{ $match: where }].concat(pipeline);
+        }
+        return database.aggregate(className, pipeline);
+      })
+      .then(results => ({ response: { results } }));
+  }
+
+  mountRoutes() {
+    this.route('GET', '/aggregate/:className', middleware.promiseEnforceMasterKeyAccess, (req) => { return this.handleAggregate(req); });
+  }
+}
+
+export default AggregateRouter;
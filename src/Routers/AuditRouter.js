@@ -0,0 +1,20 @@
+import ClassesRouter     from './ClassesRouter';
+import PromiseRouter     from '../PromiseRouter';
+import * as middleware   from '../middlewares';
+
+export class AuditRouter extends PromiseRouter {
+
+  // Returns a promise for a {response} object with the audit entries,
+  // see ClassesRouter.entriesQueryFromRequest for the query params.
+  handleFind(req) {
+    const { where, options } = ClassesRouter.entriesQueryFromRequest(req);
+    return req.config.auditController.find(req.config, where, options)
+      .then(response => ({ response }));
+  }
+
+  mountRoutes() {
+    this.route('GET', '/audit', middleware.promiseEnforceMasterKeyAccess, req => { return this.handleFind(req); });
+  }
+}
+
+export default AuditRouter;
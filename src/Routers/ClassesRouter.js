@@ -4,7 +4,8 @@ import rest          from '../rest';
 import _             from 'lodash';
 import Parse         from 'parse/node';
 
-const ALLOWED_GET_QUERY_KEYS = ['keys', 'include'];
+const ALLOWED_GET_QUERY_KEYS = ['keys', 'include', 'includeDeleted'];
+const ALLOWED_ENTRIES_QUERY_KEYS = ['where', 'skip', 'limit', 'order', 'count'];
 
 export class ClassesRouter extends PromiseRouter {
 
@@ -12,7 +13,7 @@ export class ClassesRouter extends PromiseRouter {
     const body = Object.assign(req.body, ClassesRouter.JSONFromQuery(req.query));
     const options = {};
     const allowConstraints = ['skip', 'limit', 'order', 'count', 'keys',
-      'include', 'redirectClassNameForKey', 'where'];
+      'include', 'redirectClassNameForKey', 'where', 'cursor', 'includeDeleted', 'explain'];
 
     for (const key of Object.keys(body)) {
       if (allowConstraints.indexOf(key) === -1) {
@@ -43,12 +44,21 @@ export class ClassesRouter extends PromiseRouter {
     if (body.redirectClassNameForKey) {
       options.redirectClassNameForKey = String(body.redirectClassNameForKey);
     }
+    if (body.cursor !== undefined) {
+      options.cursor = body.cursor ? String(body.cursor) : '';
+    }
+    if (body.includeDeleted) {
+      options.includeDeleted = true;
+    }
+    if (body.explain) {
+      options.explain = true;
+    }
     if (typeof body.where === 'string') {
       body.where = JSON.parse(body.where);
     }
     return rest.find(req.config, req.auth, req.params.className, body.where, options, req.info.clientSDK)
       .then((response) => {
-        if (response && response.results) {
+        if (response && response.results && !options.explain) {
           for (const result of response.results) {
             if (result.sessionToken) {
               result.sessionToken = req.info.sessionToken || result.sessionToken;
@@ -59,6 +69,25 @@ export class ClassesRouter extends PromiseRouter {
       });
   }
 
+  // The distinct values of a field among the objects the query matches
+  handleDistinct(req) {
+    const body = Object.assign(req.body, ClassesRouter.JSONFromQuery(req.query));
+    const options = { distinct: req.params.field };
+    for (const key of Object.keys(body)) {
+      if (['where', 'includeDeleted'].indexOf(key) === -1) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid parameter for distinct: ${key}`);
+      }
+    }
+    if (body.includeDeleted) {
+      options.includeDeleted = true;
+    }
+    if (typeof body.where === 'string') {
+      body.where = JSON.parse(body.where);
+    }
+    return rest.find(req.config, req.auth, req.params.className, body.where, options, req.info.clientSDK)
+      .then(({ results }) => ({ response: { results } }));
+  }
+
   // Returns a promise for a {response} object.
   handleGet(req) {
     const body = Object.assign(req.body, ClassesRouter.JSONFromQuery(req.query));
@@ -76,6 +105,9 @@ export class ClassesRouter extends PromiseRouter {
     if (body.include) {
       options.include = String(body.include);
     }
+    if (body.includeDeleted) {
+      options.includeDeleted = true;
+    }
 
     return rest.get(req.config, req.auth, req.params.className, req.params.objectId, options, req.info.clientSDK)
       .then((response) => {
@@ -104,9 +136,23 @@ export class ClassesRouter extends PromiseRouter {
 
   handleUpdate(req) {
     const where = { objectId: req.params.objectId }
+    const expectedUpdatedAt = ClassesRouter.expectedUpdatedAtFromHeaders(req.headers);
+    if (expectedUpdatedAt !== undefined) {
+      req.body._expectedUpdatedAt = expectedUpdatedAt;
+    }
     return rest.update(req.config, req.auth, req.params.className, where, req.body, req.info.clientSDK);
   }
 
+  // The updatedAt a conditional update expects, from an If-Match header with
+  // the updatedAt as entity tag, or X-Parse-If-Unmodified-Since
+  static expectedUpdatedAtFromHeaders(headers = {}) {
+    const ifMatch = headers['if-match'];
+    if (ifMatch) {
+      return ifMatch.replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+    }
+    return headers['x-parse-if-unmodified-since'];
+  }
+
   handleDelete(req) {
     return rest.del(req.config, req.auth, req.params.className, req.params.objectId, req.info.clientSDK)
       .then(() => {
@@ -114,6 +160,31 @@ export class ClassesRouter extends PromiseRouter {
       });
   }
 
+  handleRestore(req) {
+    return rest.restore(req.config, req.auth, req.params.className, req.params.objectId)
+      .then(response => ({ response }));
+  }
+
+  handleVersions(req) {
+    const options = {};
+    if (req.query.skip) {
+      options.skip = Number(req.query.skip);
+    }
+    if (req.query.limit || req.query.limit === 0) {
+      options.limit = Number(req.query.limit);
+    }
+    return rest.versions(req.config, req.auth, req.params.className, req.params.objectId, options, req.info.clientSDK)
+      .then(response => ({ response }));
+  }
+
+  handleRestoreVersion(req) {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Versions are positive integers.');
+    }
+    return rest.restoreVersion(req.config, req.auth, req.params.className, req.params.objectId, version, req.info.clientSDK);
+  }
+
   static JSONFromQuery(query) {
     const json = {};
     for (const [key, value] of _.entries(query)) {
@@ -126,12 +197,53 @@ export class ClassesRouter extends PromiseRouter {
     return json
   }
 
+  // The where and the options of a query on the entries of a system class
+  // only the master key lists, like the audit trail. query params are where,
+  // skip, limit, order and count, like class queries take them. The newest
+  // entries come first unless an order is given.
+  static entriesQueryFromRequest(req) {
+    const body = Object.assign(req.body, ClassesRouter.JSONFromQuery(req.query));
+    const options = {};
+
+    for (const key of Object.keys(body)) {
+      if (ALLOWED_ENTRIES_QUERY_KEYS.indexOf(key) === -1) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid parameter for query: ${key}`);
+      }
+    }
+
+    if (body.skip) {
+      options.skip = Number(body.skip);
+    }
+    if (body.limit || body.limit === 0) {
+      options.limit = Number(body.limit);
+    } else {
+      options.limit = 100;
+    }
+    options.order = body.order ? String(body.order) : '-createdAt';
+    if (body.count) {
+      options.count = true;
+    }
+    let where = body.where;
+    if (typeof where === 'string') {
+      try {
+        where = JSON.parse(where);
+      } catch (e) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, 'where should be a JSON object.');
+      }
+    }
+    return { where, options };
+  }
+
   mountRoutes() {
     this.route('GET', '/classes/:className', (req) => { return this.handleFind(req); });
     this.route('GET', '/classes/:className/:objectId', (req) => { return this.handleGet(req); });
+    this.route('GET', '/classes/:className/distinct/:field', (req) => { return this.handleDistinct(req); });
     this.route('POST', '/classes/:className', (req) => { return this.handleCreate(req); });
     this.route('PUT', '/classes/:className/:objectId', (req) => { return this.handleUpdate(req); });
     this.route('DELETE',  '/classes/:className/:objectId', (req) => { return this.handleDelete(req); });
+    this.route('POST', '/classes/:className/:objectId/restore', (req) => { return this.handleRestore(req); });
+    this.route('GET', '/classes/:className/:objectId/versions', (req) => { return this.handleVersions(req); });
+    this.route('POST', '/classes/:className/:objectId/versions/:version/restore', (req) => { return this.handleRestoreVersion(req); });
   }
 }
 
@@ -40,7 +40,8 @@ export class FeaturesRouter extends PromiseRouter {
           addClass: true,
           removeClass: true,
           clearAllDataFromClass: true,
-          exportClass: false,
+          exportClass: true,
+          importClass: true,
           editClassLevelPermissions: true,
           editPointerPermissions: true,
         },
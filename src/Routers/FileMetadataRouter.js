@@ -0,0 +1,38 @@
+import ClassesRouter     from './ClassesRouter';
+import PromiseRouter     from '../PromiseRouter';
+import Parse             from 'parse/node';
+import * as middleware   from '../middlewares';
+
+export class FileMetadataRouter extends PromiseRouter {
+
+  // Returns a promise for a {response} object with the _File entries of the
+  // uploaded files, see ClassesRouter.entriesQueryFromRequest for the query
+  // params.
+  handleFind(req) {
+    const { where, options } = ClassesRouter.entriesQueryFromRequest(req);
+    return req.config.filesController.find(req.config, where, options)
+      .then(response => ({ response }));
+  }
+
+  // Deletes the files no object refers to that were uploaded more than
+  // gracePeriod seconds ago, fileCleanupGracePeriod by default
+  handleCleanup(req) {
+    let gracePeriod = req.config.fileCleanupGracePeriod;
+    if (req.body.gracePeriod !== undefined) {
+      gracePeriod = req.body.gracePeriod;
+      if (typeof gracePeriod !== 'number' || gracePeriod < 0) {
+        throw new Parse.Error(Parse.Error.INVALID_JSON, 'gracePeriod must be a number of seconds, 0 or greater.');
+      }
+    }
+    const before = new Date(Date.now() - gracePeriod * 1000);
+    return req.config.filesController.removeOrphans(req.config.database, before)
+      .then(removed => ({ response: { removed } }));
+  }
+
+  mountRoutes() {
+    this.route('GET', '/files', middleware.promiseEnforceMasterKeyAccess, req => { return this.handleFind(req); });
+    this.route('POST', '/cleanupFiles', middleware.promiseEnforceMasterKeyAccess, req => { return this.handleCleanup(req); });
+  }
+}
+
+export default FileMetadataRouter;
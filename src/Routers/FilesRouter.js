@@ -5,6 +5,11 @@ import Parse               from 'parse/node';
 import Config              from '../Config';
 import mime                from 'mime';
 import logger              from '../logger';
+import * as triggers        from '../triggers';
+import crypto              from 'crypto';
+
+// Adapters whose getFileStream gives a stream Range requests can be served from
+const streamableAdapters = ['GridStoreAdapter', 'MySQLFilesAdapter', 'FileSystemAdapter'];
 
 export class FilesRouter {
 
@@ -30,6 +35,40 @@ export class FilesRouter {
       Middlewares.enforceMasterKeyAccess,
       this.deleteHandler
     );
+
+    // Resumable uploads: started with the name of the file, sent in chunks,
+    // and saved as a file once finalized
+    router.post('/uploads',
+      Middlewares.allowCrossDomain,
+      BodyParser.json(),
+      Middlewares.handleParseHeaders,
+      this.startUploadHandler
+    );
+
+    router.put('/uploads/:uploadId',
+      Middlewares.allowCrossDomain,
+      BodyParser.raw({type: () => { return true; }, limit: options.maxUploadSize || '20mb'}),
+      Middlewares.handleParseHeaders,
+      this.uploadChunkHandler
+    );
+
+    router.get('/uploads/:uploadId',
+      Middlewares.allowCrossDomain,
+      Middlewares.handleParseHeaders,
+      this.getUploadHandler
+    );
+
+    router.post('/uploads/:uploadId/finalize',
+      Middlewares.allowCrossDomain,
+      Middlewares.handleParseHeaders,
+      this.finalizeUploadHandler
+    );
+
+    router.delete('/uploads/:uploadId',
+      Middlewares.allowCrossDomain,
+      Middlewares.handleParseHeaders,
+      this.abortUploadHandler
+    );
     return router;
   }
 
@@ -38,71 +77,287 @@ export class FilesRouter {
     const filesController = config.filesController;
     const filename = req.params.filename;
     const contentType = mime.lookup(filename);
-    if (isFileStreamable(req, filesController)) {
-      filesController.getFileStream(config, filename).then((stream) => {
-        handleFileStream(stream, req, res, contentType);
-      }).catch(() => {
-        res.status(404);
-        res.set('Content-Type', 'text/plain');
-        res.end('File not found.');
-      });
-    } else {
-      filesController.getFileData(config, filename).then((data) => {
-        res.status(200);
-        res.set('Content-Type', contentType);
-        res.set('Content-Length', data.length);
-        res.end(data);
-      }).catch(() => {
-        res.status(404);
-        res.set('Content-Type', 'text/plain');
-        res.end('File not found.');
-      });
-    }
+    const credentials = {
+      masterKey: req.get('X-Parse-Master-Key'),
+      sessionToken: req.get('X-Parse-Session-Token'),
+      expires: req.query.expires,
+      signature: req.query.signature
+    };
+    filesController.canDownload(config, filename, credentials).then((allowed) => {
+      if (allowed) {
+        sendFile(req, res, config, filename, contentType);
+        return;
+      }
+      res.status(403);
+      res.set('Content-Type', 'text/plain');
+      res.end('Permission denied.');
+    }).catch(() => {
+      res.status(404);
+      res.set('Content-Type', 'text/plain');
+      res.end('File not found.');
+    });
   }
 
   createHandler(req, res, next) {
-    if (!req.body || !req.body.length) {
-      next(new Parse.Error(Parse.Error.FILE_SAVE_ERROR,
-        'Invalid file upload.'));
+    const uploadError = validateUpload(req.params.filename, req.body);
+    if (uploadError) {
+      next(uploadError);
       return;
     }
 
-    if (req.params.filename.length > 128) {
-      next(new Parse.Error(Parse.Error.INVALID_FILE_NAME,
-        'Filename too long.'));
+    // The ACL of the file, in the format of object ACLs
+    let acl;
+    if (req.query.acl) {
+      try {
+        acl = JSON.parse(req.query.acl);
+      } catch (e) { /* */ }
+      if (!isACL(acl)) {
+        next(new Parse.Error(Parse.Error.INVALID_JSON, 'The file ACL should be a JSON object.'));
+        return;
+      }
+    }
+
+    // Tags are given as a comma separated list, or by repeating the parameter
+    const tags = [].concat(req.query.tags || []).reduce((tags, list) => {
+      return tags.concat(String(list).split(',').map(tag => tag.trim()).filter(tag => tag));
+    }, []);
+    const file = {
+      name: req.params.filename,
+      data: req.body,
+      contentType: req.get('Content-type'),
+      metadata: {},
+      tags,
+      acl
+    };
+
+    saveFile(req, file).then((result) => {
+      res.status(201);
+      res.set('Location', result.url);
+      res.json(result);
+    }).catch(next);
+  }
+
+  startUploadHandler(req, res, next) {
+    const { filename, contentType, size, tags, acl } = req.body;
+    const uploadError = validateFilename(filename);
+    if (uploadError) {
+      next(uploadError);
+      return;
+    }
+    if (size !== undefined && (!Number.isInteger(size) || size <= 0)) {
+      next(new Parse.Error(Parse.Error.INVALID_JSON, 'size must be a number of bytes, greater than 0.'));
+      return;
+    }
+    if (tags !== undefined && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+      next(new Parse.Error(Parse.Error.INVALID_JSON, 'tags must be an array of strings.'));
+      return;
+    }
+    if (acl !== undefined && !isACL(acl)) {
+      next(new Parse.Error(Parse.Error.INVALID_JSON, 'The file ACL should be a JSON object.'));
       return;
     }
+    const config = req.config;
+    const options = { filename, contentType, size, tags, acl, user: req.auth.user };
+    config.filesController.startUpload(config, options).then((upload) => {
+      res.status(201);
+      res.json(uploadProgress(upload));
+    }).catch(next);
+  }
 
-    if (!req.params.filename.match(/^[_a-zA-Z0-9][a-zA-Z0-9@\.\ ~_-]*$/)) {
-      next(new Parse.Error(Parse.Error.INVALID_FILE_NAME,
-        'Filename contains invalid characters.'));
+  // Takes the bytes of the upload from the offset query parameter on, with
+  // their base64 MD5 digest in the Content-MD5 header
+  uploadChunkHandler(req, res, next) {
+    const data = req.body;
+    if (!data || !data.length) {
+      next(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'Invalid file upload.'));
+      return;
+    }
+    const offset = Number(req.query.offset);
+    if (req.query.offset === undefined || !Number.isInteger(offset) || offset < 0) {
+      next(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'offset must be a number of bytes, 0 or greater.'));
+      return;
+    }
+    const checksum = req.get('Content-MD5');
+    if (!checksum) {
+      next(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'Content-MD5 header not provided.'));
+      return;
+    }
+    if (crypto.createHash('md5').update(data).digest('base64') !== checksum) {
+      next(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'The chunk does not match its Content-MD5.'));
       return;
     }
+    const config = req.config;
+    const filesController = config.filesController;
+    filesController.getUpload(config, req.params.uploadId, req.auth).then((upload) => {
+      return filesController.addChunk(config, upload, offset, data);
+    }).then((upload) => {
+      res.status(200);
+      res.json(uploadProgress(upload));
+    }).catch(next);
+  }
 
-    const filename = req.params.filename;
-    const contentType = req.get('Content-type');
+  getUploadHandler(req, res, next) {
+    const config = req.config;
+    config.filesController.getUpload(config, req.params.uploadId, req.auth).then((upload) => {
+      res.status(200);
+      res.json(uploadProgress(upload));
+    }).catch(next);
+  }
+
+  // Saves the uploaded bytes the way a file uploaded at once is saved. The
+  // upload is claimed first, the chunks are removed whether saving works or not.
+  finalizeUploadHandler(req, res, next) {
     const config = req.config;
     const filesController = config.filesController;
+    let upload;
+    let data;
+    filesController.getUpload(config, req.params.uploadId, req.auth).then((result) => {
+      upload = result;
+      return filesController.readUpload(config, upload);
+    }).then((result) => {
+      data = result;
+      const uploadError = validateUpload(upload.filename, data);
+      if (uploadError) {
+        throw uploadError;
+      }
+      return filesController.claimUpload(config, upload);
+    }).then(() => {
+      return saveFile(req, {
+        name: upload.filename,
+        data,
+        contentType: upload.contentType,
+        metadata: {},
+        tags: upload.tags || [],
+        acl: upload.acl
+      }).catch((error) => {
+        return filesController.removeUpload(config.database, upload).then(() => {
+          throw error;
+        });
+      });
+    }).then((result) => {
+      return filesController.removeUpload(config.database, upload).then(() => {
+        res.status(201);
+        res.set('Location', result.url);
+        res.json(result);
+      });
+    }).catch(next);
+  }
 
-    filesController.createFile(config, filename, req.body, contentType).then((result) => {
-      res.status(201);
-      res.set('Location', result.url);
-      res.json(result);
-    }).catch((e) => {
-      logger.error(e.message, e);
-      next(new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'Could not store file.'));
-    });
+  abortUploadHandler(req, res, next) {
+    const config = req.config;
+    const filesController = config.filesController;
+    filesController.getUpload(config, req.params.uploadId, req.auth).then((upload) => {
+      return filesController.removeUpload(config.database, upload);
+    }).then(() => {
+      res.status(200);
+      res.end();
+    }).catch(next);
   }
 
   deleteHandler(req, res, next) {
-    const filesController = req.config.filesController;
-    filesController.deleteFile(req.config, req.params.filename).then(() => {
+    const config = req.config;
+    const filesController = config.filesController;
+    const file = { name: req.params.filename };
+    triggers.maybeRunFileTrigger(triggers.Types.beforeDeleteFile, file, config, req.auth).then(() => {
+      return filesController.deleteFile(config, file.name).catch(() => {
+        throw new Parse.Error(Parse.Error.FILE_DELETE_ERROR, 'Could not delete file.');
+      });
+    }).then(() => {
+      return triggers.maybeRunFileTrigger(triggers.Types.afterDeleteFile, file, config, req.auth);
+    }).then(() => {
       res.status(200);
       // TODO: return useful JSON here?
       res.end();
+    }).catch(next);
+  }
+}
+
+// Saves the file through the beforeSaveFile and afterSaveFile triggers,
+// resolves with its name and url
+function saveFile(req, file) {
+  const config = req.config;
+  const filesController = config.filesController;
+  return triggers.maybeRunFileTrigger(triggers.Types.beforeSaveFile, file, config, req.auth).then((file) => {
+    // The trigger may have renamed the file or changed its content
+    const uploadError = validateUpload(file.name, file.data);
+    if (uploadError) {
+      throw uploadError;
+    }
+    const { name, data, contentType, metadata, tags, acl } = file;
+    return filesController.createFile(config, name, data, contentType, { user: req.auth.user, tags, metadata, acl }).then((result) => {
+      const savedFile = Object.assign({}, file, result);
+      return triggers.maybeRunFileTrigger(triggers.Types.afterSaveFile, savedFile, config, req.auth)
+        .then(() => result);
+    }, (e) => {
+      logger.error(e.message, e);
+      throw new Parse.Error(Parse.Error.FILE_SAVE_ERROR, 'Could not store file.');
+    });
+  });
+}
+
+// What clients are told about a resumable upload
+function uploadProgress(upload) {
+  return {
+    uploadId: upload.uploadId,
+    filename: upload.filename,
+    size: upload.size,
+    offset: upload.offset,
+    expiresAt: upload.expiresAt
+  };
+}
+
+function isACL(acl) {
+  return !!acl && typeof acl === 'object' && !Array.isArray(acl);
+}
+
+// The error an upload of data under the filename gets, if any
+function validateUpload(filename, data) {
+  if (!data || !data.length) {
+    return new Parse.Error(Parse.Error.FILE_SAVE_ERROR,
+      'Invalid file upload.');
+  }
+  return validateFilename(filename);
+}
+
+// The error a file with that name gets, if any
+function validateFilename(filename) {
+  if (typeof filename !== 'string' || !filename) {
+    return new Parse.Error(Parse.Error.INVALID_FILE_NAME,
+      'Filename not provided.');
+  }
+
+  if (filename.length > 128) {
+    return new Parse.Error(Parse.Error.INVALID_FILE_NAME,
+      'Filename too long.');
+  }
+
+  if (!filename.match(/^[_a-zA-Z0-9][a-zA-Z0-9@\.\ ~_-]*$/)) {
+    return new Parse.Error(Parse.Error.INVALID_FILE_NAME,
+      'Filename contains invalid characters.');
+  }
+}
+
+// Sends the file, the requested range of it when the adapter can stream it
+function sendFile(req, res, config, filename, contentType) {
+  const filesController = config.filesController;
+  if (isFileStreamable(req, filesController)) {
+    filesController.getFileStream(config, filename).then((stream) => {
+      handleFileStream(stream, req, res, contentType);
+    }).catch(() => {
+      res.status(404);
+      res.set('Content-Type', 'text/plain');
+      res.end('File not found.');
+    });
+  } else {
+    filesController.getFileData(config, filename).then((data) => {
+      res.status(200);
+      res.set('Content-Type', contentType);
+      res.set('Content-Length', data.length);
+      res.end(data);
     }).catch(() => {
-      next(new Parse.Error(Parse.Error.FILE_DELETE_ERROR,
-        'Could not delete file.'));
+      res.status(404);
+      res.set('Content-Type', 'text/plain');
+      res.end('File not found.');
     });
   }
 }
@@ -113,7 +368,7 @@ function isFileStreamable(req, filesController){
       return false;
     }
     if (typeof filesController.adapter.constructor.name !== 'undefined') {
-      if (filesController.adapter.constructor.name == 'GridStoreAdapter') {
+      if (streamableAdapters.indexOf(filesController.adapter.constructor.name) >= 0) {
         return true;
       }
     }
@@ -158,6 +413,17 @@ function handleFileStream(stream, req, res, contentType) {
     'Content-Type': contentType,
   });
 
+  // Adapters other than GridStore give a function streaming a byte range
+  if (typeof stream.createReadStream === 'function') {
+    const readStream = stream.createReadStream(start, end);
+    // Streams may hold resources, like a database connection, until they end
+    res.on('close', () => readStream.destroy());
+    readStream
+      .on('error', () => res.end())
+      .pipe(res);
+    return;
+  }
+
   stream.seek(start, function () {
     // get gridFile stream
     var gridFileStream = stream.stream(true);
@@ -0,0 +1,370 @@
+import express             from 'express';
+import * as Middlewares    from '../middlewares';
+import Parse               from 'parse/node';
+import passwordCrypto      from '../password';
+import { newObjectId }     from '../cryptoUtils';
+import { jobStatusHandler } from '../StatusHandler';
+import * as SchemaController from '../Controllers/SchemaController';
+
+const defaultBatchSize = 100;
+const contentTypes = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv'
+};
+
+// Streams classes out as NDJSON or CSV and imports NDJSON into them, with
+// the master key. The request bodies are streams, so this router needs to
+// be mounted before the JSON body parser.
+// Users are exported with their password hash as _hashed_password, which
+// the import keeps as is, so that they log in with the same password after a
+// restore. Their authData, tokens and other internal fields are not exported,
+// users of third party logins have to link them again.
+export class ImportExportRouter {
+
+  expressRouter() {
+    var router = express.Router();
+    router.get('/export/:className',
+      Middlewares.handleParseHeaders,
+      Middlewares.enforceMasterKeyAccess,
+      this.exportHandler
+    );
+
+    router.post('/import/:className',
+      Middlewares.handleParseHeaders,
+      Middlewares.enforceMasterKeyAccess,
+      this.importHandler
+    );
+    return router;
+  }
+
+  exportHandler(req, res, next) {
+    const { className } = req.params;
+    const format = req.query.format || 'ndjson';
+    const batchSize = parseBatchSize(req.query.batchSize);
+    if (!contentTypes[format]) {
+      next(new Parse.Error(Parse.Error.INVALID_QUERY, `Unsupported export format ${format}.`));
+      return;
+    }
+    if (!batchSize) {
+      next(new Parse.Error(Parse.Error.INVALID_QUERY, 'batchSize should be a positive integer.'));
+      return;
+    }
+    const database = req.config.database;
+    let started = false;
+    loadClassSchema(database, className)
+      .then(schema => {
+        const fields = exportedFields(className, schema);
+        res.status(200);
+        res.set('Content-Type', contentTypes[format]);
+        started = true;
+        let promise = Promise.resolve();
+        if (format === 'csv') {
+          promise = write(res, csvLine(fields) + '\n');
+        }
+        // Pages through the class in objectId order
+        const exportPage = (lastId) => {
+          const query = lastId ? { objectId: { '$gt': lastId } } : {};
+          return database.find(className, query, { sort: { objectId: 1 }, limit: batchSize })
+            .then(objects => addRelations(database, className, schema, objects))
+            .then(objects => {
+              const lines = objects.map(object => {
+                if (className === '_User') {
+                  object = exportedUser(object);
+                }
+                if (format === 'csv') {
+                  return csvLine(fields.map(field => object[field]));
+                }
+                return JSON.stringify(object);
+              });
+              return (lines.length ? write(res, lines.join('\n') + '\n') : Promise.resolve())
+                .then(() => {
+                  if (objects.length === batchSize) {
+                    return exportPage(objects[objects.length - 1].objectId);
+                  }
+                });
+            });
+        };
+        return promise.then(() => exportPage());
+      })
+      .then(() => res.end())
+      .catch(error => {
+        if (started) {
+          // The status is gone already, all that is left is to cut the response short
+          res.destroy();
+          return;
+        }
+        next(error);
+      });
+  }
+
+  importHandler(req, res, next) {
+    const { className } = req.params;
+    const batchSize = parseBatchSize(req.query.batchSize);
+    if (!batchSize) {
+      next(new Parse.Error(Parse.Error.INVALID_QUERY, 'batchSize should be a positive integer.'));
+      return;
+    }
+    const database = req.config.database;
+    const jobHandler = jobStatusHandler(req.config);
+    let imported = 0;
+    let jobStatus;
+    Promise.resolve()
+      .then(() => database.validateClassName(className))
+      .then(() => jobHandler.setRunning('importClass', { className }))
+      .then(result => {
+        jobStatus = result;
+        return readBatches(req, batchSize, lines => {
+          const objects = lines.map(({ line, lineNumber }) => parseLine(line, lineNumber));
+          // One at a time, as validation may add fields to the schema
+          return objects.reduce((promise, object) => {
+            return promise.then(() => prepareObject(database, className, object));
+          }, Promise.resolve())
+            .then(() => database.createObjects(className, objects))
+            .then(count => {
+              imported += count;
+              return jobHandler.setMessage(`Imported ${imported} objects.`);
+            });
+        });
+      })
+      .then(() => jobHandler.setSucceeded(`Imported ${imported} objects.`))
+      .then(() => {
+        res.status(200);
+        res.set('X-Parse-Job-Status-Id', jobStatus.objectId);
+        res.json({ jobStatusId: jobStatus.objectId, imported });
+      })
+      .catch(error => {
+        if (!jobStatus) {
+          next(error);
+          return;
+        }
+        jobHandler.setFailed(error.message)
+          .then(() => next(error), () => next(error));
+      });
+  }
+}
+
+function parseBatchSize(batchSize) {
+  if (batchSize === undefined) {
+    return defaultBatchSize;
+  }
+  batchSize = Number(batchSize);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    return null;
+  }
+  return batchSize;
+}
+
+function loadClassSchema(database, className) {
+  return database.loadSchema()
+    .then(schemaController => schemaController.getOneSchema(className))
+    .catch(error => {
+      if (error === undefined) {
+        throw new Parse.Error(Parse.Error.INVALID_CLASS_NAME, `Class ${className} does not exist.`);
+      }
+      throw error;
+    });
+}
+
+// The columns of a CSV export, the default fields first
+function exportedFields(className, schema) {
+  const defaultFields = ['objectId', 'createdAt', 'updatedAt', 'ACL'];
+  const fields = Object.keys(schema.fields).filter(field => {
+    return defaultFields.indexOf(field) < 0 && !(className === '_User' && unexportedUserFields.indexOf(field) >= 0);
+  });
+  if (className === '_User') {
+    fields.push('_hashed_password');
+  }
+  return defaultFields.concat(fields);
+}
+
+// The fields of users that stay on the server, with the ones starting with _
+const unexportedUserFields = ['password', 'authData'];
+
+// A user as it is exported, find gives the password hash as password
+function exportedUser(object) {
+  const user = {};
+  Object.keys(object).forEach(field => {
+    if (field[0] !== '_' && unexportedUserFields.indexOf(field) < 0) {
+      user[field] = object[field];
+    }
+  });
+  if (object.password !== undefined) {
+    user._hashed_password = object.password;
+  }
+  return user;
+}
+
+// Replaces the relation fields with the pointers to their objects
+function addRelations(database, className, schema, objects) {
+  const relationFields = Object.keys(schema.fields).filter(field => schema.fields[field].type === 'Relation');
+  if (objects.length === 0 || relationFields.length === 0) {
+    return Promise.resolve(objects);
+  }
+  const owningIds = objects.map(object => object.objectId);
+  return Promise.all(relationFields.map(field => {
+    const targetClass = schema.fields[field].targetClass;
+    return database.relatedIdsForOwners(className, field, owningIds).then(relatedIds => {
+      objects.forEach(object => {
+        object[field] = {
+          __type: 'Relation',
+          className: targetClass,
+          objects: (relatedIds[object.objectId] || []).map(objectId => ({ __type: 'Pointer', className: targetClass, objectId }))
+        };
+      });
+    });
+  })).then(() => objects);
+}
+
+function csvLine(values) {
+  return values.map(value => {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      value = JSON.stringify(value);
+    }
+    value = String(value);
+    if (/[",\r\n]/.test(value)) {
+      return '"' + value.replace(/"/g, '""') + '"';
+    }
+    return value;
+  }).join(',');
+}
+
+// Writes to the response, waiting for it to drain when its buffer is full
+function write(res, chunk) {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.removeListener('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.removeListener('drain', onDrain);
+      reject(new Error('The response was closed.'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+// Reads the stream line by line and hands the lines over in batches of
+// batchSize lines. The stream is paused while the batches are handled.
+// Blank lines are skipped.
+function readBatches(stream, batchSize, onBatch) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    const batch = [];
+    let lineNumber = 0;
+    let failed = false;
+    const addLine = line => {
+      lineNumber++;
+      if (line.trim()) {
+        batch.push({ line, lineNumber });
+      }
+    };
+    // Hands over the full batches, and what is left on the last flush.
+    // The stream may end while a batch is being handled, so flushes queue up.
+    let flushed = Promise.resolve();
+    const flush = last => {
+      flushed = flushed.then(() => {
+        let promise = Promise.resolve();
+        while (batch.length >= batchSize || last && batch.length) {
+          const lines = batch.splice(0, batchSize);
+          promise = promise.then(() => onBatch(lines));
+        }
+        return promise;
+      });
+      return flushed;
+    };
+    const fail = error => {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      // Discards the rest of the body
+      stream.removeAllListeners('data');
+      stream.resume();
+      reject(error);
+    };
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      lines.forEach(addLine);
+      if (batch.length >= batchSize) {
+        stream.pause();
+        flush(false).then(() => stream.resume(), fail);
+      }
+    });
+    stream.on('end', () => {
+      if (failed) {
+        return;
+      }
+      addLine(buffer);
+      flush(true).then(resolve, fail);
+    });
+    stream.on('error', fail);
+  });
+}
+
+function parseLine(line, lineNumber) {
+  let object;
+  try {
+    object = JSON.parse(line);
+  } catch (e) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `Invalid JSON on line ${lineNumber}.`);
+  }
+  if (!object || typeof object !== 'object' || Array.isArray(object)) {
+    throw new Parse.Error(Parse.Error.INVALID_JSON, `Line ${lineNumber} is not an object.`);
+  }
+  return object;
+}
+
+// Validates an imported object against the schema and turns it into what
+// DatabaseController.createObjects expects. Modifies the object.
+function prepareObject(database, className, object) {
+  const now = new Date().toISOString();
+  object.objectId = object.objectId || newObjectId();
+  ['createdAt', 'updatedAt'].forEach(field => {
+    const value = object[field];
+    object[field] = value && value.__type === 'Date' ? value.iso : value || now;
+  });
+  Object.keys(object).forEach(field => {
+    const value = object[field];
+    if (value && value.__type === 'Relation') {
+      if (value.objects && value.objects.length) {
+        object[field] = { __op: 'AddRelation', objects: value.objects };
+      } else {
+        delete object[field];
+      }
+    }
+  });
+  const fields = Object.assign({}, object);
+  delete fields.objectId;
+  delete fields.createdAt;
+  delete fields.updatedAt;
+  // Exported users keep their password hash
+  if (className === '_User') {
+    delete fields._hashed_password;
+  }
+  return database.loadSchema().then(schemaController => {
+    // Deleted objects of softDelete classes keep their deletedAt
+    if (schemaController.getClassOptions(className).softDelete) {
+      delete fields[SchemaController.softDeleteField];
+    }
+    return database.validateObject(className, fields, {}, {});
+  }).then(() => {
+    if (className !== '_User' || object.password === undefined) {
+      return;
+    }
+    return passwordCrypto.hash(object.password).then(hashedPassword => {
+      object._hashed_password = hashedPassword;
+      delete object.password;
+    });
+  });
+}
+
+export default ImportExportRouter;
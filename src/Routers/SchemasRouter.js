@@ -22,11 +22,20 @@ function getAllSchemas(req) {
 function getOneSchema(req) {
   const className = req.params.className;
   return req.config.database.loadSchema({ clearCache: true})
-    .then(schemaController => schemaController.getOneSchema(className, true))
+    .then(schemaController => schemaController.getOneSchema(className, true)
+      .then(schema => {
+        // Indexes are only listed on request, ?indexes=true
+        if (req.query.indexes !== 'true') {
+          return schema;
+        }
+        return schemaController.getIndexes(className).then(indexes => Object.assign({}, schema, { indexes }));
+      }))
     .then(schema => ({ response: schema }))
     .catch(error => {
       if (error === undefined) {
         throw new Parse.Error(Parse.Error.INVALID_CLASS_NAME, `Class ${className} does not exist.`);
+      } else if (error.code === Parse.Error.OPERATION_FORBIDDEN) {
+        throw error;
       } else {
         throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Database adapter error.');
       }
@@ -46,7 +55,7 @@ function createSchema(req) {
   }
 
   return req.config.database.loadSchema({ clearCache: true})
-    .then(schema => schema.addClassIfNotExists(className, req.body.fields, req.body.classLevelPermissions))
+    .then(schema => schema.addClassIfNotExists(className, req.body.fields, req.body.classLevelPermissions, req.body.indexes, req.body.classOptions))
     .then(schema => ({ response: schema }));
 }
 
@@ -59,7 +68,7 @@ function modifySchema(req) {
   const className = req.params.className;
 
   return req.config.database.loadSchema({ clearCache: true})
-    .then(schema => schema.updateClass(className, submittedFields, req.body.classLevelPermissions, req.config.database))
+    .then(schema => schema.updateClass(className, submittedFields, req.body.classLevelPermissions, req.config.database, req.body.indexes, req.body.classOptions))
     .then(result => ({response: result}));
 }
 
@@ -0,0 +1,37 @@
+import PromiseRouter     from '../PromiseRouter';
+import Parse             from 'parse/node';
+import * as middleware   from '../middlewares';
+
+function enforceTenantsEnabled(req) {
+  if (!req.config.enableTenants) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Tenants are not enabled.');
+  }
+}
+
+export class TenantsRouter extends PromiseRouter {
+
+  handleFind(req) {
+    return req.config.tenantController.getTenants()
+      .then(results => ({ response: { results } }));
+  }
+
+  // body is { tenantId, appId, databaseURI }, only tenantId is required
+  handleCreate(req) {
+    const { tenantId, appId, databaseURI } = req.body;
+    return req.config.tenantController.createTenant({ tenantId, appId, databaseURI })
+      .then(response => ({ response }));
+  }
+
+  handleDelete(req) {
+    return req.config.tenantController.deleteTenant(req.params.tenantId)
+      .then(() => ({ response: {} }));
+  }
+
+  mountRoutes() {
+    this.route('GET', '/tenants', middleware.promiseEnforceMasterKeyAccess, enforceTenantsEnabled, req => { return this.handleFind(req); });
+    this.route('POST', '/tenants', middleware.promiseEnforceMasterKeyAccess, enforceTenantsEnabled, req => { return this.handleCreate(req); });
+    this.route('DELETE', '/tenants/:tenantId', middleware.promiseEnforceMasterKeyAccess, enforceTenantsEnabled, req => { return this.handleDelete(req); });
+  }
+}
+
+export default TenantsRouter;
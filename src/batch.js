@@ -72,6 +72,10 @@ function handleBatch(router, req) {
 
   const makeRoutablePath = makeBatchRoutingPathFunction(req.originalUrl, req.config.serverURL, req.config.publicServerURL);
 
+  if (req.body.transaction === true) {
+    return handleBatchInTransaction(router, req, makeRoutablePath);
+  }
+
   const promises = req.body.requests.map((restRequest) => {
     const routablePath = makeRoutablePath(restRequest.path);
     // Construct a request that we can send to a handler
@@ -94,6 +98,62 @@ function handleBatch(router, req) {
   });
 }
 
+// Runs the sub-requests one after the other in a single transaction.
+// Either all of them are applied, or none of them and the response is the
+// error of the first failing sub-request along with its index.
+// Before triggers run inside the transaction, the after triggers and
+// LiveQuery notifications only once it is committed.
+function handleBatchInTransaction(router, req, makeRoutablePath) {
+  const database = req.config.database;
+  if (typeof database.adapter.transaction !== 'function') {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN,
+      'transactions are not supported by the database adapter');
+  }
+
+  let afterWriteCallbacks;
+  return database.runInTransaction((transactionalDatabase) => {
+    // Sub-requests must all write through the transaction
+    const config = Object.create(req.config);
+    config.database = transactionalDatabase;
+    config.afterWriteCallbacks = afterWriteCallbacks = [];
+
+    return req.body.requests.reduce((promise, restRequest, index) => {
+      return promise.then((results) => {
+        const request = {
+          body: restRequest.body,
+          config,
+          auth: req.auth,
+          info: req.info
+        };
+        return Promise.resolve()
+          .then(() => router.tryRouteRequest(restRequest.method, makeRoutablePath(restRequest.path), request))
+          .then((response) => {
+            return results.concat({success: response.response});
+          }, (error) => {
+            return Promise.reject({ index, error });
+          });
+      });
+    }, Promise.resolve([]));
+  }).then((results) => {
+    return afterWriteCallbacks.reduce((promise, callback) => {
+      return promise.then(callback);
+    }, Promise.resolve()).then(() => {
+      return {response: results};
+    });
+  }, (failure) => {
+    if (!failure || failure.index === undefined) {
+      throw failure;
+    }
+    const { index, error } = failure;
+    const code = error.code || Parse.Error.INTERNAL_SERVER_ERROR;
+    return {
+      status: code === Parse.Error.INTERNAL_SERVER_ERROR ? 500 : 400,
+      // Adapters may reject with plain strings
+      response: {code, error: error.message || String(error), index}
+    };
+  });
+}
+
 module.exports = {
   mountOnto,
   makeBatchRoutingPathFunction
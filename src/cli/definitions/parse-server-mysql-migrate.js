@@ -0,0 +1,25 @@
+import {
+  objectParser,
+  booleanParser
+} from '../utils/parsers';
+
+export default {
+  "databaseURI": {
+    env: "PARSE_SERVER_DATABASE_URI",
+    help: "The full URI to your mysql database",
+    required: true
+  },
+  "databaseOptions": {
+    env: "PARSE_SERVER_DATABASE_OPTIONS",
+    help: "Options to pass to the database client, including the typeMapping used by the server",
+    action: objectParser
+  },
+  "apply": {
+    help: "Run the migrations instead of only printing them",
+    action: booleanParser
+  },
+  "force": {
+    help: "Also run the migrations the existing rows would not fit",
+    action: booleanParser
+  }
+};
@@ -37,7 +37,7 @@ export default {
   },
   "databaseOptions": {
     env: "PARSE_SERVER_DATABASE_OPTIONS",
-    help: "Options to pass to the mongodb client",
+    help: "Options to pass to the database client",
     action: objectParser
   },
   "collectionPrefix": {
@@ -166,6 +166,11 @@ export default {
     env: "PARSE_SERVER_APP_NAME",
     help: "Sets the app name"
   },
+  "auditAdapter": {
+    env: "PARSE_SERVER_AUDIT_ADAPTER",
+    help: "Adapter module for the audit trail, defaults to the _Audit class",
+    action: moduleOrObjectParser
+  },
   "loggerAdapter": {
     env: "PARSE_SERVER_LOGGER_ADAPTER",
     help: "Adapter module for the logging sub-system",
@@ -220,6 +225,55 @@ export default {
     help: "The TTL for caching the schema for optimizing read/write operations. You should put a long TTL when your DB is in production. default to 0; disabled.",
     action: numberParser("schemaCacheTTL"),
   },
+  "softDeleteRetention": {
+    env: "PARSE_SERVER_SOFT_DELETE_RETENTION",
+    help: "How long deleted objects of classes with the softDelete option are kept before they are purged, in seconds. Defaults to 30 days.",
+    action: numberParser("softDeleteRetention")
+  },
+  "softDeletePurgeInterval": {
+    env: "PARSE_SERVER_SOFT_DELETE_PURGE_INTERVAL",
+    help: "How often deleted objects past their retention are purged, in seconds. Defaults to 0, no purge. Set it on one instance of the app only.",
+    action: numberParser("softDeletePurgeInterval")
+  },
+  "fileCleanupGracePeriod": {
+    env: "PARSE_SERVER_FILE_CLEANUP_GRACE_PERIOD",
+    help: "How old files no object refers to have to be before the cleanup deletes them, in seconds. Defaults to 1 day.",
+    action: numberParser("fileCleanupGracePeriod")
+  },
+  "fileCleanupInterval": {
+    env: "PARSE_SERVER_FILE_CLEANUP_INTERVAL",
+    help: "How often files no object refers to are deleted, in seconds. Defaults to 0, the cleanup only runs through /cleanupFiles then.",
+    action: numberParser("fileCleanupInterval")
+  },
+  "fileSigningKey": {
+    env: "PARSE_SERVER_FILE_SIGNING_KEY",
+    help: "Key the file URLs are signed with. When set, file URLs expire and files with no ACL can only be downloaded with a signed URL."
+  },
+  "fileURLExpiry": {
+    env: "PARSE_SERVER_FILE_URL_EXPIRY",
+    help: "How long signed file URLs are valid, in seconds. Defaults to 1 hour.",
+    action: numberParser("fileURLExpiry")
+  },
+  "uploadSessionExpiry": {
+    env: "PARSE_SERVER_UPLOAD_SESSION_EXPIRY",
+    help: "How long resumable uploads are kept after their last chunk, in seconds. Defaults to 1 day.",
+    action: numberParser("uploadSessionExpiry")
+  },
+  "uploadSweepInterval": {
+    env: "PARSE_SERVER_UPLOAD_SWEEP_INTERVAL",
+    help: "How often expired resumable uploads are removed, in seconds. Defaults to 1 hour, 0 turns the sweep off.",
+    action: numberParser("uploadSweepInterval")
+  },
+  "slowQueryThreshold": {
+    env: "PARSE_SERVER_SLOW_QUERY_THRESHOLD",
+    help: "Database queries taking longer than this, in ms, are logged as warnings with the query the database got, without its values. Off by default.",
+    action: numberParser("slowQueryThreshold")
+  },
+  "enableTenants": {
+    env: "PARSE_SERVER_ENABLE_TENANTS",
+    help: "Route the requests with an X-Parse-Tenant-Id header, or the app id of a tenant, to the database of the tenant. Tenants are provisioned through /tenants with the master key. Defaults to false.",
+    action: booleanParser
+  },
   "enableSingleSchemaCache": {
     env: "PARSE_SERVER_ENABLE_SINGLE_SCHEMA_CACHE",
     help: "Use a single schema cache shared across requests. Reduces number of queries made to _SCHEMA. Defaults to false, i.e. unique schema cache per request.",
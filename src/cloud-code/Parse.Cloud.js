@@ -55,6 +55,22 @@ ParseCloud.afterFind = function(parseClass, handler) {
   triggers.addTrigger(triggers.Types.afterFind, className, handler, Parse.applicationId);
 };
 
+ParseCloud.beforeSaveFile = function(handler) {
+  triggers.addTrigger(triggers.Types.beforeSaveFile, triggers.FileClassName, handler, Parse.applicationId);
+};
+
+ParseCloud.afterSaveFile = function(handler) {
+  triggers.addTrigger(triggers.Types.afterSaveFile, triggers.FileClassName, handler, Parse.applicationId);
+};
+
+ParseCloud.beforeDeleteFile = function(handler) {
+  triggers.addTrigger(triggers.Types.beforeDeleteFile, triggers.FileClassName, handler, Parse.applicationId);
+};
+
+ParseCloud.afterDeleteFile = function(handler) {
+  triggers.addTrigger(triggers.Types.afterDeleteFile, triggers.FileClassName, handler, Parse.applicationId);
+};
+
 ParseCloud._removeAllHooks = () => {
   triggers._unregisterAll();
 }
@@ -32,5 +32,12 @@ export default {
   expireInactiveSessions: true,
   revokeSessionOnPasswordReset: true,
   schemaCacheTTL: 5000, // in ms
+  softDeleteRetention: 2592000, // 30 days in seconds
+  softDeletePurgeInterval: 0, // in seconds, off
+  fileCleanupGracePeriod: 86400, // 1 day in seconds
+  fileCleanupInterval: 0, // in seconds, off
+  fileURLExpiry: 3600, // in seconds
+  uploadSessionExpiry: 86400, // 1 day in seconds
+  uploadSweepInterval: 3600, // in seconds
   userSensitiveFields: ['email']
 }
@@ -0,0 +1,8 @@
+// The error codes of Parse Server on top of the ones of Parse.Error. They
+// start at 1000, clear of the codes the SDKs define.
+export const ServerError = Object.freeze({
+  // An update expected an updatedAt the object no longer has
+  UPDATE_CONFLICT: 1000,
+});
+
+export default ServerError;
@@ -1,6 +1,7 @@
 import ParseServer          from './ParseServer';
 import S3Adapter            from 'parse-server-s3-adapter'
-import FileSystemAdapter    from 'parse-server-fs-adapter'
+import FileSystemAdapter    from './Adapters/Files/FileSystemAdapter'
+import MySQLFilesAdapter    from './Adapters/Files/MySQLFilesAdapter'
 import InMemoryCacheAdapter from './Adapters/Cache/InMemoryCacheAdapter'
 import NullCacheAdapter     from './Adapters/Cache/NullCacheAdapter'
 import RedisCacheAdapter    from './Adapters/Cache/RedisCacheAdapter'
@@ -8,6 +9,7 @@ import * as TestUtils       from './TestUtils';
 import { useExternal }      from './deprecated';
 import { getLogger }        from './logger';
 import { PushWorker }       from './Push/PushWorker';
+import { ServerError }      from './errors';
 
 // Factory function
 const _ParseServer = function(options) {
@@ -24,4 +26,4 @@ Object.defineProperty(module.exports, 'logger', {
 });
 
 export default ParseServer;
-export { S3Adapter, GCSAdapter, FileSystemAdapter, InMemoryCacheAdapter, NullCacheAdapter, RedisCacheAdapter, TestUtils, PushWorker, _ParseServer as ParseServer };
+export { S3Adapter, GCSAdapter, FileSystemAdapter, MySQLFilesAdapter, InMemoryCacheAdapter, NullCacheAdapter, RedisCacheAdapter, TestUtils, PushWorker, ServerError, _ParseServer as ParseServer };
@@ -22,6 +22,17 @@ export function getLogger() {
   return logger;
 }
 
+// Resolves once the promise of the work following a write settles, logging
+// its error. The write is stored already and failing the request would not
+// undo it, so such errors are not the client's. This makes the audit trail
+// best effort: an entry lost this way is only found in the log, like a file
+// that keeps its former ACL.
+export function logAfterWriteError(promise, message) {
+  return promise.catch(error => {
+    logger.error(message, error);
+  });
+}
+
 // for: `import logger from './logger'`
 Object.defineProperty(module.exports, 'default', {
   get: getLogger
@@ -3,7 +3,10 @@ import log from './logger';
 import Parse from 'parse/node';
 import auth from './Auth';
 import Config from './Config';
+import { ServerError } from './errors';
+import { tenantForAppId } from './Controllers/TenantController';
 import ClientSDK from './ClientSDK';
+import { newObjectId } from './cryptoUtils';
 
 // Checks that the request is authorized for this app and checks user
 // auth too.
@@ -25,9 +28,19 @@ export function handleParseHeaders(req, res, next) {
     javascriptKey: req.get('X-Parse-Javascript-Key'),
     dotNetKey: req.get('X-Parse-Windows-Key'),
     restAPIKey: req.get('X-Parse-REST-API-Key'),
-    clientVersion: req.get('X-Parse-Client-Version')
+    clientVersion: req.get('X-Parse-Client-Version'),
+    requestId: req.get('X-Parse-Request-Id') || newObjectId(),
+    ip: req.ip,
+    tenantId: req.get('X-Parse-Tenant-Id')
   };
 
+  // Tenants answer to the tenant header, or to an app id of their own
+  const tenantApp = tenantForAppId(info.appId);
+  if (tenantApp) {
+    info.appId = tenantApp.applicationId;
+    info.tenantId = tenantApp.tenantId;
+  }
+
   var basicAuth = httpAuth(req);
 
   if (basicAuth) {
@@ -108,8 +121,28 @@ export function handleParseHeaders(req, res, next) {
 
   info.app = AppCache.get(info.appId);
   req.config = new Config(info.appId, mount);
+  // Writes pass them on to the audit trail
+  req.config.ip = info.ip;
+  req.config.requestId = info.requestId;
   req.info = info;
 
+  if (info.tenantId) {
+    if (!req.config.enableTenants) {
+      return invalidRequest(req, res);
+    }
+    return req.config.tenantController.configure(req.config, info.tenantId).then((found) => {
+      if (!found) {
+        return invalidRequest(req, res);
+      }
+      return handleAuth(req, res, next);
+    }).catch(next);
+  }
+  return handleAuth(req, res, next);
+}
+
+// Sets req.auth from the keys and the session token of the request
+function handleAuth(req, res, next) {
+  var info = req.info;
   var isMaster = (info.masterKey === req.config.masterKey);
 
   if (isMaster) {
@@ -212,7 +245,7 @@ function decodeBase64(str) {
 export function allowCrossDomain(req, res, next) {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'X-Parse-Master-Key, X-Parse-REST-API-Key, X-Parse-Javascript-Key, X-Parse-Application-Id, X-Parse-Client-Version, X-Parse-Session-Token, X-Requested-With, X-Parse-Revocable-Session, Content-Type');
+  res.header('Access-Control-Allow-Headers', 'X-Parse-Master-Key, X-Parse-REST-API-Key, X-Parse-Javascript-Key, X-Parse-Application-Id, X-Parse-Client-Version, X-Parse-Session-Token, X-Parse-Request-Id, X-Parse-If-Unmodified-Since, X-Parse-Tenant-Id, If-Match, X-Requested-With, X-Parse-Revocable-Session, Content-Type');
 
   // intercept OPTIONS method
   if ('OPTIONS' == req.method) {
@@ -243,6 +276,9 @@ export function handleParseErrors(err, req, res, next) {
     case Parse.Error.OBJECT_NOT_FOUND:
       httpStatus = 404;
       break;
+    case ServerError.UPDATE_CONFLICT:
+      httpStatus = 412;
+      break;
     default:
       httpStatus = 400;
     }
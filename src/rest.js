@@ -9,6 +9,7 @@
 
 var Parse = require('parse/node').Parse;
 import Auth from './Auth';
+import { logAfterWriteError } from './logger';
 
 var RestQuery = require('./RestQuery');
 var RestWrite = require('./RestWrite');
@@ -62,6 +63,8 @@ function del(config, auth, className, objectId) {
   enforceRoleSecurity('delete', className, auth);
 
   var inflatedObject;
+  var auditedObject;
+  const auditController = config.auditController;
 
   return Promise.resolve().then(() => {
     const hasTriggers = checkTriggers(className, config, ['beforeDelete', 'afterDelete']);
@@ -81,7 +84,9 @@ function del(config, auth, className, objectId) {
             cacheAdapter.user.del(firstResult.sessionToken);
             inflatedObject = Parse.Object.fromJSON(firstResult);
             // Notify LiveQuery server if possible
-            config.liveQueryController.onAfterDelete(inflatedObject.className, inflatedObject);
+            triggers.runAfterWrite(config, () => {
+              config.liveQueryController.onAfterDelete(inflatedObject.className, inflatedObject);
+            });
             return triggers.maybeRunTrigger(triggers.Types.beforeDelete, auth, inflatedObject, null,  config);
           }
           throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND,
@@ -95,6 +100,13 @@ function del(config, auth, className, objectId) {
     } else {
       return;
     }
+  }).then(() => {
+    return auditController.isAudited(config, className).then(audited => {
+      if (audited) {
+        return auditController.loadObject(config, className, objectId)
+          .then(object => { auditedObject = object; });
+      }
+    });
   }).then(() => {
     var options = {};
     if (!auth.isMaster) {
@@ -109,7 +121,37 @@ function del(config, auth, className, objectId) {
       objectId: objectId
     }, options);
   }).then(() => {
-    return triggers.maybeRunTrigger(triggers.Types.afterDelete, auth, inflatedObject, null, config);
+    if (auditedObject) {
+      const recorded = auditController.record(config, auth, { className, objectId, action: 'delete', before: auditedObject });
+      return logAfterWriteError(recorded, 'Could not record the audit entry');
+    }
+  }).then(() => {
+    return triggers.runAfterWrite(config, () => {
+      return triggers.maybeRunTrigger(triggers.Types.afterDelete, auth, inflatedObject, null, config);
+    });
+  });
+}
+
+// Undeletes an object of a class with the softDelete option. Takes the same
+// permissions as deleting it.
+// Returns a promise for the new updatedAt.
+function restore(config, auth, className, objectId) {
+  enforceRoleSecurity('delete', className, auth);
+
+  return Promise.resolve().then(() => {
+    if (!auth.isMaster) {
+      return auth.getUserRoles();
+    }
+  }).then(() => {
+    var options = {};
+    if (!auth.isMaster) {
+      options.acl = ['*'];
+      if (auth.user) {
+        options.acl.push(auth.user.id);
+        options.acl = options.acl.concat(auth.userRoles);
+      }
+    }
+    return config.database.restore(className, { objectId }, options);
   });
 }
 
@@ -144,7 +186,33 @@ function update(config, auth, className, restWhere, restObject, clientSDK) {
   });
 }
 
-const classesWithMasterOnlyAccess = ['_JobStatus', '_PushStatus', '_Hooks', '_GlobalConfig', '_JobSchedule'];
+// Takes read access to the object, like get.
+function enforceObjectAccess(config, auth, className, objectId, clientSDK) {
+  return get(config, auth, className, objectId, {}, clientSDK).then(response => {
+    if (!response.results || response.results.length == 0) {
+      throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+    }
+  });
+}
+
+// Returns a promise for the prior versions of an object of a versioned
+// class, the latest first, in a {results} object.
+function versions(config, auth, className, objectId, restOptions, clientSDK) {
+  return enforceObjectAccess(config, auth, className, objectId, clientSDK)
+    .then(() => config.database.findVersions(className, objectId, restOptions))
+    .then(results => ({ results }));
+}
+
+// Brings an object of a versioned class back to one of its versions. The
+// rollback is an update, with its permissions and triggers.
+// Returns a promise for a {response} object.
+function restoreVersion(config, auth, className, objectId, version, clientSDK) {
+  return enforceObjectAccess(config, auth, className, objectId, clientSDK)
+    .then(() => config.database.versionUpdate(className, objectId, version))
+    .then(restObject => update(config, auth, className, { objectId }, restObject, clientSDK));
+}
+
+const classesWithMasterOnlyAccess = ['_JobStatus', '_PushStatus', '_Hooks', '_GlobalConfig', '_JobSchedule', '_Audit', '_Version', '_Tenant', '_File', '_FileUpload'];
 // Disallowing access to the _Role collection except by master key
 function enforceRoleSecurity(method, className, auth) {
   if (className === '_Installation' && !auth.isMaster) {
@@ -166,5 +234,8 @@ module.exports = {
   del,
   find,
   get,
-  update
+  restore,
+  restoreVersion,
+  update,
+  versions
 };
@@ -8,9 +8,16 @@ export const Types = {
   beforeDelete: 'beforeDelete',
   afterDelete: 'afterDelete',
   beforeFind: 'beforeFind',
-  afterFind: 'afterFind'
+  afterFind: 'afterFind',
+  beforeSaveFile: 'beforeSaveFile',
+  afterSaveFile: 'afterSaveFile',
+  beforeDeleteFile: 'beforeDeleteFile',
+  afterDeleteFile: 'afterDeleteFile'
 };
 
+// The file triggers are kept under this name, no class can have it
+export const FileClassName = '@File';
+
 const baseStore = function() {
   const Validators = {};
   const Functions = {};
@@ -182,6 +189,29 @@ export function getRequestQueryObject(triggerType, auth, query, count, config, i
   return request;
 }
 
+export function getRequestFileObject(triggerType, auth, file, config) {
+  var request = {
+    triggerName: triggerType,
+    file,
+    master: false,
+    log: config.loggerController
+  };
+
+  if (!auth) {
+    return request;
+  }
+  if (auth.isMaster) {
+    request['master'] = true;
+  }
+  if (auth.user) {
+    request['user'] = auth.user;
+  }
+  if (auth.installationId) {
+    request['installationId'] = auth.installationId;
+  }
+  return request;
+}
+
 // Creates the response object, and uses the request object to pass data
 // The API will call this with REST API formatted objects, this will
 // transform them to Parse.Object instances expected by Cloud Code.
@@ -414,6 +444,93 @@ export function maybeRunTrigger(triggerType, auth, parseObject, originalParseObj
   });
 }
 
+// Runs the after triggers and LiveQuery notifications of a write. A
+// transactional batch sets config.afterWriteCallbacks to hold them until it
+// commits, so that nobody hears of writes that are rolled back.
+export function runAfterWrite(config, callback) {
+  if (config.afterWriteCallbacks) {
+    config.afterWriteCallbacks.push(callback);
+    return Promise.resolve();
+  }
+  return Promise.resolve(callback());
+}
+
+// The file as logged, without its content
+function fileForLog(file) {
+  return {
+    name: file.name,
+    contentType: file.contentType,
+    size: file.data ? file.data.length : undefined
+  };
+}
+
+// Runs a file trigger with a response like the one of getResponseObject.
+// Triggers either return their result, or a promise of it, or take the
+// response and call response.success or response.error. Only before triggers
+// are waited for.
+function runFileTrigger(trigger, request, waitForResponse) {
+  return new Promise((resolve, reject) => {
+    const response = {
+      success: resolve,
+      error: function(code, message) {
+        if (!message) {
+          message = code;
+          code = Parse.Error.SCRIPT_FAILED;
+        }
+        reject(new Parse.Error(code, message));
+      }
+    };
+    const result = trigger(request, response);
+    if (result && typeof result.then === 'function') {
+      result.then(resolve, reject);
+    } else if (!waitForResponse || trigger.length < 2) {
+      resolve(result);
+    }
+  });
+}
+
+// Runs the file trigger of the given type, resolves with the file, a
+// { name, data, contentType, metadata, tags } object. Before triggers can
+// change it, in place or by returning or passing to response.success the
+// fields to change, and throw or call response.error to stop the upload or
+// the deletion. Errors in after triggers are only logged.
+export function maybeRunFileTrigger(triggerType, file, config, auth) {
+  const trigger = getTrigger(FileClassName, triggerType, config.applicationId);
+  if (!trigger) {
+    return Promise.resolve(file);
+  }
+  const isAfter = triggerType === Types.afterSaveFile || triggerType === Types.afterDeleteFile;
+  const request = getRequestFileObject(triggerType, auth, file, config);
+  const input = fileForLog(file);
+  // Force the current Parse app before the trigger
+  Parse.applicationId = config.applicationId;
+  Parse.javascriptKey = config.javascriptKey || '';
+  Parse.masterKey = config.masterKey;
+
+  return runFileTrigger(trigger, request, !isAfter).then((result) => {
+    if (isAfter) {
+      logTriggerAfterHook(triggerType, FileClassName, input, auth);
+      return file;
+    }
+    const resultFile = Object.assign({}, request.file, result && typeof result === 'object' ? result : {});
+    if (typeof resultFile.data === 'string') {
+      resultFile.data = Buffer.from(resultFile.data);
+    }
+    logTriggerSuccessBeforeHook(triggerType, FileClassName, input, fileForLog(resultFile), auth);
+    return resultFile;
+  }, (err) => {
+    let error = err;
+    if (!(err instanceof Parse.Error)) {
+      error = new Parse.Error(Parse.Error.SCRIPT_FAILED, typeof err === 'string' ? err : err && err.message);
+    }
+    logTriggerErrorBeforeHook(triggerType, FileClassName, input, auth, error);
+    if (isAfter) {
+      return file;
+    }
+    throw error;
+  });
+}
+
 // Converts a REST-format object to a Parse.Object
 // data is either className or an object
 export function inflate(data, restObject) {